@@ -4,6 +4,21 @@
 const fs = require('fs');
 const path = require('path');
 const { QuotationPriceCalculations } = require('../utils/quotation_price_calculations');
+const { DocumentGenerator } = require('../utils/document-generator');
+const { QuotationIndex } = require('../utils/quotation-index');
+const { QuotationDiff } = require('../utils/quotation-diff');
+const { QuotationApprovals } = require('../utils/quotation-approvals');
+const { AmountInWords } = require('../utils/amount-in-words');
+const { TemplateEngine, SafeString } = require('../utils/template-engine');
+const { TemplateCatalog } = require('../utils/template-catalog');
+const { TemplateValidator } = require('../utils/template-validator');
+const { DocumentLocale } = require('../utils/document-locale');
+const { QuotationTerms } = require('../utils/quotation-terms');
+const { QuotationLifecycle } = require('../utils/quotation-lifecycle');
+const { QuotationListing } = require('../utils/quotation-listing');
+const { QuotationSearchIndex } = require('../utils/quotation-search-index');
+const { CustomerDirectory } = require('../utils/customer-directory');
+const { ProductCatalog } = require('../utils/product-catalog');
 
 /**
  * QUOTATION GENERATION SYSTEM
@@ -20,6 +35,22 @@ class QuotationGenerationAPI {
         // Load input schema configuration
         this.inputSchema = this.loadInputSchema();
         this.priceCalculator = new QuotationPriceCalculations();
+        // PDF_NO_SANDBOX=true turns off the Chrome sandbox where it cannot run (e.g. containers running as root)
+        this.documentGenerator = new DocumentGenerator({ noSandbox: process.env.PDF_NO_SANDBOX === 'true' });
+        this.quotationIndex = new QuotationIndex(path.join(__dirname, '..', 'assets', 'generated'));
+        this.quotationDiff = new QuotationDiff();
+        this.quotationApprovals = new QuotationApprovals(path.join(__dirname, '..', 'assets', 'generated'));
+        this.quotationLifecycle = new QuotationLifecycle(this.quotationIndex);
+        this.quotationListing = new QuotationListing(this.quotationIndex, this.quotationLifecycle);
+        this.quotationSearchIndex = new QuotationSearchIndex(path.join(__dirname, '..', 'assets', 'generated'), this.quotationIndex);
+        this.productCatalog = new ProductCatalog(path.join(__dirname, '..', 'assets', 'generated'), this.quotationIndex);
+        this.amountInWords = new AmountInWords();
+        this.templateEngine = this.createTemplateEngine();
+        this.templateCatalog = new TemplateCatalog();
+        this.templateValidator = new TemplateValidator(this.templateEngine);
+        this.documentLocale = new DocumentLocale();
+        this.quotationTerms = new QuotationTerms();
+        this.customerDirectory = new CustomerDirectory();
         this.activeSessions = new Map();
         
         
@@ -157,27 +188,34 @@ class QuotationGenerationAPI {
                 result = await this.processQuotationCalculation(validatedInput, sessionId, sseNotifier);
                 this.stats.totalCalculations = (this.stats.totalCalculations || 0) + 1;
                 currentStatus = 'calculation_complete';
+            } else if (actionType === 'reverse_price') {
+                result = await this.processReversePricing(validatedInput, sessionId, sseNotifier);
+                this.stats.reversePricings = (this.stats.reversePricings || 0) + 1;
+                currentStatus = 'reverse_pricing_complete';
             } else {
-                throw new Error(`Invalid action_type: ${actionType}. Must be 'generate', 'update', or 'calculate'`);
+                throw new Error(`Invalid action_type: ${actionType}. Must be 'generate', 'update', 'calculate' or 'reverse_price'`);
             }
 
             currentStatus = 'completed';
 
             // Send quotation generated notification for Result Preview panel
+            // (reverse pricing only proposes rates, so the preview keeps the current quotation)
             if (sseNotifier) {
-                sseNotifier({
-                    type: 'quotation_generated',
-                    data: {
-                        session_id: sessionId,
-                        action_type: actionType,
-                        quotation_data: result.quotation_data,
-                        calculated_pricing: result.calculated_pricing,
-                        preview_data: result.preview_data,
-                        generated_files: result.generated_files,
-                        html_content: result.generated_files?.html?.content,
-                        timestamp: new Date().toISOString()
-                    }
-                });
+                if (actionType !== 'reverse_price') {
+                    sseNotifier({
+                        type: 'quotation_generated',
+                        data: {
+                            session_id: sessionId,
+                            action_type: actionType,
+                            quotation_data: result.quotation_data,
+                            calculated_pricing: result.calculated_pricing,
+                            preview_data: result.preview_data,
+                            generated_files: result.generated_files,
+                            html_content: result.generated_files?.html?.content,
+                            timestamp: new Date().toISOString()
+                        }
+                    });
+                }
                 
                 // Send workflow status for workflow tracker (non-interfering)
                 sseNotifier({
@@ -336,8 +374,8 @@ class QuotationGenerationAPI {
     async processQuotationGeneration(input, sessionId, sseNotifier = null) {
         console.log(`🆕 Starting quotation generation - Session: ${sessionId}`);
         
-        // Normalize the data structure to match expected schema
-        const normalizedInput = this.normalizeQuotationData(input);
+        // Normalize the data structure to match expected schema (new customers join the directory)
+        const normalizedInput = this.normalizeQuotationData(input, { createCustomer: true });
         
         // Initialize session data
         const sessionData = {
@@ -406,7 +444,6 @@ class QuotationGenerationAPI {
         const previewData = this.generatePreviewData(sessionData, calculatedPricing);
         sessionData.previewData = previewData;
         
-        // TODO: Integrate with document-generator.js for PDF/Excel generation
         const generatedFiles = await this.generateDocuments(sessionData, calculatedPricing, true);
         sessionData.generatedFiles = generatedFiles;
         
@@ -665,6 +702,71 @@ class QuotationGenerationAPI {
         };
     }
 
+    /**
+     * Process reverse pricing (solve profit_rate/discount_rate from target prices)
+     * Proposes variables only: no documents are generated and the session quotation is left as is
+     * @param {Object} input - Validated input data with reverse_pricing { solve_for, item_targets, target_total }
+     * @param {string} sessionId - Session identifier
+     * @param {Function} sseNotifier - SSE notification function
+     * @returns {Object} Processing results with the solved pricing_variables
+     */
+    async processReversePricing(input, sessionId, sseNotifier = null) {
+        console.log(`🎯 Starting reverse pricing - Session: ${sessionId}`);
+        
+        const normalizedInput = this.normalizeQuotationData(input);
+        
+        if (sseNotifier) {
+            sseNotifier({
+                type: 'calculation_start',
+                data: {
+                    session_id: sessionId,
+                    agent_name: 'quotation-price-calculations',
+                    message: `Solving ${normalizedInput.reverse_pricing.solve_for || 'profit_rate'} from target prices`,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+        
+        const calculatedPricing = this.priceCalculator.calculateReversePricing(
+            normalizedInput.quotation_data,
+            normalizedInput.pricing_variables || {},
+            normalizedInput.reverse_pricing
+        );
+        
+        if (!calculatedPricing.calculation_success) {
+            throw new Error(`Reverse pricing failed: ${calculatedPricing.error}`);
+        }
+        
+        if (sseNotifier) {
+            sseNotifier({
+                type: 'calculation_complete',
+                data: {
+                    session_id: sessionId,
+                    agent_name: 'quotation-price-calculations',
+                    pricing_summary: calculatedPricing.pricing_summary,
+                    items_processed: calculatedPricing.total_items,
+                    message: 'Reverse pricing completed (no files generated)',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+        
+        console.log(`✅ Reverse pricing completed - Session: ${sessionId}`);
+        
+        return {
+            quotation_data: normalizedInput.quotation_data,
+            calculated_pricing: calculatedPricing,
+            reverse_pricing: calculatedPricing.reverse_pricing,
+            pricing_variables: calculatedPricing.pricing_variables,
+            generated_files: null, // Proposal only - apply the variables to regenerate
+            session_data: {
+                id: sessionId,
+                completed_at: new Date()
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
     // =========================================================================
     // 🔍 AUTO-CALCULATION DETECTION
     // =========================================================================
@@ -782,21 +884,54 @@ class QuotationGenerationAPI {
                 };
             }
             
-            // Load default template
-            const template = await this.loadTemplate('default-template.html');
+            // Margin guardrails: prices below a margin floor need manager approval before any document is written
+            const baseFilename = this.generateQuotationFilename(sessionData.quotationData);
+            // Closed quotations (accepted) get no new revision
+            this.quotationLifecycle.assertCanRegenerate(baseFilename);
+            const pendingApproval = this.checkMarginApproval(baseFilename, sessionData, calculatedPricing);
+            if (pendingApproval) {
+                console.log(`🛡️ Document generation blocked for ${baseFilename} - approval ${pendingApproval.status}`);
+                const lifecycle = pendingApproval.status === 'pending'
+                    ? this.quotationLifecycle.recordApprovalRequested(baseFilename, sessionData.quotationData,
+                        this.quotationIndex.buildSummary(sessionData.quotationData, calculatedPricing))
+                    : this.quotationLifecycle.describe(baseFilename);
+                return {
+                    html_file: null,
+                    pdf_file: null,
+                    excel_file: null,
+                    base_filename: baseFilename,
+                    blocked: true,
+                    approval_required: true,
+                    approval: pendingApproval,
+                    status: lifecycle?.status || null,
+                    updated_at: new Date().toISOString()
+                };
+            }
+            
+            // Template named on the quotation > customer default > global default
+            const customerId = sessionData.quotationData.customer_info?.customer_id;
+            const customerRecord = customerId ? this.customerDirectory.get(customerId) : null;
+            const selectedTemplate = this.templateCatalog.resolveTemplate(sessionData.quotationData, customerRecord?.default_template);
+            const templateInfo = { name: selectedTemplate.name, source: selectedTemplate.source, selected_by: selectedTemplate.selected_by };
+            console.log(`🗂️ Using template ${selectedTemplate.name} (${selectedTemplate.selected_by})`);
+            const template = await this.loadTemplate(selectedTemplate.name);
+            const locale = this.documentLocale.resolve(sessionData.quotationData);
+            console.log(`🌐 Document language: ${locale.code}${locale.secondary ? ` + ${locale.secondary.code}` : ''}`);
+            const terms = this.quotationTerms.resolveTerms(sessionData.quotationData);
+            console.log(`📜 Terms: issued ${terms.issue_date}, valid until ${terms.valid_until || 'n/a'}`);
             
             // Generate table rows based on action type
             const tableRows = this.generateTableRows(
                 sessionData.quotationData.quotation_items || [], 
                 calculatedPricing,
-                sessionData.action
+                sessionData.action,
+                { show_price_tiers: !!sessionData.input?.generation_options?.show_price_tiers, locale }
             );
             
             // Replace template variables
             const htmlContent = this.populateTemplate(template, sessionData, calculatedPricing, tableRows);
             
-            // Generate standardized filename based on RFQ and customer data
-            const baseFilename = this.generateQuotationFilename(sessionData.quotationData);
+            // Standardized filename based on RFQ and customer data (baseFilename above)
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
             const filename = `${baseFilename}_${timestamp}.html`;
             const filePath = path.join(__dirname, '..', 'assets', 'generated', filename);
@@ -812,38 +947,49 @@ class QuotationGenerationAPI {
                 fs.mkdirSync(generatedDir, { recursive: true });
             }
             
-            // Clean up old files for the same RFQ+customer combination (maintain one version per unique combination)
-            console.log(`🧹 Cleaning up old files for: ${baseFilename}...`);
-            try {
-                const existingFiles = fs.readdirSync(generatedDir);
-                let deletedCount = 0;
-                
-                existingFiles.forEach(file => {
-                    // Don't delete the index files
-                    if (file === 'latest.json' || file === 'quotations-index.json') return;
-                    
-                    // Only delete files that match the same baseFilename (same RFQ + customer)
-                    if ((file.endsWith('.html') || file.endsWith('.pdf') || file.endsWith('.xlsx') || file.endsWith('_data.json')) && 
-                        file.startsWith(baseFilename + '_')) {
-                        const oldFilePath = path.join(generatedDir, file);
-                        fs.unlinkSync(oldFilePath);
-                        deletedCount++;
-                        console.log(`🗑️ Deleted old version: ${file}`);
-                    }
-                });
-                
-                if (deletedCount > 0) {
-                    console.log(`✅ Cleaned up ${deletedCount} old versions for ${baseFilename}`);
-                } else {
-                    console.log(`📂 No old versions to clean up for ${baseFilename}`);
-                }
-            } catch (cleanupError) {
-                console.warn('⚠️ Warning: Could not clean up old files:', cleanupError.message);
-            }
+            // Every generation is kept as a new revision - earlier files stay for audit history
+            const revisionNumber = this.quotationIndex.getNextRevisionNumber(baseFilename);
+            console.log(`🔢 Generating ${baseFilename} Rev.${revisionNumber}`);
             
             // Write new HTML file
             fs.writeFileSync(filePath, htmlContent, 'utf8');
             
+            // Render the same populated HTML into a paginated PDF (non-fatal on failure)
+            const pdfFilename = `${baseFilename}_${timestamp}.pdf`;
+            const pdfPath = path.join(generatedDir, pdfFilename);
+            let pdfStatus = 'generated';
+            let pdfError = null;
+            try {
+                await this.documentGenerator.generatePdf(htmlContent, pdfPath);
+            } catch (pdfGenerationError) {
+                console.warn('⚠️ PDF generation failed, HTML is still available:', pdfGenerationError.message);
+                pdfStatus = 'failed';
+                pdfError = pdfGenerationError.message;
+            }
+            
+            // Build the Excel workbook with live pricing formulas (only once prices are calculated)
+            const excelFilename = `${baseFilename}_${timestamp}.xlsx`;
+            const excelPath = path.join(generatedDir, excelFilename);
+            let excelStatus = 'generated';
+            let excelError = null;
+            if (calculatedPricing?.processed_items?.length > 0) {
+                try {
+                    await this.documentGenerator.generateExcel(
+                        sessionData.quotationData,
+                        calculatedPricing,
+                        excelPath,
+                        this.priceCalculator.calculationRules
+                    );
+                } catch (excelGenerationError) {
+                    console.warn('⚠️ Excel generation failed, HTML is still available:', excelGenerationError.message);
+                    excelStatus = 'failed';
+                    excelError = excelGenerationError.message;
+                }
+            } else {
+                console.log('📗 Excel export skipped - no calculated pricing yet');
+                excelStatus = 'skipped_no_pricing';
+            }
+            
             // Save complete quotation data for future retrieval with pricing variables
             // FIX 3: Simplified and reliable logic for pricing variables storage
             const currentInputVariables = sessionData.input?.pricing_variables || {};
@@ -909,10 +1055,41 @@ class QuotationGenerationAPI {
                 variable_source: variableSource
             });
             
-            const savedDataFilename = this.saveQuotationData(generatedDir, baseFilename, sessionData, calculatedPricing, variablesToSave);
+            const snapshotFilename = this.quotationIndex.getSnapshotFilename(baseFilename, revisionNumber);
+            const savedDataFilename = this.saveQuotationData(generatedDir, baseFilename, sessionData, calculatedPricing, variablesToSave, {
+                revision: revisionNumber,
+                snapshot_filename: snapshotFilename,
+                template: templateInfo,
+                terms
+            });
+            
+            // Update quotations index to track all available quotations and their revisions
+            const revisionRecord = this.updateQuotationsIndex(generatedDir, filename, baseFilename, sessionData.quotationData, {
+                revision: revisionNumber,
+                action: sessionData.action,
+                pdf_filename: pdfStatus === 'generated' ? pdfFilename : null,
+                excel_filename: excelStatus === 'generated' ? excelFilename : null,
+                data_filename: savedDataFilename ? snapshotFilename : null,
+                template: templateInfo.name,
+                issue_date: terms.issue_date,
+                valid_until: terms.valid_until,
+                summary: this.quotationIndex.buildSummary(sessionData.quotationData, calculatedPricing, terms.issue_date)
+            });
             
-            // Update quotations index to track all available quotations
-            this.updateQuotationsIndex(generatedDir, filename, baseFilename, sessionData.quotationData);
+            // Keep item search in step with the newest revision
+            if (savedDataFilename) {
+                try {
+                    this.quotationSearchIndex.indexQuotation(baseFilename, snapshotFilename);
+                } catch (error) {
+                    console.error('❌ Error updating search index:', error);
+                }
+                // Every generated revision adds to the price history of its parts
+                try {
+                    this.productCatalog.record(baseFilename, snapshotFilename);
+                } catch (error) {
+                    console.error('❌ Error updating product catalog:', error);
+                }
+            }
             
             // Re-enabled: latest.json creation for automatic preview display after generation
             if (updateLatest) {
@@ -923,7 +1100,10 @@ class QuotationGenerationAPI {
                     generated_at: new Date().toISOString(),
                     size: htmlContent.length,
                     base_filename: baseFilename,
-                    data_filename: savedDataFilename
+                    data_filename: savedDataFilename,
+                    pdf_filename: pdfStatus === 'generated' ? pdfFilename : null,
+                    excel_filename: excelStatus === 'generated' ? excelFilename : null,
+                    revision: revisionNumber
                 };
                 fs.writeFileSync(indexPath, JSON.stringify(indexData, null, 2), 'utf8');
             } else {
@@ -941,17 +1121,24 @@ class QuotationGenerationAPI {
                     content: htmlContent
                 },
                 pdf: {
-                    filename: `${baseFilename}_${timestamp}.pdf`,
-                    path: `/assets/generated/${baseFilename}_${timestamp}.pdf`,
-                    url: `http://localhost:5000/assets/generated/${baseFilename}_${timestamp}.pdf`,
-                    status: 'pending_pdf_conversion'
+                    filename: pdfFilename,
+                    path: pdfPath,
+                    url: pdfStatus === 'generated' ? `http://localhost:5000/assets/generated/${pdfFilename}` : null,
+                    status: pdfStatus,
+                    error: pdfError
                 },
                 excel: {
-                    filename: `${baseFilename}_${timestamp}.xlsx`,
-                    path: `/assets/generated/${baseFilename}_${timestamp}.xlsx`,
-                    url: `http://localhost:5000/assets/generated/${baseFilename}_${timestamp}.xlsx`,
-                    status: 'pending_excel_conversion'
+                    filename: excelFilename,
+                    path: excelPath,
+                    url: `http://localhost:5000/assets/generated/${excelFilename}`,
+                    status: excelStatus,
+                    error: excelError
                 },
+                revision: revisionRecord,
+                base_filename: baseFilename,
+                template: templateInfo,
+                terms,
+                status: this.quotationLifecycle.getStatus(this.quotationIndex.getEntry(baseFilename)),
                 table_rows_count: (sessionData.quotationData.quotation_items || []).length
             };
         } catch (error) {
@@ -961,142 +1148,150 @@ class QuotationGenerationAPI {
     }
 
     /**
-     * Load HTML template from templates directory
-     * @param {string} templateName - Template filename
+     * Load an HTML template by name (built-in or uploaded, see TemplateCatalog)
+     * @param {string} templateName - Template filename or display name
      * @returns {string} Template content
      */
     async loadTemplate(templateName) {
-        const fs = require('fs');
-        const customTemplatesDir = path.join(__dirname, '..', 'assets', 'template', 'custom_templates');
-        const defaultTemplatePath = path.join(__dirname, '..', 'assets', 'template', templateName);
-        
-        console.log('🔍 Checking for custom templates in:', customTemplatesDir);
-        
-        // First check for any custom template in custom_templates folder
-        let templatePath = defaultTemplatePath;
-        if (fs.existsSync(customTemplatesDir)) {
-            const customFiles = fs.readdirSync(customTemplatesDir).filter(file => file.endsWith('.html'));
-            if (customFiles.length > 0) {
-                // Use the first custom template found
-                templatePath = path.join(customTemplatesDir, customFiles[0]);
-                console.log('✅ Using custom template:', customFiles[0]);
-            } else {
-                console.log('📄 No custom templates found, using default:', templateName);
-            }
-        } else {
-            console.log('📄 Custom templates directory not found, using default:', templateName);
-        }
-        
-        if (!fs.existsSync(templatePath)) {
-            throw new Error(`Template file not found: ${templatePath}`);
-        }
-        
-        return fs.readFileSync(templatePath, 'utf8');
+        return this.templateCatalog.readTemplate(templateName);
     }
 
     /**
-     * Generate table rows for quotation items
+     * Generate table rows for quotation items ({{table_rows}} in templates without an item loop)
      * On generate: append new rows for each item
      * On update: overwrite matching rows, append new ones
      * @param {Array} quotationItems - Array of quotation items
      * @param {Object} calculatedPricing - Pricing calculation results
      * @param {string} action - 'generate' or 'update'
+     * @param {Object} options - { show_price_tiers: print each item's volume price table below it,
+     *                             locale: resolved document locale (default language when omitted),
+     *                             item_role: rows of this role only ('standard' when omitted; optional and
+     *                             alternative items have their own tables) }
      * @returns {string} HTML table rows
      */
-    generateTableRows(quotationItems, calculatedPricing, action) {
+    generateTableRows(quotationItems, calculatedPricing, action, options = {}) {
         console.log(`🔄 Generating table rows - Action: ${action}, Items: ${quotationItems.length}`);
-        console.log(`📊 CalculatedPricing exists: ${!!calculatedPricing}, ProcessedItems count: ${calculatedPricing?.processed_items?.length || 0}`);
-        
-        if (!quotationItems || quotationItems.length === 0) {
-            return '<tr><td colspan="10" style="text-align: center; color: #666;">No items available</td></tr>';
-        }
         
-        // Debug: Log all available calculated items for better matching
-        if (calculatedPricing?.processed_items) {
-            console.log(`📋 Available calculated items:`, calculatedPricing.processed_items.map(calc => ({
-                item_no: calc.item_no,
-                sales_unit_price: calc.sales_unit_price,
-                profit_unit_price: calc.profit_unit_price,
-                ext_price: calc.ext_price
-            })));
+        const locale = options.locale || this.documentLocale.resolve(null);
+        const labels = this.buildDocumentLabels(locale);
+        const itemRole = options.item_role || 'standard';
+        const roleItems = (quotationItems || []).filter(item => this.priceCalculator.getItemRole(item) === itemRole);
+        if (roleItems.length === 0) {
+            // Only the main table says so; empty optional/alternative tables are left out of the document
+            return itemRole === 'standard'
+                ? `<tr><td colspan="10" style="text-align: center; color: #666;">${labels.no_items}</td></tr>`
+                : '';
         }
         
-        let rows = '';
+        const currency = calculatedPricing?.pricing_summary?.currency;
+        const escape = (value) => this.templateEngine.escapeHtml(String(value ?? ''));
+        
+        return this.buildTemplateItems(roleItems, calculatedPricing, locale).map(row => {
+            const alternativeNote = row.alternative_of ? `<br><em>${labels.alternative_to} ${escape(row.alternative_of)}</em>` : '';
+            let rows = `
+            <tr data-item-no="${escape(row.item_no)}" data-item-role="${row.item_role}">
+                <td>${escape(row.item_no)}</td>
+                <td>${escape(row.description)}${alternativeNote}</td>
+                <td>${escape(row.model_part_number)}</td>
+                <td>${escape(row.manufacturer)}</td>
+                <td>${escape(row.uom)}</td>
+                <td class="number">${row.qty}</td>
+                <td class="number">${row.formatted_unit_price}</td>
+                <td class="number">${row.formatted_ext_price}</td>
+                <td>${escape(row.delivery_time)}</td>
+                <td>${escape(row.compliance)}</td>
+            </tr>`;
+
+            if (options.show_price_tiers && row.price_tiers.length > 1) {
+                rows += this.generatePriceTierRows(escape(row.item_no), escape(row.uom), row.price_tiers, currency, locale);
+            }
+            return rows;
+        }).join('');
+    }
+
+    /**
+     * Item data for templates: one entry per quotation item with display fields and calculated prices
+     * Calculated prices are matched by item_no; items without a calculation fall back to the bidder prices
+     * @param {Array} quotationItems - Array of quotation items
+     * @param {Object} calculatedPricing - Pricing calculation results
+     * @param {Object} locale - Resolved document locale (number format of the formatted_* fields)
+     * @returns {Array} Rows { item_no, description, model_part_number, manufacturer, uom, qty, unit_price, ext_price,
+     *                         formatted_unit_price, formatted_ext_price, delivery_time, compliance, vat_category, vat_rate,
+     *                         price_tiers, item_role, alternative_of, calculated }
+     */
+    buildTemplateItems(quotationItems, calculatedPricing, locale = null) {
+        const currency = calculatedPricing?.pricing_summary?.currency;
+        const intlLocale = locale?.intl_locale;
+        const toNumber = (value) => (typeof value === 'number' ? value : parseFloat(value) || 0);
         
-        quotationItems.forEach((item, index) => {
-            // Find calculated pricing for this item with enhanced matching
+        return (quotationItems || []).map((item, index) => {
             const itemNo = item.item_no || (index + 1).toString();
-            console.log(`🔍 Searching for item: "${itemNo}" (type: ${typeof itemNo})`);
-            
             const calculatedItem = calculatedPricing?.processed_items?.find(calc => {
-                console.log(`  🔍 Comparing with calc.item_no: "${calc.item_no}" (type: ${typeof calc.item_no})`);
                 return String(calc.item_no) === String(itemNo) || calc.item_no == itemNo;
             });
-            
-            console.log(`🔍 Item ${itemNo}: calculatedItem found = ${!!calculatedItem}`);
-            if (calculatedItem) {
-                console.log(`  📊 Found calculated data:`, {
-                    sales_unit_price: calculatedItem.sales_unit_price,
-                    profit_unit_price: calculatedItem.profit_unit_price,
-                    ext_price: calculatedItem.ext_price
-                });
-            }
-            
-            // Extract all required fields from quotation item
-            const description = item.company_requirement?.description || item.bidder_proposal?.description || 'No description';
-            const modelPartNumber = item.company_requirement?.model_part_number || '';
-            const manufacturer = item.company_requirement?.maker_origin || '';
-            const uom = item.company_requirement?.uom || 'EA';
             const qty = item.company_requirement?.qty || 0;
             
-            // Enhanced price extraction with fallbacks and type checking
-            let unitPrice = 0;
-            let extPrice = 0;
-            
+            let unitPrice;
+            let extPrice;
             if (calculatedItem) {
-                // Prioritize calculated values with proper type checking
-                unitPrice = calculatedItem.sales_unit_price || calculatedItem.profit_unit_price || 0;
-                extPrice = calculatedItem.ext_price || 0;
-                
-                // Ensure numeric values
-                unitPrice = typeof unitPrice === 'number' ? unitPrice : parseFloat(unitPrice) || 0;
-                extPrice = typeof extPrice === 'number' ? extPrice : parseFloat(extPrice) || 0;
-                
-                console.log(`  ✅ Using calculated prices: unitPrice=${unitPrice}, extPrice=${extPrice}`);
+                // Prioritize calculated values
+                unitPrice = toNumber(calculatedItem.sales_unit_price || calculatedItem.profit_unit_price || 0);
+                extPrice = toNumber(calculatedItem.ext_price || 0);
             } else {
                 // Fallback to original prices
-                unitPrice = item.bidder_proposal?.unit_price_vnd || item.bidder_proposal?.original_unit_price || item.bidder_proposal?.original_unit_price_vnd || 0;
-                extPrice = item.bidder_proposal?.ext_price_vnd || item.bidder_proposal?.original_ext_price_vnd || (unitPrice * qty);
-                
-                unitPrice = typeof unitPrice === 'number' ? unitPrice : parseFloat(unitPrice) || 0;
-                extPrice = typeof extPrice === 'number' ? extPrice : parseFloat(extPrice) || 0;
-                
-                console.log(`  ⚠️ Using fallback prices: unitPrice=${unitPrice}, extPrice=${extPrice}`);
+                unitPrice = toNumber(item.bidder_proposal?.unit_price_vnd || item.bidder_proposal?.original_unit_price || item.bidder_proposal?.original_unit_price_vnd || 0);
+                extPrice = toNumber(item.bidder_proposal?.ext_price_vnd || item.bidder_proposal?.original_ext_price_vnd || (unitPrice * qty));
+                console.log(`  ⚠️ Item ${itemNo}: no calculated pricing, using fallback prices: unitPrice=${unitPrice}, extPrice=${extPrice}`);
             }
             
-            const deliveryTime = item.bidder_proposal?.delivery_time || '';
-            const compliance = item.bidder_proposal?.compliance_deviation || '';
-            
-            // Format numbers with thousand separators
-            const formattedUnitPrice = (unitPrice && unitPrice > 0) ? unitPrice.toLocaleString('vi-VN') : '0';
-            const formattedExtPrice = (extPrice && extPrice > 0) ? extPrice.toLocaleString('vi-VN') : '0';
-            
-            rows += `
-            <tr data-item-no="${itemNo}">
-                <td>${itemNo}</td>
-                <td>${description}</td>
-                <td>${modelPartNumber}</td>
-                <td>${manufacturer}</td>
-                <td>${uom}</td>
-                <td class="number">${qty}</td>
-                <td class="number">${formattedUnitPrice}</td>
-                <td class="number">${formattedExtPrice}</td>
-                <td>${deliveryTime}</td>
-                <td>${compliance}</td>
-            </tr>`;
+            return {
+                item_no: itemNo,
+                description: item.company_requirement?.description || item.bidder_proposal?.description || 'No description',
+                model_part_number: item.company_requirement?.model_part_number || '',
+                manufacturer: item.company_requirement?.maker_origin || '',
+                uom: item.company_requirement?.uom || 'EA',
+                qty,
+                unit_price: unitPrice > 0 ? unitPrice : 0,
+                ext_price: extPrice > 0 ? extPrice : 0,
+                // Thousand separators and the quotation currency's decimals
+                formatted_unit_price: this.priceCalculator.formatAmount(unitPrice > 0 ? unitPrice : 0, currency, intlLocale),
+                formatted_ext_price: this.priceCalculator.formatAmount(extPrice > 0 ? extPrice : 0, currency, intlLocale),
+                delivery_time: item.bidder_proposal?.delivery_time || '',
+                compliance: item.bidder_proposal?.compliance_deviation || '',
+                vat_category: calculatedItem?.vat_category || null,
+                vat_rate: calculatedItem?.vat_rate ?? null,
+                price_tiers: (calculatedItem?.price_tiers || []).map(tier => ({
+                    ...tier,
+                    range: tier.max_qty !== null ? `${tier.min_qty} - ${tier.max_qty}` : `${tier.min_qty}+`
+                })),
+                item_role: this.priceCalculator.getItemRole(item),
+                alternative_of: this.priceCalculator.getAlternativeOf(item),
+                calculated: !!calculatedItem
+            };
         });
-        
-        return rows;
+    }
+
+    /**
+     * Extra rows listing an item's customer price per quantity tier
+     * @param {string} itemNo - Item number
+     * @param {string} uom - Unit of measure
+     * @param {Array} priceTiers - calculateItemPricing() price_tiers
+     * @param {string} currency - Quotation currency
+     * @param {Object} locale - Resolved document locale
+     * @returns {string} HTML table rows
+     */
+    generatePriceTierRows(itemNo, uom, priceTiers, currency, locale) {
+        const labels = this.buildDocumentLabels(locale);
+        return priceTiers.map(tier => {
+            const range = tier.max_qty !== null ? `${tier.min_qty} - ${tier.max_qty}` : `${tier.min_qty}+`;
+            return `
+            <tr class="price-tier-row${tier.applied ? ' price-tier-applied' : ''}" data-item-no="${itemNo}" data-min-qty="${tier.min_qty}">
+                <td></td>
+                <td colspan="5">${labels.volume_price}: ${range} ${uom}${tier.applied ? ` (${labels.quoted})` : ''}</td>
+                <td class="number">${this.priceCalculator.formatAmount(tier.sales_unit_price, currency, locale.intl_locale)}</td>
+                <td colspan="3"></td>
+            </tr>`;
+        }).join('');
     }
 
     /**
@@ -1234,8 +1429,49 @@ class QuotationGenerationAPI {
         return mimeTypes[extension.toLowerCase()] || 'image/jpeg';
     }
 
+    /**
+     * Template engine with the quotation filters:
+     * - currency: {{ unit_price | currency }} or {{ amount | currency:"USD" }} (document currency by default)
+     * - words: {{ grand_total_amount | words }} spells the amount out ("Bằng chữ"), {{ amount | words:"VND","en" }} in a given language
+     * - number, percent, date, datetime default to the document language instead of vi-VN
+     * @returns {TemplateEngine} Engine instance
+     */
+    createTemplateEngine() {
+        const engine = new TemplateEngine();
+        const toNumber = (value) => (typeof value === 'number' ? value : parseFloat(value));
+        const intlLocale = (root) => root.locale?.intl_locale || 'vi-VN';
+        
+        engine.registerFilter('currency', (value, [currency], root) => {
+            const amount = toNumber(value);
+            return isFinite(amount) ? this.priceCalculator.formatAmount(amount, currency || root.currency, intlLocale(root)) : '';
+        });
+        engine.registerFilter('words', (value, [currency, language], root) => {
+            return this.spellAmount(toNumber(value), currency || root.currency, language || root.locale?.code);
+        });
+        engine.registerFilter('number', (value, [decimals = 0, locale], root) => engine.formatNumber(value, decimals, locale || intlLocale(root)));
+        engine.registerFilter('percent', (value, [decimals = 0], root) => {
+            return engine.isEmpty(value) ? '' : `${engine.formatNumber(value, decimals, intlLocale(root))}%`;
+        });
+        engine.registerFilter('date', (value, [locale], root) => engine.formatDate(value, locale || intlLocale(root)));
+        engine.registerFilter('datetime', (value, [locale], root) => engine.formatDate(value, locale || intlLocale(root), true));
+        return engine;
+    }
+
+    /**
+     * Partials available to {{> name}}: built-in ones from assets/template/partials,
+     * overridden by uploads in assets/template/custom_templates/partials
+     */
+    loadTemplatePartials() {
+        const templateDir = path.join(__dirname, '..', 'assets', 'template');
+        this.templateEngine.partials = {};
+        this.templateEngine.loadPartials(path.join(templateDir, 'partials'));
+        this.templateEngine.loadPartials(path.join(templateDir, 'custom_templates', 'partials'));
+    }
+
     /**
      * Populate template with actual data including stored assets
+     * The template is rendered by the template engine (loops, conditionals, filters, partials);
+     * the flat placeholders of older templates ({{table_rows}}, {{grand_total}}, ...) keep working
      * @param {string} template - HTML template content
      * @param {Object} sessionData - Session data
      * @param {Object} calculatedPricing - Pricing calculation results
@@ -1243,13 +1479,58 @@ class QuotationGenerationAPI {
      * @returns {string} Populated HTML content
      */
     populateTemplate(template, sessionData, calculatedPricing, tableRows) {
+        this.loadTemplatePartials();
+        const context = this.buildTemplateContext(sessionData, calculatedPricing, tableRows);
+        return this.templateEngine.render(template, context);
+    }
+
+    /**
+     * Data available to templates
+     * @param {Object} sessionData - Session data
+     * @param {Object} calculatedPricing - Pricing calculation results
+     * @param {string} tableRows - Generated table rows HTML
+     * @returns {Object} Template context:
+     *   - Formatted placeholders: rfq_reference, date, customer_*, total_amount, subtotal_before_tax, vat_amount,
+     *     grand_total, *_in_words, amount_in_words_label, currency, generated_date
+     *   - HTML placeholders: company_logo, company_signature, table_rows, tax_summary_rows
+     *   - Structured data: items (buildTemplateItems, standard items only), tax_summary, customer, quotation, pricing, options,
+     *     raw amounts (subtotal_amount, vat_total_amount, grand_total_amount) and ISO dates (issue_date, generated_at)
+     *   - Optional and alternative items (outside the total): optional_items, alternative_items, optional_table_rows,
+     *     alternative_table_rows, optional_subtotal, alternative_subtotal (formatted) and *_subtotal_amount
+     *   - Language: locale { code, name, intl_locale, secondary_code }, labels (both languages in a dual layout),
+     *     labels_primary, labels_secondary, dual_language and *_in_words_secondary
+     *   - Terms: terms (QuotationTerms.resolveTerms + formatted_valid_until) and flat validity_days, valid_until,
+     *     payment_terms, incoterms, delivery_location, warranty
+     */
+    buildTemplateContext(sessionData, calculatedPricing, tableRows) {
         const quotationData = sessionData.quotationData;
         const customerInfo = quotationData?.customer_info || {};
+        const locale = this.documentLocale.resolve(quotationData);
+        const secondary = locale.secondary;
         
         // Calculate total amount
-        const totalAmount = calculatedPricing?.pricing_summary?.subtotal || 
-                           this.calculateTotalFromItems(quotationData.quotation_items || []);
-        const formattedTotal = typeof totalAmount === 'number' ? totalAmount.toLocaleString('vi-VN') : totalAmount;
+        const pricingSummary = calculatedPricing?.pricing_summary || {};
+        const currency = pricingSummary.currency;
+        const formatAmount = (amount) => this.priceCalculator.formatAmount(amount, currency, locale.intl_locale);
+        const totalAmount = pricingSummary.subtotal || 
+                           this.calculateTotalFromItems((quotationData.quotation_items || []).filter(item => this.priceCalculator.isStandardItem(item)));
+        const formattedTotal = typeof totalAmount === 'number' ? formatAmount(totalAmount) : totalAmount;
+        
+        // VAT block (without a pricing calculation there is no tax split: grand total = subtotal)
+        const vatAmount = pricingSummary.vat_amount || 0;
+        const grandTotal = pricingSummary.grand_total ?? totalAmount;
+        const formattedGrandTotal = typeof grandTotal === 'number' ? formatAmount(grandTotal) : grandTotal;
+        const taxSummary = (pricingSummary.tax_summary || []).map(group => ({
+            ...group,
+            label: this.buildVatLabel(group, locale),
+            formatted_taxable_amount: formatAmount(group.taxable_amount),
+            formatted_vat_amount: group.exempt ? '-' : formatAmount(group.vat_amount)
+        }));
+        
+        // Amounts in words in the document language (and the second language of a dual layout)
+        const labels = this.buildDocumentLabels(locale);
+        const totalInWords = this.spellAmount(totalAmount, currency, locale.code);
+        const grandTotalInWords = this.spellAmount(grandTotal, currency, locale.code);
         
         // Load stored assets (logo and signature) - synchronously for now
         const assets = this.loadStoredAssetsSync();
@@ -1263,20 +1544,147 @@ class QuotationGenerationAPI {
             `<img src="${assets.signature.dataUrl}" alt="Signature" style="max-height: 60px; max-width: 150px;">` : 
             '<div class="no-signature">No Signature</div>';
         
-        // Replace all template variables including assets
-        return template
-            .replace(/\{\{company_logo\}\}/g, logoHtml)
-            .replace(/\{\{company_signature\}\}/g, signatureHtml)
-            .replace(/\{\{rfq_reference\}\}/g, quotationData?.rfq_reference || 'N/A')
-            .replace(/\{\{date\}\}/g, new Date().toLocaleDateString('vi-VN'))
-            .replace(/\{\{customer_company\}\}/g, customerInfo.company_name || 'N/A')
-            .replace(/\{\{customer_contact\}\}/g, customerInfo.contact_person || 'N/A')
-            .replace(/\{\{customer_email\}\}/g, customerInfo.email || 'N/A')
-            .replace(/\{\{customer_address\}\}/g, customerInfo.address || 'N/A')
-            .replace(/\{\{table_rows\}\}/g, tableRows)
-            .replace(/\{\{total_amount\}\}/g, formattedTotal)
-            .replace(/\{\{currency\}\}/g, calculatedPricing?.pricing_summary?.currency || 'VND')
-            .replace(/\{\{generated_date\}\}/g, new Date().toLocaleString('vi-VN'));
+        const now = new Date();
+        const terms = this.quotationTerms.resolveTerms(quotationData, now);
+        const validUntil = terms.valid_until ? this.documentLocale.formatDate(terms.valid_until, locale) : '';
+        
+        // Optional and alternative items: own tables and subtotals, never part of the quotation total
+        const templateItems = this.buildTemplateItems(quotationData?.quotation_items || [], calculatedPricing, locale);
+        const itemsOfRole = (role) => templateItems.filter(item => item.item_role === role);
+        const roleSubtotal = (role) => pricingSummary[`${role}_subtotal`] ?? itemsOfRole(role).reduce((sum, item) => sum + item.ext_price, 0);
+        const roleTableRows = (role) => new SafeString(this.generateTableRows(quotationData?.quotation_items || [], calculatedPricing, sessionData.action, {
+            show_price_tiers: !!sessionData.input?.generation_options?.show_price_tiers,
+            locale,
+            item_role: role
+        }));
+        
+        return {
+            company_logo: new SafeString(logoHtml),
+            company_signature: new SafeString(signatureHtml),
+            rfq_reference: quotationData?.rfq_reference || 'N/A',
+            date: this.documentLocale.formatDate(terms.issue_date, locale),
+            customer_company: customerInfo.company_name || 'N/A',
+            customer_contact: customerInfo.contact_person || 'N/A',
+            customer_email: customerInfo.email || 'N/A',
+            customer_address: customerInfo.address || 'N/A',
+            table_rows: new SafeString(tableRows),
+            total_amount: formattedTotal,
+            subtotal_before_tax: formattedTotal,
+            vat_amount: formatAmount(vatAmount),
+            grand_total: formattedGrandTotal,
+            tax_summary_rows: new SafeString(this.generateTaxSummaryRows(pricingSummary.tax_summary || [], currency, locale)),
+            total_amount_in_words: totalInWords,
+            grand_total_in_words: grandTotalInWords,
+            total_amount_in_words_secondary: secondary ? this.spellAmount(totalAmount, currency, secondary.code) : '',
+            grand_total_in_words_secondary: secondary ? this.spellAmount(grandTotal, currency, secondary.code) : '',
+            amount_in_words_label: labels.amount_in_words,
+            currency: currency || 'VND',
+            generated_date: this.documentLocale.formatDateTime(now, locale),
+            
+            locale: { code: locale.code, name: locale.name, intl_locale: locale.intl_locale, secondary_code: secondary?.code || null },
+            dual_language: !!secondary,
+            labels,
+            labels_primary: locale.labels,
+            labels_secondary: secondary ? secondary.labels : {},
+            
+            terms: { ...terms, formatted_valid_until: validUntil },
+            validity_days: terms.validity_days ?? '',
+            valid_until: validUntil,
+            payment_terms: terms.payment_terms || '',
+            incoterms: terms.incoterms || '',
+            delivery_location: terms.delivery_location || '',
+            warranty: terms.warranty || '',
+            
+            items: itemsOfRole('standard'),
+            optional_items: itemsOfRole('optional'),
+            alternative_items: itemsOfRole('alternative'),
+            optional_table_rows: roleTableRows('optional'),
+            alternative_table_rows: roleTableRows('alternative'),
+            optional_subtotal: formatAmount(roleSubtotal('optional')),
+            alternative_subtotal: formatAmount(roleSubtotal('alternative')),
+            tax_summary: taxSummary,
+            customer: customerInfo,
+            quotation: quotationData || {},
+            pricing: pricingSummary,
+            options: sessionData.input?.generation_options || {},
+            subtotal_amount: totalAmount,
+            vat_total_amount: vatAmount,
+            grand_total_amount: grandTotal,
+            optional_subtotal_amount: roleSubtotal('optional'),
+            alternative_subtotal_amount: roleSubtotal('alternative'),
+            issue_date: terms.issue_date,
+            generated_at: now.toISOString()
+        };
+    }
+
+    /**
+     * Document labels; a dual-language layout shows both languages side by side ("Đơn giá / Unit Price")
+     * @param {Object} locale - Resolved document locale
+     * @returns {Object} key -> label (SafeString HTML in a dual layout)
+     */
+    buildDocumentLabels(locale) {
+        if (!locale.secondary) {
+            return { ...locale.labels };
+        }
+        const escape = (value) => this.templateEngine.escapeHtml(String(value ?? ''));
+        return Object.fromEntries(Object.entries(locale.labels).map(([key, label]) => {
+            const secondLabel = locale.secondary.labels[key];
+            return [key, new SafeString(secondLabel && secondLabel !== label
+                ? `${escape(label)} <span class="label-secondary">/ ${escape(secondLabel)}</span>`
+                : escape(label))];
+        }));
+    }
+
+    /**
+     * VAT group label in the document language(s)
+     * @param {Object} group - pricing_summary.tax_summary entry
+     * @param {Object} locale - Resolved document locale
+     * @returns {string} Label ("Thuế GTGT 10% / VAT 10%" in a dual layout)
+     */
+    buildVatLabel(group, locale) {
+        const label = this.documentLocale.vatLabel(group, locale);
+        const secondLabel = locale.secondary ? this.documentLocale.vatLabel(group, locale.secondary) : null;
+        return secondLabel && secondLabel !== label ? `${label} / ${secondLabel}` : label;
+    }
+
+    /**
+     * Spell out a money amount for the document ("Sáu mươi tám triệu ... đồng")
+     * @param {number} amount - Amount in the quotation currency
+     * @param {string} currency - Currency code
+     * @param {string} language - 'vi' or 'en' (when omitted VND is written in Vietnamese, others in English)
+     * @returns {string} Amount in words, or an empty string when the amount is not numeric
+     */
+    spellAmount(amount, currency, language = null) {
+        if (typeof amount !== 'number' || !isFinite(amount)) {
+            return '';
+        }
+        const code = currency || 'VND';
+        return this.amountInWords.format(amount, code, {
+            ...(language && { language }),
+            precision: this.priceCalculator.getCurrencyPrecision(code)
+        });
+    }
+
+    /**
+     * Footer rows with the VAT of each rate group
+     * @param {Array} taxSummary - pricing_summary.tax_summary
+     * @param {string} currency - Quotation currency
+     * @param {Object} locale - Resolved document locale
+     * @returns {string} HTML table rows
+     */
+    generateTaxSummaryRows(taxSummary, currency, locale) {
+        const labels = this.buildDocumentLabels(locale);
+        const escape = (value) => this.templateEngine.escapeHtml(String(value ?? ''));
+        return taxSummary.map(group => {
+            const base = this.priceCalculator.formatAmount(group.taxable_amount, currency, locale.intl_locale);
+            const amount = group.exempt ? '-' : this.priceCalculator.formatAmount(group.vat_amount, currency, locale.intl_locale);
+            return `
+            <tr class="tax-row" data-vat-category="${group.category}">
+                <td colspan="7">${escape(this.buildVatLabel(group, locale))} (${labels.vat_on} ${base})</td>
+                <td class="number">${amount}</td>
+                <td colspan="2"></td>
+            </tr>`;
+        }).join('');
     }
 
     /**
@@ -1300,11 +1708,54 @@ class QuotationGenerationAPI {
     /**
      * Normalize quotation data to match the expected schema and handle currency_code
      * @param {Object} input - Raw input data
+     * @param {Object} options - { createCustomer: add unknown customers to the directory and apply customer defaults }
      * @returns {Object} Normalized input data
      */
-    normalizeQuotationData(input) {
+    normalizeQuotationData(input, options = {}) {
         const normalized = JSON.parse(JSON.stringify(input)); // Deep clone
         
+        // A pricing formula named at the top level of the payload applies to this quotation
+        if (normalized.pricing_formula && normalized.quotation_data && !normalized.quotation_data.pricing_formula) {
+            normalized.quotation_data.pricing_formula = normalized.pricing_formula;
+        }
+        
+        // A document template named at the top level or in generation_options applies to this quotation
+        const requestedTemplate = normalized.template || normalized.generation_options?.template;
+        if (requestedTemplate && normalized.quotation_data && !normalized.quotation_data.template) {
+            normalized.quotation_data.template = requestedTemplate;
+        }
+        
+        // Commercial terms given at the top level apply to this quotation (quotation_data.terms wins per field)
+        if (normalized.terms && normalized.quotation_data) {
+            normalized.quotation_data.terms = { ...normalized.terms, ...(normalized.quotation_data.terms || {}) };
+        }
+        
+        // Document language(s) requested at the top level or in generation_options apply to this quotation
+        ['locale', 'secondary_locale'].forEach(key => {
+            const requested = normalized[key] || normalized.generation_options?.[key];
+            if (requested && normalized.quotation_data && !normalized.quotation_data[key]) {
+                normalized.quotation_data[key] = requested;
+            }
+        });
+        
+        // The output currency requested in generation_options is what exchange rates convert into
+        if (normalized.generation_options?.currency && normalized.quotation_data && !normalized.quotation_data.target_currency) {
+            normalized.quotation_data.target_currency = normalized.generation_options.currency;
+        }
+        
+        // customer_info is linked to its customer directory record so every quotation of a customer
+        // files under one company name; new quotations also pick up the customer's defaults
+        if (normalized.quotation_data?.customer_info) {
+            const link = this.customerDirectory.link(normalized.quotation_data.customer_info, { create: !!options.createCustomer });
+            if (link) {
+                normalized.quotation_data.customer_info = this.customerDirectory.applyToCustomerInfo(link.customer, normalized.quotation_data.customer_info);
+                console.log(`👥 Customer ${link.customer.company_name} (${link.customer.id}) ${link.created ? 'added to the directory' : `matched by ${link.matched_by}`}`);
+                if (options.createCustomer) {
+                    this.applyCustomerDefaults(normalized, link.customer);
+                }
+            }
+        }
+        
         if (normalized.quotation_data && normalized.quotation_data.quotation_items) {
             normalized.quotation_data.quotation_items = normalized.quotation_data.quotation_items.map(item => {
                 // If pricing data is at root level, move it to bidder_proposal
@@ -1363,7 +1814,8 @@ class QuotationGenerationAPI {
                     delete item.uom;
                 }
                 
-                return item;
+                // Candidate supplier offers: the chosen one becomes bidder_proposal (the others stay for comparison)
+                return this.priceCalculator.supplierOffers.applySelectedOffer(item);
             });
         }
         
@@ -1372,6 +1824,21 @@ class QuotationGenerationAPI {
         return normalized;
     }
 
+    /**
+     * Fill in a customer's defaults the payload left out: output currency and pricing variables
+     * @param {Object} normalized - Normalized input (changed in place)
+     * @param {Object} customer - Customer directory record
+     */
+    applyCustomerDefaults(normalized, customer) {
+        if (customer.default_currency && !normalized.quotation_data.target_currency) {
+            normalized.quotation_data.target_currency = customer.default_currency;
+        }
+        if (customer.default_pricing_variables && !this.hasUserInputVariables(normalized.pricing_variables)) {
+            normalized.pricing_variables = { ...customer.default_pricing_variables };
+            console.log(`👥 Using pricing variables of ${customer.company_name}:`, normalized.pricing_variables);
+        }
+    }
+
     /**
      * Validate and normalize input data against schema
      * @param {Object} input - Raw input data
@@ -1387,8 +1854,18 @@ class QuotationGenerationAPI {
             throw new Error('action_type is required (generate|update)');
         }
 
-        if (!['generate', 'update'].includes(input.action_type)) {
-            throw new Error('action_type must be either "generate" or "update"');
+        if (!['generate', 'update', 'reverse_price'].includes(input.action_type)) {
+            throw new Error('action_type must be "generate", "update" or "reverse_price"');
+        }
+
+        if (input.action_type === 'reverse_price') {
+            const reverse = input.reverse_pricing;
+            if (!reverse || typeof reverse !== 'object') {
+                throw new Error('reverse_pricing is required for action_type "reverse_price"');
+            }
+            if (reverse.solve_for && !['profit_rate', 'discount_rate'].includes(reverse.solve_for)) {
+                throw new Error('reverse_pricing.solve_for must be "profit_rate" or "discount_rate"');
+            }
         }
 
         // Validate quotation_data
@@ -1404,6 +1881,29 @@ class QuotationGenerationAPI {
             throw new Error('At least one quotation item is required');
         }
 
+        // A requested document template must exist (checked up front so no pricing work is wasted)
+        const requestedTemplate = input.quotation_data.template || input.template || input.generation_options?.template;
+        if (requestedTemplate && !this.templateCatalog.findTemplate(requestedTemplate)) {
+            throw new Error(`Template "${requestedTemplate}" not found. Available: ${this.templateCatalog.listTemplates().map(t => t.name).join(', ')}`);
+        }
+        
+        // Commercial terms must be well-formed (validity, valid_until, Incoterms code)
+        if (input.quotation_data.terms) {
+            this.quotationTerms.validateTerms(input.quotation_data.terms);
+        }
+        if (input.quotation_data.issue_date && isNaN(new Date(input.quotation_data.issue_date).getTime())) {
+            throw new Error(`quotation_data.issue_date is not a valid date (got ${input.quotation_data.issue_date})`);
+        }
+        
+        // A customer_id must belong to a customer in the directory
+        if (input.quotation_data.customer_info?.customer_id) {
+            this.customerDirectory.match(input.quotation_data.customer_info);
+        }
+        
+        // Requested document languages must be configured
+        this.documentLocale.requireCode(input.quotation_data.locale || input.locale || input.generation_options?.locale);
+        this.documentLocale.requireCode(input.quotation_data.secondary_locale || input.secondary_locale || input.generation_options?.secondary_locale);
+
         // Validate against schema rules
         const rules = this.inputSchema.validation_rules || {};
         const itemRules = rules.quotation_items || {};
@@ -1421,6 +1921,9 @@ class QuotationGenerationAPI {
             this.validateQuotationItem(item, index);
         });
 
+        // Optional and alternative items must point at real lines
+        this.priceCalculator.validateItemRoles(input.quotation_data.quotation_items);
+
         console.log(`✅ Input validation passed - Action: ${input.action_type}, Items: ${input.quotation_data.quotation_items.length}`);
         
         return input;
@@ -1449,6 +1952,9 @@ class QuotationGenerationAPI {
         if (!item.company_requirement.qty || parseFloat(item.company_requirement.qty) <= 0) {
             throw new Error(`${itemRef}: company_requirement.qty must be greater than 0`);
         }
+
+        // Candidate offers must be well-formed and a chosen offer must be one of them
+        this.priceCalculator.supplierOffers.getSelectedOffer(item);
     }
 
     // =========================================================================
@@ -1519,34 +2025,32 @@ class QuotationGenerationAPI {
      * @param {string} filename - Current file name
      * @param {string} baseFilename - Base filename (without timestamp)
      * @param {Object} quotationData - Quotation data for metadata
+     * @param {Object} documents - Revision number, action, companion documents (pdf/excel/data filenames), the template used,
+     *                             the issue/expiry dates and the listing summary
+     * @returns {Object|null} Stored revision record
      */
-    updateQuotationsIndex(generatedDir, filename, baseFilename, quotationData) {
+    updateQuotationsIndex(generatedDir, filename, baseFilename, quotationData, documents = {}) {
         try {
-            const indexPath = path.join(generatedDir, 'quotations-index.json');
-            let quotationsIndex = {};
-            
-            // Load existing index
-            if (fs.existsSync(indexPath)) {
-                const existingData = fs.readFileSync(indexPath, 'utf8');
-                quotationsIndex = JSON.parse(existingData);
-            }
-            
-            // Update index with current quotation
-            quotationsIndex[baseFilename] = {
+            const revisionRecord = this.quotationIndex.recordRevision(baseFilename, {
+                revision: documents.revision ?? this.quotationIndex.getNextRevisionNumber(baseFilename),
+                action: documents.action,
                 filename: filename,
-                base_filename: baseFilename,
-                rfq_reference: quotationData?.rfq_reference || 'unknown_rfq',
-                customer_name: quotationData?.customer_info?.company_name || 'unknown_customer',
-                generated_at: new Date().toISOString(),
-                last_updated: new Date().toISOString()
-            };
-            
-            // Save updated index
-            fs.writeFileSync(indexPath, JSON.stringify(quotationsIndex, null, 2), 'utf8');
-            console.log(`📋 Updated quotations index with: ${baseFilename}`);
+                pdf_filename: documents.pdf_filename,
+                excel_filename: documents.excel_filename,
+                data_filename: documents.data_filename,
+                template: documents.template,
+                issue_date: documents.issue_date,
+                valid_until: documents.valid_until,
+                summary: documents.summary
+            }, quotationData);
+            console.log(`📋 Updated quotations index with: ${baseFilename} (${revisionRecord.label})`);
+            // A new revision has not been sent yet
+            this.quotationLifecycle.recordRevisionGenerated(baseFilename, revisionRecord.revision);
+            return revisionRecord;
             
         } catch (error) {
             console.error('❌ Error updating quotations index:', error);
+            return null;
         }
     }
 
@@ -2009,14 +2513,19 @@ class QuotationGenerationAPI {
      * @param {Object} sessionData - Complete session data
      * @param {Object} calculatedPricing - Calculated pricing results
      * @param {Object} pricingVariables - Pricing variables used in calculations
+     * @param {Object} revisionInfo - { revision, snapshot_filename, template, terms } to also keep an immutable revision copy
      */
-    saveQuotationData(generatedDir, baseFilename, sessionData, calculatedPricing, pricingVariables = {}) {
+    saveQuotationData(generatedDir, baseFilename, sessionData, calculatedPricing, pricingVariables = {}, revisionInfo = null) {
         try {
             const dataFilename = `${baseFilename}_data.json`;
             const dataFilePath = path.join(generatedDir, dataFilename);
             
             const savedData = {
                 base_filename: baseFilename,
+                revision: revisionInfo ? revisionInfo.revision : null,
+                revision_label: revisionInfo ? `Rev.${revisionInfo.revision}` : null,
+                template: revisionInfo?.template || null,
+                terms: revisionInfo?.terms || null,
                 saved_at: new Date().toISOString(),
                 session_info: {
                     id: sessionData.id,
@@ -2046,6 +2555,12 @@ class QuotationGenerationAPI {
             fs.writeFileSync(dataFilePath, JSON.stringify(savedData, null, 2), 'utf8');
             console.log(`💾 Saved quotation data: ${dataFilename}`);
             
+            // Keep a per-revision snapshot that later generations never overwrite
+            if (revisionInfo?.snapshot_filename) {
+                fs.writeFileSync(path.join(generatedDir, revisionInfo.snapshot_filename), JSON.stringify(savedData, null, 2), 'utf8');
+                console.log(`💾 Saved revision snapshot: ${revisionInfo.snapshot_filename}`);
+            }
+            
             return dataFilename;
             
         } catch (error) {
@@ -2069,11 +2584,13 @@ class QuotationGenerationAPI {
             const generatedDir = path.join(__dirname, '..', 'assets', 'generated');
             
             // Find matching data file
+            // Revision snapshots (_revN_data.json) are immutable - only the current data file is updated
             const files = fs.readdirSync(generatedDir);
             const matchingFile = files.find(file => {
                 return file.includes(rfqReference.replace(/[^a-zA-Z0-9\-_]/g, '_')) && 
                        file.includes(customerName.replace(/[^a-zA-Z0-9\-_]/g, '_')) && 
-                       file.endsWith('_data.json');
+                       file.endsWith('_data.json') &&
+                       !/_rev\d+_data\.json$/.test(file);
             });
             
             if (!matchingFile) {
@@ -2117,6 +2634,757 @@ class QuotationGenerationAPI {
         }
     }
 
+    // =========================================================================
+    // 🔢 QUOTATION REVISIONS
+    // =========================================================================
+
+    /**
+     * List all revisions recorded for a quotation
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @returns {Object|null} Revision summary or null if the quotation is unknown
+     */
+    listQuotationRevisions(baseFilename) {
+        const revisions = this.quotationIndex.listRevisions(baseFilename);
+        if (!revisions) {
+            return null;
+        }
+        const entry = this.quotationIndex.getEntry(baseFilename);
+        return {
+            base_filename: baseFilename,
+            rfq_reference: entry.rfq_reference,
+            customer_name: entry.customer_name,
+            current_revision: entry.current_revision,
+            sent_revision: entry.sent_revision,
+            revisions: revisions
+        };
+    }
+
+    /**
+     * Fetch one revision together with its saved data snapshot
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @param {number} revision - Revision number
+     * @returns {Object|null} Revision record with snapshot data, or null if not found
+     */
+    getQuotationRevision(baseFilename, revision) {
+        const revisionRecord = this.quotationIndex.getRevision(baseFilename, revision);
+        if (!revisionRecord) {
+            return null;
+        }
+
+        const generatedDir = this.quotationIndex.generatedDir;
+        let snapshotData = null;
+        if (revisionRecord.data_filename) {
+            const snapshotPath = path.join(generatedDir, revisionRecord.data_filename);
+            if (fs.existsSync(snapshotPath)) {
+                snapshotData = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+            }
+        }
+
+        return {
+            ...revisionRecord,
+            html_url: `/assets/generated/${revisionRecord.filename}`,
+            pdf_url: revisionRecord.pdf_filename ? `/assets/generated/${revisionRecord.pdf_filename}` : null,
+            excel_url: revisionRecord.excel_filename ? `/assets/generated/${revisionRecord.excel_filename}` : null,
+            data: snapshotData
+        };
+    }
+
+    /**
+     * Record which revision was actually sent to the customer
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @param {number} revision - Revision number
+     * @param {Object} details - { sent_by, note }
+     * @returns {Object} Updated revision record
+     */
+    markQuotationRevisionSent(baseFilename, revision, details = {}) {
+        this.quotationLifecycle.assertTransition(baseFilename, 'sent');
+        const revisionRecord = this.quotationIndex.markRevisionSent(baseFilename, revision, details);
+        console.log(`📤 Marked ${baseFilename} ${revisionRecord.label} as sent`);
+        this.quotationLifecycle.transition(baseFilename, 'sent', {
+            by: details.sent_by,
+            note: details.note,
+            revision: revisionRecord.revision
+        });
+        return revisionRecord;
+    }
+
+    /**
+     * Save an HTML edit of a quotation as a new revision
+     * Only the HTML of the current revision can be edited, and only until it is sent; earlier files,
+     * data snapshots and the index are never overwritten
+     * @param {string} filename - HTML filename of the edited revision
+     * @param {string} html - Edited HTML content
+     * @returns {Promise<Object>} { base_filename, filename, pdf_filename, revision }
+     */
+    async saveEditedQuotation(filename, html) {
+        const safeFilename = path.basename(filename);
+        if (!safeFilename.endsWith('.html')) {
+            throw new Error(`Only quotation HTML documents can be edited: ${safeFilename}`);
+        }
+
+        const owner = this.quotationIndex.findRevisionByFilename(safeFilename);
+        if (!owner) {
+            throw new Error(`Quotation document not found: ${safeFilename}`);
+        }
+        const { base_filename: baseFilename, entry, revision: editedRevision } = owner;
+        if (editedRevision.revision !== entry.current_revision) {
+            throw new Error(`${editedRevision.label} of ${baseFilename} is not the current revision and cannot be edited`);
+        }
+        if (editedRevision.sent) {
+            throw new Error(`${editedRevision.label} of ${baseFilename} was sent to the customer and cannot be edited; generate a new revision instead`);
+        }
+
+        const generatedDir = this.quotationIndex.generatedDir;
+        const revisionNumber = this.quotationIndex.getNextRevisionNumber(baseFilename);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const editedFilename = `${baseFilename}_${timestamp}.html`;
+        fs.writeFileSync(path.join(generatedDir, editedFilename), html, 'utf8');
+
+        // The edit keeps the priced data of the revision it started from
+        let snapshot = null;
+        let snapshotFilename = null;
+        const sourceSnapshotPath = editedRevision.data_filename ? path.join(generatedDir, editedRevision.data_filename) : null;
+        if (sourceSnapshotPath && fs.existsSync(sourceSnapshotPath)) {
+            snapshot = JSON.parse(fs.readFileSync(sourceSnapshotPath, 'utf8'));
+            snapshot.revision = revisionNumber;
+            snapshot.revision_label = `Rev.${revisionNumber}`;
+            snapshot.saved_at = new Date().toISOString();
+            snapshot.session_info = { ...snapshot.session_info, action: 'edit' };
+            snapshotFilename = this.quotationIndex.getSnapshotFilename(baseFilename, revisionNumber);
+            fs.writeFileSync(path.join(generatedDir, snapshotFilename), JSON.stringify(snapshot, null, 2), 'utf8');
+        }
+
+        const pdfFilename = `${baseFilename}_${timestamp}.pdf`;
+        let pdfGenerated = true;
+        try {
+            await this.documentGenerator.generatePdf(html, path.join(generatedDir, pdfFilename));
+        } catch (pdfError) {
+            console.warn('⚠️ PDF generation failed for edited quotation, HTML is still available:', pdfError.message);
+            pdfGenerated = false;
+        }
+
+        const quotationData = snapshot?.quotation_data ||
+            { rfq_reference: entry.rfq_reference, customer_info: { company_name: entry.customer_name } };
+        const revisionRecord = this.updateQuotationsIndex(generatedDir, editedFilename, baseFilename, quotationData, {
+            // Anything not set below stays as on the edited revision
+            ...editedRevision,
+            revision: revisionNumber,
+            action: 'edit',
+            pdf_filename: pdfGenerated ? pdfFilename : null,
+            // The workbook is built from pricing data, not from the edited HTML
+            excel_filename: null,
+            data_filename: snapshotFilename,
+            // Same priced data, so the listing summary of the edited revision still holds
+            summary: Object.fromEntries(Object.entries(this.quotationIndex.emptySummary()).map(([key, empty]) => [key, entry[key] ?? empty]))
+        });
+        if (!revisionRecord) {
+            throw new Error(`Could not record the edit of ${baseFilename} as a new revision`);
+        }
+
+        console.log(`✏️ Saved edit of ${baseFilename} ${editedRevision.label} as ${revisionRecord.label}`);
+        return {
+            base_filename: baseFilename,
+            filename: editedFilename,
+            pdf_filename: revisionRecord.pdf_filename,
+            revision: revisionRecord
+        };
+    }
+
+    /**
+     * Compare two revisions of a quotation using their _data.json snapshots
+     * Defaults to the current revision against the one before it
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @param {number|string} fromRevision - Older revision number (optional)
+     * @param {number|string} toRevision - Newer revision number (optional)
+     * @returns {Object} Change report from QuotationDiff
+     */
+    diffQuotationRevisions(baseFilename, fromRevision, toRevision) {
+        const revisions = this.quotationIndex.listRevisions(baseFilename);
+        if (!revisions || revisions.length === 0) {
+            throw new Error(`Quotation not found: ${baseFilename}`);
+        }
+
+        const revisionNumbers = revisions.map(rev => rev.revision);
+        const to = (toRevision !== undefined && toRevision !== '') ? Number(toRevision) : Math.max(...revisionNumbers);
+        const earlier = revisionNumbers.filter(number => number < to);
+        const from = (fromRevision !== undefined && fromRevision !== '') ? Number(fromRevision) :
+            (earlier.length > 0 ? Math.max(...earlier) : to);
+
+        const fromRecord = this.getQuotationRevision(baseFilename, from);
+        const toRecord = this.getQuotationRevision(baseFilename, to);
+        if (!fromRecord || !toRecord) {
+            throw new Error(`Revision ${!fromRecord ? from : to} not found for ${baseFilename}`);
+        }
+        if (!fromRecord.data || !toRecord.data) {
+            throw new Error(`Data snapshot missing for ${!fromRecord.data ? fromRecord.label : toRecord.label}`);
+        }
+
+        const report = this.quotationDiff.diffSnapshots(fromRecord.data, toRecord.data);
+        report.base_filename = baseFilename;
+        report.from = { ...report.from, revision: fromRecord.revision, label: fromRecord.label };
+        report.to = { ...report.to, revision: toRecord.revision, label: toRecord.label };
+        return report;
+    }
+
+    // =========================================================================
+    // 🔎 QUOTATION LISTING
+    // =========================================================================
+
+    /**
+     * List quotations with filters, sorting and cursor pagination
+     * @param {Object} query - Filters, sort, order, limit and cursor (see QuotationListing.list)
+     * @returns {Object} { quotations, count, total, next_cursor, sort, order, limit }
+     */
+    listQuotations(query = {}) {
+        this.quotationLifecycle.expireOverdue();
+        this.quotationIndex.backfillSummaries();
+        return this.quotationListing.list(query);
+    }
+
+    /**
+     * Full-text search over quotation items (description, part number, maker, specifications)
+     * @param {Object} query - { q, field, status (comma-separated), limit }
+     * @returns {Object} { query, quotations: [{ ...listed quotation, revision, score, items }], total_quotations, total_items }
+     */
+    searchQuotationItems(query = {}) {
+        const text = typeof query.q === 'string' ? query.q.trim() : '';
+        if (!text) {
+            throw new Error('q is required');
+        }
+        const options = this.quotationListing.parseQuery({ status: query.status, limit: query.limit });
+
+        this.quotationLifecycle.expireOverdue();
+        this.quotationSearchIndex.sync();
+        const index = this.quotationIndex.load();
+
+        const matches = this.quotationSearchIndex.search(text, { field: query.field || null })
+            .filter(match => index[match.base_filename])
+            .map(match => {
+                const listed = this.quotationListing.toListItem(match.base_filename, index[match.base_filename]);
+                const currency = match.currency || listed.currency;
+                return {
+                    ...listed,
+                    currency,
+                    revision: match.revision,
+                    score: match.score,
+                    items: match.items.map(item => ({
+                        ...item,
+                        formatted_unit_price: item.unit_price !== null ? this.priceCalculator.formatAmount(item.unit_price, currency) : null,
+                        formatted_ext_price: item.ext_price !== null ? this.priceCalculator.formatAmount(item.ext_price, currency) : null
+                    }))
+                };
+            })
+            .filter(match => options.statuses.length === 0 || options.statuses.includes(match.status));
+
+        return {
+            query: text,
+            quotations: matches.slice(0, options.limit),
+            total_quotations: matches.length,
+            total_items: matches.reduce((total, match) => total + match.items.length, 0)
+        };
+    }
+
+    // =========================================================================
+    // 📦 PRODUCT CATALOG
+    // =========================================================================
+
+    /**
+     * Parts we have quoted, most recently quoted first
+     * @param {Object} query - { search, limit }
+     * @returns {Array} Products with their last quote (see ProductCatalog)
+     */
+    listProducts(query = {}) {
+        this.productCatalog.sync();
+        return this.productCatalog.list(query);
+    }
+
+    /**
+     * One part with every time it was quoted
+     * @param {string} key - Product key (part number + maker)
+     * @returns {Object|null} Product
+     */
+    getProduct(key) {
+        this.productCatalog.sync();
+        return this.productCatalog.get(key);
+    }
+
+    /**
+     * When each item of a quotation was last quoted elsewhere, at what price and to whom
+     * Quotes from the quotation itself (its earlier revisions) are left out
+     * @param {Object} quotationData - Quotation data (quotation_items, rfq_reference, customer_info)
+     * @returns {Object} { base_filename, items: [{ item_no, key, last_quote: { ...quote, formatted_sales_unit_price }, quote_count }] }
+     */
+    getLastQuotedPrices(quotationData) {
+        if (!Array.isArray(quotationData?.quotation_items)) {
+            throw new Error('quotation_data.quotation_items must be an array');
+        }
+        // Same file name the quotation is (or will be) generated under, using the directory's company name
+        const link = this.customerDirectory.match(quotationData.customer_info);
+        const baseFilename = quotationData.rfq_reference ? this.generateQuotationFilename({
+            ...quotationData,
+            customer_info: link ? this.customerDirectory.applyToCustomerInfo(link.customer, quotationData.customer_info) : quotationData.customer_info
+        }) : null;
+
+        this.productCatalog.sync();
+        const items = this.productCatalog.lookup(quotationData.quotation_items, { exclude_base_filename: baseFilename }).map(result => ({
+            ...result,
+            last_quote: result.last_quote && {
+                ...result.last_quote,
+                formatted_sales_unit_price: result.last_quote.sales_unit_price !== null
+                    ? this.priceCalculator.formatAmount(result.last_quote.sales_unit_price, result.last_quote.currency || 'VND')
+                    : null
+            }
+        }));
+        return { base_filename: baseFilename, items };
+    }
+
+    // =========================================================================
+    // 🚦 QUOTATION LIFECYCLE
+    // =========================================================================
+
+    /**
+     * Status of a quotation with the dated history of every change
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @returns {Object|null} Status summary from QuotationLifecycle, or null if the quotation is unknown
+     */
+    getQuotationStatus(baseFilename) {
+        this.quotationLifecycle.expireOverdue();
+        return this.quotationLifecycle.describe(baseFilename);
+    }
+
+    /**
+     * Move a quotation to sent, accepted, rejected or expired
+     * Sending marks a revision as sent (the current one unless details.revision is given)
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @param {string} status - Target status
+     * @param {Object} details - { by, note, revision }
+     * @returns {Object} Status summary from QuotationLifecycle
+     */
+    changeQuotationStatus(baseFilename, status, details = {}) {
+        this.quotationLifecycle.expireOverdue();
+        this.quotationLifecycle.assertTransition(baseFilename, status);
+
+        if (status === 'sent') {
+            const entry = this.quotationIndex.getEntry(baseFilename);
+            const revision = details.revision ?? entry.current_revision;
+            if (revision === null || revision === undefined) {
+                throw new Error(`No generated revision to send for ${baseFilename}`);
+            }
+            this.markQuotationRevisionSent(baseFilename, revision, { sent_by: details.by, note: details.note });
+            return this.quotationLifecycle.describe(baseFilename);
+        }
+        return this.quotationLifecycle.transition(baseFilename, status, details);
+    }
+
+    /**
+     * Expire sent quotations whose validity date has passed
+     * @returns {Array} Status summaries of the quotations that expired
+     */
+    expireOverdueQuotations() {
+        return this.quotationLifecycle.expireOverdue();
+    }
+
+    // =========================================================================
+    // 👥 CUSTOMER DIRECTORY
+    // =========================================================================
+
+    /**
+     * Customers in the directory
+     * @param {Object} filters - { search: part of a company name, alias, contact name or email }
+     * @returns {Array} Customers
+     */
+    listCustomers(filters = {}) {
+        return this.customerDirectory.list(filters);
+    }
+
+    /**
+     * One customer
+     * @param {string} customerId - Customer ID
+     * @returns {Object|null} Customer
+     */
+    getCustomer(customerId) {
+        return this.customerDirectory.get(customerId);
+    }
+
+    /**
+     * Add a customer
+     * @param {Object} data - Customer fields (see CustomerDirectory)
+     * @returns {Object} Stored customer
+     */
+    createCustomer(data) {
+        this.assertCustomerTemplate(data);
+        return this.customerDirectory.create(data);
+    }
+
+    /**
+     * Change a customer's fields
+     * @param {string} customerId - Customer ID
+     * @param {Object} changes - Customer fields to replace
+     * @returns {Object} Updated customer
+     */
+    updateCustomer(customerId, changes) {
+        this.assertCustomerTemplate(changes);
+        return this.customerDirectory.update(customerId, changes);
+    }
+
+    /**
+     * Remove a customer (generated quotations are kept)
+     * @param {string} customerId - Customer ID
+     * @returns {Object} Removed customer
+     */
+    deleteCustomer(customerId) {
+        return this.customerDirectory.remove(customerId);
+    }
+
+    assertCustomerTemplate(data) {
+        if (data?.default_template && !this.templateCatalog.findTemplate(data.default_template)) {
+            throw new Error(`Template "${data.default_template}" not found. Available: ${this.templateCatalog.listTemplates().map(t => t.name).join(', ')}`);
+        }
+    }
+
+    // =========================================================================
+    // 💱 EXCHANGE RATES
+    // =========================================================================
+
+    /**
+     * Rate for a currency pair on a date, from the shared rate table
+     * @param {string} from - Source currency
+     * @param {string} to - Target currency
+     * @param {string} date - YYYY-MM-DD (today when omitted)
+     * @returns {Object|null} Rate record or null when the pair is unknown
+     */
+    getExchangeRate(from, to, date = null) {
+        return this.priceCalculator.exchangeRates.getRate(from, to, date);
+    }
+
+    /**
+     * Rate history, optionally for one pair
+     * @param {Object} filters - { from, to }
+     * @returns {Array} Rate entries, newest first per pair
+     */
+    listExchangeRates(filters = {}) {
+        return this.priceCalculator.exchangeRates.listRates(filters);
+    }
+
+    /**
+     * Import dated rates from CSV or JSON
+     * @param {string|Object|Array} content - CSV text, JSON text or parsed rates
+     * @param {Object} options - { format, source }
+     * @returns {Object} Import summary
+     */
+    importExchangeRates(content, options = {}) {
+        return this.priceCalculator.exchangeRates.importRates(content, options);
+    }
+
+    // =========================================================================
+    // 🏷️ SUPPLIER PRICE LISTS
+    // =========================================================================
+
+    /**
+     * Imported supplier price lists (without their lines)
+     * @param {Object} filters - { supplier }
+     * @returns {Array} Price lists
+     */
+    listSupplierPriceLists(filters = {}) {
+        return this.priceCalculator.supplierPriceLists.listPriceLists(filters);
+    }
+
+    /**
+     * One supplier price list with its lines
+     * @param {string} listId - Price list ID
+     * @returns {Object|null} Price list
+     */
+    getSupplierPriceList(listId) {
+        return this.priceCalculator.supplierPriceLists.getPriceList(listId);
+    }
+
+    /**
+     * Import a supplier price list from CSV, XLSX or JSON
+     * @param {string|Buffer|Object|Array} content - File contents or parsed lines
+     * @param {Object} options - { supplier, currency, valid_from, valid_until, name, filename, sheet, format }
+     * @returns {Promise<Object>} Import summary
+     */
+    async importSupplierPriceList(content, options = {}) {
+        return this.priceCalculator.supplierPriceLists.importPriceList(content, options);
+    }
+
+    /**
+     * Remove a supplier price list (quotations already priced from it keep their price_source)
+     * @param {string} listId - Price list ID
+     * @returns {Object} Removed list
+     */
+    deleteSupplierPriceList(listId) {
+        return this.priceCalculator.supplierPriceLists.removePriceList(listId);
+    }
+
+    /**
+     * Price-list cost of a part on a date
+     * @param {Object} query - { part, maker, date }
+     * @returns {Object|null} Price with the list and line it came from
+     */
+    findSupplierPrice(query = {}) {
+        if (!query.part) {
+            throw new Error('part is required');
+        }
+        if (query.date && !this.priceCalculator.supplierPriceLists.normalizeDate(query.date)) {
+            throw new Error(`date is not a valid date (got ${query.date})`);
+        }
+        return this.priceCalculator.supplierPriceLists.findPrice({ model_part_number: query.part, maker_origin: query.maker }, query.date);
+    }
+
+    // =========================================================================
+    // 🏭 SUPPLIER OFFERS
+    // =========================================================================
+
+    /**
+     * Price the candidate supplier offers of each item side by side (nothing is saved or generated)
+     * @param {Object} quotationData - Quotation data whose items carry supplier_offers
+     * @param {Object} pricingVariables - Per-item or global pricing variables
+     * @returns {Object} { currency, formula_id, items: [{ item_no, selected_offer_id, lowest_offer_id, offers }] }
+     */
+    compareSupplierOffers(quotationData, pricingVariables = {}) {
+        if (!Array.isArray(quotationData?.quotation_items)) {
+            throw new Error('quotation_data.quotation_items must be an array');
+        }
+        quotationData.quotation_items.forEach((item, index) => {
+            if (!item || typeof item !== 'object') {
+                throw new Error(`Item ${index + 1}: must be an object`);
+            }
+            this.priceCalculator.supplierOffers.getSelectedOffer(item);
+        });
+        const normalized = this.normalizeQuotationData({ quotation_data: quotationData, pricing_variables: pricingVariables });
+        return this.priceCalculator.compareQuotationSupplierOffers(normalized.quotation_data, normalized.pricing_variables || {});
+    }
+
+    // =========================================================================
+    // 🛡️ MARGIN APPROVALS
+    // =========================================================================
+
+    /**
+     * Decide whether document generation has to wait for a manager
+     * Opens a pending approval request when the pricing breaks a margin floor and has not been approved yet
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @param {Object} sessionData - Session data
+     * @param {Object} calculatedPricing - Calculated pricing results
+     * @returns {Object|null} Approval entry blocking generation, or null when generation may proceed
+     */
+    checkMarginApproval(baseFilename, sessionData, calculatedPricing) {
+        if (!calculatedPricing?.margin_check?.requires_approval) {
+            return null;
+        }
+
+        const fingerprint = this.quotationApprovals.fingerprintPricing(calculatedPricing);
+        if (this.quotationApprovals.isApproved(baseFilename, fingerprint)) {
+            console.log(`🛡️ Margin violations on ${baseFilename} approved - generating documents`);
+            return null;
+        }
+
+        return this.quotationApprovals.request(baseFilename, {
+            pricing_fingerprint: fingerprint,
+            violations: calculatedPricing.warnings,
+            rfq_reference: sessionData.quotationData?.rfq_reference,
+            customer_name: sessionData.quotationData?.customer_info?.company_name,
+            session_id: sessionData.id
+        });
+    }
+
+    /**
+     * Get the approval state of a quotation
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @returns {Object|null} Approval entry
+     */
+    getQuotationApproval(baseFilename) {
+        return this.quotationApprovals.get(baseFilename);
+    }
+
+    /**
+     * List approval requests
+     * @param {string|null} status - pending | approved | rejected (all when omitted)
+     * @returns {Array} Approval entries
+     */
+    listQuotationApprovals(status = null) {
+        if (status && !this.quotationApprovals.statuses.includes(status)) {
+            throw new Error(`status must be one of: ${this.quotationApprovals.statuses.join(', ')}`);
+        }
+        return this.quotationApprovals.list(status);
+    }
+
+    /**
+     * Approve or reject the margin violations of a quotation
+     * When approved and the requesting session still holds the same pricing, its documents are generated right away
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @param {Object} decision - { approved: boolean, approved_by, note }
+     * @returns {Object} { approval, generated_files }
+     */
+    async decideQuotationApproval(baseFilename, decision) {
+        const approval = this.quotationApprovals.decide(baseFilename, decision);
+        this.quotationLifecycle.recordApprovalDecided(baseFilename, approval);
+
+        let generatedFiles = null;
+        const sessionData = approval.session_id ? this.activeSessions.get(approval.session_id) : null;
+        if (approval.status === 'approved' && sessionData?.calculatedPricing &&
+            this.quotationApprovals.fingerprintPricing(sessionData.calculatedPricing) === approval.pricing_fingerprint) {
+            generatedFiles = await this.generateDocuments(sessionData, sessionData.calculatedPricing, sessionData.action !== 'update');
+            sessionData.generatedFiles = generatedFiles;
+        }
+
+        return { approval, generated_files: generatedFiles };
+    }
+
+    // =========================================================================
+    // 🧩 PRICING FORMULAS
+    // =========================================================================
+
+    /**
+     * List configured pricing formulas for the formula picker
+     * @returns {Object} { default_formula, customer_formulas, formulas }
+     */
+    listPricingFormulas() {
+        return this.priceCalculator.listPricingFormulas();
+    }
+
+    // =========================================================================
+    // 🗂️ DOCUMENT TEMPLATES
+    // =========================================================================
+
+    /**
+     * List available document templates for the template picker
+     * @returns {Object} { templates, default_template, customer_templates }
+     */
+    listTemplates() {
+        const config = this.templateCatalog.loadConfig();
+        return {
+            templates: this.templateCatalog.listTemplates(),
+            default_template: config.default_template,
+            customer_templates: config.customer_templates
+        };
+    }
+
+    /**
+     * Commercial term defaults (global and per customer) and the accepted Incoterms
+     * @returns {Object} { defaults, customer_terms, incoterms }
+     */
+    getTermDefaults() {
+        const config = this.quotationTerms.loadConfig();
+        return {
+            defaults: config.defaults,
+            customer_terms: config.customer_terms,
+            incoterms: config.incoterms
+        };
+    }
+
+    /**
+     * Set the global default terms or a customer's default terms
+     * @param {Object|null} terms - Terms (null clears a customer's defaults)
+     * @param {string|null} customerName - Customer company name (omit for the global defaults)
+     * @returns {Object} { defaults, customer_terms, incoterms }
+     */
+    setDefaultTerms(terms, customerName = null) {
+        const config = this.quotationTerms.setDefaultTerms(terms, customerName);
+        return {
+            defaults: config.defaults,
+            customer_terms: config.customer_terms,
+            incoterms: config.incoterms
+        };
+    }
+
+    /**
+     * List the languages documents can be printed in
+     * @returns {Object} { default_locale, locales: [{ code, name }] }
+     */
+    listLocales() {
+        return this.documentLocale.listLocales();
+    }
+
+    /**
+     * Set the global default template or a customer's default template
+     * @param {string|null} templateName - Template name (null clears a customer default)
+     * @param {string|null} customerName - Customer company name (omit for the global default)
+     * @returns {Object} { default_template, customer_templates }
+     */
+    setDefaultTemplate(templateName, customerName = null) {
+        const config = this.templateCatalog.setDefaultTemplate(templateName, customerName);
+        return {
+            default_template: config.default_template,
+            customer_templates: config.customer_templates
+        };
+    }
+
+    /**
+     * Validate template HTML: syntax, required/unknown placeholders, filters, partials and HTML structure
+     * @param {string} source - Template HTML
+     * @returns {Object} { valid, errors, warnings, placeholders, partials }
+     */
+    validateTemplate(source) {
+        this.loadTemplatePartials();
+        return this.templateValidator.validate(source, {
+            context: this.buildSampleTemplateContext().context,
+            requiredPlaceholders: this.templateCatalog.loadConfig().required_placeholders || []
+        });
+    }
+
+    /**
+     * Validate a stored template by name
+     * @param {string} templateName - Template name
+     * @returns {Object} Validation result plus the template name
+     */
+    validateStoredTemplate(templateName) {
+        const template = this.templateCatalog.findTemplate(templateName);
+        if (!template) {
+            throw new Error(`Template "${templateName}" not found`);
+        }
+        return { template: template.name, ...this.validateTemplate(fs.readFileSync(template.path, 'utf8')) };
+    }
+
+    /**
+     * Render a stored template with the bundled sample quotation (config/template-sample-data.json)
+     * @param {string} templateName - Template name
+     * @returns {Object} { template, html }
+     */
+    previewTemplate(templateName) {
+        const template = this.templateCatalog.findTemplate(templateName);
+        if (!template) {
+            throw new Error(`Template "${templateName}" not found`);
+        }
+        this.loadTemplatePartials();
+        const { context } = this.buildSampleTemplateContext();
+        return {
+            template: template.name,
+            html: this.templateEngine.render(fs.readFileSync(template.path, 'utf8'), context)
+        };
+    }
+
+    /**
+     * Template context for the bundled sample quotation, priced with the current configuration
+     * The sample is a /api/quotation-generation payload, so it also backs GET /api/templates/:name/preview
+     * @returns {Object} { context, sessionData, calculatedPricing }
+     */
+    buildSampleTemplateContext() {
+        const samplePath = path.join(__dirname, '..', 'config', 'template-sample-data.json');
+        const sample = this.normalizeQuotationData({
+            action_type: 'generate',
+            ...JSON.parse(fs.readFileSync(samplePath, 'utf8'))
+        });
+        const calculatedPricing = this.priceCalculator.calculateQuotationPricing(sample.quotation_data, sample.pricing_variables || {});
+        const sessionData = {
+            id: 'template_preview',
+            action: 'generate',
+            input: sample,
+            quotationData: sample.quotation_data
+        };
+        const tableRows = this.generateTableRows(
+            sample.quotation_data.quotation_items,
+            calculatedPricing,
+            'generate',
+            { show_price_tiers: !!sample.generation_options?.show_price_tiers, locale: this.documentLocale.resolve(sample.quotation_data) }
+        );
+        return {
+            context: this.buildTemplateContext(sessionData, calculatedPricing, tableRows),
+            sessionData,
+            calculatedPricing
+        };
+    }
+
     /**
      * Get system statistics
      * @returns {Object} Current statistics
@@ -2184,6 +3452,8 @@ class QuotationGenerationAPI {
                 item.calculated_results.sales_unit_price = calculatedItem.sales_unit_price;
                 item.calculated_results.ext_price = calculatedItem.ext_price;
                 item.calculated_results.calculation_timestamp = calculatedItem.calculation_timestamp;
+                item.calculated_results.price_source = calculatedItem.price_source || null;
+                item.calculated_results.selected_offer_id = calculatedItem.selected_offer_id || null;
 
                 console.log(`✅ Merged calculated results for item ${itemNo}: potential_profit=${calculatedItem.potential_profit}`);
             } else {
@@ -78,6 +78,11 @@ export class FileManagerPanel {
             if (response.ok) {
                 const files = await response.json();
                 this.displayFetchedAssets(files, type);
+                
+                // Keep the preview panel's template picker in step with uploads and deletions
+                if (type === 'template') {
+                    window.resultPreview?.loadTemplates?.();
+                }
             } else {
                 console.log(`📁 No existing ${type} files found on server`);
                 // Show appropriate default message
@@ -121,9 +126,11 @@ export class FileManagerPanel {
         console.log(`📁 Displayed ${files.length} ${type} files`);
     }
 
-    // Preview stored asset
+    // Preview stored asset (templates are rendered with sample quotation data)
     previewAsset(type, filename) {
-        const assetUrl = `${window.CONFIG?.API_BASE || ''}/assets/${type}/${filename}`;
+        const assetUrl = type === 'template'
+            ? `${window.CONFIG?.API_BASE || ''}/api/templates/${encodeURIComponent(filename)}/preview`
+            : `${window.CONFIG?.API_BASE || ''}/assets/${type}/${filename}`;
         window.open(assetUrl, '_blank');
     }
 
@@ -202,10 +209,12 @@ export class FileManagerPanel {
             if (response.ok && result.success) {
                 console.log(`✅ ${file.name} uploaded successfully to server`);
                 window.showNotification(`📁 ${file.name} uploaded successfully`, 'success');
+                this.reportTemplateValidation(file.name, result.data?.validation);
                 
                 // Refresh the assets for this type to show the uploaded file
                 await this.fetchAssetsForType(type);
             } else {
+                this.reportTemplateValidation(file.name, result.validation);
                 throw new Error(result.error || 'Upload failed');
             }
             
@@ -217,6 +226,23 @@ export class FileManagerPanel {
         }
     }
 
+    // Show template validation problems returned by the upload endpoint
+    reportTemplateValidation(filename, validation) {
+        if (!validation) {
+            return;
+        }
+        
+        validation.errors.forEach(issue => console.error(`❌ ${filename}: ${issue.message}`));
+        validation.warnings.forEach(issue => console.warn(`⚠️ ${filename}: ${issue.message}`));
+        
+        if (validation.errors.length > 1) {
+            window.showNotification(`❌ ${filename}: ${validation.errors.length} template errors (see console)`, 'error');
+        }
+        if (validation.warnings.length > 0) {
+            window.showNotification(`⚠️ ${filename}: ${validation.warnings.map(issue => issue.message).join('; ')}`, 'warning');
+        }
+    }
+
     validateFileType(file, type) {
         const validTypes = {
             logo: ['image/jpeg', 'image/png', 'image/svg+xml'],
@@ -12,6 +12,14 @@ export class FormulaInputPanel {
         this.isLoadingStoredProfitValues = false; // Flag to prevent fallback calculations during stored value loading
         this.storedProfitValuesCache = new Map(); // Cache for stored values to improve reliability
         this.forceRecalculation = false; // Flag to bypass stored values and force fresh calculations
+        this.pricingFormulas = []; // Formula definitions from /api/pricing-formulas
+        this.selectedPricingFormula = null; // null = keep quotation/customer formula, '' = system default
+        this.marginViolations = new Map(); // item_no -> margin warning from the last backend calculation
+        this.exchangeRateCache = new Map(); // "USD_VND" -> rate record from /api/exchange-rates (null = not in table)
+        this.showPriceTiers = false; // Print each item's volume price tiers as extra quotation rows
+        this.quotationContext = null; // { rfq_reference, customer_info } of the loaded quotation
+        this.lastQuotedRequestId = 0; // Ignore last-quoted lookups overtaken by a newer one
+        this.offerComparisonRequestId = 0; // Ignore supplier offer comparisons overtaken by a newer one
         this.initializeElements();
         this.bindEvents();
         this.loadSavedVariables();
@@ -169,6 +177,7 @@ export class FormulaInputPanel {
         }
 
         this.quotationItems = quotationData.quotation_items;
+        this.quotationContext = { rfq_reference: quotationData.rfq_reference, customer_info: quotationData.customer_info };
         console.log('📊 Loaded quotation items:', this.quotationItems.length);
         
         // Debug each item's structure
@@ -730,6 +739,30 @@ export class FormulaInputPanel {
                     </select>
                     <small>Choose desired currency for all items</small>
                 </div>
+                <div class="variable-input">
+                    <label>Pricing formula</label>
+                    <select class="pricing-formula" id="pricingFormulaSelect">
+                        ${this.renderPricingFormulaOptions()}
+                    </select>
+                    <small class="pricing-formula-text">${this.getSelectedPricingFormulaText()}</small>
+                </div>
+                <div class="variable-input">
+                    <label>
+                        <input type="checkbox" id="showPriceTiersToggle" ${this.showPriceTiers ? 'checked' : ''}>
+                        Print volume price tiers
+                    </label>
+                    <small>Adds each item's quantity-break prices below it in the quotation</small>
+                </div>
+                <div class="variable-input reverse-pricing-controls">
+                    <label>Reverse pricing</label>
+                    <select class="reverse-solve-for" id="reverseSolveFor">
+                        <option value="profit_rate">Solve profit rate</option>
+                        <option value="discount_rate">Solve discount rate</option>
+                    </select>
+                    <input type="number" class="reverse-target-total" id="reverseTargetTotal" min="0" step="1000" placeholder="Target total (optional)">
+                    <button type="button" class="action-btn" id="solveTargetPricesBtn">🎯 Solve targets</button>
+                    <small>Uses each item's target price; a target total sets one shared rate for items without a target</small>
+                </div>
             </div>
             
             <div class="item-search-section search-bar-visible" id="itemSearchSection">
@@ -771,7 +804,11 @@ export class FormulaInputPanel {
                 <div class="item-header">
                     <h5>Item ${itemNo}: ${this.truncateText(description, 40)}</h5>
                     <span class="currency-badge">${currencyCode}</span>
+                    ${this.renderItemRoleBadge(item)}
                 </div>
+                ${this.renderItemTierHint(item)}
+                <small class="last-quoted-hint" data-item="${itemNo}"></small>
+                ${this.hasSupplierOffers(item) ? `<div class="supplier-offers" data-offer-item="${itemNo}"></div>` : ''}
                 
                 
                 <div class="variables-grid">
@@ -834,6 +871,18 @@ export class FormulaInputPanel {
                                placeholder="Entering discount_rate">
                         <small>e.g., 5 for 5% off final price</small>
                     </div>
+                    
+                    <div class="variable-input">
+                        <label>Target price</label>
+                        <input type="number" 
+                               class="target-price" 
+                               data-item="${itemNo}" 
+                               value="${itemVars.target_price ?? ''}" 
+                               min="0" 
+                               step="1000"
+                               placeholder="Target sales_unit_price">
+                        <small class="target-price-result" data-item="${itemNo}">Solve rate to hit this unit price</small>
+                    </div>
                 </div>
             </div>
             `;
@@ -846,6 +895,574 @@ export class FormulaInputPanel {
         
         // Restore global currency selection after HTML regeneration
         this.restoreGlobalCurrencySelection();
+        
+        // Show rate-table defaults in the exchange rate inputs
+        this.loadTableExchangeRates();
+        
+        // Show when each part was last quoted (product catalog)
+        this.loadLastQuotedPrices();
+        
+        // Price each item's candidate supplier offers side by side
+        this.loadSupplierOfferComparison();
+    }
+
+    // ============================================
+    // 🧩 PRICING FORMULA PICKER
+    // ============================================
+
+    /**
+     * Fetch configured pricing formulas from the server and refresh the picker
+     */
+    async loadPricingFormulas() {
+        if (this.pricingFormulasRequest) {
+            return this.pricingFormulasRequest;
+        }
+        
+        this.pricingFormulasRequest = (async () => {
+            try {
+                const response = await fetch(`${window.CONFIG?.API_BASE || ''}/api/pricing-formulas`);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                const result = await response.json();
+                this.pricingFormulas = result.formulas || [];
+                this.defaultPricingFormula = result.default_formula || null;
+                console.log('🧩 Pricing formulas loaded:', this.pricingFormulas.map(formula => formula.id));
+                
+                const select = this.itemVariablesContainer.querySelector('#pricingFormulaSelect');
+                if (select) {
+                    select.innerHTML = this.renderPricingFormulaOptions();
+                }
+            } catch (error) {
+                console.warn('⚠️ Could not load pricing formulas:', error.message);
+            } finally {
+                this.pricingFormulasRequest = null;
+            }
+        })();
+        
+        return this.pricingFormulasRequest;
+    }
+
+    /**
+     * Build <option> list for the pricing formula picker
+     * @returns {string} Options HTML
+     */
+    renderPricingFormulaOptions() {
+        const defaultName = this.pricingFormulas.find(formula => formula.id === this.defaultPricingFormula)?.name;
+        let options = `<option value="" ${!this.selectedPricingFormula ? 'selected' : ''}>Customer / system default${defaultName ? ` (${defaultName})` : ''}</option>`;
+        this.pricingFormulas.forEach(formula => {
+            const selected = this.selectedPricingFormula === formula.id ? 'selected' : '';
+            options += `<option value="${formula.id}" ${selected}>${formula.name}</option>`;
+        });
+        return options;
+    }
+
+    /**
+     * Step expressions of the selected formula, shown under the picker
+     * @returns {string} Formula text
+     */
+    getSelectedPricingFormulaText() {
+        const formula = this.pricingFormulas.find(entry => entry.id === this.selectedPricingFormula);
+        return formula ? (formula.description || formula.formula_text) : 'Picked per customer, or the standard formula';
+    }
+
+    /**
+     * Handle pricing formula selection; applied on the next Apply Formula
+     */
+    onPricingFormulaChange(event) {
+        this.selectedPricingFormula = event.target.value;
+        
+        const formulaText = this.itemVariablesContainer.querySelector('.pricing-formula-text');
+        if (formulaText) {
+            formulaText.textContent = this.getSelectedPricingFormulaText();
+        }
+        
+        console.log('🧩 Pricing formula selected:', this.selectedPricingFormula || '(default)');
+        window.showNotification(`🧩 Pricing formula: ${event.target.selectedOptions[0]?.textContent || 'default'} - click Apply to recalculate`, 'info');
+    }
+
+    // ============================================
+    // 💱 EXCHANGE RATE TABLE
+    // ============================================
+
+    /**
+     * Fetch the rate-table entry for a currency pair (cached per pair)
+     * @param {string} fromCurrency - Item currency
+     * @param {string} toCurrency - Target currency
+     * @returns {Promise<Object|null>} { rate, effective_date, source } or null when the table has no rate
+     */
+    async loadExchangeRate(fromCurrency, toCurrency) {
+        const cacheKey = `${fromCurrency}_${toCurrency}`;
+        if (this.exchangeRateCache.has(cacheKey)) {
+            return this.exchangeRateCache.get(cacheKey);
+        }
+        
+        try {
+            const response = await fetch(`${window.CONFIG?.API_BASE || ''}/api/exchange-rates/${encodeURIComponent(fromCurrency)}/${encodeURIComponent(toCurrency)}`);
+            const result = await response.json();
+            const rate = response.ok && result.success ? result.rate : null;
+            this.exchangeRateCache.set(cacheKey, rate);
+            return rate;
+        } catch (error) {
+            // Not cached, so the next render retries
+            console.warn(`⚠️ Could not load exchange rate ${fromCurrency} → ${toCurrency}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Show the rate-table rate (and its effective date) on each item's exchange rate input
+     * Empty inputs are priced with this rate; typed values still win
+     */
+    async loadTableExchangeRates() {
+        for (const [index, item] of this.quotationItems.entries()) {
+            const itemNo = item.item_no || (index + 1).toString();
+            const fromCurrency = this.getCurrentItemCurrency(itemNo);
+            const toCurrency = this.selectedTargetCurrency;
+            if (fromCurrency === toCurrency) continue;
+            
+            const tableRate = await this.loadExchangeRate(fromCurrency, toCurrency);
+            const input = this.itemVariablesContainer.querySelector(`.exchange-rate[data-item="${itemNo}"]`);
+            const hint = this.itemVariablesContainer.querySelector(`.exchange-rate-hint[data-item="${itemNo}"]`);
+            
+            if (input && !input.disabled) {
+                input.placeholder = tableRate ? `Rate table: ${tableRate.rate}` : `Rate from ${fromCurrency} to ${toCurrency}`;
+            }
+            if (hint) {
+                hint.textContent = tableRate ?
+                    `From ${fromCurrency} to ${toCurrency} · ${tableRate.rate.toLocaleString()} since ${tableRate.effective_date}` :
+                    `From ${fromCurrency} to ${toCurrency} · not in rate table`;
+            }
+        }
+    }
+
+    // ============================================
+    // 📦 LAST QUOTED PRICES
+    // ============================================
+
+    /**
+     * Fill each item's "last quoted at X to customer Y on date Z" line from the product catalog
+     * Quotes from earlier revisions of the loaded quotation are left out by the server
+     */
+    async loadLastQuotedPrices() {
+        const requestId = ++this.lastQuotedRequestId;
+        const quotationData = {
+            ...(this.quotationContext || {}),
+            quotation_items: this.quotationItems.map((item, index) => ({
+                item_no: item.item_no || (index + 1).toString(),
+                company_requirement: {
+                    model_part_number: item.company_requirement?.model_part_number,
+                    maker_origin: item.company_requirement?.maker_origin,
+                    description: item.company_requirement?.description || item.bidder_proposal?.description
+                }
+            }))
+        };
+        
+        try {
+            const response = await fetch(`${window.CONFIG?.API_BASE || ''}/api/products/last-quoted`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ quotation_data: quotationData })
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+            if (requestId !== this.lastQuotedRequestId) return;
+            
+            result.items.forEach(({ item_no: itemNo, last_quote: quote, quote_count: quoteCount }) => {
+                const hint = this.itemVariablesContainer.querySelector(`.last-quoted-hint[data-item="${itemNo}"]`);
+                if (!hint || !quote) return;
+                const price = quote.formatted_sales_unit_price ? `${quote.formatted_sales_unit_price} ${quote.currency || ''}`.trim() : 'no sales price';
+                hint.textContent = `📦 Last quoted at ${price} to ${quote.customer_name || 'unknown customer'} on ${quote.quoted_at}` +
+                    (quoteCount > 1 ? ` · quoted ${quoteCount} times` : '');
+                const variables = Object.entries(quote.pricing_variables || {})
+                    .filter(([, value]) => value !== null)
+                    .map(([name, value]) => `${name} ${value}`)
+                    .join(', ');
+                hint.title = [
+                    `${quote.rfq_reference || quote.base_filename}${quote.revision !== null ? ` Rev.${quote.revision}` : ''}, qty ${quote.qty ?? '?'} ${quote.uom || ''}`,
+                    quote.supplier_cost !== null ? `Supplier cost ${quote.supplier_cost.toLocaleString()} ${quote.supplier_currency || ''}` : null,
+                    variables ? `Variables: ${variables}` : null
+                ].filter(Boolean).join('\n');
+            });
+        } catch (error) {
+            console.warn('⚠️ Could not load last quoted prices:', error.message);
+        }
+    }
+
+    // ============================================
+    // 🏭 SUPPLIER OFFERS
+    // ============================================
+
+    /**
+     * Whether an item carries several candidate supplier offers to choose from
+     */
+    hasSupplierOffers(item) {
+        return Array.isArray(item?.supplier_offers) && item.supplier_offers.length > 0;
+    }
+
+    /**
+     * Ask the server to price every candidate offer with the current variables and show them side by side
+     */
+    async loadSupplierOfferComparison() {
+        if (!this.quotationItems.some(item => this.hasSupplierOffers(item))) return;
+        
+        const requestId = ++this.offerComparisonRequestId;
+        const quotationData = {
+            ...(this.quotationContext || {}),
+            target_currency: this.selectedTargetCurrency,
+            quotation_items: this.quotationItems
+        };
+        if (this.selectedPricingFormula !== null) {
+            quotationData.pricing_formula = this.selectedPricingFormula || null;
+        }
+        
+        try {
+            const response = await fetch(`${window.CONFIG?.API_BASE || ''}/api/supplier-offers/compare`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    quotation_data: quotationData,
+                    pricing_variables: this.buildCleanedPricingVariables(this.getAllItemVariables())
+                })
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+            if (requestId !== this.offerComparisonRequestId) return;
+            
+            result.items.forEach(comparison => this.renderSupplierOfferTable(comparison));
+        } catch (error) {
+            console.warn('⚠️ Could not compare supplier offers:', error.message);
+        }
+    }
+
+    /**
+     * Offer table of one item: cost, lead time, origin and the resulting sales price of each candidate
+     * @param {Object} comparison - { item_no, selected_offer_id, lowest_offer_id, offers } from the server
+     */
+    renderSupplierOfferTable(comparison) {
+        const container = this.itemVariablesContainer.querySelector(`.supplier-offers[data-offer-item="${comparison.item_no}"]`);
+        if (!container) return;
+        
+        const escape = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+        const rows = comparison.offers.map(offer => {
+            const cost = offer.unit_price !== null ? `${offer.unit_price.toLocaleString()} ${offer.currency_code}` : 'price breaks';
+            const pricing = offer.error ?
+                `<td colspan="3" class="offer-error">${escape(offer.error)}</td>` :
+                `<td>${this.formatCurrency(offer.sales_unit_price)}</td>
+                 <td>${this.formatCurrency(offer.ext_price)}</td>
+                 <td>${offer.margin_percent !== null ? `${offer.margin_percent}%` : '-'}</td>`;
+            return `
+                <tr class="${offer.selected ? 'selected-offer' : ''} ${offer.offer_id === comparison.lowest_offer_id ? 'lowest-offer' : ''}">
+                    <td><input type="radio" name="supplier-offer-${escape(comparison.item_no)}" value="${escape(offer.offer_id)}" ${offer.selected ? 'checked' : ''}></td>
+                    <td>${escape(offer.supplier || offer.offer_id)}</td>
+                    <td>${escape(cost)}</td>
+                    <td>${escape(offer.delivery_time || '-')}</td>
+                    <td>${escape(offer.origin || '-')}</td>
+                    ${pricing}
+                </tr>`;
+        }).join('');
+        
+        container.innerHTML = `
+            <table class="supplier-offer-table">
+                <thead>
+                    <tr><th></th><th>Supplier</th><th>Cost</th><th>Lead time</th><th>Origin</th><th>Sales price</th><th>Line total</th><th>Margin</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${comparison.selected_offer_id ? '' : '<small class="offer-pending">Choose the offer to quote - items without a choice are not priced</small>'}
+        `;
+        
+        container.querySelectorAll('input[type="radio"]').forEach(radio => {
+            radio.addEventListener('change', () => this.selectSupplierOffer(comparison.item_no, radio.value));
+        });
+    }
+
+    /**
+     * Quote one of an item's offers: it becomes the item's bidder_proposal (same rule as the server)
+     * @param {string} itemNo - Item number
+     * @param {string} offerId - offer_id of the chosen offer
+     */
+    selectSupplierOffer(itemNo, offerId) {
+        const item = this.quotationItems.find((candidate, index) => (candidate.item_no || (index + 1).toString()) === itemNo);
+        const offer = item?.supplier_offers?.find(candidate => candidate.offer_id === offerId);
+        if (!offer) return;
+        
+        const previousCurrency = this.getCurrentItemCurrency(itemNo);
+        const current = item.bidder_proposal?.offer_id === offer.offer_id ? item.bidder_proposal : { unit_price: '' };
+        item.selected_offer_id = offer.offer_id;
+        item.currency_code = offer.currency_code;
+        item.bidder_proposal = {
+            ...current,
+            offer_id: offer.offer_id,
+            supplier: offer.supplier,
+            description: offer.description || item.company_requirement?.description || '',
+            original_unit_price: offer.unit_price,
+            currency_code: offer.currency_code,
+            delivery_time: offer.delivery_time,
+            origin: offer.origin,
+            maker: offer.maker,
+            compliance_deviation: offer.compliance_deviation,
+            notes: offer.notes
+        };
+        if (offer.price_breaks) {
+            item.bidder_proposal.price_breaks = offer.price_breaks;
+        } else {
+            delete item.bidder_proposal.price_breaks;
+        }
+        
+        this.storedProfitValuesCache.delete(this.getQuotationSpecificCacheKey(itemNo));
+        this.forceRecalculation = true;
+        
+        if (offer.currency_code !== previousCurrency) {
+            // The entered exchange rate belonged to the old currency - let the rate table fill it again
+            this.setItemVariableValue(itemNo, 'exchange_rate', '');
+            this.saveVariables();
+            this.extractCurrencyCodes();
+            this.generateItemVariableInputs();
+        } else {
+            this.loadSupplierOfferComparison();
+        }
+        this.updateProfitTable();
+        
+        window.showNotification(`✅ Item ${itemNo}: quoting ${offer.supplier || offer.offer_id}. Click Apply to regenerate the quotation`, 'success');
+    }
+
+    // ============================================
+    // 📶 VOLUME PRICE TIERS
+    // ============================================
+
+    /**
+     * Sorted quantity-threshold table from an item field ([{ min_qty, <valueField> }])
+     */
+    readTierTable(rows, valueField) {
+        if (!Array.isArray(rows)) return [];
+        return rows
+            .map(row => ({
+                min_qty: this.parseFormattedNumber(row?.min_qty ?? row?.qty ?? row?.quantity),
+                value: this.parseFormattedNumber(row?.[valueField])
+            }))
+            .filter(tier => tier.min_qty !== null && tier.min_qty >= 0 && tier.value > 0)
+            .sort((a, b) => a.min_qty - b.min_qty);
+    }
+
+    /**
+     * Supplier price break for the item's quoted quantity (same rule as the backend)
+     * @param {Object} item - Quotation item
+     * @returns {Object|null} { min_qty, unit_price } or null when the item has a single price
+     */
+    selectPriceBreak(item) {
+        const tiers = this.readTierTable(item.bidder_proposal?.price_breaks || item.price_breaks, 'unit_price');
+        if (tiers.length === 0) return null;
+        const qty = this.parseFormattedNumber(item.company_requirement?.qty) || 0;
+        const tier = [...tiers].reverse().find(entry => entry.min_qty <= qty) || tiers[0];
+        return { min_qty: tier.min_qty, unit_price: tier.value };
+    }
+
+    /**
+     * Tiered profit rate for the item's quoted quantity (same rule as the backend)
+     * @param {string} itemNo - Item number
+     * @returns {number|null} Profit rate, or null when the item has no profit_rate_tiers
+     */
+    getTierProfitRate(itemNo) {
+        const item = (this.quotationItems || []).find((entry, index) => String(entry.item_no || index + 1) === String(itemNo));
+        const tiers = this.readTierTable(item?.profit_rate_tiers, 'profit_rate');
+        if (tiers.length === 0) return null;
+        const qty = this.parseFormattedNumber(item.company_requirement?.qty) || 0;
+        return ([...tiers].reverse().find(entry => entry.min_qty <= qty) || tiers[0]).value;
+    }
+
+    /**
+     * Badge for optional and alternative items (priced, but not part of the quotation total)
+     * @param {Object} item - Quotation item
+     * @returns {string} HTML (empty for standard items)
+     */
+    renderItemRoleBadge(item) {
+        const alternativeOf = item.alternative_of !== undefined && item.alternative_of !== null ? String(item.alternative_of).trim() : '';
+        const role = String(item.item_role || '').trim().toLowerCase() || (alternativeOf ? 'alternative' : 'standard');
+        if (role === 'optional') {
+            return '<span class="item-role-badge item-role-optional" title="Not included in the total">Optional</span>';
+        }
+        if (role === 'alternative') {
+            const escape = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+            return `<span class="item-role-badge item-role-alternative" title="Not included in the total">Alt. to ${escape(alternativeOf)}</span>`;
+        }
+        return '';
+    }
+
+    /**
+     * One-line summary of an item's price breaks and tiered profit rates
+     * @param {Object} item - Quotation item
+     * @returns {string} HTML (empty for single-price items)
+     */
+    renderItemTierHint(item) {
+        const priceBreaks = this.readTierTable(item.bidder_proposal?.price_breaks || item.price_breaks, 'unit_price');
+        const profitTiers = this.readTierTable(item.profit_rate_tiers, 'profit_rate');
+        if (priceBreaks.length === 0 && profitTiers.length === 0) return '';
+
+        const parts = [];
+        if (priceBreaks.length) {
+            parts.push(`Price breaks: ${priceBreaks.map(tier => `${tier.min_qty}+ @ ${tier.value.toLocaleString('vi-VN')}`).join(', ')}`);
+        }
+        if (profitTiers.length) {
+            parts.push(`Profit tiers: ${profitTiers.map(tier => `${tier.min_qty}+ × ${tier.value}`).join(', ')} (pre-filled for the quoted quantity)`);
+        }
+        return `<small class="price-tier-hint">📶 ${parts.join(' · ')}</small>`;
+    }
+
+    // ============================================
+    // 🎯 REVERSE PRICING
+    // ============================================
+
+    /**
+     * Solve profit_rate or discount_rate from the target prices entered per item
+     * Solved rates are written into the item inputs; Apply Formula then regenerates the quotation
+     */
+    async solveTargetPrices() {
+        const solveFor = this.itemVariablesContainer.querySelector('#reverseSolveFor')?.value || 'profit_rate';
+        const targetTotal = this.parseFormattedNumber(this.itemVariablesContainer.querySelector('#reverseTargetTotal')?.value);
+        
+        const itemTargets = {};
+        this.quotationItems.forEach((item, index) => {
+            const itemNo = item.item_no || (index + 1).toString();
+            const target = this.parseFormattedNumber(this.getItemVariables(itemNo).target_price);
+            if (target > 0) {
+                itemTargets[itemNo] = target;
+            }
+        });
+        
+        if (Object.keys(itemTargets).length === 0 && !(targetTotal > 0)) {
+            window.showNotification('⚠️ Enter a target price on at least one item, or a target total', 'warning');
+            return;
+        }
+        
+        try {
+            window.showNotification(`🎯 Solving ${solveFor.replace('_', ' ')} from target prices...`, 'info');
+            const freshData = await this.fetchCurrentQuotationData();
+            const quotationData = {
+                ...freshData.quotationData,
+                quotation_items: freshData.quotationData?.quotation_items || this.quotationItems
+            };
+            if (this.selectedPricingFormula !== null) {
+                quotationData.pricing_formula = this.selectedPricingFormula || null;
+            }
+            quotationData.target_currency = this.selectedTargetCurrency;
+            
+            const requestPayload = {
+                action_type: 'reverse_price',
+                session_id: freshData.sessionId,
+                quotation_data: quotationData,
+                pricing_variables: this.buildCleanedPricingVariables(this.getAllItemVariables()),
+                reverse_pricing: {
+                    solve_for: solveFor,
+                    item_targets: itemTargets,
+                    target_total: targetTotal > 0 ? targetTotal : null
+                }
+            };
+            console.log('🎯 Reverse pricing request:', requestPayload.reverse_pricing);
+            
+            const response = await fetch(`${window.CONFIG.API_BASE}/api/quotation-generation`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(requestPayload)
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            
+            this.applyMarginCheck(result.calculated_pricing);
+            this.applyReversePricingResult(result.reverse_pricing);
+        } catch (error) {
+            console.error('❌ Reverse pricing failed:', error);
+            window.showNotification(`❌ Reverse pricing failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Write solved rates into the item inputs and show the achieved price and margin per item
+     * @param {Object} report - reverse_pricing report from the API
+     */
+    applyReversePricingResult(report) {
+        const solveFor = report.solve_for;
+        
+        report.items.forEach(item => {
+            if (item.solved_by) {
+                this.setItemVariableValue(item.item_no, solveFor, item.solved_value);
+                
+                // Stored values no longer match the new rate
+                this.storedProfitValuesCache.delete(this.getQuotationSpecificCacheKey(item.item_no));
+            }
+            
+            const resultLabel = this.itemVariablesContainer.querySelector(`.target-price-result[data-item="${item.item_no}"]`);
+            if (resultLabel && (item.solved_by || item.target_sales_unit_price)) {
+                const rateText = solveFor === 'discount_rate' ?
+                    `${((item.solved_value ?? 0) * 100).toFixed(2)}% discount` :
+                    `profit rate ${(item.solved_value ?? 0).toFixed(4)}`;
+                resultLabel.textContent = item.feasible ?
+                    `→ ${rateText}, ${this.formatCurrency(item.achieved_sales_unit_price)}, margin ${item.margin_percent}%` :
+                    `✗ Target not reachable by ${solveFor.replace('_', ' ')}`;
+                resultLabel.style.color = (!item.feasible || item.margin_violation) ? '#dc3545' : '#28a745';
+            }
+        });
+        
+        this.forceRecalculation = true;
+        this.updateProfitTable();
+        
+        if (report.warnings.length > 0) {
+            console.warn('⚠️ Reverse pricing warnings:', report.warnings);
+            window.showNotification(`⚠️ ${report.warnings.join(' | ')}`, 'warning');
+        } else {
+            window.showNotification(`✅ Targets solved - total ${this.formatCurrency(report.achieved_total)}. Click Apply to regenerate the quotation`, 'success');
+        }
+    }
+
+    // ============================================
+    // 🛡️ MARGIN GUARDRAILS
+    // ============================================
+
+    /**
+     * Remember which items break their margin floor so the profit table shows them in red
+     * @param {Object} calculatedPricing - calculated_pricing from the API (warnings + margin_check)
+     * @param {Object} generatedFiles - generated_files from the API, blocked while approval is pending
+     */
+    applyMarginCheck(calculatedPricing, generatedFiles = null) {
+        this.marginViolations.clear();
+        (calculatedPricing?.warnings || []).forEach(warning => {
+            this.marginViolations.set(String(warning.item_no), warning);
+        });
+        
+        this.profitTableBody.querySelectorAll('tr[data-item]').forEach(row => {
+            const warning = this.marginViolations.get(row.dataset.item);
+            row.classList.toggle('margin-violation', !!warning);
+            row.title = warning ? warning.message : '';
+        });
+        
+        if (generatedFiles?.blocked) {
+            const status = generatedFiles.approval?.status || 'pending';
+            window.showNotification(
+                `🛡️ ${this.marginViolations.size} item(s) below the margin floor - documents are held until a manager approves (${status})`,
+                status === 'rejected' ? 'error' : 'warning'
+            );
+        } else if (this.marginViolations.size > 0) {
+            console.warn('🛡️ Margin violations:', [...this.marginViolations.values()].map(warning => warning.message));
+        }
+    }
+
+    /**
+     * React to a manager's approval decision broadcast over SSE
+     * @param {Object} data - { base_filename, approval, documents_generated }
+     */
+    handleQuotationApproval(data) {
+        const approval = data?.approval;
+        if (!approval) return;
+        
+        if (approval.status === 'approved') {
+            window.showNotification(data.documents_generated ?
+                `✅ ${approval.rfq_reference || data.base_filename} approved by ${approval.decided_by} - documents generated` :
+                `✅ ${approval.rfq_reference || data.base_filename} approved by ${approval.decided_by} - click Apply to generate the documents`, 'success');
+        } else if (approval.status === 'rejected') {
+            window.showNotification(`❌ ${approval.rfq_reference || data.base_filename} rejected by ${approval.decided_by}${approval.note ? `: ${approval.note}` : ''}`, 'error');
+        }
     }
 
     /**
@@ -909,7 +1526,7 @@ export class FormulaInputPanel {
      * Bind events to dynamically created variable inputs
      */
     bindVariableInputEvents() {
-        const inputs = this.itemVariablesContainer.querySelectorAll('input');
+        const inputs = this.itemVariablesContainer.querySelectorAll('input[data-item]');
         inputs.forEach(input => {
             // Create unique debounce key for each input
             const itemNo = input.dataset.item;
@@ -929,6 +1546,29 @@ export class FormulaInputPanel {
             globalCurrency.addEventListener('change', this.onGlobalCurrencyChange.bind(this));
         }
         
+        // Add event listener to reverse pricing solve button
+        const solveTargetPricesBtn = this.itemVariablesContainer.querySelector('#solveTargetPricesBtn');
+        if (solveTargetPricesBtn) {
+            solveTargetPricesBtn.addEventListener('click', this.solveTargetPrices.bind(this));
+        }
+        
+        // Add event listener to the volume price tier print option
+        const showPriceTiersToggle = this.itemVariablesContainer.querySelector('#showPriceTiersToggle');
+        if (showPriceTiersToggle) {
+            showPriceTiersToggle.addEventListener('change', (event) => {
+                this.showPriceTiers = event.target.checked;
+            });
+        }
+        
+        // Add event listener to pricing formula picker (list is fetched once, then cached)
+        const pricingFormulaSelect = this.itemVariablesContainer.querySelector('#pricingFormulaSelect');
+        if (pricingFormulaSelect) {
+            pricingFormulaSelect.addEventListener('change', this.onPricingFormulaChange.bind(this));
+            if (this.pricingFormulas.length === 0) {
+                this.loadPricingFormulas();
+            }
+        }
+        
         // Add event listener to search input
         const searchInput = this.itemVariablesContainer.querySelector('#itemSearchInput');
         if (searchInput) {
@@ -979,7 +1619,7 @@ export class FormulaInputPanel {
                     
                     // Update internal variables immediately
                     if (!this.itemVariables.has(itemNo)) {
-                        this.itemVariables.set(itemNo, this.getDefaultItemVariables());
+                        this.itemVariables.set(itemNo, this.getDefaultItemVariables(itemNo));
                     }
                     const itemVars = this.itemVariables.get(itemNo);
                     itemVars.exchange_rate = 1;
@@ -1000,6 +1640,9 @@ export class FormulaInputPanel {
                 exchangeRateInput.dispatchEvent(new Event('input'));
             }
         });
+        
+        // Rate-table defaults for the new target currency
+        this.loadTableExchangeRates();
     }
 
     /**
@@ -1314,7 +1957,7 @@ export class FormulaInputPanel {
         selectedItems.forEach(itemNo => {
             // Update internal data
             if (!this.itemVariables.has(itemNo)) {
-                this.itemVariables.set(itemNo, this.getDefaultItemVariables());
+                this.itemVariables.set(itemNo, this.getDefaultItemVariables(itemNo));
             }
             
             const itemVars = this.itemVariables.get(itemNo);
@@ -1453,7 +2096,7 @@ export class FormulaInputPanel {
 
         // Update item variables
         if (!this.itemVariables.has(itemNo)) {
-            this.itemVariables.set(itemNo, this.getDefaultItemVariables());
+            this.itemVariables.set(itemNo, this.getDefaultItemVariables(itemNo));
         }
         
         const itemVars = this.itemVariables.get(itemNo);
@@ -1478,6 +2121,9 @@ export class FormulaInputPanel {
         
         // Update global reference only if variables are present
         this.updateGlobalVariables();
+        
+        // Offer prices depend on the item's variables
+        this.loadSupplierOfferComparison();
     }
 
     /**
@@ -1496,20 +2142,23 @@ export class FormulaInputPanel {
             return this.itemVariables.get(itemNo);
         }
         
-        const defaults = this.getDefaultItemVariables();
+        const defaults = this.getDefaultItemVariables(itemNo);
         this.itemVariables.set(itemNo, defaults);
         return defaults;
     }
 
     /**
      * Get default variables for an item (empty by default to require user input)
+     * Items with profit_rate_tiers start with the tier rate for their quantity
+     * @param {string|null} itemNo - Item number
      */
-    getDefaultItemVariables() {
+    getDefaultItemVariables(itemNo = null) {
+        const tierProfitRate = itemNo !== null ? this.getTierProfitRate(itemNo) : null;
         return {
             shipping_cost: "",
             tax_rate: "",
             exchange_rate: "",
-            profit_rate: "",
+            profit_rate: tierProfitRate ?? "",
             discount_rate: ""
         };
     }
@@ -1635,8 +2284,12 @@ export class FormulaInputPanel {
                 }
             }
             
+            const marginViolation = this.marginViolations.get(String(itemNo));
+            const marginAttributes = marginViolation ?
+                ` class="margin-violation" title="${marginViolation.message.replace(/"/g, '&quot;')}"` : '';
+            
             tableHtml += `
-            <tr data-item="${itemNo}">
+            <tr data-item="${itemNo}"${marginAttributes}>
                 <td class="item-desc">${this.truncateText(description, 30)}</td>
                 <td class="qty">${qty}</td>
                 <td class="profit">${this.formatCurrency(potentialProfit)}</td>
@@ -1796,6 +2449,12 @@ export class FormulaInputPanel {
      * CRITICAL FIX: Always prioritize original prices to prevent compounding calculations
      */
     extractUnitPrice(item) {
+        // Priority 0: Supplier price break for the quoted quantity
+        const priceBreak = this.selectPriceBreak(item);
+        if (priceBreak) {
+            return priceBreak.unit_price;
+        }
+        
         // Priority 1: Original unit price from new standard (ALWAYS use original for calculations)
         if (item.bidder_proposal?.original_unit_price) {
             return this.parseFormattedNumber(item.bidder_proposal.original_unit_price) || 0;
@@ -1830,11 +2489,17 @@ export class FormulaInputPanel {
             return extPrice / qty;
         }
         
+        // Priority 6: Cost the server took from a supplier price list
+        if (item.calculated_results?.price_source?.unit_price) {
+            return item.calculated_results.price_source.unit_price;
+        }
+        
         return 0;
     }
 
     /**
      * Get reasonable exchange rate between two currencies
+     * Uses the server rate table when it has been loaded, then approximate built-in rates
      * @param {string} fromCurrency - Source currency
      * @param {string} toCurrency - Target currency
      * @returns {number} - Reasonable exchange rate
@@ -1845,6 +2510,12 @@ export class FormulaInputPanel {
             return 1.0;
         }
 
+        const tableRate = this.exchangeRateCache.get(`${fromCurrency}_${toCurrency}`);
+        if (tableRate) {
+            console.log(`📈 Using rate table ${fromCurrency} → ${toCurrency}: ${tableRate.rate} (effective ${tableRate.effective_date})`);
+            return tableRate.rate;
+        }
+
         // Common exchange rates (approximate, as of 2025)
         const exchangeRates = {
             'USD_VND': 24000,
@@ -2161,6 +2832,75 @@ export class FormulaInputPanel {
         }
     }
 
+    /**
+     * Clean up per-item pricing variables for an API call - apply smart defaults for missing values
+     * @param {Object} allVariables - Result of getAllItemVariables()
+     * @returns {Object} Per-item variables with numeric values
+     */
+    buildCleanedPricingVariables(allVariables) {
+        const cleanedVariables = {};
+        
+        Object.keys(allVariables).forEach(itemNo => {
+            const vars = allVariables[itemNo];
+            
+            // Apply smart defaults for empty/missing variables
+            const defaultShipping = 0;
+            const defaultTax = 1.1; // 10% tax
+            const defaultExchange = this.getReasonableExchangeRate(this.getCurrentItemCurrency(itemNo), this.selectedTargetCurrency); // Reasonable exchange rate
+            const defaultProfit = this.getTierProfitRate(itemNo) ?? 1.25; // Tier rate for the quantity, else 25% profit
+            const defaultDiscount = 0; // No discount
+            
+            // FIXED: Properly preserve user input values, only use defaults for truly missing values
+            const parsedShipping = this.parseFormattedNumber(vars.shipping_cost);
+            const parsedTax = this.parseFormattedNumber(vars.tax_rate);
+            const parsedExchange = this.parseFormattedNumber(vars.exchange_rate);
+            const parsedProfit = this.parseFormattedNumber(vars.profit_rate);
+            const parsedDiscount = this.parseFormattedNumber(vars.discount_rate);
+            
+            // DEBUG: Log user input preservation
+            console.log(`🔍 Item ${itemNo} - Variable Processing:`, {
+                original_vars: vars,
+                parsed_values: {
+                    shipping_cost: parsedShipping,
+                    tax_rate: parsedTax,
+                    exchange_rate: parsedExchange,
+                    profit_rate: parsedProfit,
+                    discount_rate: parsedDiscount
+                },
+                will_use_defaults: {
+                    shipping_cost: (parsedShipping === null || parsedShipping === undefined),
+                    tax_rate: (parsedTax === null || parsedTax === undefined),
+                    exchange_rate: (parsedExchange === null || parsedExchange === undefined),
+                    profit_rate: (parsedProfit === null || parsedProfit === undefined),
+                    discount_rate: (parsedDiscount === null || parsedDiscount === undefined)
+                }
+            });
+            
+            cleanedVariables[itemNo] = {
+                shipping_cost: (parsedShipping !== null && parsedShipping !== undefined) ? parsedShipping : defaultShipping,
+                tax_rate: (parsedTax !== null && parsedTax !== undefined) ? parsedTax : defaultTax,
+                exchange_rate: (parsedExchange !== null && parsedExchange !== undefined) ? parsedExchange : defaultExchange,
+                profit_rate: (parsedProfit !== null && parsedProfit !== undefined) ? parsedProfit : defaultProfit,
+                discount_rate: (parsedDiscount !== null && parsedDiscount !== undefined) ? parsedDiscount : defaultDiscount
+            };
+            
+            console.log(`✅ Item ${itemNo} - Final cleaned variables:`, cleanedVariables[itemNo]);
+            
+            // Log when defaults are applied
+            const appliedDefaults = [];
+            if (vars.shipping_cost === "" || !vars.shipping_cost) appliedDefaults.push('shipping_cost');
+            if (vars.tax_rate === "" || !vars.tax_rate) appliedDefaults.push('tax_rate');
+            if (vars.exchange_rate === "" || !vars.exchange_rate) appliedDefaults.push('exchange_rate');
+            if (vars.profit_rate === "" || !vars.profit_rate) appliedDefaults.push('profit_rate');
+            
+            if (appliedDefaults.length > 0) {
+                console.log(`📋 Applied defaults for item ${itemNo}:`, appliedDefaults);
+            }
+        });
+        
+        return cleanedVariables;
+    }
+
     /**
      * Apply current formula variables and trigger automatic recalculation
      */
@@ -2239,6 +2979,27 @@ export class FormulaInputPanel {
                 // Use the fresh quotation data as the base
                 const quotationData = { ...freshData.quotationData };
                 
+                // Formula picked in the panel overrides the quotation/customer formula
+                if (this.selectedPricingFormula !== null) {
+                    quotationData.pricing_formula = this.selectedPricingFormula || null;
+                }
+                
+                // Exchange rates convert item prices into the panel's target currency
+                quotationData.target_currency = this.selectedTargetCurrency;
+                
+                // Template picked in the preview panel ('' = customer/global default)
+                const pickedTemplate = window.resultPreview?.getSelectedTemplate?.();
+                if (pickedTemplate !== undefined) {
+                    quotationData.template = pickedTemplate || null;
+                }
+                
+                // Document language picked in the preview panel
+                const pickedLocale = window.resultPreview?.getSelectedLocale?.();
+                if (pickedLocale !== undefined) {
+                    quotationData.locale = pickedLocale.locale;
+                    quotationData.secondary_locale = pickedLocale.secondary_locale;
+                }
+                
                 // Process items to ensure they have the minimum required fields for backend validation
                 const processedItems = this.quotationItems.map(item => {
                     const processedItem = { ...item };
@@ -2279,68 +3040,7 @@ export class FormulaInputPanel {
                 console.log('📋 Using fresh quotation data with processed items for API:', quotationData);
                 
                 // Clean up pricing variables for API call - apply smart defaults for missing values
-                const cleanedVariables = {};
-                let hasValidVariables = false;
-                
-                Object.keys(allVariables).forEach(itemNo => {
-                    const vars = allVariables[itemNo];
-                    
-                    // Apply smart defaults for empty/missing variables
-                    const defaultShipping = 0;
-                    const defaultTax = 1.1; // 10% tax
-                    const defaultExchange = this.getReasonableExchangeRate(this.getCurrentItemCurrency(itemNo), this.selectedTargetCurrency); // Reasonable exchange rate
-                    const defaultProfit = 1.25; // 25% profit
-                    const defaultDiscount = 0; // No discount
-                    
-                    // FIXED: Properly preserve user input values, only use defaults for truly missing values
-                    const parsedShipping = this.parseFormattedNumber(vars.shipping_cost);
-                    const parsedTax = this.parseFormattedNumber(vars.tax_rate);
-                    const parsedExchange = this.parseFormattedNumber(vars.exchange_rate);
-                    const parsedProfit = this.parseFormattedNumber(vars.profit_rate);
-                    const parsedDiscount = this.parseFormattedNumber(vars.discount_rate);
-                    
-                    // DEBUG: Log user input preservation
-                    console.log(`🔍 Item ${itemNo} - Variable Processing:`, {
-                        original_vars: vars,
-                        parsed_values: {
-                            shipping_cost: parsedShipping,
-                            tax_rate: parsedTax,
-                            exchange_rate: parsedExchange,
-                            profit_rate: parsedProfit,
-                            discount_rate: parsedDiscount
-                        },
-                        will_use_defaults: {
-                            shipping_cost: (parsedShipping === null || parsedShipping === undefined),
-                            tax_rate: (parsedTax === null || parsedTax === undefined),
-                            exchange_rate: (parsedExchange === null || parsedExchange === undefined),
-                            profit_rate: (parsedProfit === null || parsedProfit === undefined),
-                            discount_rate: (parsedDiscount === null || parsedDiscount === undefined)
-                        }
-                    });
-                    
-                    cleanedVariables[itemNo] = {
-                        shipping_cost: (parsedShipping !== null && parsedShipping !== undefined) ? parsedShipping : defaultShipping,
-                        tax_rate: (parsedTax !== null && parsedTax !== undefined) ? parsedTax : defaultTax,
-                        exchange_rate: (parsedExchange !== null && parsedExchange !== undefined) ? parsedExchange : defaultExchange,
-                        profit_rate: (parsedProfit !== null && parsedProfit !== undefined) ? parsedProfit : defaultProfit,
-                        discount_rate: (parsedDiscount !== null && parsedDiscount !== undefined) ? parsedDiscount : defaultDiscount
-                    };
-                    
-                    console.log(`✅ Item ${itemNo} - Final cleaned variables:`, cleanedVariables[itemNo]);
-                    
-                    hasValidVariables = true; // Always valid with defaults
-                    
-                    // Log when defaults are applied
-                    const appliedDefaults = [];
-                    if (vars.shipping_cost === "" || !vars.shipping_cost) appliedDefaults.push('shipping_cost');
-                    if (vars.tax_rate === "" || !vars.tax_rate) appliedDefaults.push('tax_rate');
-                    if (vars.exchange_rate === "" || !vars.exchange_rate) appliedDefaults.push('exchange_rate');
-                    if (vars.profit_rate === "" || !vars.profit_rate) appliedDefaults.push('profit_rate');
-                    
-                    if (appliedDefaults.length > 0) {
-                        console.log(`📋 Applied defaults for item ${itemNo}:`, appliedDefaults);
-                    }
-                });
+                const cleanedVariables = this.buildCleanedPricingVariables(allVariables);
                 
                 // Always proceed with calculation using defaults
                 console.log('✅ All variables validated with smart defaults applied');
@@ -2358,7 +3058,10 @@ export class FormulaInputPanel {
                     action_type: 'update',
                     session_id: sessionId,
                     quotation_data: quotationData,
-                    pricing_variables: cleanedVariables
+                    pricing_variables: cleanedVariables,
+                    generation_options: {
+                        show_price_tiers: this.showPriceTiers
+                    }
                 };
                 
                 console.log('📤 API Request payload assembled with fresh data:', requestPayload);
@@ -2678,13 +3381,18 @@ export class FormulaInputPanel {
     }
 
     /**
-     * Utility: Format currency
+     * Utility: Format currency (decimals follow the selected currency: VND 0, USD/EUR 2)
      */
     formatCurrency(amount) {
+        const currency = this.selectedTargetCurrency || 'VND';
         try {
-            return new Intl.NumberFormat('vi-VN').format(Math.round(amount)) + ' VND';
+            const precision = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+            return new Intl.NumberFormat('vi-VN', {
+                minimumFractionDigits: precision,
+                maximumFractionDigits: precision
+            }).format(amount) + ` ${currency}`;
         } catch (error) {
-            return Math.round(amount).toLocaleString() + ' VND';
+            return Math.round(amount).toLocaleString() + ` ${currency}`;
         }
     }
 
@@ -2977,15 +3685,17 @@ export class FormulaInputPanel {
                     })
                 });
 
-                if (response.ok) {
-                    console.log(`✅ Template updated directly with ${updatedCount} items`);
-                    window.showNotification(`✅ Template updated directly (${updatedCount} items)`, 'success');
+                const result = await response.json();
+                if (response.ok && result.success) {
+                    console.log(`✅ Template updated directly with ${updatedCount} items (${result.revision.label})`);
+                    window.showNotification(`✅ Template updated directly (${updatedCount} items, ${result.revision.label})`, 'success');
                     
-                    // Refresh the display to show changes
-                    iframe.contentWindow.location.reload();
+                    // The update is saved as a new revision - show its file
+                    window.resultPreview.currentFilename = result.filename;
+                    iframe.src = `${window.CONFIG.API_BASE}/assets/generated/${result.filename}`;
                     return true;
                 } else {
-                    throw new Error(`Failed to save updated template: ${response.status}`);
+                    throw new Error(result.error || `Failed to save updated template: ${response.status}`);
                 }
             } else {
                 throw new Error('No items with complete pricing variables found for template update');
@@ -3421,7 +4131,7 @@ export class FormulaInputPanel {
                         this.setItemVariableValue(itemNo, 'shipping_cost', 0);
                         this.setItemVariableValue(itemNo, 'tax_rate', 1.1);
                         this.setItemVariableValue(itemNo, 'exchange_rate', 1);
-                        this.setItemVariableValue(itemNo, 'profit_rate', 1.25);
+                        this.setItemVariableValue(itemNo, 'profit_rate', this.getTierProfitRate(itemNo) ?? 1.25);
                         this.setItemVariableValue(itemNo, 'discount_rate', 0);
                     }
                 });
@@ -3432,7 +4142,8 @@ export class FormulaInputPanel {
                     const itemNo = item.item_no || (index + 1).toString();
                     
                     variableTypes.forEach(varType => {
-                        const value = targetVariables[varType];
+                        // The item's own profit tiers beat a quotation-wide rate
+                        const value = varType === 'profit_rate' ? this.getTierProfitRate(itemNo) ?? targetVariables[varType] : targetVariables[varType];
                         const defaultValue = {
                             'shipping_cost': 0,
                             'tax_rate': 1.1,
@@ -3601,7 +4312,7 @@ export class FormulaInputPanel {
             this.setItemVariableValue(itemNo, 'shipping_cost', globalVariables.shipping_cost || 0);
             this.setItemVariableValue(itemNo, 'tax_rate', globalVariables.tax_rate || 1.1);
             this.setItemVariableValue(itemNo, 'exchange_rate', globalVariables.exchange_rate || 1);
-            this.setItemVariableValue(itemNo, 'profit_rate', globalVariables.profit_rate || 1.25);
+            this.setItemVariableValue(itemNo, 'profit_rate', this.getTierProfitRate(itemNo) ?? (globalVariables.profit_rate || 1.25));
             this.setItemVariableValue(itemNo, 'discount_rate', globalVariables.discount_rate || 0);
             
             console.log(`💾 Applied global variables to item ${itemNo}`);
@@ -3637,7 +4348,7 @@ export class FormulaInputPanel {
     setItemVariableValue(itemNo, variableType, value) {
         // Update internal storage
         if (!this.itemVariables.has(itemNo)) {
-            this.itemVariables.set(itemNo, this.getDefaultItemVariables());
+            this.itemVariables.set(itemNo, this.getDefaultItemVariables(itemNo));
         }
         
         const itemVars = this.itemVariables.get(itemNo);
@@ -3802,6 +4513,11 @@ export class FormulaInputPanel {
      */
     handleCompleteResponseUIUpdates(completeResponse) {
         try {
+            // Flag items below their margin floor before the table is refreshed
+            if (completeResponse.calculated_pricing) {
+                this.applyMarginCheck(completeResponse.calculated_pricing, completeResponse.generated_files);
+            }
+
             // Update profit table with calculated data if available
             if (completeResponse.calculated_pricing?.processed_items) {
                 this.updateProfitTableWithCalculatedData(completeResponse.calculated_pricing.processed_items);
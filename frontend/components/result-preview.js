@@ -598,19 +598,39 @@ export class ResultPreviewPanel {
             <div id="quotationSearchContainer" style="height: 120px; max-height: 120px; overflow-y: auto; padding: 4px 8px; border-bottom: 1px solid #e0e0e0; background: #f8f9fa; flex-shrink: 0;">
                 <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 2px;">
                     <div style="flex: 1; position: relative;">
-                        <input type="text" id="quotationSearchInput" placeholder="🔍 Search quotations by RFQ or customer..." 
+                        <input type="text" id="quotationSearchInput" placeholder="🔍 Search by RFQ, customer, part number or maker..." 
                                style="width: 100%; padding: 6px 28px 6px 26px; border: 1px solid #007bff; border-radius: 16px; font-size: 12px; background: white; outline: none; transition: all 0.3s;"
                                onfocus="this.style.borderColor='#0056b3'" onblur="this.style.borderColor='#007bff'">
                         <div style="position: absolute; left: 8px; top: 50%; transform: translateY(-50%); color: #6c757d; font-size: 12px;">🔍</div>
                         <button id="clearSearchBtn" style="position: absolute; right: 6px; top: 50%; transform: translateY(-50%); background: none; border: none; color: #6c757d; font-size: 14px; cursor: pointer; opacity: 0; transition: opacity 0.2s;" onclick="this.style.opacity='0.7'" onmouseout="this.style.opacity='0.5'">×</button>
                     </div>
+                    <select id="quotationStatusFilter" title="Show only quotations with this status" style="max-width: 120px; padding: 5px 6px; border: 1px solid #ced4da; border-radius: 12px; font-size: 10px; background: white;">
+                        <option value="">All statuses</option>
+                        <option value="draft">Draft</option>
+                        <option value="pending_approval">Pending approval</option>
+                        <option value="sent">Sent</option>
+                        <option value="accepted">Accepted</option>
+                        <option value="rejected">Rejected</option>
+                        <option value="expired">Expired</option>
+                    </select>
                     <button id="refreshQuotationsBtn" style="padding: 6px 10px; background: #28a745; color: white; border: none; border-radius: 12px; font-size: 10px; cursor: pointer; transition: all 0.2s; white-space: nowrap;" 
                             onmouseover="this.style.transform='scale(1.05)'" onmouseout="this.style.transform='scale(1)'">🔄 Refresh</button>
+                    <button id="compareRevisionsBtn" title="Compare revisions of the current quotation" style="padding: 6px 10px; background: #6f42c1; color: white; border: none; border-radius: 12px; font-size: 10px; cursor: pointer; transition: all 0.2s; white-space: nowrap;" 
+                            onmouseover="this.style.transform='scale(1.05)'" onmouseout="this.style.transform='scale(1)'">🔀 Compare</button>
                 </div>
                 
                 <!-- Search Results Dropdown - Now scrolls within fixed container -->
                 <div id="quotationSearchResults" style="position: relative; z-index: 1000; background: white; border: 1px solid #dee2e6; border-radius: 8px; max-height: 100%; overflow-y: auto; display: none; box-shadow: 0 4px 12px rgba(0,0,0,0.15);"></div>
                 
+                <!-- Template Picker: template used when this quotation is regenerated -->
+                <div style="display: flex; align-items: center; gap: 6px; margin-top: 2px;">
+                    <label for="templatePicker" style="font-size: 10px; color: #6c757d; white-space: nowrap;">🗂️ Template</label>
+                    <select id="templatePicker" title="Document template for this quotation" style="flex: 1; min-width: 0; padding: 3px 6px; border: 1px solid #ced4da; border-radius: 12px; font-size: 11px; background: white;"></select>
+                    <select id="localePicker" title="Document language (two languages = dual-language layout)" style="max-width: 110px; padding: 3px 6px; border: 1px solid #ced4da; border-radius: 12px; font-size: 11px; background: white;"></select>
+                    <button id="regenerateWithTemplateBtn" title="Regenerate the current quotation with the selected template and language" style="padding: 4px 8px; background: #17a2b8; color: white; border: none; border-radius: 12px; font-size: 10px; cursor: pointer; white-space: nowrap;">🔁 Regenerate</button>
+                    <button id="setCustomerTemplateBtn" title="Use the selected template by default for this customer" style="padding: 4px 8px; background: #6c757d; color: white; border: none; border-radius: 12px; font-size: 10px; cursor: pointer; white-space: nowrap;">📌 Customer default</button>
+                </div>
+                
                 <!-- Current Quotation Indicator -->
                 <div id="currentQuotationIndicator" style="font-size: 9px; color: #6c757d; margin-top: 2px; font-style: italic;"></div>
             </div>` : '';
@@ -956,18 +976,21 @@ export class ResultPreviewPanel {
                 })
             });
             
-            if (response.ok) {
-                console.log('✅ Edited quotation saved successfully');
-                window.showNotification('💾 Changes saved!', 'success');
+            const result = await response.json();
+            if (response.ok && result.success) {
+                // The edit is a new revision with its own HTML file
+                this.currentFilename = result.filename;
+                console.log(`✅ Edited quotation saved as ${result.revision.label}`);
+                window.showNotification(`💾 Changes saved as ${result.revision.label}`, 'success');
                 
                 // Mark as edited for reload preference
                 localStorage.setItem(`edited_${this.currentFilename}`, 'true');
             } else {
-                throw new Error(`Save failed: ${response.status}`);
+                throw new Error(result.error || `Save failed: ${response.status}`);
             }
         } catch (error) {
             console.error('❌ Save error:', error);
-            window.showNotification('❌ Failed to save changes', 'error');
+            window.showNotification(`❌ ${error.message}`, 'error');
         }
     }
 
@@ -993,7 +1016,29 @@ export class ResultPreviewPanel {
         this.performDownload();
     }
 
-    performDownload() {
+    async performDownload() {
+        
+        // Prefer the server-rendered PDF that is generated next to the HTML
+        const pdfFilename = this.currentFilename.replace(/\.html$/, '.pdf');
+        if (pdfFilename !== this.currentFilename) {
+            try {
+                const pdfUrl = `/assets/generated/${pdfFilename}`;
+                const pdfCheck = await fetch(pdfUrl, { method: 'HEAD' });
+                if (pdfCheck.ok) {
+                    console.log('📕 Downloading server-rendered PDF:', pdfUrl);
+                    const link = document.createElement('a');
+                    link.href = pdfUrl;
+                    link.download = pdfFilename;
+                    document.body.appendChild(link);
+                    link.click();
+                    link.remove();
+                    window.showNotification('📕 Downloading PDF quotation', 'success');
+                    return;
+                }
+            } catch (error) {
+                console.log('ℹ️ PDF not available, falling back to print preview:', error.message);
+            }
+        }
         
         const url = `/assets/generated/${this.currentFilename}`;
         console.log('📄 Opening clean preview for PDF download:', url);
@@ -1181,9 +1226,26 @@ export class ResultPreviewPanel {
         // Available quotations cache
         this.availableQuotations = {};
         this.filteredQuotations = [];
+        this.itemMatches = {};
+        this.searchPageSize = 10;
+        this.nextSearchCursor = null;
+        this.totalSearchResults = 0;
+        this.searchRequestId = 0;
+        this.searchDebounceTimer = null;
+        
+        // Lifecycle status badges (statuses are tracked by the server, see utils/quotation-lifecycle.js)
+        this.quotationStatusStyles = {
+            draft: { label: 'Draft', color: '#6c757d', background: '#e9ecef' },
+            pending_approval: { label: 'Pending approval', color: '#856404', background: '#fff3cd' },
+            sent: { label: 'Sent', color: '#004085', background: '#cce5ff' },
+            accepted: { label: 'Accepted', color: '#155724', background: '#d4edda' },
+            rejected: { label: 'Rejected', color: '#721c24', background: '#f8d7da' },
+            expired: { label: 'Expired', color: '#495057', background: '#dee2e6' }
+        };
         
         // Get search elements
         this.searchInput = document.getElementById('quotationSearchInput');
+        this.statusFilter = document.getElementById('quotationStatusFilter');
         this.searchResults = document.getElementById('quotationSearchResults');
         this.refreshBtn = document.getElementById('refreshQuotationsBtn');
         this.clearBtn = document.getElementById('clearSearchBtn');
@@ -1199,6 +1261,13 @@ export class ResultPreviewPanel {
         this.searchInput.addEventListener('focus', this.showSearchResults.bind(this));
         this.searchInput.addEventListener('blur', this.hideSearchResultsDelayed.bind(this));
         
+        if (this.statusFilter) {
+            this.statusFilter.addEventListener('change', () => {
+                this.handleSearchInput({ target: this.searchInput });
+                this.searchInput.focus();
+            });
+        }
+        
         if (this.refreshBtn) {
             this.refreshBtn.addEventListener('click', this.refreshQuotationsList.bind(this));
         }
@@ -1207,8 +1276,15 @@ export class ResultPreviewPanel {
             this.clearBtn.addEventListener('click', this.clearSearch.bind(this));
         }
         
-        // Load available quotations
-        this.loadAvailableQuotations();
+        const compareBtn = document.getElementById('compareRevisionsBtn');
+        if (compareBtn) {
+            compareBtn.addEventListener('click', this.openRevisionComparison.bind(this));
+        }
+        
+        this.initializeTemplatePicker();
+        
+        // Load available quotations (the template picker shows the template each one was generated with)
+        this.loadAvailableQuotations().then(() => this.updateTemplatePickerSelection());
         
         // Update current quotation indicator
         this.updateCurrentQuotationIndicator();
@@ -1217,27 +1293,114 @@ export class ResultPreviewPanel {
     }
 
     /**
-     * Load available quotations from quotations-index.json
+     * Load the first page of quotations for the current search and status filter (server-side search)
+     * The current quotation is looked up separately so the indicator works even when it is not on that page
      */
     async loadAvailableQuotations() {
         try {
             console.log('📋 Loading available quotations...');
             
-            const response = await fetch('/assets/generated/quotations-index.json');
-            this.availableQuotations = await response.json();
-            console.log('✅ Loaded quotations:', Object.keys(this.availableQuotations).length);
-            
-            // Show search suggestions when no search term
-            if (this.searchInput && this.searchInput.value.trim() === '') {
-                this.showAllQuotations();
-            }
+            await this.searchQuotations(this.searchInput ? this.searchInput.value.trim() : '');
+            await this.loadCurrentQuotationInfo();
+            console.log(`✅ Loaded quotations: ${this.filteredQuotations.length} of ${this.totalSearchResults}`);
         } catch (error) {
-            if (error.message.includes('HTTP 404') || error.message.includes('Not Found')) {
-                console.log('📋 No quotations index found - will be created when quotations are generated');
-            } else {
-                console.log('❌ Error loading quotations index:', error.message);
-            }
-            this.availableQuotations = {};
+            console.log('❌ Error loading quotations:', error.message);
+            this.filteredQuotations = [];
+        }
+    }
+
+    /**
+     * Query /api/quotations for one page of results, plus /api/search for quotations whose items match
+     * Results are cached in availableQuotations (keyed by base filename) for the indicator and template picker
+     * @param {string} searchTerm - Text matched against RFQ, customer and filename (and item part numbers, makers, descriptions)
+     * @param {boolean} append - Load the next page after the results already shown
+     */
+    async searchQuotations(searchTerm, append = false) {
+        const params = new URLSearchParams({ limit: String(this.searchPageSize) });
+        if (searchTerm) {
+            params.set('search', searchTerm);
+        }
+        if (this.statusFilter?.value) {
+            params.set('status', this.statusFilter.value);
+        }
+        if (append && this.nextSearchCursor) {
+            params.set('cursor', this.nextSearchCursor);
+        }
+        
+        const itemParams = new URLSearchParams({ q: searchTerm, limit: String(this.searchPageSize) });
+        if (this.statusFilter?.value) {
+            itemParams.set('status', this.statusFilter.value);
+        }
+        
+        // Only the latest request may update the list (typing fires several)
+        const requestId = ++this.searchRequestId;
+        const apiBase = window.CONFIG?.API_BASE || '';
+        const [result, itemResult] = await Promise.all([
+            this.fetchQuotationSearch(`${apiBase}/api/quotations?${params}`),
+            // Item matches are looked up for a new search only, not for "Load more"
+            searchTerm.length >= 2 && !append ? this.fetchQuotationSearch(`${apiBase}/api/search?${itemParams}`) : null
+        ]);
+        if (requestId !== this.searchRequestId) {
+            return;
+        }
+        
+        const shown = new Set(append ? this.filteredQuotations.map(([baseFilename]) => baseFilename) : []);
+        const entries = result.quotations
+            .filter(quotation => !shown.has(quotation.base_filename))
+            .map(quotation => [quotation.base_filename, quotation]);
+        entries.forEach(([baseFilename, quotation]) => {
+            this.availableQuotations[baseFilename] = quotation;
+        });
+        
+        if (append) {
+            this.filteredQuotations = [...this.filteredQuotations, ...entries];
+        } else {
+            this.itemMatches = {};
+            const listed = new Set(entries.map(([baseFilename]) => baseFilename));
+            const itemOnly = [];
+            (itemResult?.quotations || []).forEach(({ items, score, revision, ...quotation }) => {
+                this.itemMatches[quotation.base_filename] = items;
+                this.availableQuotations[quotation.base_filename] = quotation;
+                if (!listed.has(quotation.base_filename)) {
+                    itemOnly.push([quotation.base_filename, quotation]);
+                }
+            });
+            // Quotations found through their items follow the RFQ/customer matches
+            this.filteredQuotations = [...entries, ...itemOnly];
+        }
+        this.nextSearchCursor = result.next_cursor;
+        this.totalSearchResults = result.total;
+        this.displaySearchResults();
+    }
+
+    /**
+     * GET a quotation search endpoint and unwrap its JSON
+     * @param {string} url - /api/quotations or /api/search URL
+     * @returns {Object} Response body
+     */
+    async fetchQuotationSearch(url) {
+        const response = await fetch(url);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        return result;
+    }
+
+    /**
+     * Make sure the quotation being viewed is in the cache, even when the current search does not list it
+     */
+    async loadCurrentQuotationInfo() {
+        const baseFilename = this.getCurrentBaseFilename();
+        if (!baseFilename || this.availableQuotations[baseFilename]) {
+            return;
+        }
+        
+        const params = new URLSearchParams({ base_filename: baseFilename, limit: '1' });
+        const response = await fetch(`${window.CONFIG?.API_BASE || ''}/api/quotations?${params}`);
+        const result = await response.json();
+        if (response.ok && result.success && result.quotations.length > 0) {
+            this.availableQuotations[baseFilename] = result.quotations[0];
         }
     }
 
@@ -1252,37 +1415,90 @@ export class ResultPreviewPanel {
             this.clearBtn.style.opacity = searchTerm ? '0.5' : '0';
         }
         
-        // Filter quotations
-        if (searchTerm === '') {
-            this.showAllQuotations();
-        } else {
-            this.filterQuotations(searchTerm);
-        }
+        // Wait for a pause in typing before asking the server
+        clearTimeout(this.searchDebounceTimer);
+        this.searchDebounceTimer = setTimeout(() => {
+            if (searchTerm === '') {
+                this.showAllQuotations();
+            } else {
+                this.filterQuotations(searchTerm);
+            }
+        }, 250);
     }
 
     /**
      * Filter quotations based on search term
      */
     filterQuotations(searchTerm) {
-        this.filteredQuotations = Object.entries(this.availableQuotations).filter(([baseFilename, quotationInfo]) => {
-            const rfq = quotationInfo.rfq_reference?.toLowerCase() || '';
-            const customer = quotationInfo.customer_name?.toLowerCase() || '';
-            const filename = baseFilename.toLowerCase();
-            
-            return rfq.includes(searchTerm) || 
-                   customer.includes(searchTerm) || 
-                   filename.includes(searchTerm);
+        return this.searchQuotations(searchTerm).catch(error => {
+            console.log('❌ Error searching quotations:', error.message);
+            window.showNotification(`❌ Quotation search failed: ${error.message}`, 'error');
         });
-        
-        this.displaySearchResults();
     }
 
     /**
      * Show all available quotations
      */
     showAllQuotations() {
-        this.filteredQuotations = Object.entries(this.availableQuotations);
-        this.displaySearchResults();
+        return this.filterQuotations('');
+    }
+
+    /**
+     * Items of a search result that matched the search text, with the price quoted
+     * @param {Array} items - Matched items from /api/search
+     * @returns {string} Item lines HTML (empty when nothing matched)
+     */
+    renderItemMatches(items) {
+        if (!items || items.length === 0) {
+            return '';
+        }
+        // Item fields come straight from quotation data
+        const escape = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+        const lines = items.slice(0, 3).map(item => `
+            <div style="font-size: 11px; color: #495057; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;" title="${escape(item.description)}">
+                🔩 ${escape(item.model_part_number || item.description)}${item.maker_origin ? ` · ${escape(item.maker_origin)}` : ''} · ${escape(item.qty)} ${escape(item.uom)} @ ${escape(item.formatted_unit_price || '-')}
+            </div>`).join('');
+        const more = items.length > 3 ? `<div style="font-size: 10px; color: #868e96;">+${items.length - 3} more matching items</div>` : '';
+        return `<div style="margin-bottom: 2px;">${lines}${more}</div>`;
+    }
+
+    /**
+     * Status badge for the search list and the current quotation indicator
+     * @param {Object} quotationInfo - Listed quotation (see /api/quotations)
+     * @returns {string} Badge HTML
+     */
+    renderStatusBadge(quotationInfo) {
+        const status = quotationInfo.status || 'draft';
+        const style = this.quotationStatusStyles[status] || { label: status, color: '#495057', background: '#e9ecef' };
+        const since = quotationInfo.status_changed_at ? ` since ${new Date(quotationInfo.status_changed_at).toLocaleString()}` : '';
+        return `<span class="quotation-status-badge" title="${style.label}${since}" style="display: inline-block; padding: 1px 6px; border-radius: 8px; font-size: 10px; font-weight: 600; color: ${style.color}; background: ${style.background};">${style.label}</span>`;
+    }
+
+    /**
+     * Apply a lifecycle status change pushed by the server (SSE quotation_status_changed)
+     * @param {Object} data - { base_filename, status, status_changed_at, status_history }
+     */
+    handleQuotationStatusChanged(data) {
+        const quotationInfo = this.availableQuotations?.[data?.base_filename];
+        if (quotationInfo) {
+            quotationInfo.status = data.status;
+            quotationInfo.status_changed_at = data.status_changed_at;
+            quotationInfo.sent_revision = data.sent_revision;
+            if (data.status === 'expired') {
+                window.showNotification(`⌛ Quotation ${quotationInfo.rfq_reference} expired (valid until ${data.valid_until})`, 'warning');
+            }
+        }
+
+        if (!this.searchInput) {
+            return;
+        }
+        // The status filter may now include or exclude the quotation
+        this.filterQuotations(this.searchInput.value.trim()).then(() => {
+            if (this.searchInput !== document.activeElement) {
+                this.hideSearchResults();
+            }
+            this.updateCurrentQuotationIndicator();
+        });
     }
 
     /**
@@ -1292,23 +1508,23 @@ export class ResultPreviewPanel {
         if (!this.searchResults) return;
         
         if (this.filteredQuotations.length === 0) {
+            const statusLabel = this.quotationStatusStyles[this.statusFilter?.value]?.label;
             this.searchResults.innerHTML = `
                 <div style="padding: 16px; text-align: center; color: #6c757d; font-style: italic;">
-                    🔍 No quotations found matching your search
+                    🔍 No ${statusLabel ? `${statusLabel.toLowerCase()} ` : ''}quotations found matching your search
                 </div>`;
             this.searchResults.style.display = 'block';
             return;
         }
         
+        // Results arrive sorted by most recent update from the server
         const resultsHTML = this.filteredQuotations
-            .sort(([,a], [,b]) => new Date(b.last_updated) - new Date(a.last_updated)) // Sort by most recent
-            .slice(0, 10) // Limit to 10 results
             .map(([baseFilename, quotationInfo]) => {
                 const isCurrentQuotation = this.currentFilename?.includes(baseFilename);
                 const lastUpdated = new Date(quotationInfo.last_updated).toLocaleDateString();
                 
                 return `
-                    <div class="search-result-item" data-base-filename="${baseFilename}" data-filename="${quotationInfo.filename}"
+                    <div class="search-result-item" data-base-filename="${baseFilename}" data-filename="${quotationInfo.filename || ''}"
                          style="padding: 12px 16px; border-bottom: 1px solid #e9ecef; cursor: pointer; transition: background-color 0.2s; ${isCurrentQuotation ? 'background-color: #e3f2fd; border-left: 4px solid #2196f3;' : ''}"
                          onmouseover="this.style.backgroundColor='#f8f9fa'" 
                          onmouseout="this.style.backgroundColor='${isCurrentQuotation ? '#e3f2fd' : 'white'}'">
@@ -1316,10 +1532,13 @@ export class ResultPreviewPanel {
                             <div style="flex: 1;">
                                 <div style="font-weight: 600; color: #212529; margin-bottom: 2px;">
                                     ${isCurrentQuotation ? '📂 ' : '📄 '}${quotationInfo.rfq_reference || 'Unknown RFQ'}
+                                    ${quotationInfo.current_revision !== undefined && quotationInfo.current_revision !== null ? `<span style="font-size: 11px; font-weight: 500; color: #6c757d;">Rev.${quotationInfo.current_revision}${quotationInfo.sent_revision !== null && quotationInfo.sent_revision !== undefined ? ` · sent Rev.${quotationInfo.sent_revision}` : ''}</span>` : ''}
+                                    ${this.renderStatusBadge(quotationInfo)}
                                 </div>
                                 <div style="font-size: 12px; color: #6c757d; margin-bottom: 2px;">
                                     👤 ${quotationInfo.customer_name || 'Unknown Customer'}
                                 </div>
+                                ${this.renderItemMatches(this.itemMatches?.[baseFilename])}
                                 <div style="font-size: 11px; color: #868e96;">
                                     📅 Updated: ${lastUpdated}
                                 </div>
@@ -1329,15 +1548,35 @@ export class ResultPreviewPanel {
                     </div>`;
             }).join('');
         
-        this.searchResults.innerHTML = resultsHTML;
+        const loadMoreHTML = this.nextSearchCursor ? `
+            <div class="search-load-more" style="padding: 8px 16px; text-align: center; font-size: 11px; color: #007bff; cursor: pointer;">
+                ⬇️ Load more (${this.filteredQuotations.length} of ${this.totalSearchResults})
+            </div>` : '';
+        
+        this.searchResults.innerHTML = resultsHTML + loadMoreHTML;
         this.searchResults.style.display = 'block';
         
+        const loadMore = this.searchResults.querySelector('.search-load-more');
+        if (loadMore) {
+            loadMore.addEventListener('mousedown', (e) => {
+                e.preventDefault(); // Keep the dropdown open
+                this.searchQuotations(this.searchInput ? this.searchInput.value.trim() : '', true).catch(error => {
+                    window.showNotification(`❌ Could not load more quotations: ${error.message}`, 'error');
+                });
+            });
+        }
+        
         // Add click events to search results
         this.searchResults.querySelectorAll('.search-result-item').forEach(item => {
             item.addEventListener('mousedown', (e) => {
                 e.preventDefault(); // Prevent blur event from hiding results
                 const baseFilename = item.dataset.baseFilename;
                 const filename = item.dataset.filename;
+                if (!filename) {
+                    // Generation is waiting for a margin approval, so no document exists yet
+                    window.showNotification(`🛡️ ${this.availableQuotations[baseFilename]?.rfq_reference || baseFilename} has no document yet - it is waiting for margin approval`, 'warning');
+                    return;
+                }
                 this.selectQuotation(baseFilename, filename);
             });
         });
@@ -1854,7 +2093,8 @@ export class ResultPreviewPanel {
             if (quotationInfo) {
                 this.currentIndicator.innerHTML = `
                     📂 Currently viewing: <strong>${quotationInfo.rfq_reference}</strong> 
-                    (${quotationInfo.customer_name}) - Updated: ${new Date(quotationInfo.last_updated).toLocaleDateString()}
+                    (${quotationInfo.customer_name}) ${this.renderStatusBadge(quotationInfo)} - Updated: ${new Date(quotationInfo.last_updated).toLocaleDateString()}
+                    ${quotationInfo.valid_until ? ` - Valid until: ${new Date(`${quotationInfo.valid_until}T00:00:00`).toLocaleDateString()}` : ''}
                 `;
             } else {
                 this.currentIndicator.innerHTML = `📂 Currently viewing: ${this.currentFilename}`;
@@ -1864,6 +2104,433 @@ export class ResultPreviewPanel {
         }
     }
 
+    // ============================================
+    // 🗂️ TEMPLATE PICKER
+    // ============================================
+
+    /**
+     * Bind the template picker controls and fill the template list
+     */
+    initializeTemplatePicker() {
+        this.templatePicker = document.getElementById('templatePicker');
+        if (!this.templatePicker) return;
+        
+        this.templatePicker.addEventListener('change', () => {
+            // '' = no explicit template (customer default, then global default)
+            this.selectedTemplate = this.templatePicker.value;
+            this.selectedTemplateBase = this.getCurrentBaseFilename();
+        });
+        document.getElementById('regenerateWithTemplateBtn')?.addEventListener('click', this.regenerateWithTemplate.bind(this));
+        document.getElementById('setCustomerTemplateBtn')?.addEventListener('click', this.setCustomerDefaultTemplate.bind(this));
+        
+        this.localePicker = document.getElementById('localePicker');
+        this.localePicker?.addEventListener('change', () => {
+            // '' = default language, 'vi+en' = Vietnamese with English next to every label
+            this.selectedLocale = this.localePicker.value;
+            this.selectedLocaleBase = this.getCurrentBaseFilename();
+        });
+        
+        this.loadTemplates();
+        this.loadDocumentLocales();
+    }
+
+    /**
+     * Load document languages into the language picker (single languages, then dual-language pairs)
+     */
+    async loadDocumentLocales() {
+        if (!this.localePicker) return;
+        
+        try {
+            const response = await fetch(`${window.CONFIG?.API_BASE || ''}/api/document-locales`);
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            
+            const locales = result.locales || [];
+            const single = locales.map(locale => `<option value="${locale.code}">${locale.name}</option>`);
+            const dual = locales.flatMap(primary => locales
+                .filter(secondary => secondary.code !== primary.code)
+                .map(secondary => `<option value="${primary.code}+${secondary.code}">${primary.code.toUpperCase()} / ${secondary.code.toUpperCase()}</option>`));
+            this.localePicker.innerHTML = `<option value="">🌐 Default (${result.default_locale})</option>${single.join('')}${dual.join('')}`;
+            this.localePicker.value = this.getSelectedLocale() ? this.selectedLocale : '';
+        } catch (error) {
+            console.error('❌ Error loading document locales:', error);
+        }
+    }
+
+    /**
+     * Language override for the next generation of the current quotation
+     * @returns {Object|undefined} { locale, secondary_locale } (nulls = default language), undefined when untouched
+     */
+    getSelectedLocale() {
+        if (this.selectedLocaleBase !== this.getCurrentBaseFilename() || this.selectedLocale === undefined) {
+            return undefined;
+        }
+        const [locale = null, secondaryLocale = null] = this.selectedLocale ? this.selectedLocale.split('+') : [];
+        return { locale, secondary_locale: secondaryLocale };
+    }
+
+    /**
+     * Load built-in and uploaded templates into the picker
+     */
+    async loadTemplates() {
+        try {
+            const response = await fetch(`${window.CONFIG?.API_BASE || ''}/api/templates`);
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            this.availableTemplates = result.templates || [];
+            this.templateDefaults = {
+                default_template: result.default_template,
+                customer_templates: result.customer_templates || {}
+            };
+            this.renderTemplateOptions();
+        } catch (error) {
+            console.error('❌ Error loading templates:', error);
+        }
+    }
+
+    renderTemplateOptions() {
+        if (!this.templatePicker) return;
+        
+        const options = (this.availableTemplates || []).map(template => {
+            const label = `${template.display_name}${template.source === 'builtin' ? ' (built-in)' : ''}`;
+            return `<option value="${template.name.replace(/"/g, '&quot;')}">${label.replace(/</g, '&lt;')}</option>`;
+        }).join('');
+        this.templatePicker.innerHTML = `<option value="">Auto (customer / default)</option>${options}`;
+        this.updateTemplatePickerSelection();
+    }
+
+    /**
+     * Show the template picked for the current quotation, or the one its latest revision used
+     */
+    updateTemplatePickerSelection() {
+        if (!this.templatePicker) return;
+        
+        const baseFilename = this.getCurrentBaseFilename();
+        if (this.selectedTemplateBase !== baseFilename) {
+            this.selectedTemplate = undefined;
+            this.selectedTemplateBase = baseFilename;
+        }
+        
+        const usedTemplate = this.availableQuotations?.[baseFilename]?.template;
+        this.templatePicker.title = usedTemplate
+            ? `Current revision generated with ${usedTemplate}`
+            : 'Document template for this quotation';
+        this.templatePicker.value = this.selectedTemplate ?? '';
+        
+        if (this.localePicker && this.selectedLocaleBase !== baseFilename) {
+            this.selectedLocale = undefined;
+            this.selectedLocaleBase = baseFilename;
+            this.localePicker.value = '';
+        }
+    }
+
+    /**
+     * Template override for the next generation of the current quotation
+     * @returns {string|undefined} Template name, '' for the customer/global default, undefined when untouched
+     */
+    getSelectedTemplate() {
+        return this.selectedTemplateBase === this.getCurrentBaseFilename() ? this.selectedTemplate : undefined;
+    }
+
+    /**
+     * Regenerate the current quotation with the picked template (same data and pricing variables)
+     */
+    async regenerateWithTemplate() {
+        const baseFilename = this.getCurrentBaseFilename();
+        if (!baseFilename) {
+            window.showNotification('❌ Load a quotation first to regenerate it', 'error');
+            return;
+        }
+        
+        try {
+            const dataResponse = await fetch(`/assets/generated/${baseFilename}_data.json`);
+            if (!dataResponse.ok) {
+                throw new Error(`Quotation data not found (HTTP ${dataResponse.status})`);
+            }
+            const savedData = await dataResponse.json();
+            const template = this.templatePicker?.value || null;
+            // The saved language is kept unless a language was picked
+            const locale = this.getSelectedLocale() || {};
+            
+            window.showNotification(`🗂️ Regenerating with ${template || 'the customer/default template'}...`, 'info');
+            const response = await fetch(`${window.CONFIG?.API_BASE || ''}/api/quotation-generation`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    action_type: 'update',
+                    session_id: savedData.session_info?.id || `template_${Date.now()}`,
+                    quotation_data: { ...savedData.quotation_data, template, ...locale },
+                    pricing_variables: savedData.pricing_variables || {}
+                })
+            });
+            const result = await response.json();
+            if (!response.ok || result.success === false) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            
+            const htmlFilename = result.generated_files?.html?.filename;
+            if (result.generated_files?.blocked) {
+                window.showNotification('🛡️ Regeneration is waiting for margin approval', 'warning');
+                return;
+            }
+            window.showNotification(`✅ Regenerated with ${result.generated_files?.template?.name || template}`, 'success');
+            await this.loadAvailableQuotations();
+            if (htmlFilename) {
+                await this.loadSpecificQuotation(htmlFilename);
+            }
+        } catch (error) {
+            console.error('❌ Error regenerating with template:', error);
+            window.showNotification(`❌ Could not regenerate: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Make the picked template the default for the current quotation's customer ('Auto' clears it)
+     */
+    async setCustomerDefaultTemplate() {
+        const customerName = this.availableQuotations?.[this.getCurrentBaseFilename()]?.customer_name;
+        if (!customerName) {
+            window.showNotification('❌ Load a quotation first to set its customer default', 'error');
+            return;
+        }
+        
+        try {
+            const template = this.templatePicker?.value || null;
+            const response = await fetch(`${window.CONFIG?.API_BASE || ''}/api/templates/default`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ template, customer_name: customerName })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            this.templateDefaults = {
+                default_template: result.default_template,
+                customer_templates: result.customer_templates || {}
+            };
+            window.showNotification(template
+                ? `📌 ${customerName} now uses ${template} by default`
+                : `📌 Cleared the default template of ${customerName}`, 'success');
+        } catch (error) {
+            console.error('❌ Error setting customer default template:', error);
+            window.showNotification(`❌ Could not set the customer default: ${error.message}`, 'error');
+        }
+    }
+
+    // ============================================
+    // 🔀 REVISION COMPARISON
+    // ============================================
+
+    /**
+     * Base filename (RFQ + customer) of the quotation currently displayed
+     */
+    getCurrentBaseFilename() {
+        if (!this.currentFilename) return null;
+        return this.currentFilename.replace(/(_\d{4}-\d{2}-\d{2}T.*\.html)$/, '');
+    }
+
+    /**
+     * Open the revision comparison dialog for the current quotation
+     */
+    async openRevisionComparison() {
+        const baseFilename = this.getCurrentBaseFilename();
+        if (!baseFilename) {
+            window.showNotification('❌ Load a quotation first to compare its revisions', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${window.CONFIG?.API_BASE || ''}/api/quotations/${encodeURIComponent(baseFilename)}/revisions`);
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            if (result.revisions.length < 2) {
+                window.showNotification('ℹ️ Only one revision exists - nothing to compare yet', 'info');
+                return;
+            }
+
+            this.renderRevisionComparisonDialog(baseFilename, result.revisions);
+
+            // Default: previous revision against the current one
+            const numbers = result.revisions.map(rev => rev.revision);
+            const to = Math.max(...numbers);
+            const from = Math.max(...numbers.filter(number => number < to));
+            document.getElementById('revisionFromSelect').value = String(from);
+            document.getElementById('revisionToSelect').value = String(to);
+            await this.loadRevisionDiff(baseFilename, from, to);
+
+        } catch (error) {
+            console.error('❌ Error opening revision comparison:', error);
+            window.showNotification(`❌ Could not load revisions: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Render the comparison dialog shell with revision pickers
+     */
+    renderRevisionComparisonDialog(baseFilename, revisions) {
+        this.closeRevisionComparison();
+
+        const options = revisions.map(rev => `
+            <option value="${rev.revision}">${rev.label}${rev.sent ? ' (sent)' : ''} - ${new Date(rev.generated_at).toLocaleString()}</option>`).join('');
+
+        const overlay = document.createElement('div');
+        overlay.id = 'revisionCompareOverlay';
+        overlay.style.cssText = 'position: fixed; inset: 0; background: rgba(0,0,0,0.45); z-index: 10000; display: flex; align-items: center; justify-content: center;';
+        overlay.innerHTML = `
+            <div style="background: white; width: min(1100px, 94vw); max-height: 88vh; border-radius: 10px; box-shadow: 0 8px 32px rgba(0,0,0,0.3); display: flex; flex-direction: column; overflow: hidden;">
+                <div style="padding: 12px 16px; border-bottom: 1px solid #e0e0e0; display: flex; align-items: center; gap: 10px; background: #f8f9fa;">
+                    <strong style="flex: 1; font-size: 14px;">🔀 Compare revisions - ${this.getQuotationDisplayName(this.currentFilename)}</strong>
+                    <select id="revisionFromSelect" style="padding: 4px 6px; font-size: 12px;">${options}</select>
+                    <span style="font-size: 12px;">→</span>
+                    <select id="revisionToSelect" style="padding: 4px 6px; font-size: 12px;">${options}</select>
+                    <button id="revisionCompareCloseBtn" style="background: none; border: none; font-size: 18px; cursor: pointer; color: #6c757d;">×</button>
+                </div>
+                <div id="revisionDiffReport" style="padding: 12px 16px; overflow-y: auto; font-size: 12px;">⏳ Loading changes...</div>
+            </div>`;
+        document.body.appendChild(overlay);
+
+        const reload = () => this.loadRevisionDiff(
+            baseFilename,
+            document.getElementById('revisionFromSelect').value,
+            document.getElementById('revisionToSelect').value
+        );
+        document.getElementById('revisionFromSelect').addEventListener('change', reload);
+        document.getElementById('revisionToSelect').addEventListener('change', reload);
+        document.getElementById('revisionCompareCloseBtn').addEventListener('click', () => this.closeRevisionComparison());
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) this.closeRevisionComparison();
+        });
+    }
+
+    /**
+     * Close the comparison dialog
+     */
+    closeRevisionComparison() {
+        document.getElementById('revisionCompareOverlay')?.remove();
+    }
+
+    /**
+     * Fetch the diff between two revisions and render it
+     */
+    async loadRevisionDiff(baseFilename, from, to) {
+        const reportContainer = document.getElementById('revisionDiffReport');
+        if (!reportContainer) return;
+        reportContainer.innerHTML = '⏳ Loading changes...';
+
+        try {
+            const url = `${window.CONFIG?.API_BASE || ''}/api/quotations/${encodeURIComponent(baseFilename)}/diff?from=${from}&to=${to}`;
+            const response = await fetch(url);
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            reportContainer.innerHTML = this.renderRevisionDiff(result.diff);
+        } catch (error) {
+            console.error('❌ Error loading revision diff:', error);
+            reportContainer.innerHTML = `<div style="color: #dc3545;">❌ ${error.message}</div>`;
+        }
+    }
+
+    /**
+     * Build the highlighted change report HTML
+     * @param {Object} diff - Diff report from /api/quotations/:baseFilename/diff
+     * @returns {string} HTML
+     */
+    renderRevisionDiff(diff) {
+        const formatValue = (value, field) => {
+            if (value === null || value === undefined) return '<span style="color: #adb5bd;">—</span>';
+            if (field === 'discount_rate') return `${(value * 100).toLocaleString('vi-VN', { maximumFractionDigits: 2 })}%`;
+            return Number(value).toLocaleString('vi-VN', { maximumFractionDigits: 4 });
+        };
+        const formatDelta = (change, field) => {
+            if (change.delta === null) return '';
+            const color = change.delta > 0 ? '#198754' : '#dc3545';
+            const sign = change.delta > 0 ? '+' : '';
+            const percent = change.delta_percent !== null ? ` (${sign}${change.delta_percent}%)` : '';
+            return `<span style="color: ${color}; font-weight: 600;">${sign}${formatValue(change.delta, field)}${percent}</span>`;
+        };
+        const fieldLabels = {
+            qty: 'Qty',
+            shipping_cost: 'Shipping',
+            tax_rate: 'Tax rate',
+            exchange_rate: 'Exchange rate',
+            profit_rate: 'Profit rate',
+            discount_rate: 'Discount',
+            sales_unit_price: 'Sales unit price',
+            ext_price: 'Ext price'
+        };
+        const summary = diff.summary;
+
+        if (!summary.has_changes) {
+            return `<div style="padding: 16px; text-align: center; color: #6c757d;">✅ ${diff.from.label} and ${diff.to.label} are identical</div>`;
+        }
+
+        let html = `
+            <div style="display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 12px;">
+                <div style="padding: 8px 12px; background: #f8f9fa; border-radius: 6px;"><strong>${diff.from.label}</strong> → <strong>${diff.to.label}</strong></div>
+                <div style="padding: 8px 12px; background: #d1e7dd; border-radius: 6px;">➕ ${summary.items_added} added</div>
+                <div style="padding: 8px 12px; background: #f8d7da; border-radius: 6px;">➖ ${summary.items_removed} removed</div>
+                <div style="padding: 8px 12px; background: #fff3cd; border-radius: 6px;">✏️ ${summary.items_changed} changed</div>
+                <div style="padding: 8px 12px; background: #e7f1ff; border-radius: 6px;">
+                    Subtotal: ${formatValue(summary.subtotal.from)} → <strong>${formatValue(summary.subtotal.to)}</strong> ${summary.currency} ${formatDelta(summary.subtotal)}
+                </div>
+            </div>`;
+
+        if (diff.items_changed.length > 0) {
+            html += `
+            <table style="width: 100%; border-collapse: collapse; margin-bottom: 12px;">
+                <thead>
+                    <tr style="background: #f0f0f0;">
+                        <th style="text-align: left; padding: 6px; border: 1px solid #dee2e6;">Item</th>
+                        <th style="text-align: left; padding: 6px; border: 1px solid #dee2e6;">Field</th>
+                        <th style="text-align: right; padding: 6px; border: 1px solid #dee2e6;">${diff.from.label}</th>
+                        <th style="text-align: right; padding: 6px; border: 1px solid #dee2e6;">${diff.to.label}</th>
+                        <th style="text-align: right; padding: 6px; border: 1px solid #dee2e6;">Change</th>
+                    </tr>
+                </thead>
+                <tbody>`;
+            diff.items_changed.forEach(item => {
+                const fields = Object.entries(item.changes);
+                fields.forEach(([field, change], index) => {
+                    html += `
+                    <tr style="background: #fffbea;">
+                        ${index === 0 ? `<td rowspan="${fields.length}" style="padding: 6px; border: 1px solid #dee2e6; vertical-align: top;"><strong>${item.item_no}</strong><br><span style="color: #6c757d;">${item.description}</span></td>` : ''}
+                        <td style="padding: 6px; border: 1px solid #dee2e6;">${fieldLabels[field] || field}</td>
+                        <td style="padding: 6px; border: 1px solid #dee2e6; text-align: right; text-decoration: line-through; color: #6c757d;">${formatValue(change.from, field)}</td>
+                        <td style="padding: 6px; border: 1px solid #dee2e6; text-align: right; font-weight: 600;">${formatValue(change.to, field)}</td>
+                        <td style="padding: 6px; border: 1px solid #dee2e6; text-align: right;">${formatDelta(change, field)}</td>
+                    </tr>`;
+                });
+            });
+            html += `
+                </tbody>
+            </table>`;
+        }
+
+        const renderItemList = (items, title, background) => items.length === 0 ? '' : `
+            <div style="margin-bottom: 10px;">
+                <div style="font-weight: 600; margin-bottom: 4px;">${title}</div>
+                ${items.map(item => `
+                <div style="padding: 6px 8px; background: ${background}; border-radius: 4px; margin-bottom: 3px;">
+                    <strong>${item.item_no}</strong> ${item.description} ${item.model_part_number ? `(${item.model_part_number})` : ''}
+                    - Qty ${formatValue(item.qty)} × ${formatValue(item.sales_unit_price)} = ${formatValue(item.ext_price)}
+                </div>`).join('')}
+            </div>`;
+
+        html += renderItemList(diff.items_added, '➕ Items added', '#d1e7dd');
+        html += renderItemList(diff.items_removed, '➖ Items removed', '#f8d7da');
+
+        return html;
+    }
+
     // ============================================
     // 💾 SESSION PERSISTENCE FOR UI RELOAD
     // ============================================
@@ -9,6 +9,9 @@ export class CurrencyManager {
         
         // Initialize currency state
         this.core.selectedTargetCurrency = this.loadSavedTargetCurrency() || 'VND';
+        
+        // Rate-table entries from /api/exchange-rates: "USD_VND" -> { rate, effective_date } (null = not in table)
+        this.exchangeRateCache = new Map();
         console.log('💰 CurrencyManager initialized with target currency:', this.core.selectedTargetCurrency);
     }
 
@@ -90,6 +93,73 @@ export class CurrencyManager {
                 exchangeRateInput.dispatchEvent(new Event('input'));
             }
         });
+        
+        // Rate-table defaults for the new target currency
+        this.applyTableExchangeRates();
+    }
+
+    /**
+     * Fetch the rate-table entry for a currency pair (cached per pair)
+     * @param {string} fromCurrency - Item currency
+     * @param {string} toCurrency - Target currency
+     * @returns {Promise<Object|null>} { rate, effective_date, source } or null when the table has no rate
+     */
+    async loadExchangeRate(fromCurrency, toCurrency) {
+        const cacheKey = `${fromCurrency}_${toCurrency}`;
+        if (this.exchangeRateCache.has(cacheKey)) {
+            return this.exchangeRateCache.get(cacheKey);
+        }
+        
+        try {
+            const response = await fetch(`${window.CONFIG?.API_BASE || ''}/api/exchange-rates/${encodeURIComponent(fromCurrency)}/${encodeURIComponent(toCurrency)}`);
+            const result = await response.json();
+            const rate = response.ok && result.success ? result.rate : null;
+            this.exchangeRateCache.set(cacheKey, rate);
+            return rate;
+        } catch (error) {
+            console.warn(`⚠️ Could not load exchange rate ${fromCurrency} → ${toCurrency}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Default exchange rate for an item from the loaded rate table
+     * @param {string} itemNo - Item number
+     * @returns {number|null} Table rate, 1 for same currency, null when unknown
+     */
+    getTableExchangeRate(itemNo) {
+        const fromCurrency = this.getCurrentItemCurrency(itemNo);
+        const toCurrency = this.core.selectedTargetCurrency;
+        if (fromCurrency === toCurrency) {
+            return 1;
+        }
+        return this.exchangeRateCache.get(`${fromCurrency}_${toCurrency}`)?.rate ?? null;
+    }
+
+    /**
+     * Show the rate-table rate and its effective date on every item's exchange rate input
+     * Empty inputs are priced with this rate by the backend; typed values still win
+     */
+    async applyTableExchangeRates() {
+        for (const [index, item] of this.core.quotationItems.entries()) {
+            const itemNo = item.item_no || (index + 1).toString();
+            const fromCurrency = this.getCurrentItemCurrency(itemNo);
+            const toCurrency = this.core.selectedTargetCurrency;
+            if (fromCurrency === toCurrency) continue;
+            
+            const tableRate = await this.loadExchangeRate(fromCurrency, toCurrency);
+            const input = this.core.itemVariablesContainer.querySelector(`.exchange-rate[data-item="${itemNo}"]`);
+            const hint = this.core.itemVariablesContainer.querySelector(`.exchange-rate-hint[data-item="${itemNo}"]`);
+            
+            if (input && !input.disabled) {
+                input.placeholder = tableRate ? `Rate table: ${tableRate.rate}` : `Rate from ${fromCurrency} to ${toCurrency}`;
+            }
+            if (hint) {
+                hint.textContent = tableRate ?
+                    `From ${fromCurrency} to ${toCurrency} · ${tableRate.rate.toLocaleString()} since ${tableRate.effective_date}` :
+                    `From ${fromCurrency} to ${toCurrency} · not in rate table`;
+            }
+        }
     }
 
     /**
@@ -236,6 +306,9 @@ export class CurrencyManager {
             globalCurrency.addEventListener('change', this.onGlobalCurrencyChange.bind(this));
             console.log('💰 Currency events bound to global dropdown');
         }
+        
+        // Newly rendered exchange rate inputs get their rate-table defaults
+        this.applyTableExchangeRates();
     }
 
     /**
@@ -257,18 +257,22 @@ export class VariableManager {
         const smartDefaults = {
             shipping_cost: 0,
             tax_rate: 1.1,
-            exchange_rate: 1, // Will be updated by currency manager
+            exchange_rate: 1, // Replaced per item by the currency manager's rate table
             profit_rate: 1.25,
             discount_rate: 0
         };
+        const defaultsFor = (currentItemNo) => ({
+            ...smartDefaults,
+            exchange_rate: this.core.currencyManager?.getTableExchangeRate(currentItemNo) ?? smartDefaults.exchange_rate
+        });
 
         if (itemNo) {
-            this.setItemVariables(itemNo, smartDefaults);
+            this.setItemVariables(itemNo, defaultsFor(itemNo));
             console.log(`🔄 Reset item ${itemNo} to smart defaults`);
         } else {
             this.core.quotationItems.forEach((item, index) => {
                 const currentItemNo = item.item_no || (index + 1).toString();
-                this.setItemVariables(currentItemNo, smartDefaults);
+                this.setItemVariables(currentItemNo, defaultsFor(currentItemNo));
             });
             console.log('🔄 Reset all items to smart defaults');
         }
@@ -496,6 +496,12 @@ function handleSSEMessage(data) {
         case 'calculation_complete':
             panels.resultPreview.handleCalculationComplete(data);
             break;
+        case 'quotation_approval':
+            panels.formulaInput.handleQuotationApproval(data.data);
+            break;
+        case 'quotation_status_changed':
+            panels.resultPreview.handleQuotationStatusChanged(data.data);
+            break;
         case 'file_generated':
             panels.fileManager.handleFileGenerated(data);
             break;
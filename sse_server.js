@@ -292,7 +292,7 @@ class UnifiedSSEServer {
         /**
          * Save Quotation Endpoint - Save edited quotation content
          * URL: POST /api/save-quotation
-         * Purpose: Save modified quotation HTML back to file system
+         * Purpose: Save modified quotation HTML as a new revision (only the current, unsent revision can be edited)
          */
         this.app.post('/api/save-quotation', this.handleSaveQuotation.bind(this));
 
@@ -310,6 +310,289 @@ class UnifiedSSEServer {
          */
         this.app.post('/api/update-latest-json', this.handleUpdateLatestJson.bind(this));
 
+        // ===== QUOTATION LISTING ENDPOINTS =====
+        
+        /**
+         * Quotation List Endpoint - Search quotations with filters, sorting and cursor pagination
+         * URL: GET /api/quotations?customer=&rfq=&status=sent,accepted&maker=&date_from=&date_to=&total_min=&total_max=&currency=&sort=&order=&limit=&cursor=
+         * Purpose: Find quotations without downloading the whole index (e.g. one customer's quotations last month over 100M VND)
+         */
+        this.app.get('/api/quotations', this.handleListQuotations.bind(this));
+        
+        /**
+         * Item Search Endpoint - Full-text search over the items of every quotation
+         * URL: GET /api/search?q=BP5011C01&field=model_part_number&status=sent&limit=20
+         * Purpose: Find which quotations included a part number, maker or description, with the prices quoted
+         */
+        this.app.get('/api/search', this.handleSearchQuotationItems.bind(this));
+
+        // ===== PRODUCT CATALOG ENDPOINTS =====
+        
+        /**
+         * Products Endpoint - Every part we have quoted, with its last quote
+         * URL: GET /api/products?search=BP5011&limit=50
+         * Purpose: Filled automatically from each generated _data.json
+         */
+        this.app.get('/api/products', this.handleListProducts.bind(this));
+        
+        /**
+         * Last Quoted Endpoint - Last quote of each item of a quotation being priced
+         * URL: POST /api/products/last-quoted  body: { quotation_data }
+         * Purpose: "Last quoted at X to customer Y on date Z" next to each item in the formula panel
+         */
+        this.app.post('/api/products/last-quoted', this.handleGetLastQuotedPrices.bind(this));
+        
+        /**
+         * Product Endpoint - One part with every time it was quoted
+         * URL: GET /api/products/:key  (key from the product list, URL-encoded)
+         */
+        this.app.get('/api/products/:key', this.handleGetProduct.bind(this));
+
+        // ===== QUOTATION REVISION ENDPOINTS =====
+        
+        /**
+         * Revision List Endpoint - List all revisions of a quotation
+         * URL: GET /api/quotations/:baseFilename/revisions
+         * Purpose: Show the Rev.0, Rev.1, ... history kept for audits
+         */
+        this.app.get('/api/quotations/:baseFilename/revisions', this.handleListRevisions.bind(this));
+        
+        /**
+         * Revision Detail Endpoint - Fetch one revision with its data snapshot
+         * URL: GET /api/quotations/:baseFilename/revisions/:revision
+         * Purpose: Retrieve the exact files and _data.json of a past revision
+         */
+        this.app.get('/api/quotations/:baseFilename/revisions/:revision', this.handleGetRevision.bind(this));
+        
+        /**
+         * Mark Revision Sent Endpoint - Record which revision went to the customer
+         * URL: POST /api/quotations/:baseFilename/revisions/:revision/sent
+         * Purpose: Keep track of the revision that was actually sent
+         */
+        this.app.post('/api/quotations/:baseFilename/revisions/:revision/sent', this.handleMarkRevisionSent.bind(this));
+        
+        /**
+         * Revision Diff Endpoint - Compare two revisions of a quotation
+         * URL: GET /api/quotations/:baseFilename/diff?from=0&to=2
+         * Purpose: Report added/removed items, qty, rate and price changes between revisions
+         */
+        this.app.get('/api/quotations/:baseFilename/diff', this.handleDiffRevisions.bind(this));
+
+        // ===== QUOTATION LIFECYCLE ENDPOINTS =====
+        
+        /**
+         * Quotation Status Endpoint - Current status with the dated history of every change
+         * URL: GET /api/quotations/:baseFilename/status
+         * Purpose: Show where a quotation stands (draft, pending_approval, sent, accepted, rejected, expired)
+         */
+        this.app.get('/api/quotations/:baseFilename/status', this.handleGetQuotationStatus.bind(this));
+        
+        /**
+         * Quotation Status Transition Endpoint - Move a quotation to a new status
+         * URL: POST /api/quotations/:baseFilename/status
+         * Purpose: Record that a quotation was sent, accepted, rejected or expired (body: { status, by, note, revision })
+         */
+        this.app.post('/api/quotations/:baseFilename/status', this.handleChangeQuotationStatus.bind(this));
+
+        // ===== EXCHANGE RATE ENDPOINTS =====
+        
+        /**
+         * Exchange Rate History Endpoint - List stored rates
+         * URL: GET /api/exchange-rates?from=USD&to=VND
+         * Purpose: Show the dated rate table pricing defaults come from
+         */
+        this.app.get('/api/exchange-rates', this.handleListExchangeRates.bind(this));
+        
+        /**
+         * Exchange Rate Lookup Endpoint - Rate of a currency pair on a date
+         * URL: GET /api/exchange-rates/:from/:to?date=2025-06-30
+         * Purpose: Default exchange_rate inputs in the formula panel
+         */
+        this.app.get('/api/exchange-rates/:from/:to', this.handleGetExchangeRate.bind(this));
+        
+        /**
+         * Exchange Rate Import Endpoint - Import dated rates
+         * URL: POST /api/exchange-rates/import
+         * Body: text/csv (from,to,rate,effective_date[,source]) or JSON { format, content, rates, source }
+         * Purpose: Load rate tables from the bank or accounting exports
+         */
+        this.app.post('/api/exchange-rates/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), this.handleImportExchangeRates.bind(this));
+
+        // ===== SUPPLIER PRICE LIST ENDPOINTS =====
+        
+        /**
+         * Price Lists Endpoint - Imported supplier price lists
+         * URL: GET /api/supplier-price-lists?supplier=
+         * Purpose: Items without a bidder price take their cost from these lists
+         */
+        this.app.get('/api/supplier-price-lists', this.handleListSupplierPriceLists.bind(this));
+        
+        /**
+         * Price Lookup Endpoint - Cost of a part on a date, with the list and line it comes from
+         * URL: GET /api/supplier-price-lists/lookup?part=BP5011C01&maker=DeVilbiss&date=2025-06-30
+         */
+        this.app.get('/api/supplier-price-lists/lookup', this.handleFindSupplierPrice.bind(this));
+        
+        /**
+         * Price List Endpoint - One price list with its lines
+         * URL: GET /api/supplier-price-lists/:listId
+         */
+        this.app.get('/api/supplier-price-lists/:listId', this.handleGetSupplierPriceList.bind(this));
+        
+        /**
+         * Price List Import Endpoint - Import a supplier price list
+         * URL: POST /api/supplier-price-lists/import?supplier=&currency=&valid_from=&valid_until=&name=&filename=
+         * Body: text/csv, an .xlsx file (application/vnd.openxmlformats-officedocument.spreadsheetml.sheet),
+         *       or JSON { supplier, currency, valid_from, valid_until, name, lines } / { ..., format, content (xlsx as base64) }
+         * Columns: part_number (or model_part_number, sku, ...), unit_price (or price, cost), maker, description, uom, currency
+         */
+        this.app.post('/api/supplier-price-lists/import',
+            express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+            express.raw({ type: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/octet-stream'], limit: '10mb' }),
+            this.handleImportSupplierPriceList.bind(this));
+        
+        /**
+         * Delete Price List Endpoint - Remove a price list
+         * URL: DELETE /api/supplier-price-lists/:listId
+         */
+        this.app.delete('/api/supplier-price-lists/:listId', this.handleDeleteSupplierPriceList.bind(this));
+        
+        // ===== SUPPLIER OFFER ENDPOINTS =====
+        
+        /**
+         * Offer Comparison Endpoint - Price each item's candidate supplier offers side by side
+         * URL: POST /api/supplier-offers/compare
+         * Body: { quotation_data (items with supplier_offers and optional selected_offer_id), pricing_variables }
+         * Purpose: Pick the winning offer per line before regenerating; nothing is saved
+         */
+        this.app.post('/api/supplier-offers/compare', this.handleCompareSupplierOffers.bind(this));
+
+        // ===== MARGIN APPROVAL ENDPOINTS =====
+        
+        /**
+         * Approval List Endpoint - List margin approval requests
+         * URL: GET /api/approvals?status=pending
+         * Purpose: Show managers the quotations waiting for sign-off on low margins
+         */
+        this.app.get('/api/approvals', this.handleListApprovals.bind(this));
+        
+        /**
+         * Approval Status Endpoint - Get the approval state of a quotation
+         * URL: GET /api/quotations/:baseFilename/approval
+         * Purpose: Check whether a quotation below its margin floor may be generated
+         */
+        this.app.get('/api/quotations/:baseFilename/approval', this.handleGetApproval.bind(this));
+        
+        /**
+         * Approval Decision Endpoint - Approve or reject margin violations
+         * URL: POST /api/quotations/:baseFilename/approval  body: { approved, approved_by, note }
+         * Purpose: Release document generation held back by the margin guardrails
+         */
+        this.app.post('/api/quotations/:baseFilename/approval', this.handleDecideApproval.bind(this));
+
+        // ===== PRICING FORMULA ENDPOINTS =====
+        
+        /**
+         * Pricing Formulas Endpoint - List configured pricing formulas
+         * URL: GET /api/pricing-formulas
+         * Purpose: Feed the formula picker; a formula is chosen per quotation via quotation_data.pricing_formula
+         */
+        this.app.get('/api/pricing-formulas', this.handleListPricingFormulas.bind(this));
+
+        // ===== DOCUMENT TEMPLATE ENDPOINTS =====
+        
+        /**
+         * Templates Endpoint - List built-in and uploaded document templates
+         * URL: GET /api/templates
+         * Purpose: Feed the template picker; a template is chosen per quotation via quotation_data.template
+         */
+        this.app.get('/api/templates', this.handleListTemplates.bind(this));
+        
+        /**
+         * Default Template Endpoint - Set the global or a customer's default template
+         * URL: PUT /api/templates/default  body: { template, customer_name }
+         * Purpose: Quotations without an explicit template use the customer default, then the global default
+         */
+        this.app.put('/api/templates/default', this.handleSetDefaultTemplate.bind(this));
+        
+        /**
+         * Template Validation Endpoint - Check template HTML before it is uploaded
+         * URL: POST /api/templates/validate  body: { content }
+         * Purpose: Report syntax errors, missing/unknown placeholders, unknown filters/partials and broken HTML
+         */
+        this.app.post('/api/templates/validate', this.handleValidateTemplate.bind(this));
+        
+        /**
+         * Stored Template Validation Endpoint - Validate a template already in the library
+         * URL: GET /api/templates/:name/validation
+         */
+        this.app.get('/api/templates/:name/validation', this.handleValidateStoredTemplate.bind(this));
+        
+        /**
+         * Template Preview Endpoint - Render a stored template with the bundled sample quotation
+         * URL: GET /api/templates/:name/preview
+         * Purpose: See what a template produces without generating a real quotation (returns text/html)
+         */
+        this.app.get('/api/templates/:name/preview', this.handlePreviewTemplate.bind(this));
+        
+        /**
+         * Document Languages Endpoint - Languages a quotation can be printed in
+         * URL: GET /api/document-locales
+         * Purpose: Feed the language picker; chosen per quotation via quotation_data.locale / secondary_locale
+         */
+        this.app.get('/api/document-locales', this.handleListDocumentLocales.bind(this));
+
+        // ===== QUOTATION TERMS ENDPOINTS =====
+        
+        /**
+         * Terms Endpoint - Default validity, payment, Incoterms, delivery and warranty terms
+         * URL: GET /api/terms
+         * Purpose: Show the global and per-customer defaults; a quotation overrides them via quotation_data.terms
+         */
+        this.app.get('/api/terms', this.handleGetTermDefaults.bind(this));
+        
+        /**
+         * Default Terms Endpoint - Set the global or a customer's default terms
+         * URL: PUT /api/terms/default  body: { terms, customer_name }
+         * Purpose: Quotations without explicit terms use the customer defaults, then the global defaults (per field)
+         */
+        this.app.put('/api/terms/default', this.handleSetDefaultTerms.bind(this));
+
+        // ===== CUSTOMER DIRECTORY ENDPOINTS =====
+        
+        /**
+         * Customers Endpoint - Customers with contacts, addresses and defaults
+         * URL: GET /api/customers?search=
+         * Purpose: Pick a customer (customer_info.customer_id) instead of retyping customer_info
+         */
+        this.app.get('/api/customers', this.handleListCustomers.bind(this));
+        
+        /**
+         * Customer Endpoint - One customer
+         * URL: GET /api/customers/:customerId
+         */
+        this.app.get('/api/customers/:customerId', this.handleGetCustomer.bind(this));
+        
+        /**
+         * Create Customer Endpoint - Add a customer
+         * URL: POST /api/customers  body: { company_name, aliases, contacts, addresses, default_currency,
+         *                                  default_pricing_variables, default_template, notes }
+         * Purpose: Generating a quotation for an unknown company also adds it
+         */
+        this.app.post('/api/customers', this.handleCreateCustomer.bind(this));
+        
+        /**
+         * Update Customer Endpoint - Replace the fields given
+         * URL: PUT /api/customers/:customerId  body: customer fields
+         */
+        this.app.put('/api/customers/:customerId', this.handleUpdateCustomer.bind(this));
+        
+        /**
+         * Delete Customer Endpoint - Remove a customer (generated quotations are kept)
+         * URL: DELETE /api/customers/:customerId
+         */
+        this.app.delete('/api/customers/:customerId', this.handleDeleteCustomer.bind(this));
+
         // ===== SESSION MANAGEMENT ENDPOINTS =====
         
         /**
@@ -544,6 +827,12 @@ class UnifiedSSEServer {
             this.cleanupDeadConnections();
         }, 5 * 60 * 1000); // 5 minutes
 
+        // Expire sent quotations past their validity date every hour (and once at startup)
+        this.expireOverdueQuotations();
+        setInterval(() => {
+            this.expireOverdueQuotations();
+        }, 60 * 60 * 1000); // 1 hour
+
         // Reset daily statistics at midnight
         setInterval(() => {
             const now = new Date();
@@ -805,8 +1094,26 @@ class UnifiedSSEServer {
                     });
                 }
                 
-                // Enforce single-file storage: delete existing files before saving new one
-                this.deleteExistingAssets(type);
+                // Reject templates that would produce broken quotations
+                let templateValidation = null;
+                if (type === 'template') {
+                    templateValidation = this.quotationAPI.validateTemplate(fs.readFileSync(file.path, 'utf8'));
+                    if (!templateValidation.valid) {
+                        fs.unlinkSync(file.path);
+                        console.log(`❌ Template rejected: ${file.originalname} (${templateValidation.errors.length} errors)`);
+                        return res.status(400).json({
+                            success: false,
+                            error: `Template has ${templateValidation.errors.length} error(s): ${templateValidation.errors[0].message}`,
+                            validation: templateValidation,
+                            timestamp: new Date().toISOString()
+                        });
+                    }
+                }
+                
+                // Enforce single-file storage for logo/signature; templates are a library picked per quotation
+                if (type !== 'template') {
+                    this.deleteExistingAssets(type);
+                }
                 
                 // Move file from temp to correct directory
                 const finalPath = this.moveAssetToCorrectDirectory(file, type);
@@ -822,7 +1129,8 @@ class UnifiedSSEServer {
                         originalName: file.originalname,
                         type: type,
                         size: file.size,
-                        path: finalPath
+                        path: finalPath,
+                        ...(templateValidation && { validation: templateValidation })
                     },
                     timestamp: new Date().toISOString()
                 });
@@ -1298,28 +1606,31 @@ class UnifiedSSEServer {
                 });
             }
             
-            // Ensure the filename is safe and in generated directory
-            const safeFilename = path.basename(filename);
-            const filePath = path.join(__dirname, 'assets', 'generated', safeFilename);
+            // Edits are saved as a new revision of the current, unsent HTML document
+            const saved = await this.quotationAPI.saveEditedQuotation(filename, html);
             
-            // Write the HTML content to file
-            fs.writeFileSync(filePath, html, 'utf8');
-            
-            console.log(`💾 Quotation saved: ${safeFilename}`);
+            console.log(`💾 Quotation saved: ${saved.filename} (${saved.revision.label})`);
             
             // Broadcast save notification to UI
             this.broadcastToAllClients({
                 type: 'quotation_saved',
                 data: {
-                    filename: safeFilename,
+                    filename: saved.filename,
+                    base_filename: saved.base_filename,
+                    pdf_filename: saved.pdf_filename,
+                    revision: saved.revision,
                     timestamp: new Date().toISOString()
                 }
             });
+            this.broadcastQuotationStatus(this.quotationAPI.getQuotationStatus(saved.base_filename));
             
             res.json({
                 success: true,
-                filename: safeFilename,
-                message: 'Quotation saved successfully'
+                filename: saved.filename,
+                base_filename: saved.base_filename,
+                pdf_filename: saved.pdf_filename,
+                revision: saved.revision,
+                message: `Quotation saved as ${saved.revision.label}`
             });
             
             // AUTO-SYNC: Update latest.json after quotation save
@@ -1327,7 +1638,9 @@ class UnifiedSSEServer {
             
         } catch (error) {
             console.error('❌ Error saving quotation:', error);
-            res.status(500).json({
+            const status = error.message.includes('not found') ? 404 :
+                /cannot be edited|Only quotation HTML/.test(error.message) ? 400 : 500;
+            res.status(status).json({
                 success: false,
                 error: 'Failed to save quotation: ' + error.message
             });
@@ -1444,48 +1757,25 @@ class UnifiedSSEServer {
 
 
     // =========================================================================
-    // 📊 SESSION MANAGEMENT HANDLERS
+    // 🔎 QUOTATION LISTING HANDLERS
     // =========================================================================
-    
+
     /**
-     * Get session data for debugging and monitoring
+     * List quotations matching the query string filters
      */
-    handleGetSession(req, res) {
+    handleListQuotations(req, res) {
         try {
-            const sessionId = req.params.sessionId;
-            const session = this.activeSessions.get(sessionId);
-            
-            if (!session) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Session not found',
-                    session_id: sessionId,
-                    timestamp: new Date().toISOString()
-                });
-            }
-            
-            // Convert Map to Object for JSON response
-            const modules = {};
-            session.modules.forEach((moduleData, moduleId) => {
-                modules[moduleId] = moduleData;
-            });
+            const result = this.quotationAPI.listQuotations(req.query || {});
             
             res.json({
                 success: true,
-                data: {
-                    session_id: sessionId,
-                    status: session.status,
-                    modules: modules,
-                    created_at: session.createdAt,
-                    last_update: session.lastUpdate,
-                    total_modules: session.modules.size
-                },
+                ...result,
                 timestamp: new Date().toISOString()
             });
             
         } catch (error) {
-            console.error('❌ Get session error:', error);
-            res.status(500).json({
+            console.error('❌ Error listing quotations:', error);
+            res.status(400).json({
                 success: false,
                 error: error.message,
                 timestamp: new Date().toISOString()
@@ -1494,33 +1784,21 @@ class UnifiedSSEServer {
     }
 
     /**
-     * Get all active sessions for monitoring
+     * Search quotation items by part number, maker, description or specifications
      */
-    handleGetSessions(req, res) {
+    handleSearchQuotationItems(req, res) {
         try {
-            const sessions = [];
-            this.activeSessions.forEach((session, sessionId) => {
-                sessions.push({
-                    id: sessionId,
-                    status: session.status,
-                    modules_count: session.modules.size,
-                    created_at: session.createdAt,
-                    last_update: session.lastUpdate
-                });
-            });
+            const result = this.quotationAPI.searchQuotationItems(req.query || {});
             
             res.json({
                 success: true,
-                data: {
-                    total_sessions: sessions.length,
-                    sessions: sessions
-                },
+                ...result,
                 timestamp: new Date().toISOString()
             });
             
         } catch (error) {
-            console.error('❌ Get sessions error:', error);
-            res.status(500).json({
+            console.error('❌ Error searching quotation items:', error);
+            res.status(400).json({
                 success: false,
                 error: error.message,
                 timestamp: new Date().toISOString()
@@ -1529,69 +1807,23 @@ class UnifiedSSEServer {
     }
 
     // =========================================================================
-    // 🏥 HEALTH AND MONITORING HANDLERS
+    // 📦 PRODUCT CATALOG HANDLERS
     // =========================================================================
     
     /**
-     * Health check endpoint for monitoring systems
-     */
-    handleHealthCheck(req, res) {
-        const uptime = Date.now() - this.stats.serverStartTime.getTime();
-        const memoryUsage = process.memoryUsage();
-        
-        res.json({
-            status: 'healthy',
-            timestamp: new Date().toISOString(),
-            uptime_ms: uptime,
-            uptime_human: this.formatUptime(uptime),
-            connected_clients: this.sseClients.size,
-            active_sessions: this.activeSessions.size,
-            memory_usage_mb: {
-                rss: Math.round(memoryUsage.rss / 1024 / 1024),
-                heap_used: Math.round(memoryUsage.heapUsed / 1024 / 1024),
-                heap_total: Math.round(memoryUsage.heapTotal / 1024 / 1024)
-            },
-            system_stats: this.stats
-        });
-    }
-
-    /**
-     * Detailed system statistics endpoint
+     * List quoted parts, optionally filtered by part number, maker or description
      */
-    handleSystemStats(req, res) {
+    handleListProducts(req, res) {
         try {
-            const uptime = Date.now() - this.stats.serverStartTime.getTime();
-            
+            const products = this.quotationAPI.listProducts({ search: req.query.search, limit: req.query.limit });
             res.json({
                 success: true,
-                data: {
-                    server_info: {
-                        start_time: this.stats.serverStartTime,
-                        uptime_ms: uptime,
-                        uptime_human: this.formatUptime(uptime),
-                        node_version: process.version,
-                        platform: process.platform
-                    },
-                    connections: {
-                        current_sse_clients: this.sseClients.size,
-                        total_connections: this.stats.totalConnections
-                    },
-                    sessions: {
-                        active_sessions: this.activeSessions.size,
-                        total_module_steps: this.moduleSteps.size
-                    },
-                    workflows: {
-                        active_workflows: this.stats.activeWorkflows,
-                        completed_today: this.stats.completedToday,
-                        total_processed: this.stats.totalProcessed
-                    },
-                    memory: process.memoryUsage()
-                },
+                products,
+                count: products.length,
                 timestamp: new Date().toISOString()
             });
-            
         } catch (error) {
-            console.error('❌ System stats error:', error);
+            console.error('❌ Error listing products:', error);
             res.status(500).json({
                 success: false,
                 error: error.message,
@@ -1599,28 +1831,1184 @@ class UnifiedSSEServer {
             });
         }
     }
-
-
-    // =========================================================================
-    // 🛠️ UTILITY FUNCTIONS
-    // =========================================================================
     
     /**
-     * Check if port is available before starting server
+     * Get one part with its quote history
      */
-    async checkPortAvailable(port) {
-        return new Promise((resolve) => {
-            const net = require('net');
-            const tester = net.createServer()
-                .once('error', (err) => {
-                    if (err.code === 'EADDRINUSE') {
-                        resolve(false);
-                    } else {
-                        resolve(true);
-                    }
-                })
-                .once('listening', () => {
-                    tester.once('close', () => resolve(true)).close();
+    handleGetProduct(req, res) {
+        try {
+            const product = this.quotationAPI.getProduct(req.params.key);
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Product not found: ${req.params.key}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            res.json({
+                success: true,
+                product,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error reading product:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Last quote of each item of the quotation sent in the body
+     */
+    handleGetLastQuotedPrices(req, res) {
+        try {
+            const result = this.quotationAPI.getLastQuotedPrices(req.body?.quotation_data);
+            res.json({
+                success: true,
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error looking up last quoted prices:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // =========================================================================
+    // 🔢 QUOTATION REVISION HANDLERS
+    // =========================================================================
+    
+    /**
+     * List all revisions recorded for a quotation
+     */
+    handleListRevisions(req, res) {
+        try {
+            const baseFilename = path.basename(req.params.baseFilename);
+            const revisions = this.quotationAPI.listQuotationRevisions(baseFilename);
+            
+            if (!revisions) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Quotation not found: ${baseFilename}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            res.json({
+                success: true,
+                ...revisions,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error listing revisions:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Fetch a single revision with its data snapshot
+     */
+    handleGetRevision(req, res) {
+        try {
+            const baseFilename = path.basename(req.params.baseFilename);
+            const revision = this.quotationAPI.getQuotationRevision(baseFilename, req.params.revision);
+            
+            if (!revision) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Revision ${req.params.revision} not found for ${baseFilename}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            res.json({
+                success: true,
+                base_filename: baseFilename,
+                revision: revision,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error fetching revision:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Mark a revision as the one sent to the customer
+     */
+    handleMarkRevisionSent(req, res) {
+        try {
+            const baseFilename = path.basename(req.params.baseFilename);
+            const { sent_by, note } = req.body || {};
+            const revision = this.quotationAPI.markQuotationRevisionSent(baseFilename, req.params.revision, { sent_by, note });
+            
+            this.broadcastToAllClients({
+                type: 'quotation_revision_sent',
+                data: {
+                    base_filename: baseFilename,
+                    revision: revision,
+                    timestamp: new Date().toISOString()
+                }
+            });
+            this.broadcastQuotationStatus(this.quotationAPI.getQuotationStatus(baseFilename));
+            
+            res.json({
+                success: true,
+                base_filename: baseFilename,
+                revision: revision,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error marking revision as sent:', error);
+            res.status(error.message.includes('not found') ? 404 : error.message.includes('Cannot move') ? 400 : 500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Compare two revisions of a quotation
+     */
+    handleDiffRevisions(req, res) {
+        try {
+            const baseFilename = path.basename(req.params.baseFilename);
+            const diff = this.quotationAPI.diffQuotationRevisions(baseFilename, req.query.from, req.query.to);
+            
+            res.json({
+                success: true,
+                diff: diff,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error comparing revisions:', error);
+            res.status(error.message.includes('not found') || error.message.includes('missing') ? 404 : 500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // =========================================================================
+    // 🚦 QUOTATION LIFECYCLE HANDLERS
+    // =========================================================================
+
+    /**
+     * Get the status and status history of a quotation
+     */
+    handleGetQuotationStatus(req, res) {
+        try {
+            const baseFilename = path.basename(req.params.baseFilename);
+            const status = this.quotationAPI.getQuotationStatus(baseFilename);
+            
+            if (!status) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Quotation not found: ${baseFilename}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            res.json({
+                success: true,
+                ...status,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error reading quotation status:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Move a quotation to sent, accepted, rejected or expired
+     */
+    handleChangeQuotationStatus(req, res) {
+        try {
+            const baseFilename = path.basename(req.params.baseFilename);
+            const { status, by, note, revision } = req.body || {};
+            
+            if (!status) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'status is required',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const result = this.quotationAPI.changeQuotationStatus(baseFilename, status, { by, note, revision });
+            this.broadcastQuotationStatus(result);
+            
+            res.json({
+                success: true,
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error changing quotation status:', error);
+            res.status(error.message.includes('not found') ? 404 : 400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Expire sent quotations past their validity date and tell connected clients
+     */
+    expireOverdueQuotations() {
+        try {
+            const expired = this.quotationAPI.expireOverdueQuotations();
+            expired.forEach(status => this.broadcastQuotationStatus(status));
+            if (expired.length > 0) {
+                console.log(`⌛ Expired ${expired.length} quotation(s) past their validity date`);
+            }
+        } catch (error) {
+            console.error('❌ Error expiring quotations:', error);
+        }
+    }
+
+    /**
+     * Broadcast a quotation status change to all clients
+     * @param {Object|null} status - Status summary from the quotation API
+     */
+    broadcastQuotationStatus(status) {
+        if (!status) {
+            return;
+        }
+        this.broadcastToAllClients({
+            type: 'quotation_status_changed',
+            data: {
+                ...status,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    // =========================================================================
+    // 💱 EXCHANGE RATE HANDLERS
+    // =========================================================================
+    
+    /**
+     * List stored exchange rates, optionally for one pair
+     */
+    handleListExchangeRates(req, res) {
+        try {
+            const rates = this.quotationAPI.listExchangeRates({ from: req.query.from, to: req.query.to });
+            
+            res.json({
+                success: true,
+                rates: rates,
+                total: rates.length,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error listing exchange rates:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Look up the rate of a currency pair effective on a date
+     */
+    handleGetExchangeRate(req, res) {
+        try {
+            const rate = this.quotationAPI.getExchangeRate(req.params.from, req.params.to, req.query.date || null);
+            
+            if (!rate) {
+                return res.status(404).json({
+                    success: false,
+                    error: `No exchange rate for ${req.params.from.toUpperCase()} → ${req.params.to.toUpperCase()}${req.query.date ? ` on ${req.query.date}` : ''}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            res.json({
+                success: true,
+                rate: rate,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error looking up exchange rate:', error);
+            res.status(error.message.includes('required') || error.message.includes('Invalid') ? 400 : 500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Import exchange rates from a CSV body or a JSON payload
+     */
+    handleImportExchangeRates(req, res) {
+        try {
+            let content;
+            let options;
+            if (typeof req.body === 'string') {
+                content = req.body;
+                options = { format: 'csv', source: req.query.source };
+            } else {
+                const { format, content: bodyContent, rates, source } = req.body || {};
+                content = rates || bodyContent;
+                options = { format: rates ? 'json' : format, source };
+            }
+            
+            if (!content || (typeof content === 'string' && content.trim() === '')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Send CSV text, or JSON with "rates" or "content"',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const summary = this.quotationAPI.importExchangeRates(content, options);
+            
+            this.broadcastToAllClients({
+                type: 'exchange_rates_updated',
+                data: {
+                    imported: summary.imported,
+                    updated: summary.updated,
+                    timestamp: new Date().toISOString()
+                }
+            });
+            
+            res.json({
+                success: true,
+                ...summary,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error importing exchange rates:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // =========================================================================
+    // 🏷️ SUPPLIER PRICE LIST HANDLERS
+    // =========================================================================
+    
+    /**
+     * List imported supplier price lists
+     */
+    handleListSupplierPriceLists(req, res) {
+        try {
+            const lists = this.quotationAPI.listSupplierPriceLists({ supplier: req.query.supplier });
+            res.json({
+                success: true,
+                price_lists: lists,
+                count: lists.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error listing supplier price lists:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Get one price list with its lines
+     */
+    handleGetSupplierPriceList(req, res) {
+        const list = this.quotationAPI.getSupplierPriceList(req.params.listId);
+        if (!list) {
+            return res.status(404).json({
+                success: false,
+                error: `Price list not found: ${req.params.listId}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        res.json({
+            success: true,
+            price_list: list,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Look up the price-list cost of a part
+     */
+    handleFindSupplierPrice(req, res) {
+        try {
+            const price = this.quotationAPI.findSupplierPrice(req.query);
+            if (!price) {
+                return res.status(404).json({
+                    success: false,
+                    error: `No valid price list has part ${req.query.part}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            res.json({
+                success: true,
+                price,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Import a supplier price list from a CSV or XLSX body, or a JSON payload
+     */
+    async handleImportSupplierPriceList(req, res) {
+        try {
+            let content;
+            let options;
+            if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+                content = req.body;
+                options = {
+                    ...req.query,
+                    format: Buffer.isBuffer(req.body) ? 'xlsx' : 'csv'
+                };
+            } else {
+                const { content: bodyContent, lines, ...bodyOptions } = req.body || {};
+                content = lines || bodyContent;
+                options = { ...bodyOptions, format: lines ? 'json' : bodyOptions.format };
+            }
+            
+            if (!content || content.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Send CSV text, an XLSX file, or JSON with "lines" or "content"',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const summary = await this.quotationAPI.importSupplierPriceList(content, options);
+            
+            this.broadcastToAllClients({
+                type: 'supplier_price_lists_updated',
+                data: {
+                    change: 'imported',
+                    list: summary.list,
+                    timestamp: new Date().toISOString()
+                }
+            });
+            
+            res.status(201).json({
+                success: true,
+                ...summary,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error importing supplier price list:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Remove a supplier price list
+     */
+    handleDeleteSupplierPriceList(req, res) {
+        try {
+            const list = this.quotationAPI.deleteSupplierPriceList(req.params.listId);
+            
+            this.broadcastToAllClients({
+                type: 'supplier_price_lists_updated',
+                data: {
+                    change: 'deleted',
+                    list,
+                    timestamp: new Date().toISOString()
+                }
+            });
+            
+            res.json({
+                success: true,
+                price_list: list,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            res.status(error.message.includes('not found') ? 404 : 400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // =========================================================================
+    // 🏭 SUPPLIER OFFER HANDLERS
+    // =========================================================================
+    
+    /**
+     * Price the candidate supplier offers of each item side by side
+     */
+    handleCompareSupplierOffers(req, res) {
+        try {
+            const { quotation_data: quotationData, pricing_variables: pricingVariables } = req.body || {};
+            if (!quotationData) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'quotation_data is required',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const comparison = this.quotationAPI.compareSupplierOffers(quotationData, pricingVariables || {});
+            res.json({
+                success: true,
+                ...comparison,
+                count: comparison.items.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // =========================================================================
+    // 🛡️ MARGIN APPROVAL HANDLERS
+    // =========================================================================
+    
+    /**
+     * List margin approval requests, optionally filtered by status
+     */
+    handleListApprovals(req, res) {
+        try {
+            const approvals = this.quotationAPI.listQuotationApprovals(req.query.status || null);
+            
+            res.json({
+                success: true,
+                approvals: approvals,
+                total: approvals.length,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error listing approvals:', error);
+            res.status(error.message.includes('must be one of') ? 400 : 500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Get the approval state of one quotation
+     */
+    handleGetApproval(req, res) {
+        try {
+            const baseFilename = path.basename(req.params.baseFilename);
+            const approval = this.quotationAPI.getQuotationApproval(baseFilename);
+            
+            if (!approval) {
+                return res.status(404).json({
+                    success: false,
+                    error: `No approval request found for ${baseFilename}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            res.json({
+                success: true,
+                approval: approval,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error getting approval:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Approve or reject a quotation held back by the margin guardrails
+     */
+    async handleDecideApproval(req, res) {
+        try {
+            const baseFilename = path.basename(req.params.baseFilename);
+            const { approved, approved_by, note } = req.body || {};
+            
+            if (typeof approved !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'approved must be true or false',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const result = await this.quotationAPI.decideQuotationApproval(baseFilename, { approved, approved_by, note });
+            
+            this.broadcastToAllClients({
+                type: 'quotation_approval',
+                data: {
+                    base_filename: baseFilename,
+                    approval: result.approval,
+                    documents_generated: !!result.generated_files?.html,
+                    timestamp: new Date().toISOString()
+                }
+            });
+            this.broadcastQuotationStatus(this.quotationAPI.getQuotationStatus(baseFilename));
+            
+            res.json({
+                success: true,
+                approval: result.approval,
+                generated_files: result.generated_files,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error deciding approval:', error);
+            const status = error.message.includes('No approval request') ? 404 :
+                error.message.includes('required') ? 400 : 500;
+            res.status(status).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // =========================================================================
+    // 🧩 PRICING FORMULA HANDLERS
+    // =========================================================================
+    
+    /**
+     * List configured pricing formulas with their step expressions
+     */
+    handleListPricingFormulas(req, res) {
+        try {
+            res.json({
+                success: true,
+                ...this.quotationAPI.listPricingFormulas(),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error listing pricing formulas:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // =========================================================================
+    // 🗂️ DOCUMENT TEMPLATE HANDLERS
+    // =========================================================================
+    
+    /**
+     * List document templates with the global and per-customer defaults
+     */
+    handleListTemplates(req, res) {
+        try {
+            res.json({
+                success: true,
+                ...this.quotationAPI.listTemplates(),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error listing templates:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Set the global default template, or a customer's default when customer_name is given
+     */
+    handleSetDefaultTemplate(req, res) {
+        try {
+            const { template = null, customer_name: customerName = null } = req.body || {};
+            const defaults = this.quotationAPI.setDefaultTemplate(template, customerName);
+            
+            this.broadcastToAllClients({
+                type: 'template_defaults_updated',
+                data: { template, customer_name: customerName, ...defaults }
+            });
+            
+            res.json({
+                success: true,
+                ...defaults,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error setting default template:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Validate template HTML sent in the request body
+     */
+    handleValidateTemplate(req, res) {
+        try {
+            const { content } = req.body || {};
+            if (typeof content !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'content (template HTML) is required',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            res.json({
+                success: true,
+                validation: this.quotationAPI.validateTemplate(content),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error validating template:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Validate a stored template
+     */
+    handleValidateStoredTemplate(req, res) {
+        try {
+            const { template, ...validation } = this.quotationAPI.validateStoredTemplate(req.params.name);
+            res.json({
+                success: true,
+                template,
+                validation,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error validating template:', error);
+            res.status(error.message.includes('not found') ? 404 : 500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * List the configured document languages
+     */
+    handleListDocumentLocales(req, res) {
+        try {
+            res.json({
+                success: true,
+                ...this.quotationAPI.listLocales(),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error listing document locales:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Render a stored template with sample data and return the HTML
+     */
+    handlePreviewTemplate(req, res) {
+        try {
+            const { template, html } = this.quotationAPI.previewTemplate(req.params.name);
+            console.log(`👁️ Template preview: ${template}`);
+            res.type('html').send(html);
+        } catch (error) {
+            console.error('❌ Error previewing template:', error);
+            res.status(error.message.includes('not found') ? 404 : 422).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // =========================================================================
+    // 📜 QUOTATION TERMS HANDLERS
+    // =========================================================================
+    
+    /**
+     * Get the global and per-customer default terms
+     */
+    handleGetTermDefaults(req, res) {
+        try {
+            res.json({
+                success: true,
+                ...this.quotationAPI.getTermDefaults(),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error reading default terms:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Set the global default terms, or a customer's defaults when customer_name is given
+     */
+    handleSetDefaultTerms(req, res) {
+        try {
+            const { terms = null, customer_name: customerName = null } = req.body || {};
+            const defaults = this.quotationAPI.setDefaultTerms(terms, customerName);
+            
+            this.broadcastToAllClients({
+                type: 'term_defaults_updated',
+                data: { customer_name: customerName, ...defaults }
+            });
+            
+            res.json({
+                success: true,
+                ...defaults,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error setting default terms:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // =========================================================================
+    // 👥 CUSTOMER DIRECTORY HANDLERS
+    // =========================================================================
+    
+    /**
+     * List customers, optionally filtered by name, alias or contact
+     */
+    handleListCustomers(req, res) {
+        try {
+            const customers = this.quotationAPI.listCustomers({ search: req.query.search });
+            res.json({
+                success: true,
+                customers,
+                count: customers.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error listing customers:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Get one customer
+     */
+    handleGetCustomer(req, res) {
+        const customer = this.quotationAPI.getCustomer(req.params.customerId);
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                error: `Customer not found: ${req.params.customerId}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        res.json({
+            success: true,
+            customer,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Add a customer
+     */
+    handleCreateCustomer(req, res) {
+        this.respondWithCustomerChange(res, 'created', () => this.quotationAPI.createCustomer(req.body), 201);
+    }
+    
+    /**
+     * Replace the fields given on a customer
+     */
+    handleUpdateCustomer(req, res) {
+        this.respondWithCustomerChange(res, 'updated', () => this.quotationAPI.updateCustomer(req.params.customerId, req.body));
+    }
+    
+    /**
+     * Remove a customer
+     */
+    handleDeleteCustomer(req, res) {
+        this.respondWithCustomerChange(res, 'deleted', () => this.quotationAPI.deleteCustomer(req.params.customerId));
+    }
+    
+    /**
+     * Run a directory change, tell connected clients and answer with the customer
+     */
+    respondWithCustomerChange(res, change, apply, successStatus = 200) {
+        try {
+            const customer = apply();
+            
+            this.broadcastToAllClients({
+                type: 'customers_updated',
+                data: { change, customer_id: customer.id, company_name: customer.company_name }
+            });
+            
+            res.status(successStatus).json({
+                success: true,
+                customer,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`❌ Error (customer ${change}):`, error);
+            res.status(error.message.includes('not found') && !error.message.startsWith('Template') ? 404 : 400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // =========================================================================
+    // 📊 SESSION MANAGEMENT HANDLERS
+    // =========================================================================
+    
+    /**
+     * Get session data for debugging and monitoring
+     */
+    handleGetSession(req, res) {
+        try {
+            const sessionId = req.params.sessionId;
+            const session = this.activeSessions.get(sessionId);
+            
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found',
+                    session_id: sessionId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            // Convert Map to Object for JSON response
+            const modules = {};
+            session.modules.forEach((moduleData, moduleId) => {
+                modules[moduleId] = moduleData;
+            });
+            
+            res.json({
+                success: true,
+                data: {
+                    session_id: sessionId,
+                    status: session.status,
+                    modules: modules,
+                    created_at: session.createdAt,
+                    last_update: session.lastUpdate,
+                    total_modules: session.modules.size
+                },
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Get session error:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Get all active sessions for monitoring
+     */
+    handleGetSessions(req, res) {
+        try {
+            const sessions = [];
+            this.activeSessions.forEach((session, sessionId) => {
+                sessions.push({
+                    id: sessionId,
+                    status: session.status,
+                    modules_count: session.modules.size,
+                    created_at: session.createdAt,
+                    last_update: session.lastUpdate
+                });
+            });
+            
+            res.json({
+                success: true,
+                data: {
+                    total_sessions: sessions.length,
+                    sessions: sessions
+                },
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Get sessions error:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // =========================================================================
+    // 🏥 HEALTH AND MONITORING HANDLERS
+    // =========================================================================
+    
+    /**
+     * Health check endpoint for monitoring systems
+     */
+    handleHealthCheck(req, res) {
+        const uptime = Date.now() - this.stats.serverStartTime.getTime();
+        const memoryUsage = process.memoryUsage();
+        
+        res.json({
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            uptime_ms: uptime,
+            uptime_human: this.formatUptime(uptime),
+            connected_clients: this.sseClients.size,
+            active_sessions: this.activeSessions.size,
+            memory_usage_mb: {
+                rss: Math.round(memoryUsage.rss / 1024 / 1024),
+                heap_used: Math.round(memoryUsage.heapUsed / 1024 / 1024),
+                heap_total: Math.round(memoryUsage.heapTotal / 1024 / 1024)
+            },
+            system_stats: this.stats
+        });
+    }
+
+    /**
+     * Detailed system statistics endpoint
+     */
+    handleSystemStats(req, res) {
+        try {
+            const uptime = Date.now() - this.stats.serverStartTime.getTime();
+            
+            res.json({
+                success: true,
+                data: {
+                    server_info: {
+                        start_time: this.stats.serverStartTime,
+                        uptime_ms: uptime,
+                        uptime_human: this.formatUptime(uptime),
+                        node_version: process.version,
+                        platform: process.platform
+                    },
+                    connections: {
+                        current_sse_clients: this.sseClients.size,
+                        total_connections: this.stats.totalConnections
+                    },
+                    sessions: {
+                        active_sessions: this.activeSessions.size,
+                        total_module_steps: this.moduleSteps.size
+                    },
+                    workflows: {
+                        active_workflows: this.stats.activeWorkflows,
+                        completed_today: this.stats.completedToday,
+                        total_processed: this.stats.totalProcessed
+                    },
+                    memory: process.memoryUsage()
+                },
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ System stats error:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+
+    // =========================================================================
+    // 🛠️ UTILITY FUNCTIONS
+    // =========================================================================
+    
+    /**
+     * Check if port is available before starting server
+     */
+    async checkPortAvailable(port) {
+        return new Promise((resolve) => {
+            const net = require('net');
+            const tester = net.createServer()
+                .once('error', (err) => {
+                    if (err.code === 'EADDRINUSE') {
+                        resolve(false);
+                    } else {
+                        resolve(true);
+                    }
+                })
+                .once('listening', () => {
+                    tester.once('close', () => resolve(true)).close();
                 })
                 .listen(port, '127.0.0.1');
         });
@@ -1945,6 +3333,21 @@ class UnifiedSSEServer {
                     console.log(`📨 Make.com Webhooks: ${baseUrl}/module-update`);
                     console.log(`🎯 Quotation API: ${baseUrl}/api/quotation-generation`);
                     console.log(`💾 Save Quotation: ${baseUrl}/api/save-quotation`);
+                    console.log(`🔢 Revisions: ${baseUrl}/api/quotations/:baseFilename/revisions`);
+                    console.log(`🧩 Pricing Formulas: ${baseUrl}/api/pricing-formulas`);
+                    console.log(`🗂️ Document Templates: ${baseUrl}/api/templates`);
+                    console.log(`👁️ Template Preview: ${baseUrl}/api/templates/:name/preview`);
+                    console.log(`🌐 Document Languages: ${baseUrl}/api/document-locales`);
+                    console.log(`📜 Quotation Terms: ${baseUrl}/api/terms`);
+                    console.log(`👥 Customers: ${baseUrl}/api/customers`);
+                    console.log(`🛡️ Margin Approvals: ${baseUrl}/api/approvals`);
+                    console.log(`🔎 Quotation Search: ${baseUrl}/api/quotations`);
+                    console.log(`🔍 Item Search: ${baseUrl}/api/search?q=`);
+                    console.log(`📦 Product Catalog: ${baseUrl}/api/products`);
+                    console.log(`🏷️ Supplier Price Lists: ${baseUrl}/api/supplier-price-lists`);
+                    console.log(`🏭 Supplier Offers: ${baseUrl}/api/supplier-offers/compare`);
+                    console.log(`🚦 Quotation Status: ${baseUrl}/api/quotations/:baseFilename/status`);
+                    console.log(`💱 Exchange Rates: ${baseUrl}/api/exchange-rates`);
                     console.log(`🔄 Workflow Complete: ${baseUrl}/workflow-complete`);
                     console.log(`📤 File Upload: ${baseUrl}/upload-asset`);
                     console.log(`🌐 Main Dashboard: ${baseUrl}`);
@@ -1997,7 +3400,7 @@ class UnifiedSSEServer {
             }, 5000); // Force shutdown after 5 seconds
             
             let shutdownSteps = 0;
-            const totalSteps = 3;
+            const totalSteps = 4;
             
             const checkComplete = () => {
                 shutdownSteps++;
@@ -2039,7 +3442,13 @@ class UnifiedSSEServer {
             this.httpConnections.clear();
             checkComplete();
             
-            // Step 3: Close HTTP server
+            // Step 3: Close the shared PDF browser
+            console.log('📕 Closing PDF browser...');
+            this.quotationAPI.documentGenerator.close()
+                .catch(error => console.error('❌ Error closing PDF browser:', error.message))
+                .finally(checkComplete);
+            
+            // Step 4: Close HTTP server
             console.log('🖥️ Closing HTTP server...');
             if (this.server) {
                 this.server.close((err) => {
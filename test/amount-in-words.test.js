@@ -0,0 +1,37 @@
+// =============================================
+// 🧪 AMOUNT IN WORDS - VIETNAMESE AND ENGLISH
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AmountInWords } = require('../utils/amount-in-words');
+const { QuotationGenerationAPI } = require('../api/quotation-generation');
+
+const words = new AmountInWords();
+
+test('VND totals are written in Vietnamese', () => {
+    assert.equal(words.format(69005000, 'VND'), 'Sáu mươi chín triệu không trăm lẻ năm nghìn đồng');
+    assert.equal(words.format(1010, 'VND'), 'Một nghìn không trăm mười đồng');
+    assert.equal(words.format(115, 'VND'), 'Một trăm mười lăm đồng');
+    assert.equal(words.format(21, 'VND'), 'Hai mươi mốt đồng');
+    assert.equal(words.format(1000000000, 'VND'), 'Một tỷ đồng');
+    assert.equal(words.format(2000000000000, 'VND'), 'Hai nghìn tỷ đồng');
+    assert.equal(words.format(0, 'VND'), 'Không đồng');
+});
+
+test('other currencies are written in English with cents', () => {
+    assert.equal(words.format(1234.15, 'USD'), 'One thousand two hundred thirty-four US dollars and fifteen cents');
+    assert.equal(words.format('1000001', 'USD'), 'One million one US dollars');
+    assert.equal(words.format(1, 'EUR'), 'One euro');
+    assert.equal(words.format(0.01, 'usd'), 'Zero US dollars and one cent');
+    assert.equal(words.format(-2.5, 'USD'), 'Minus two US dollars and fifty cents');
+    // Rounded to the currency's decimals first, so nothing is left to sign
+    assert.equal(words.format(-0.001, 'USD'), 'Zero US dollars');
+    assert.equal(words.format(100, 'USD', { language: 'vi' }), 'Một trăm USD');
+});
+
+test('documents spell numeric totals only', () => {
+    const api = new QuotationGenerationAPI();
+    assert.equal(api.spellAmount(1234.5, 'USD'), 'One thousand two hundred thirty-four US dollars and fifty cents');
+    assert.equal(api.spellAmount(5000, 'VND'), 'Năm nghìn đồng');
+    assert.equal(api.spellAmount('N/A', 'VND'), '');
+});
@@ -0,0 +1,57 @@
+// =============================================
+// 🧪 CURRENCY ROUNDING - PER-CURRENCY MONEY STEPS
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QuotationPriceCalculations } = require('../utils/quotation_price_calculations');
+
+const calculator = new QuotationPriceCalculations();
+
+const round = (amount, rounding, step) => calculator.roundMoney(amount, rounding, step).toNumber();
+
+test('VND rounds prices to the nearest 1,000 with a 1,000 minimum', () => {
+    const rounding = calculator.resolveRoundingRules({ target_currency: 'VND' });
+
+    assert.deepEqual([rounding.precision, rounding.increment, rounding.minimum_price], [0, 1000, 1000]);
+    assert.equal(round(37983330, rounding, 'unit_price'), 37983000);
+    assert.equal(round(20083500, rounding, 'ext_price'), 20084000);
+    assert.equal(round(120, rounding, 'unit_price'), 1000);
+    assert.equal(round(0, rounding, 'unit_price'), 0);
+});
+
+test('other currencies round at their precision with the configured modes', () => {
+    const usd = calculator.resolveRoundingRules({ target_currency: 'usd' });
+    assert.deepEqual([usd.currency, usd.precision, usd.increment, usd.minimum_price], ['USD', 2, null, 0]);
+    assert.equal(round(10.005, usd, 'unit_price'), 10.01);
+
+    const bankers = calculator.resolveRoundingRules({ target_currency: 'USD', rounding: { unit_price: 'half_even' } });
+    assert.equal(round(10.005, bankers, 'unit_price'), 10);
+    assert.equal(round(10.015, bankers, 'unit_price'), 10.02);
+    assert.equal(round(10.005, bankers, 'ext_price'), 10.01);
+});
+
+test('ceil_1000 rounds VND up to the next thousand', () => {
+    const rounding = calculator.resolveRoundingRules({ target_currency: 'VND', rounding: { unit_price: 'ceil_1000' } });
+    assert.equal(round(37983001, rounding, 'unit_price'), 37984000);
+    assert.equal(round(37983000, rounding, 'unit_price'), 37983000);
+    assert.equal(calculator.getRoundingUnit(rounding, 'unit_price'), 1000);
+});
+
+test('ceil_1000 and unknown modes are rejected where they do not apply', () => {
+    assert.throws(() => calculator.resolveRoundingRules({ target_currency: 'USD', rounding: { unit_price: 'ceil_1000' } }),
+        /"ceil_1000" for unit_price is only available for VND quotations \(currency is USD\)/);
+    assert.throws(() => calculator.resolveRoundingRules({ target_currency: 'JPY', rounding: { subtotal: 'ceil_1000' } }), /only available for VND/);
+    assert.throws(() => calculator.resolveRoundingRules({ rounding: { unit_price: 'nearest' } }), /Invalid rounding mode "nearest" for unit_price/);
+});
+
+test('a USD quotation is priced at cent precision end to end', () => {
+    const quotation = {
+        target_currency: 'USD',
+        quotation_items: [{ item_no: '1', currency_code: 'USD', company_requirement: { description: 'Seal', qty: 3 }, bidder_proposal: { unit_price: 10.01 } }]
+    };
+    const result = calculator.calculateQuotationPricing(quotation, { shipping_cost: 0, tax_rate: 1, exchange_rate: 1, profit_rate: 1.5 });
+
+    assert.equal(result.calculation_success, true);
+    assert.equal(result.processed_items[0].sales_unit_price, 15.02);
+    assert.equal(result.processed_items[0].ext_price, 45.06);
+});
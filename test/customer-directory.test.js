@@ -0,0 +1,100 @@
+// =============================================
+// 🧪 CUSTOMER DIRECTORY - REUSABLE CUSTOMER PROFILES
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CustomerDirectory } = require('../utils/customer-directory');
+const { QuotationGenerationAPI } = require('../api/quotation-generation');
+
+const tempDirectory = () => new CustomerDirectory(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'customers-')), 'customers.json'));
+
+const industrialMotors = {
+    company_name: ' Industrial Motors Inc. ',
+    aliases: ['IMI', 'Industrial Motors Inc.'],
+    contacts: [{ name: 'Lan Nguyen', email: 'LAN@imi.example', phone: '0901' }, { name: '' }],
+    addresses: ['12 Le Loi, District 1'],
+    default_currency: 'usd',
+    default_pricing_variables: { profit_rate: '1.3' }
+};
+
+test('customers are stored under stable IDs with cleaned fields', () => {
+    const directory = tempDirectory();
+    const customer = directory.create(industrialMotors);
+
+    assert.match(customer.id, /^cus_[0-9a-f]{10}$/);
+    assert.deepEqual([customer.company_name, customer.aliases, customer.default_currency, customer.source],
+        ['Industrial Motors Inc.', ['IMI'], 'USD', 'manual']);
+    assert.deepEqual(customer.contacts, [{ name: 'Lan Nguyen', email: 'lan@imi.example', phone: '0901', role: '' }]);
+    assert.deepEqual(customer.addresses, [{ label: '', address: '12 Le Loi, District 1' }]);
+    assert.deepEqual(customer.default_pricing_variables, { profit_rate: 1.3 });
+
+    const renamed = directory.update(customer.id, { company_name: 'IMI Vietnam', aliases: ['Industrial Motors Inc'] });
+    assert.deepEqual([renamed.id, renamed.company_name, renamed.default_currency], [customer.id, 'IMI Vietnam', 'USD']);
+    assert.deepEqual(directory.list({ search: 'lan' }).map(entry => entry.id), [customer.id]);
+
+    directory.remove(customer.id);
+    assert.equal(directory.get(customer.id), null);
+    ['constructor', '__proto__'].forEach(id => {
+        assert.equal(directory.get(id), null);
+        assert.throws(() => directory.update(id, { notes: 'x' }), /Customer not found/);
+        assert.throws(() => directory.remove(id), /Customer not found/);
+    });
+});
+
+test('invalid fields and clashing names are rejected', () => {
+    const directory = tempDirectory();
+    directory.create(industrialMotors);
+
+    assert.throws(() => directory.create({ company_name: 'industrial motors inc' }), /already uses this name or alias/);
+    assert.throws(() => directory.create({ company_name: 'Beta', aliases: ['imi'] }), /already uses this name or alias/);
+    assert.throws(() => directory.create({ company_name: '  ' }), /company_name is required/);
+    assert.throws(() => directory.create({ company_name: 'Beta', contacts: [{ email: 'not-an-email' }] }), /contacts\[0\]\.email is not a valid email address/);
+    assert.throws(() => directory.create({ company_name: 'Beta', default_currency: 'dong' }), /3-letter currency code/);
+    assert.throws(() => directory.create({ company_name: 'Beta', default_pricing_variables: { margin: 1 } }), /margin is not a pricing variable/);
+    assert.throws(() => directory.create({ company_name: 'Beta', addresses: [{ label: 'HQ' }] }), /addresses\[0\]\.address is required/);
+});
+
+test('incoming customer_info matches by ID, name, alias or email', () => {
+    const directory = tempDirectory();
+    const customer = directory.create(industrialMotors);
+
+    assert.equal(directory.match({ customer_id: customer.id }).matched_by, 'id');
+    assert.equal(directory.match({ company_name: 'INDUSTRIAL MOTORS INC' }).matched_by, 'name');
+    assert.equal(directory.match({ company_name: ' imi ' }).matched_by, 'alias');
+    assert.equal(directory.match({ company_name: 'Someone else', email: ' Lan@IMI.example ' }).matched_by, 'email');
+    assert.equal(directory.match({ company_name: 'Someone else' }), null);
+    assert.throws(() => directory.match({ customer_id: 'cus_missing' }), /Customer not found: cus_missing/);
+
+    const linked = directory.link({ company_name: 'Công ty Đông Á', contact_person: 'Minh', address: 'Da Nang' }, { create: true });
+    assert.deepEqual([linked.created, linked.customer.source, linked.customer.addresses[0].address], [true, 'quotation', 'Da Nang']);
+    assert.equal(directory.match({ company_name: 'cong ty dong a' }).customer.id, linked.customer.id);
+});
+
+test('generation files quotations under the customer record and applies its defaults', () => {
+    const api = new QuotationGenerationAPI();
+    api.customerDirectory = tempDirectory();
+    const customer = api.customerDirectory.create(industrialMotors);
+
+    const normalized = api.normalizeQuotationData({
+        quotation_data: { rfq_reference: 'RFQ-9', customer_info: { company_name: 'industrial motors inc', email: '' }, quotation_items: [] }
+    }, { createCustomer: true });
+    assert.deepEqual(normalized.quotation_data.customer_info, {
+        company_name: 'Industrial Motors Inc.',
+        email: 'lan@imi.example',
+        customer_id: customer.id,
+        contact_person: 'Lan Nguyen',
+        phone: '0901',
+        address: '12 Le Loi, District 1'
+    });
+    assert.equal(normalized.quotation_data.target_currency, 'USD');
+    assert.deepEqual(normalized.pricing_variables, { profit_rate: 1.3 });
+
+    // Both spellings of the company file under one name
+    const filename = (companyName) => api.generateQuotationFilename(api.normalizeQuotationData({
+        quotation_data: { rfq_reference: 'RFQ-9', customer_info: { company_name: companyName }, quotation_items: [] }
+    }).quotation_data);
+    assert.equal(filename('Industrial Motors Inc'), filename('Industrial Motors Inc.'));
+});
@@ -0,0 +1,171 @@
+// =============================================
+// 🧪 DOCUMENT GENERATOR - PDF / EXCEL EXPORT
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const ExcelJS = require('exceljs');
+const { DocumentGenerator } = require('../utils/document-generator');
+const { QuotationPriceCalculations } = require('../utils/quotation_price_calculations');
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'document-generator-'));
+
+// Stand-in for a puppeteer Browser that records what each page was asked to do
+const fakeBrowser = () => {
+    const browser = new EventEmitter();
+    browser.connected = true;
+    browser.pages = [];
+    browser.newPage = async () => {
+        const page = new EventEmitter();
+        page.calls = [];
+        page.setJavaScriptEnabled = async (enabled) => page.calls.push(['javascript', enabled]);
+        page.setRequestInterception = async (enabled) => page.calls.push(['interception', enabled]);
+        page.emulateMediaType = async () => {};
+        page.setContent = async (html) => page.calls.push(['content', html]);
+        page.pdf = async () => Buffer.from('%PDF-1.4 /Type /Page\n/Type /Pages');
+        page.close = async () => { page.closed = true; };
+        browser.pages.push(page);
+        return page;
+    };
+    browser.close = async () => { browser.connected = false; browser.emit('disconnected'); };
+    return browser;
+};
+
+const stubbedGenerator = (options) => {
+    const generator = new DocumentGenerator(options);
+    generator.launches = [];
+    generator.launchBrowser = async () => {
+        const browser = fakeBrowser();
+        generator.launches.push(browser);
+        return browser;
+    };
+    return generator;
+};
+
+test('PDFs reuse one browser and close each page', async () => {
+    const generator = stubbedGenerator();
+    const [first] = await Promise.all([
+        generator.generatePdf('<p>One</p>', path.join(outputDir, 'one.pdf')),
+        generator.generatePdf('<p>Two</p>', path.join(outputDir, 'two.pdf'))
+    ]);
+    await generator.generatePdf('<p>Three</p>', path.join(outputDir, 'three.pdf'));
+
+    assert.equal(generator.launches.length, 1);
+    assert.equal(generator.launches[0].pages.length, 3);
+    assert.ok(generator.launches[0].pages.every(page => page.closed));
+    assert.deepEqual([first.pages, first.size > 0], [1, true]);
+    assert.ok(fs.existsSync(path.join(outputDir, 'three.pdf')));
+
+    // A browser that went away is relaunched on the next render
+    await generator.launches[0].close();
+    await generator.generatePdf('<p>Four</p>', path.join(outputDir, 'four.pdf'));
+    assert.equal(generator.launches.length, 2);
+    await generator.close();
+    assert.equal(generator.launches[1].connected, false);
+});
+
+test('pages render without scripts and only data URLs load', async () => {
+    const generator = stubbedGenerator();
+    await generator.generatePdf('<img src="https://example.com/x.png"><script>1</script>', path.join(outputDir, 'blocked.pdf'));
+    const [page] = generator.launches[0].pages;
+
+    assert.deepEqual(page.calls.slice(0, 2), [['javascript', false], ['interception', true]]);
+    const decisions = ['https://example.com/x.png', 'file:///etc/passwd', 'data:image/png;base64,AAAA', 'about:blank'].map(url => {
+        let decision = null;
+        page.emit('request', { url: () => url, continue: () => { decision = 'continue'; }, abort: () => { decision = 'abort'; } });
+        return decision;
+    });
+    assert.deepEqual(decisions, ['abort', 'abort', 'continue', 'continue']);
+});
+
+test('the Chrome sandbox stays on unless noSandbox is configured', async () => {
+    const puppeteer = require('puppeteer');
+    const originalLaunch = puppeteer.launch;
+    const launches = [];
+    puppeteer.launch = async (options) => {
+        launches.push(options.args);
+        return fakeBrowser();
+    };
+    try {
+        await new DocumentGenerator().launchBrowser();
+        await new DocumentGenerator({ noSandbox: true }).launchBrowser();
+    } finally {
+        puppeteer.launch = originalLaunch;
+    }
+    assert.equal(launches[0].includes('--no-sandbox'), false);
+    assert.ok(launches[1].includes('--no-sandbox'));
+});
+
+test('a failed launch is reported and retried on the next render', async () => {
+    const generator = new DocumentGenerator();
+    let attempts = 0;
+    generator.launchBrowser = async () => {
+        attempts++;
+        throw new Error('Could not find Chrome');
+    };
+    await assert.rejects(generator.generatePdf('<p>x</p>', path.join(outputDir, 'failed.pdf')), /Could not find Chrome/);
+    await assert.rejects(generator.generatePdf('<p>x</p>', path.join(outputDir, 'failed.pdf')), /Could not find Chrome/);
+    assert.equal(attempts, 2);
+    assert.equal(fs.existsSync(path.join(outputDir, 'failed.pdf')), false);
+});
+
+// Price a one-item quotation, export it and read the sheet back by header name (header row 8)
+const exportWorkbook = async (quotationData, variables, filename) => {
+    const calculator = new QuotationPriceCalculations();
+    const pricing = calculator.calculateQuotationPricing(quotationData, variables);
+    const outputPath = path.join(outputDir, filename);
+    await new DocumentGenerator().generateExcel(quotationData, pricing, outputPath, calculator.calculationRules);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(outputPath);
+    const sheet = workbook.getWorksheet('Quotation');
+    const columns = {};
+    sheet.getRow(8).eachCell((cell, column) => { columns[String(cell.value).toLowerCase()] = column; });
+    const cell = (rowNumber, header) => sheet.getRow(rowNumber).getCell(columns[header]);
+    return { pricing, sheet, cell };
+};
+
+test('the workbook keeps live formulas with the calculated values cached', async () => {
+    const quotationData = {
+        rfq_reference: 'RFQ-XLSX',
+        customer_info: { company_name: 'Acme' },
+        quotation_items: [{ item_no: '1', company_requirement: { description: 'Motor', qty: 3, uom: 'PC', model_part_number: 'M-1', maker_origin: 'ABB' }, bidder_proposal: { unit_price: 1000000 } }]
+    };
+    const { pricing, sheet, cell } = await exportWorkbook(quotationData, { shipping_cost: 50000, tax_rate: 1.1, exchange_rate: 1, profit_rate: 1.25 }, 'quotation.xlsx');
+    const [item] = pricing.processed_items;
+
+    assert.equal(sheet.getCell('B2').value, 'RFQ-XLSX');
+    assert.deepEqual(['item no.', 'model/part no.', 'qty', 'unit price'].map(header => cell(9, header).value), ['1', 'M-1', 3, 1000000]);
+
+    ['actual unit price', 'profit unit price', 'ext price', 'potential profit'].forEach(header => {
+        assert.equal(typeof cell(9, header).formula, 'string', header);
+    });
+    assert.equal(cell(9, 'actual unit price').result, item.actual_unit_price);
+    assert.equal(cell(9, 'profit unit price').result, item.profit_unit_price);
+    assert.equal(cell(9, 'ext price').result, item.ext_price);
+    assert.equal(cell(9, 'potential profit').result, item.potential_profit);
+    assert.ok(cell(9, 'ext price').formula.includes(cell(9, 'qty').address), 'ext price multiplies by the Qty cell');
+    assert.ok(cell(9, 'profit unit price').formula.includes(cell(9, 'profit rate').address), 'profit step reads the Profit Rate cell');
+
+    // Subtotal two rows below the last item
+    assert.equal(cell(11, 'ext price').result, pricing.pricing_summary.subtotal);
+    assert.match(cell(11, 'ext price').formula, /SUM/);
+});
+
+test('half-even rounding in the workbook tolerates binary float error', async () => {
+    const quotationData = {
+        target_currency: 'USD',
+        rounding: { unit_price: 'half_even', ext_price: 'half_even' },
+        quotation_items: [{ item_no: '1', currency_code: 'USD', company_requirement: { description: 'Seal', qty: 2 }, bidder_proposal: { unit_price: 10.03 } }]
+    };
+    const { cell } = await exportWorkbook(quotationData, { shipping_cost: 0, tax_rate: 1, exchange_rate: 1, profit_rate: 1.5 }, 'half-even.xlsx');
+
+    // 15.045 is 1504.4999… cents in binary, so an exact =0.5 test would miss the half
+    const quoted = cell(9, 'quoted unit price');
+    assert.equal(quoted.result, 15.04);
+    assert.match(quoted.formula, /^IF\(ABS\(MOD\(ABS\([A-Z]+9\)\*10\^\$B\$5,2\)-0\.5\)<1E-9,ROUNDDOWN\(/);
+    assert.equal(cell(9, 'ext price').result, 30.08);
+});
@@ -0,0 +1,69 @@
+// =============================================
+// 🧪 DOCUMENT LOCALE - QUOTATION LANGUAGES
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DocumentLocale } = require('../utils/document-locale');
+const { QuotationGenerationAPI } = require('../api/quotation-generation');
+
+const locales = new DocumentLocale();
+
+test('locale codes match on their language and unknown ones are rejected', () => {
+    assert.equal(locales.resolve({}).code, 'vi');
+    assert.equal(locales.resolve({}).intl_locale, 'vi-VN');
+    assert.equal(locales.resolve({ locale: 'en-GB' }).code, 'en');
+    assert.equal(locales.resolve({ locale: 'EN_us', secondary_locale: 'vi-VN' }).secondary.code, 'vi');
+    assert.equal(locales.resolve({ locale: 'vi', secondary_locale: 'vi' }).secondary, null);
+    assert.throws(() => locales.resolve({ locale: 'fr' }), /Document locale "fr" is not supported. Available: vi, en/);
+    assert.throws(() => locales.resolve({ locale: 'constructor' }), /is not supported/);
+});
+
+test('dates follow the locale and missing labels fall back to English', () => {
+    const vi = locales.resolve({ locale: 'vi' });
+    const en = locales.resolve({ locale: 'en' });
+    assert.equal(locales.formatDate('2026-03-05', vi), '05/03/2026');
+    assert.equal(locales.formatDate('2026-03-05', en), 'Mar 05, 2026');
+
+    const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'document-locales-')), 'document-locales.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        default_locale: 'de',
+        locales: {
+            en: { name: 'English', labels: { quotation_title: 'QUOTATION', date: 'Date' } },
+            de: { name: 'Deutsch', intl_locale: 'de-DE', labels: { quotation_title: 'ANGEBOT' }, vat_categories: { vat_10: 'MwSt. 10%' } }
+        }
+    }));
+    const de = new DocumentLocale(configPath).resolve({});
+    assert.deepEqual(de.labels, { quotation_title: 'ANGEBOT', date: 'Date' });
+    assert.equal(new DocumentLocale(configPath).vatLabel({ category: 'vat_10', label: 'VAT 10%' }, de), 'MwSt. 10%');
+    assert.equal(new DocumentLocale(configPath).vatLabel({ category: 'vat_8', label: 'VAT 8%' }, de), 'VAT 8%');
+});
+
+test('documents switch labels, number format and amount in words, or show both languages', () => {
+    const api = new QuotationGenerationAPI();
+    const context = (extra) => {
+        const quotationData = {
+            rfq_reference: 'RFQ-1',
+            customer_info: { company_name: 'Acme' },
+            quotation_items: [{ item_no: '1', company_requirement: { description: 'Motor', qty: 2 }, bidder_proposal: { unit_price: 1234000 } }],
+            ...extra
+        };
+        const pricing = api.priceCalculator.calculateQuotationPricing(quotationData, { shipping_cost: 0, tax_rate: 1, exchange_rate: 1, profit_rate: 1 });
+        return api.buildTemplateContext({ quotationData, input: {} }, pricing, '');
+    };
+
+    const vi = context({});
+    assert.deepEqual([vi.total_amount, vi.total_amount_in_words, String(vi.labels.quotation_title)],
+        ['2.468.000', 'Hai triệu bốn trăm sáu mươi tám nghìn đồng', 'BẢNG BÁO GIÁ']);
+
+    const en = context({ locale: 'en-US' });
+    assert.deepEqual([en.total_amount, en.total_amount_in_words, String(en.labels.quotation_title)],
+        ['2,468,000', 'Two million four hundred sixty-eight thousand Vietnamese dong', 'QUOTATION']);
+
+    const dual = context({ locale: 'vi', secondary_locale: 'en' });
+    assert.equal(String(dual.labels.quotation_title), 'BẢNG BÁO GIÁ <span class="label-secondary">/ QUOTATION</span>');
+    assert.equal(dual.total_amount_in_words_secondary, en.total_amount_in_words);
+    assert.equal(dual.locale.secondary_code, 'en');
+});
@@ -0,0 +1,92 @@
+// =============================================
+// 🧪 EXCHANGE RATE STORE - DATED RATE HISTORY
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExchangeRateStore } = require('../utils/exchange-rate-store');
+const { QuotationPriceCalculations } = require('../utils/quotation_price_calculations');
+
+const tempStore = () => new ExchangeRateStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'exchange-rates-')), 'exchange-rates.json'));
+
+const csv = [
+    'Base,Quote,Rate,Date,Source',
+    'usd,VND,"25,000",2025-01-01,bank',
+    'USD,VND,25400,2025-06-01,bank',
+    'EUR;VND;27000;2025-03-01;',
+    'USD,VND,0,2025-07-01,bank',
+    'USD,USD,1,2025-07-01,bank',
+    'USD,VND,25500,2025-02-30,bank'
+].join('\n');
+
+test('CSV and JSON imports validate rows and replace a pair on the same date', () => {
+    const store = tempStore();
+    const summary = store.importRates(csv);
+
+    assert.deepEqual([summary.format, summary.imported, summary.updated, summary.skipped], ['csv', 3, 0, 3]);
+    assert.deepEqual(summary.errors, [
+        { row: 5, error: 'Invalid rate: 0' },
+        { row: 6, error: 'USD to USD needs no rate' },
+        { row: 7, error: 'Invalid effective date: 2025-02-30' }
+    ]);
+    assert.equal(store.listRates({ from: 'eur' })[0].source, 'csv_import');
+
+    const json = store.importRates({ rates: [{ from_currency: 'USD', to_currency: 'VND', exchange_rate: 25100, effective_date: '2025-01-01' }] }, { source: 'treasury' });
+    assert.deepEqual([json.format, json.imported, json.updated], ['json', 0, 1]);
+    assert.deepEqual(store.listRates({ from: 'USD', to: 'VND' }).map(rate => [rate.effective_date, rate.rate, rate.source]), [
+        ['2025-06-01', 25400, 'bank'],
+        ['2025-01-01', 25100, 'treasury']
+    ]);
+    assert.throws(() => store.importRates('{"rate": 1}'), /must be an array of rates/);
+});
+
+test('the rate on a date is the newest one effective on or before it', () => {
+    const store = tempStore();
+    store.importRates(csv);
+
+    assert.equal(store.getRate('USD', 'VND', '2025-05-31').rate, 25000);
+    assert.deepEqual(store.getRate('USD', 'VND', new Date('2025-06-01T08:00:00Z')), {
+        from: 'USD', to: 'VND', rate: 25400, effective_date: '2025-06-01', source: 'bank', lookup_date: '2025-06-01', method: 'direct'
+    });
+    assert.equal(store.getRate('USD', 'VND', '2024-12-31'), null);
+
+    const inverse = store.getRate('VND', 'EUR', '2025-03-01');
+    assert.deepEqual([inverse.method, inverse.rate], ['inverse', 1 / 27000]);
+    assert.deepEqual([store.getRate('jpy', 'JPY').method, store.getRate('JPY', 'JPY').rate], ['identity', 1]);
+    assert.throws(() => store.getRate('USD', 'VND', 'not a date'), /Invalid date/);
+    assert.throws(() => store.getRate('US', 'VND'), /Both currencies are required/);
+});
+
+test('pricing defaults the exchange rate from the table and records it', () => {
+    const calculator = new QuotationPriceCalculations();
+    calculator.exchangeRates = tempStore();
+    calculator.exchangeRates.importRates(csv);
+
+    const quotationData = {
+        quotation_date: '2025-06-15',
+        quotation_items: [
+            { item_no: '1', currency_code: 'USD', company_requirement: { description: 'Motor', qty: 1 }, bidder_proposal: { unit_price: 10 } },
+            { item_no: '2', company_requirement: { description: 'Cable', qty: 1 }, bidder_proposal: { unit_price: 50000 } }
+        ]
+    };
+    const result = calculator.calculateQuotationPricing(quotationData, { shipping_cost: 0, tax_rate: 1, profit_rate: 1 });
+    const [motor, cable] = result.processed_items;
+
+    assert.equal(motor.exchange_rate_applied, 25400);
+    assert.equal(motor.sales_unit_price, 254000);
+    assert.deepEqual(motor.exchange_rate_info, {
+        from: 'USD', to: 'VND', rate: 25400, rate_date: '2025-06-15', effective_date: '2025-06-01', source: 'rate_table', table_rate: 25400
+    });
+    assert.equal(cable.exchange_rate_info.source, 'same_currency');
+    assert.equal(result.calculation_metadata.exchange_rate_date, '2025-06-15');
+    assert.deepEqual(result.calculation_metadata.exchange_rates.map(rate => [rate.from, rate.rate, rate.source, rate.items]), [
+        ['USD', 25400, 'rate_table', ['1']],
+        ['VND', 1, 'same_currency', ['2']]
+    ]);
+
+    // A rate typed in for the quotation wins over the table
+    const typed = calculator.calculateQuotationPricing(quotationData, { shipping_cost: 0, tax_rate: 1, profit_rate: 1, exchange_rate: 26000 });
+    assert.deepEqual([typed.processed_items[0].exchange_rate_info.source, typed.processed_items[0].exchange_rate_info.table_rate], ['pricing_variables', 25400]);
+});
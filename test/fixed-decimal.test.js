@@ -0,0 +1,65 @@
+// =============================================
+// 🧪 FIXED DECIMAL - EXACT MONEY ARITHMETIC
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FixedDecimal } = require('../utils/fixed-decimal');
+
+const decimal = (value) => FixedDecimal.from(value);
+
+test('arithmetic is exact where binary floats drift', () => {
+    assert.equal(decimal(0.1).add(0.2).toString(), '0.3');
+    assert.equal(decimal(1.1).mul(3).toString(), '3.3');
+    assert.equal(decimal(957).mul(27000).toString(), '25839000');
+    assert.equal(decimal('1e3').toString(), '1000');
+    assert.equal(decimal('-0.000001').toString(), '-0.000001');
+    assert.equal(decimal(1).div(3).toString(), '0.333333333333333333');
+    assert.equal(decimal(2).pow(10).toString(), '1024');
+    assert.throws(() => decimal(1).div(0), /Division by zero/);
+    assert.throws(() => decimal('12abc'), /Invalid decimal value/);
+    assert.throws(() => decimal(Infinity), /Cannot convert/);
+});
+
+test('round() applies each mode to positive and negative halves', () => {
+    const cases = [
+        // [value, places, mode, expected]
+        ['2.5', 0, 'half_up', '3'],
+        ['-2.5', 0, 'half_up', '-3'],
+        ['2.4', 0, 'half_up', '2'],
+        ['2.5', 0, 'half_even', '2'],
+        ['3.5', 0, 'half_even', '4'],
+        ['-2.5', 0, 'half_even', '-2'],
+        ['2.51', 0, 'half_even', '3'],
+        ['2.1', 0, 'ceil', '3'],
+        ['-2.1', 0, 'ceil', '-2'],
+        ['2.9', 0, 'floor', '2'],
+        ['-2.1', 0, 'floor', '-3'],
+        ['1.005', 2, 'half_up', '1.01'],
+        ['1.005', 2, 'half_even', '1'],
+        ['1.015', 2, 'half_even', '1.02'],
+        ['37983330', -3, 'half_up', '37983000'],
+        ['1500', -3, 'ceil', '2000'],
+        ['7', 2, 'half_up', '7']
+    ];
+    cases.forEach(([value, places, mode, expected]) => {
+        assert.equal(decimal(value).round(places, mode).toString(), expected, `${value} round(${places}, ${mode})`);
+    });
+    assert.throws(() => decimal('2.5').round(0, 'nearest'), /Unknown rounding mode/);
+});
+
+test('roundToIncrement() rounds to multiples of the step', () => {
+    assert.equal(decimal(37983330).roundToIncrement(1000, 'half_up').toString(), '37983000');
+    assert.equal(decimal(20083500).roundToIncrement(1000, 'half_up').toString(), '20084000');
+    assert.equal(decimal(2500).roundToIncrement(1000, 'half_even').toString(), '2000');
+    assert.equal(decimal(3500).roundToIncrement(1000, 'half_even').toString(), '4000');
+    assert.equal(decimal('1.23').roundToIncrement('0.05', 'half_up').toString(), '1.25');
+    assert.equal(decimal(1001).roundToIncrement(1000, 'ceil').toString(), '2000');
+    assert.throws(() => decimal(1).roundToIncrement(0), /must be positive/);
+});
+
+test('toFixed() pads to the requested places', () => {
+    assert.equal(decimal('24035.5').toFixed(2), '24035.50');
+    assert.equal(decimal('0.125').toFixed(2), '0.13');
+    assert.equal(decimal('-3').toFixed(0), '-3');
+    assert.equal(decimal('24035.5').toNumber(), 24035.5);
+});
@@ -0,0 +1,91 @@
+// =============================================
+// 🧪 FORMULA ENGINE - SANDBOXED PRICING EXPRESSIONS
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FormulaEngine } = require('../utils/formula-engine');
+const { QuotationPriceCalculations } = require('../utils/quotation_price_calculations');
+
+const engine = new FormulaEngine();
+
+test('expressions follow operator precedence and the whitelisted functions', () => {
+    assert.equal(engine.evaluate('2 + 3 * 4 ^ 2'), 50);
+    assert.equal(engine.evaluate('-(2 + 3) * 2'), -10);
+    assert.equal(engine.evaluate('max(a, b) - min(a, b)', { a: 3, b: 10 }), 7);
+    assert.equal(engine.evaluate('round(2.345, 2)'), 2.35);
+    assert.equal(engine.evaluate('12 × 2 ÷ 3'), 8);
+    // if() only evaluates the branch it takes
+    assert.equal(engine.evaluate('if(qty >= 10, 5, 1 / 0)', { qty: 12 }), 5);
+    assert.equal(engine.evaluateDecimal('0.1 + 0.2').toString(), '0.3');
+    assert.deepEqual(engine.getVariables('unit_price * (1 + duty_rate) + unit_price'), ['unit_price', 'duty_rate']);
+});
+
+test('unsafe or unsupported syntax is rejected before anything runs', () => {
+    const rejected = [
+        ['process.exit(1)', /Unexpected character "\."/],
+        ['constructor.constructor("return process")()', /Unexpected character "\."/],
+        ['require("fs")', /Unexpected character """/],
+        ['unit_price; 1', /Unexpected character ";"/],
+        ['total = 1', /Unexpected character "="/],
+        ['prices[0]', /Unexpected character "\["/],
+        ['`${unit_price}`', /Unexpected character "`"/],
+        ['constructor(1)', /Unknown function "constructor"/],
+        ['toString()', /Unknown function "toString"/],
+        ['eval(1)', /Unknown function "eval"/],
+        ['min()', /called with 0 argument/],
+        ['(1 + 2', /Expected "\)"/],
+        ['1 2', /Unexpected "2"/],
+        ['', /non-empty string/],
+        ['1+'.repeat(300) + '1', /exceeds 500 characters/]
+    ];
+    rejected.forEach(([expression, message]) => {
+        assert.throws(() => engine.parse(expression), message, expression);
+    });
+});
+
+test('variables come from the scope only, never from its prototype', () => {
+    assert.throws(() => engine.evaluate('__proto__', {}), /Unknown variable "__proto__"/);
+    assert.throws(() => engine.evaluate('toString + 1', {}), /Unknown variable "toString"/);
+    assert.throws(() => engine.evaluateDecimal('hasOwnProperty', {}), /Unknown variable "hasOwnProperty"/);
+    assert.throws(() => engine.evaluate('price * 2', { price: 'abc' }), /not a valid number/);
+    assert.throws(() => engine.evaluate('1 / zero', { zero: 0 }), /Division by zero/);
+});
+
+test('calculateItemPricing reports the trace of the formula steps it priced with', () => {
+    const calculator = new QuotationPriceCalculations();
+    const rounding = calculator.resolveRoundingRules({});
+    const item = {
+        item_no: '1',
+        company_requirement: { description: 'High Efficiency Motor 10HP', qty: 3 },
+        bidder_proposal: { unit_price: 850 }
+    };
+    const variables = { shipping_cost: 20, tax_rate: 1.1, exchange_rate: 27000, profit_rate: 1.5, discount_rate: 0.02 };
+
+    ['standard', 'duty_before_tax'].forEach(formulaId => {
+        const formula = calculator.getPricingFormula(formulaId);
+        const result = calculator.calculateItemPricing(item, variables, formula, rounding);
+
+        // Re-run every step straight through the engine
+        const scope = { ...calculator.buildFormulaScope(formula, 850, 3, variables).scope };
+        const expected = formula.steps.map((step, index) => {
+            scope[step.name] = engine.evaluateDecimal(step.expression, scope);
+            return { step: index + 1, name: step.name, label: step.label || step.name, expression: step.expression, value: scope[step.name].toNumber() };
+        });
+        assert.deepEqual(result.calculation_trace, expected, formulaId);
+
+        // Quoted prices are the rounded trace values
+        assert.equal(result.sales_unit_price, calculator.roundMoney(scope.sales_unit_price, rounding, 'unit_price').toNumber());
+        assert.equal(result.ext_price, calculator.roundMoney(result.sales_unit_price * 3, rounding, 'ext_price').toNumber());
+        assert.equal(result.formula_id, formulaId);
+    });
+
+    const standard = calculator.calculateItemPricing(item, variables, calculator.getPricingFormula('standard'), rounding);
+    assert.deepEqual(standard.calculation_trace.map(step => [step.name, step.value]), [
+        ['with_shipping', 870],
+        ['with_tax', 957],
+        ['actual_unit_price', 25839000],
+        ['profit_unit_price', 38758500],
+        ['discount_amount', 775170],
+        ['sales_unit_price', 37983330]
+    ]);
+});
@@ -0,0 +1,81 @@
+// =============================================
+// 🧪 ITEM ROLES - OPTIONAL AND ALTERNATIVE LINES
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QuotationPriceCalculations } = require('../utils/quotation_price_calculations');
+
+const calculator = new QuotationPriceCalculations();
+
+// unit_price 100,000 × profit_rate 1.5 = 150,000 per unit, no shipping, tax or exchange effect
+const variables = { shipping_cost: 0, tax_rate: 1, exchange_rate: 1, profit_rate: 1.5 };
+
+const item = (itemNo, qty, extra = {}) => ({
+    item_no: itemNo,
+    company_requirement: { description: `Item ${itemNo}`, qty },
+    bidder_proposal: { unit_price: 100000 },
+    ...extra
+});
+
+test('optional and alternative lines are priced but kept out of subtotal, VAT and grand total', () => {
+    const result = calculator.calculateQuotationPricing({
+        quotation_items: [
+            item('1', 2),
+            item('2', 1),
+            item('3', 1, { item_role: 'optional' }),
+            item('4', 3, { alternative_of: '1' })
+        ]
+    }, variables);
+
+    assert.equal(result.calculation_success, true);
+    assert.deepEqual(result.processed_items.map(line => [line.item_no, line.item_role, line.ext_price]), [
+        ['1', 'standard', 300000],
+        ['2', 'standard', 150000],
+        ['3', 'optional', 150000],
+        ['4', 'alternative', 450000]
+    ]);
+
+    const summary = result.pricing_summary;
+    assert.equal(summary.subtotal, 450000);
+    assert.equal(summary.optional_subtotal, 150000);
+    assert.equal(summary.alternative_subtotal, 450000);
+    assert.equal(summary.vat_amount, 45000);
+    assert.equal(summary.grand_total, 495000);
+    assert.deepEqual(summary.tax_summary.flatMap(group => group.items), ['1', '2']);
+});
+
+test('role subtotals are zero when every line is standard', () => {
+    const result = calculator.calculateQuotationPricing({ quotation_items: [item('1', 1)] }, variables);
+
+    assert.equal(result.pricing_summary.subtotal, 150000);
+    assert.equal(result.pricing_summary.optional_subtotal, 0);
+    assert.equal(result.pricing_summary.alternative_subtotal, 0);
+});
+
+test('alternative_of must name a standard item of the quotation', () => {
+    const missing = calculator.calculateQuotationPricing({
+        quotation_items: [item('1', 1), item('2', 1, { alternative_of: '9' })]
+    }, variables);
+    assert.equal(missing.calculation_success, false);
+    assert.match(missing.error, /^Item 2: alternative_of "9" is not an item of this quotation \(standard items: 1\)/);
+
+    const optionalTarget = calculator.calculateQuotationPricing({
+        quotation_items: [item('1', 1), item('2', 1, { item_role: 'optional' }), item('3', 1, { alternative_of: '2' })]
+    }, variables);
+    assert.equal(optionalTarget.calculation_success, false);
+    assert.match(optionalTarget.error, /^Item 3: alternative_of "2" is an optional item, not a standard item/);
+
+    assert.throws(
+        () => calculator.validateItemRoles([item('1', 1), item('2', 1, { item_role: 'alternative' })]),
+        /Item 2: alternative items need alternative_of/
+    );
+});
+
+test('reverse pricing reports a wrong alternative_of before solving', () => {
+    const result = calculator.calculateReversePricing({
+        quotation_items: [item('1', 1), item('2', 1, { alternative_of: 'X' })]
+    }, variables, { target_total: 200000 });
+
+    assert.equal(result.calculation_success, false);
+    assert.match(result.error, /^Item 2: alternative_of "X"/);
+});
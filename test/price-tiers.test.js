@@ -0,0 +1,65 @@
+// =============================================
+// 🧪 PRICE TIERS - QUANTITY PRICE BREAKS AND TIERED PROFIT RATES
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QuotationPriceCalculations } = require('../utils/quotation_price_calculations');
+
+const calculator = new QuotationPriceCalculations();
+
+const quotation = (qty, extra = {}) => ({
+    quotation_items: [{
+        item_no: '1',
+        company_requirement: { description: 'Valve', qty },
+        bidder_proposal: { unit_price: 100000 },
+        profit_rate_tiers: [{ min_qty: 1, profit_rate: 1.5 }, { min_qty: 50, profit_rate: 1.2 }],
+        ...extra
+    }]
+});
+
+const fixed = { shipping_cost: 0, tax_rate: 1, exchange_rate: 1 };
+const priced = (result) => result.processed_items[0];
+
+test('the tier for the quoted quantity beats a quotation-wide profit rate', () => {
+    const result = calculator.calculateQuotationPricing(quotation(60), { ...fixed, profit_rate: 1.5 });
+
+    assert.equal(result.calculation_success, true);
+    assert.equal(priced(result).sales_unit_price, 120000);
+    assert.equal(priced(result).profit_rate_applied, 1.2);
+});
+
+test('without any profit rate input the tier still applies', () => {
+    assert.equal(priced(calculator.calculateQuotationPricing(quotation(60), fixed)).sales_unit_price, 120000);
+    assert.equal(priced(calculator.calculateQuotationPricing(quotation(10), fixed)).sales_unit_price, 150000);
+    // Below the first threshold the first tier applies
+    assert.equal(priced(calculator.calculateQuotationPricing(quotation(0.5), fixed)).profit_rate_applied, 1.5);
+});
+
+test('a profit rate entered for the item overrides its tiers', () => {
+    const itemInput = { shipping_cost: 10000, tax_rate: 1, exchange_rate: 1 };
+    const result = calculator.calculateQuotationPricing(quotation(60), { 1: { ...itemInput, profit_rate: 1.3 } });
+    assert.equal(priced(result).sales_unit_price, 143000);
+
+    // An empty per-item rate falls back to the tier
+    const empty = calculator.calculateQuotationPricing(quotation(60), { 1: { ...itemInput, profit_rate: '' } });
+    assert.equal(priced(empty).sales_unit_price, 132000);
+});
+
+test('price breaks pick the supplier price for the quantity and fill the tier table', () => {
+    const breaks = { bidder_proposal: { unit_price: 100000, price_breaks: [{ min_qty: 1, unit_price: 100000 }, { min_qty: 50, unit_price: 90000 }] } };
+    const item = priced(calculator.calculateQuotationPricing(quotation(60, breaks), fixed));
+
+    assert.equal(item.sales_unit_price, 108000);
+    assert.deepEqual(item.price_tiers.map(tier => [tier.min_qty, tier.max_qty, tier.unit_cost, tier.profit_rate, tier.sales_unit_price, tier.applied]), [
+        [1, 49, 100000, 1.5, 150000, false],
+        [50, null, 90000, 1.2, 108000, true]
+    ]);
+});
+
+test('malformed tier tables are rejected', () => {
+    const result = calculator.calculateQuotationPricing(quotation(5, { profit_rate_tiers: [{ min_qty: -1, profit_rate: 1.2 }] }), fixed);
+    assert.equal(result.calculation_success, false);
+    assert.match(result.error, /profit_rate_tiers row 1: min_qty must be a number >= 0/);
+    const notArray = calculator.calculateQuotationPricing(quotation(5, { profit_rate_tiers: { 1: 1.5 } }), fixed);
+    assert.match(notArray.error, /must be an array/);
+});
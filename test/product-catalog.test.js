@@ -0,0 +1,85 @@
+// =============================================
+// 🧪 PRODUCT CATALOG - LAST-QUOTED PRICES
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuotationIndex } = require('../utils/quotation-index');
+const { ProductCatalog } = require('../utils/product-catalog');
+
+// Write a priced revision snapshot and record it the way generation does
+const addRevision = (index, baseFilename, customer, issueDate, revision, items) => {
+    const dataFilename = index.getSnapshotFilename(baseFilename, revision);
+    const quotationData = {
+        rfq_reference: `RFQ-${baseFilename}`,
+        customer_info: { company_name: customer },
+        quotation_items: items.map(([partNumber, maker, qty, cost], position) => ({
+            item_no: String(position + 1),
+            company_requirement: { description: `Part ${partNumber}`, model_part_number: partNumber, maker_origin: maker, qty, uom: 'PC' },
+            bidder_proposal: { original_unit_price: cost, unit_price: '' }
+        }))
+    };
+    const calculatedPricing = {
+        pricing_summary: { currency: 'VND' },
+        processed_items: items.map(([, , qty, cost], position) => ({
+            item_no: String(position + 1),
+            sales_unit_price: cost * 1.25,
+            ext_price: cost * 1.25 * qty,
+            profit_rate_applied: 1.25,
+            exchange_rate_applied: 1
+        }))
+    };
+    const snapshot = { revision, saved_at: `${issueDate}T08:00:00.000Z`, terms: { issue_date: issueDate }, quotation_data: quotationData, calculated_pricing: calculatedPricing };
+    fs.writeFileSync(path.join(index.generatedDir, dataFilename), JSON.stringify(snapshot), 'utf8');
+    index.recordRevision(baseFilename, { revision, filename: `${baseFilename}_rev${revision}.html`, data_filename: dataFilename }, quotationData);
+    return dataFilename;
+};
+
+const setup = () => {
+    const index = new QuotationIndex(fs.mkdtempSync(path.join(os.tmpdir(), 'product-catalog-')));
+    addRevision(index, 'quotation_A', 'Acme', '2026-01-10', 0, [['BP-5011-C01', 'DeVilbiss', 2, 100000], ['HEM-10HP', 'Hyosung', 1, 5000000]]);
+    addRevision(index, 'quotation_B', 'Beta', '2026-02-01', 0, [['bp 5011 c01', 'DEVILBISS', 5, 90000]]);
+    return { index, catalog: new ProductCatalog(index.generatedDir, index) };
+};
+
+test('existing snapshots are synced once and quotes are grouped by part number and maker', () => {
+    const { catalog } = setup();
+    assert.deepEqual(catalog.sync(), { recorded: 2 });
+    assert.deepEqual(catalog.sync(), { recorded: 0 });
+
+    const gun = catalog.get('bp5011c01|devilbiss');
+    assert.deepEqual([gun.quote_count, gun.first_quoted_at, gun.last_quoted_at, gun.model_part_number], [2, '2026-01-10', '2026-02-01', 'bp 5011 c01']);
+    assert.deepEqual(gun.quotes.map(quote => [quote.customer_name, quote.qty, quote.supplier_cost, quote.sales_unit_price]), [
+        ['Beta', 5, 90000, 112500],
+        ['Acme', 2, 100000, 125000]
+    ]);
+    assert.equal(gun.quotes[0].pricing_variables.profit_rate, 1.25);
+    assert.equal(catalog.get('constructor'), null);
+
+    assert.deepEqual(catalog.list({ search: 'hyosung' }).map(product => product.key), ['hem10hp|hyosung']);
+    assert.deepEqual(catalog.list().map(product => product.last_quote.base_filename), ['quotation_B', 'quotation_A']);
+});
+
+test('new revisions add quotes once and the item lookup can skip the quotation being priced', () => {
+    const { index, catalog } = setup();
+    catalog.sync();
+    const dataFilename = addRevision(index, 'quotation_B', 'Beta', '2026-02-03', 1, [['BP-5011-C01', 'DeVilbiss', 5, 95000]]);
+    assert.equal(catalog.record('quotation_B', dataFilename), 1);
+    // Recording the same snapshot again keeps one quote per revision and item
+    assert.equal(catalog.record('quotation_B', dataFilename), 1);
+    assert.equal(catalog.get('bp5011c01|devilbiss').quote_count, 3);
+
+    const items = [
+        { item_no: '1', company_requirement: { model_part_number: 'BP5011C01', maker_origin: 'devilbiss' } },
+        { item_no: '2', model_part_number: 'UNKNOWN-1' }
+    ];
+    const [gun, unknown] = catalog.lookup(items);
+    assert.deepEqual([gun.quote_count, gun.last_quote.revision, gun.last_quote.supplier_cost], [3, 1, 95000]);
+    assert.deepEqual([unknown.key, unknown.last_quote, unknown.quote_count], ['unknown1|', null, 0]);
+
+    const elsewhere = catalog.lookup(items, { exclude_base_filename: 'quotation_B' })[0];
+    assert.deepEqual([elsewhere.quote_count, elsewhere.last_quote.customer_name], [1, 'Acme']);
+    assert.equal(catalog.record('quotation_C', 'missing_data.json'), null);
+});
@@ -0,0 +1,81 @@
+// =============================================
+// 🧪 QUOTATION APPROVALS - MARGIN FLOOR SIGN-OFF
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuotationPriceCalculations } = require('../utils/quotation_price_calculations');
+const { QuotationApprovals } = require('../utils/quotation-approvals');
+const { QuotationGenerationAPI } = require('../api/quotation-generation');
+
+const calculator = new QuotationPriceCalculations();
+calculator.marginPolicy = {
+    enabled: true,
+    require_approval: true,
+    global_min_margin_percent: 10,
+    maker_min_margin_percent: { ABB: 12 },
+    customer_min_margin_percent: { 'Acme Ltd': 5 }
+};
+
+const price = (items, customer = 'Beta Co') => calculator.calculateQuotationPricing({
+    customer_info: { company_name: customer },
+    quotation_items: items.map(([maker, profitRate], position) => ({
+        item_no: String(position + 1),
+        company_requirement: { description: 'Motor', qty: 1, maker_origin: maker },
+        bidder_proposal: { unit_price: 100000 }
+    }))
+}, Object.fromEntries(items.map(([, profitRate], position) => [
+    String(position + 1), { shipping_cost: 10000, tax_rate: 1, exchange_rate: 1, profit_rate: profitRate }
+])));
+
+const tempApprovals = () => new QuotationApprovals(fs.mkdtempSync(path.join(os.tmpdir(), 'quotation-approvals-')));
+
+test('items under their margin floor or below cost need approval', () => {
+    const result = price([['Siemens', 1.2], ['Siemens', 1.1], ['ABB', 1.13], ['ABB', 0.9]]);
+    const items = result.processed_items;
+
+    assert.deepEqual(items.map(item => item.margin_floor_source), ['global', 'global', 'maker', 'maker']);
+    assert.deepEqual(items.map(item => item.margin_violation), [null, 'margin_below_floor', 'margin_below_floor', 'below_cost']);
+    assert.equal(items[1].margin_percent, 9.09);
+    assert.deepEqual(result.margin_check, { policy_enabled: true, violations: 3, requires_approval: true });
+
+    // A customer floor beats the maker floor
+    const customer = price([['ABB', 1.1]], 'ACME LTD');
+    assert.equal(customer.processed_items[0].margin_floor_source, 'customer');
+    assert.equal(customer.margin_check.requires_approval, false);
+});
+
+test('an approval covers exactly the pricing that was reviewed', () => {
+    const approvals = tempApprovals();
+    const reviewed = price([['ABB', 1.1]]);
+    const fingerprint = approvals.fingerprintPricing(reviewed);
+
+    approvals.request('quotation_A', { pricing_fingerprint: fingerprint, violations: reviewed.warnings, rfq_reference: 'RFQ-1' });
+    assert.equal(approvals.isApproved('quotation_A', fingerprint), false);
+    assert.deepEqual(approvals.list('pending').map(entry => entry.base_filename), ['quotation_A']);
+
+    const entry = approvals.decide('quotation_A', { approved: true, approved_by: '  Lan  ', note: 'Strategic customer' });
+    assert.deepEqual([entry.status, entry.decided_by, entry.history.map(step => step.status)], ['approved', 'Lan', ['pending', 'approved']]);
+    assert.equal(approvals.isApproved('quotation_A', fingerprint), true);
+
+    // Changing the price afterwards needs a new approval
+    const repriced = approvals.fingerprintPricing(price([['ABB', 1.05]]));
+    assert.notEqual(repriced, fingerprint);
+    assert.equal(approvals.isApproved('quotation_A', repriced), false);
+    assert.equal(approvals.request('quotation_A', { pricing_fingerprint: repriced }).status, 'pending');
+});
+
+test('a decision needs a named approver and an open request', async () => {
+    const api = new QuotationGenerationAPI();
+    api.quotationApprovals = tempApprovals();
+    api.quotationApprovals.request('quotation_A', { pricing_fingerprint: 'abc' });
+
+    for (const approvedBy of [undefined, '', '   ', 42, null]) {
+        await assert.rejects(api.decideQuotationApproval('quotation_A', { approved: true, approved_by: approvedBy }), /approved_by is required/);
+    }
+    assert.equal(api.quotationApprovals.get('quotation_A').status, 'pending');
+    await assert.rejects(api.decideQuotationApproval('quotation_B', { approved: true, approved_by: 'Lan' }), /No approval request found/);
+    assert.throws(() => api.listQuotationApprovals('open'), /status must be one of/);
+});
@@ -0,0 +1,89 @@
+// =============================================
+// 🧪 QUOTATION DIFF - COMPARE TWO REVISIONS
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuotationDiff } = require('../utils/quotation-diff');
+const { QuotationIndex } = require('../utils/quotation-index');
+const { QuotationPriceCalculations } = require('../utils/quotation_price_calculations');
+const { QuotationGenerationAPI } = require('../api/quotation-generation');
+
+const BASE = 'quotation_RFQ-1_ACME';
+const calculator = new QuotationPriceCalculations();
+
+// Price the items and wrap them the way a _data.json snapshot stores them
+const snapshot = (revision, items, variables) => {
+    const quotationData = {
+        rfq_reference: 'RFQ-1',
+        customer_info: { company_name: 'ACME' },
+        quotation_items: items.map(([itemNo, description, qty, unitPrice]) => ({
+            item_no: itemNo,
+            company_requirement: { description, qty },
+            bidder_proposal: { unit_price: unitPrice }
+        }))
+    };
+    return {
+        revision,
+        revision_label: `Rev.${revision}`,
+        quotation_data: quotationData,
+        calculated_pricing: calculator.calculateQuotationPricing(quotationData, variables)
+    };
+};
+
+const variables = { shipping_cost: 10000, tax_rate: 1, exchange_rate: 1, profit_rate: 1.25 };
+const rev0 = snapshot(0, [['1', 'Motor', 2, 100000], ['2', 'Pump', 1, 200000], ['3', 'Valve', 4, 50000]], variables);
+// Per-item input replaces the quotation-wide variables, so every item gets its own entry
+const rev1 = snapshot(1, [['1', 'Motor', 3, 100000], ['3', 'Valve', 4, 50000], ['4', 'Gasket', 10, 2000]], {
+    1: { ...variables, profit_rate: 1.4 },
+    3: variables,
+    4: variables
+});
+
+test('added, removed, changed and unchanged items are reported', () => {
+    const report = new QuotationDiff().diffSnapshots(rev0, rev1);
+
+    assert.deepEqual(report.items_added.map(item => item.item_no), ['4']);
+    assert.deepEqual(report.items_removed.map(item => item.description), ['Pump']);
+    assert.deepEqual(report.items_unchanged, ['3']);
+    assert.deepEqual(report.summary.items_changed, 1);
+
+    const [motor] = report.items_changed;
+    assert.deepEqual(Object.keys(motor.changes).sort(), ['ext_price', 'profit_rate', 'qty', 'sales_unit_price']);
+    assert.deepEqual(motor.changes.qty, { from: 2, to: 3, delta: 1, delta_percent: 50 });
+    assert.deepEqual(motor.changes.profit_rate, { from: 1.25, to: 1.4, delta: 0.15, delta_percent: 12 });
+    assert.equal(motor.changes.sales_unit_price.to, rev1.calculated_pricing.processed_items[0].sales_unit_price);
+
+    const subtotal = report.summary.subtotal;
+    assert.deepEqual([subtotal.from, subtotal.to], [rev0.calculated_pricing.pricing_summary.subtotal, rev1.calculated_pricing.pricing_summary.subtotal]);
+    assert.equal(subtotal.delta, subtotal.to - subtotal.from);
+    assert.equal(report.summary.has_changes, true);
+});
+
+test('identical snapshots have no changes', () => {
+    const report = new QuotationDiff().diffSnapshots(rev0, rev0);
+    assert.equal(report.summary.has_changes, false);
+    assert.deepEqual(report.summary.subtotal.delta, 0);
+    assert.deepEqual(report.items_unchanged, ['1', '2', '3']);
+    assert.throws(() => new QuotationDiff().diffSnapshots(rev0, null), /Both snapshots are required/);
+});
+
+test('the API diffs the current revision against the one before it by default', () => {
+    const api = new QuotationGenerationAPI();
+    api.quotationIndex = new QuotationIndex(fs.mkdtempSync(path.join(os.tmpdir(), 'quotation-diff-')));
+    [rev0, rev1].forEach(data => {
+        const dataFilename = api.quotationIndex.getSnapshotFilename(BASE, data.revision);
+        fs.writeFileSync(path.join(api.quotationIndex.generatedDir, dataFilename), JSON.stringify(data), 'utf8');
+        api.quotationIndex.recordRevision(BASE, { revision: data.revision, filename: `${BASE}_rev${data.revision}.html`, data_filename: dataFilename }, data.quotation_data);
+    });
+
+    const report = api.diffQuotationRevisions(BASE);
+    assert.deepEqual([report.base_filename, report.from.label, report.to.label], [BASE, 'Rev.0', 'Rev.1']);
+    assert.equal(report.summary.items_added, 1);
+
+    assert.equal(api.diffQuotationRevisions(BASE, 1, 0).items_added[0].description, 'Pump');
+    assert.throws(() => api.diffQuotationRevisions(BASE, 0, 7), /Revision 7 not found/);
+    assert.throws(() => api.diffQuotationRevisions('quotation_missing'), /Quotation not found/);
+});
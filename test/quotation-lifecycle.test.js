@@ -0,0 +1,101 @@
+// =============================================
+// 🧪 QUOTATION LIFECYCLE - STATUS TRACKING
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuotationIndex } = require('../utils/quotation-index');
+const { QuotationLifecycle } = require('../utils/quotation-lifecycle');
+
+const BASE = 'quotation_RFQ-1_ACME';
+const quotationData = { rfq_reference: 'RFQ-1', customer_info: { company_name: 'ACME' } };
+
+const setup = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quotation-lifecycle-'));
+    const index = new QuotationIndex(dir);
+    const lifecycle = new QuotationLifecycle(index);
+    const generate = (revision, validUntil = null) => {
+        index.recordRevision(BASE, { revision, filename: `${BASE}_rev${revision}.html`, valid_until: validUntil }, quotationData);
+        return lifecycle.recordRevisionGenerated(BASE, revision);
+    };
+    const send = (revision) => {
+        index.markRevisionSent(BASE, revision);
+        return lifecycle.transition(BASE, 'sent', { revision });
+    };
+    return { dir, index, lifecycle, generate, send };
+};
+
+test('a generated revision is a draft until it is sent', () => {
+    const { lifecycle, generate, send } = setup();
+
+    assert.equal(generate(0).status, 'draft');
+    const sent = send(0);
+    assert.equal(sent.status, 'sent');
+    assert.deepEqual(sent.allowed_transitions, ['accepted', 'rejected', 'expired']);
+
+    // A new revision of a sent quotation reopens it as a draft
+    const revised = generate(1);
+    assert.equal(revised.status, 'draft');
+    assert.deepEqual(revised.status_history.map(entry => [entry.from, entry.status]), [[null, 'draft'], ['draft', 'sent'], ['sent', 'draft']]);
+    assert.equal(lifecycle.describe('unknown'), null);
+});
+
+test('users can only request manual statuses along the transition table', () => {
+    const { lifecycle, generate, send } = setup();
+    generate(0);
+
+    assert.throws(() => lifecycle.assertTransition(BASE, 'accepted'), /Cannot move quotation from draft to accepted/);
+    assert.throws(() => lifecycle.assertTransition(BASE, 'draft'), /set automatically/);
+    assert.throws(() => lifecycle.assertTransition(BASE, 'won'), /status must be one of/);
+    assert.throws(() => lifecycle.assertTransition('missing', 'sent'), /Quotation not found/);
+
+    send(0);
+    assert.equal(lifecycle.transition(BASE, 'accepted', { by: 'sales' }).status, 'accepted');
+    assert.deepEqual(lifecycle.describe(BASE).allowed_transitions, []);
+});
+
+test('an accepted quotation is never regenerated back to draft', () => {
+    const { lifecycle, generate, send } = setup();
+    generate(0);
+    send(0);
+    lifecycle.transition(BASE, 'accepted');
+
+    assert.throws(() => lifecycle.assertCanRegenerate(BASE), /is accepted and cannot be regenerated/);
+    assert.throws(() => lifecycle.recordRevisionGenerated(BASE, 1), /cannot be regenerated/);
+    const described = lifecycle.describe(BASE);
+    assert.equal(described.status, 'accepted');
+    assert.equal(described.status_history.at(-1).status, 'accepted');
+});
+
+test('rejected and expired quotations may be revised as a new draft', () => {
+    const { lifecycle, generate, send } = setup();
+    generate(0);
+    send(0);
+    lifecycle.transition(BASE, 'rejected');
+
+    assert.doesNotThrow(() => lifecycle.assertCanRegenerate(BASE));
+    assert.equal(generate(1).status, 'draft');
+    // Unknown quotations have nothing to protect
+    assert.doesNotThrow(() => lifecycle.assertCanRegenerate('quotation_new'));
+});
+
+test('sent quotations past valid_until expire automatically', () => {
+    const { lifecycle, generate, send } = setup();
+    generate(0, '2025-01-31');
+    send(0);
+
+    assert.deepEqual(lifecycle.expireOverdue(new Date(2025, 0, 31)), []);
+    const expired = lifecycle.expireOverdue(new Date(2025, 1, 1));
+    assert.equal(expired.length, 1);
+    assert.equal(expired[0].status, 'expired');
+    assert.equal(expired[0].status_history.at(-1).automatic, true);
+});
+
+test('entries written before statuses existed read as sent or draft', () => {
+    const { lifecycle } = setup();
+    assert.equal(lifecycle.getStatus({ sent_revision: 2 }), 'sent');
+    assert.equal(lifecycle.getStatus({ sent_revision: null }), 'draft');
+    assert.equal(lifecycle.getStatus({ status: 'rejected', sent_revision: 2 }), 'rejected');
+});
@@ -0,0 +1,110 @@
+// =============================================
+// 🧪 QUOTATION LISTING - FILTERS, SORTING AND CURSORS
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuotationIndex } = require('../utils/quotation-index');
+const { QuotationLifecycle } = require('../utils/quotation-lifecycle');
+const { QuotationListing } = require('../utils/quotation-listing');
+const { QuotationGenerationAPI } = require('../api/quotation-generation');
+
+const tempIndex = () => new QuotationIndex(fs.mkdtempSync(path.join(os.tmpdir(), 'quotation-listing-')));
+
+const entry = (rfq, customer, fields) => ({
+    rfq_reference: rfq,
+    customer_name: customer,
+    filename: `quotation_${rfq}.html`,
+    revisions: [{ revision: 0 }],
+    current_revision: 0,
+    sent_revision: null,
+    makers: [],
+    ...fields
+});
+
+const setup = () => {
+    const index = tempIndex();
+    index.save({
+        quotation_A: entry('RFQ-A', 'Acme Corp', { issue_date: '2025-05-10', currency: 'VND', grand_total: 150000000, makers: ['Siemens'], last_updated: '2025-05-10T08:00:00Z' }),
+        quotation_B: entry('RFQ-B', 'Acme Corp', { issue_date: '2025-06-02', currency: 'VND', grand_total: 80000000, status: 'sent', sent_revision: 0, last_updated: '2025-06-02T08:00:00Z' }),
+        quotation_C: entry('RFQ-C', 'Beta Ltd', { issue_date: '2025-05-20', currency: 'USD', grand_total: 150000000, last_updated: '2025-05-20T08:00:00Z' }),
+        // Written before listing summaries: no issue date or total
+        quotation_D: entry('RFQ-D', 'Beta Ltd', { generated_at: '2025-04-01T08:00:00Z' })
+    });
+    return new QuotationListing(index, new QuotationLifecycle(index));
+};
+
+const names = (result) => result.quotations.map(item => item.base_filename);
+
+test('filters combine customer, date range, totals, currency, maker and status', () => {
+    const listing = setup();
+
+    assert.deepEqual(names(listing.list({ customer: 'acme', date_from: '2025-05-01', date_to: '2025-05-31', total_min: '100000000', currency: 'vnd' })), ['quotation_A']);
+    assert.deepEqual(names(listing.list({ maker: 'siem' })), ['quotation_A']);
+    assert.deepEqual(names(listing.list({ status: 'sent' })), ['quotation_B']);
+    assert.deepEqual(names(listing.list({ status: 'draft,sent', search: 'rfq-b' })), ['quotation_B']);
+    // Entries without a total never match a total filter; without an issue date they use the generation day
+    assert.deepEqual(names(listing.list({ total_max: '100000000' })), ['quotation_B']);
+    assert.deepEqual(names(listing.list({ date_to: '2025-04-30' })), ['quotation_D']);
+});
+
+test('sorting keeps empty values last and breaks ties by base filename', () => {
+    const listing = setup();
+
+    assert.deepEqual(names(listing.list()), ['quotation_B', 'quotation_C', 'quotation_A', 'quotation_D']);
+    assert.deepEqual(names(listing.list({ sort: 'grand_total', order: 'desc' })), ['quotation_A', 'quotation_C', 'quotation_B', 'quotation_D']);
+    assert.deepEqual(names(listing.list({ sort: 'grand_total', order: 'asc' })), ['quotation_B', 'quotation_A', 'quotation_C', 'quotation_D']);
+});
+
+test('cursors page through every quotation exactly once', () => {
+    const listing = setup();
+    const seen = [];
+    let cursor;
+    do {
+        const page = listing.list({ sort: 'grand_total', limit: '1', cursor });
+        seen.push(...names(page));
+        cursor = page.next_cursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, ['quotation_A', 'quotation_C', 'quotation_B', 'quotation_D']);
+    const first = listing.list({ sort: 'grand_total', limit: '1' });
+    assert.throws(() => listing.list({ sort: 'issue_date', cursor: first.next_cursor }), /different sort order/);
+    assert.throws(() => listing.list({ cursor: 'not-a-cursor' }), /cursor is not valid/);
+});
+
+test('invalid query parameters are rejected', () => {
+    const listing = setup();
+    assert.throws(() => listing.list({ sort: 'profit' }), /sort must be one of/);
+    assert.throws(() => listing.list({ order: 'up' }), /order must be asc or desc/);
+    assert.throws(() => listing.list({ status: 'won' }), /status must be one of/);
+    assert.throws(() => listing.list({ date_from: '05/01/2025' }), /YYYY-MM-DD/);
+    assert.throws(() => listing.list({ total_min: 'lots' }), /must be a number/);
+    assert.throws(() => listing.list({ limit: '0' }), /positive whole number/);
+    assert.equal(listing.list({ limit: '500' }).limit, 100);
+});
+
+test('a saved edit keeps the listing summary of the revision it edits', async () => {
+    const api = new QuotationGenerationAPI();
+    const index = tempIndex();
+    api.quotationIndex = index;
+    api.quotationLifecycle = new QuotationLifecycle(index);
+    api.documentGenerator = { generatePdf: async () => { throw new Error('no browser'); } };
+
+    const quotationData = { rfq_reference: 'RFQ-A', customer_info: { company_name: 'Acme Corp' }, quotation_items: [{ company_requirement: { maker_origin: 'Siemens' } }] };
+    const calculatedPricing = { pricing_summary: { currency: 'VND', subtotal: 100000000, grand_total: 108000000 } };
+    fs.writeFileSync(path.join(index.generatedDir, 'quotation_A_1.html'), '<html></html>', 'utf8');
+    index.recordRevision('quotation_A', {
+        revision: 0,
+        filename: 'quotation_A_1.html',
+        issue_date: '2025-05-10',
+        summary: index.buildSummary(quotationData, calculatedPricing, '2025-05-10')
+    }, quotationData);
+
+    const saved = await api.saveEditedQuotation('quotation_A_1.html', '<html>edited</html>');
+    const listed = new QuotationListing(index, api.quotationLifecycle).list().quotations[0];
+    assert.equal(saved.pdf_filename, null);
+    assert.deepEqual([listed.current_revision, listed.issue_date, listed.currency, listed.grand_total, listed.item_count, listed.makers],
+        [1, '2025-05-10', 'VND', 108000000, 1, ['Siemens']]);
+});
@@ -0,0 +1,121 @@
+// =============================================
+// 🧪 QUOTATION REVISIONS - NUMBERED, NEVER OVERWRITTEN
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuotationIndex } = require('../utils/quotation-index');
+const { QuotationLifecycle } = require('../utils/quotation-lifecycle');
+const { QuotationGenerationAPI } = require('../api/quotation-generation');
+
+const BASE = 'quotation_RFQ-1_ACME';
+const quotationData = { rfq_reference: 'RFQ-1', customer_info: { company_name: 'ACME' } };
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'quotation-revisions-'));
+
+// Write a revision's HTML and data snapshot the way generation does, then record it
+const generateRevision = (index, revision) => {
+    const filename = `${BASE}_rev${revision}-generated.html`;
+    const dataFilename = index.getSnapshotFilename(BASE, revision);
+    fs.writeFileSync(path.join(index.generatedDir, filename), `<html>Rev.${revision}</html>`, 'utf8');
+    fs.writeFileSync(path.join(index.generatedDir, dataFilename), JSON.stringify({ revision, quotation_data: quotationData }), 'utf8');
+    return index.recordRevision(BASE, { revision, filename, data_filename: dataFilename }, quotationData);
+};
+
+// An API writing to a temp directory, with a PDF renderer that needs no browser
+const setupApi = () => {
+    const api = new QuotationGenerationAPI();
+    api.quotationIndex = new QuotationIndex(tempDir());
+    api.quotationLifecycle = new QuotationLifecycle(api.quotationIndex);
+    api.documentGenerator = {
+        generatePdf: async (html, outputPath) => fs.writeFileSync(outputPath, 'PDF')
+    };
+    return api;
+};
+
+test('every generation is kept as the next numbered revision', () => {
+    const index = new QuotationIndex(tempDir());
+    assert.equal(index.getNextRevisionNumber(BASE), 0);
+
+    generateRevision(index, 0);
+    generateRevision(index, 1);
+    const entry = index.getEntry(BASE);
+    assert.equal(index.getNextRevisionNumber(BASE), 2);
+    assert.equal(entry.current_revision, 1);
+    assert.equal(entry.filename, `${BASE}_rev1-generated.html`);
+    assert.deepEqual(index.listRevisions(BASE).map(rev => rev.label), ['Rev.0', 'Rev.1']);
+
+    const sent = index.markRevisionSent(BASE, 0, { sent_by: 'sales' });
+    assert.equal(sent.sent, true);
+    assert.equal(index.getEntry(BASE).sent_revision, 0);
+    assert.throws(() => index.markRevisionSent(BASE, 5), /Revision 5 not found/);
+});
+
+test('entries written before revisions existed migrate to Rev.0 with a snapshot', () => {
+    const index = new QuotationIndex(tempDir());
+    fs.writeFileSync(path.join(index.generatedDir, `${BASE}_old.html`), '<html></html>', 'utf8');
+    fs.writeFileSync(path.join(index.generatedDir, `${BASE}_data.json`), '{"legacy":true}', 'utf8');
+    index.save({ [BASE]: { filename: `${BASE}_old.html`, last_updated: '2025-01-01T00:00:00.000Z' } });
+
+    assert.equal(index.getNextRevisionNumber(BASE), 1);
+    const [legacy] = index.listRevisions(BASE);
+    assert.equal(legacy.action, 'legacy');
+    assert.equal(legacy.data_filename, index.getSnapshotFilename(BASE, 0));
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(index.generatedDir, legacy.data_filename), 'utf8')), { legacy: true });
+    assert.equal(index.findRevisionByFilename(`${BASE}_old.html`).revision.revision, 0);
+});
+
+test('an HTML edit is saved as a new revision and earlier files are kept', async () => {
+    const api = setupApi();
+    const index = api.quotationIndex;
+    generateRevision(index, 0);
+
+    const saved = await api.saveEditedQuotation(`../../${BASE}_rev0-generated.html`, '<html>edited</html>');
+    assert.equal(saved.revision.revision, 1);
+    assert.equal(saved.revision.action, 'edit');
+    assert.equal(fs.readFileSync(path.join(index.generatedDir, saved.filename), 'utf8'), '<html>edited</html>');
+    assert.equal(fs.readFileSync(path.join(index.generatedDir, `${BASE}_rev0-generated.html`), 'utf8'), '<html>Rev.0</html>');
+    assert.ok(fs.existsSync(path.join(index.generatedDir, saved.pdf_filename)));
+
+    // The new revision carries its own copy of the priced data
+    const snapshot = JSON.parse(fs.readFileSync(path.join(index.generatedDir, saved.revision.data_filename), 'utf8'));
+    assert.equal(saved.revision.data_filename, index.getSnapshotFilename(BASE, 1));
+    assert.equal(snapshot.revision, 1);
+    assert.deepEqual(snapshot.quotation_data, quotationData);
+    assert.equal(index.getEntry(BASE).current_revision, 1);
+});
+
+test('edits are refused for sent, earlier and non-HTML documents', async () => {
+    const api = setupApi();
+    const index = api.quotationIndex;
+    generateRevision(index, 0);
+    generateRevision(index, 1);
+    const indexBefore = fs.readFileSync(index.indexPath, 'utf8');
+
+    await assert.rejects(api.saveEditedQuotation(`${BASE}_rev0-generated.html`, '<html></html>'), /Rev.0 .* is not the current revision/);
+    await assert.rejects(api.saveEditedQuotation('quotations-index.json', '{}'), /Only quotation HTML documents/);
+    await assert.rejects(api.saveEditedQuotation(index.getSnapshotFilename(BASE, 1), '{}'), /Only quotation HTML documents/);
+    await assert.rejects(api.saveEditedQuotation('unknown.html', '<html></html>'), /Quotation document not found/);
+
+    index.markRevisionSent(BASE, 1);
+    const sentIndex = fs.readFileSync(index.indexPath, 'utf8');
+    await assert.rejects(api.saveEditedQuotation(`${BASE}_rev1-generated.html`, '<html></html>'), /was sent to the customer/);
+    assert.equal(fs.readFileSync(path.join(index.generatedDir, `${BASE}_rev1-generated.html`), 'utf8'), '<html>Rev.1</html>');
+    assert.equal(fs.readFileSync(index.indexPath, 'utf8'), sentIndex);
+    assert.notEqual(indexBefore, sentIndex);
+});
+
+test('an accepted quotation is final and cannot be edited', async () => {
+    const api = setupApi();
+    const index = api.quotationIndex;
+    generateRevision(index, 0);
+    api.quotationLifecycle.recordRevisionGenerated(BASE, 0);
+    api.markQuotationRevisionSent(BASE, 0);
+    api.quotationLifecycle.transition(BASE, 'accepted');
+
+    await assert.rejects(api.saveEditedQuotation(`${BASE}_rev0-generated.html`, '<html></html>'), /was sent to the customer/);
+    assert.deepEqual(index.listRevisions(BASE).map(rev => rev.revision), [0]);
+    assert.equal(api.quotationLifecycle.describe(BASE).status, 'accepted');
+});
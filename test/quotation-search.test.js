@@ -0,0 +1,85 @@
+// =============================================
+// 🧪 QUOTATION SEARCH - ITEMS ACROSS QUOTATION SNAPSHOTS
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuotationIndex } = require('../utils/quotation-index');
+const { QuotationSearchIndex } = require('../utils/quotation-search-index');
+
+// Write a revision snapshot and record it the way generation does
+const addQuotation = (index, baseFilename, customer, items, revision = 0) => {
+    const dataFilename = index.getSnapshotFilename(baseFilename, revision);
+    const quotationData = {
+        rfq_reference: `RFQ-${baseFilename}`,
+        customer_info: { company_name: customer },
+        quotation_items: items.map((requirement, position) => ({ item_no: String(position + 1), company_requirement: { qty: 1, ...requirement } }))
+    };
+    fs.writeFileSync(path.join(index.generatedDir, dataFilename), JSON.stringify({ revision, quotation_data: quotationData }), 'utf8');
+    index.recordRevision(baseFilename, { revision, filename: `${baseFilename}.html`, data_filename: dataFilename }, quotationData);
+};
+
+const setup = () => {
+    const index = new QuotationIndex(fs.mkdtempSync(path.join(os.tmpdir(), 'quotation-search-')));
+    addQuotation(index, 'quotation_A', 'Công ty Động Lực', [
+        { description: 'Động cơ điện 10HP', model_part_number: 'HEM-10HP-3P-IE3', maker_origin: 'Hyosung' },
+        { description: 'Spray gun', model_part_number: 'BP-5011-C01', maker_origin: 'DeVILBISS' }
+    ]);
+    addQuotation(index, 'quotation_B', 'Beta Ltd', [
+        { description: 'Gun cleaner for spray guns', model_part_number: 'GC-1', maker_origin: 'Graco' }
+    ]);
+    return { index, search: new QuotationSearchIndex(index.generatedDir, index) };
+};
+
+test('part numbers match with or without separators', () => {
+    const { search } = setup();
+    assert.deepEqual(search.sync(), { indexed: 2, removed: 0 });
+
+    ['bp5011', 'BP-5011', 'bp 5011 c01'].forEach(query => {
+        const [result] = search.search(query);
+        assert.equal(result.base_filename, 'quotation_A', query);
+        assert.deepEqual(result.items.map(item => item.model_part_number), ['BP-5011-C01'], query);
+    });
+    assert.equal(search.search('hem-10hp')[0].items[0].maker_origin, 'Hyosung');
+});
+
+test('matching ignores case and Vietnamese accents, and every word must match one item', () => {
+    const { search } = setup();
+    search.sync();
+
+    assert.equal(search.search('dong co')[0].items[0].item_no, '1');
+    assert.equal(search.search('ĐỘNG CƠ')[0].items[0].item_no, '1');
+    assert.deepEqual(search.search('spray gun hyosung'), []);
+    // Part-number and maker matches rank above description matches
+    assert.deepEqual(search.search('spray').map(result => result.base_filename), ['quotation_A', 'quotation_B']);
+    assert.deepEqual(search.search('gun', { field: 'description' }).map(result => result.base_filename), ['quotation_A', 'quotation_B']);
+});
+
+test('new revisions replace a quotation in the index and removed quotations drop out', () => {
+    const { index, search } = setup();
+    search.sync();
+
+    addQuotation(index, 'quotation_B', 'Beta Ltd', [{ description: 'Pressure regulator', model_part_number: 'PR-2', maker_origin: 'SMC' }], 1);
+    assert.deepEqual(search.sync(), { indexed: 1, removed: 0 });
+    assert.deepEqual(search.search('graco'), []);
+    assert.equal(search.search('regulator')[0].revision, 1);
+
+    const entries = index.load();
+    delete entries.quotation_A;
+    index.save(entries);
+    assert.deepEqual(search.sync(), { indexed: 0, removed: 1 });
+    assert.deepEqual(search.search('hyosung'), []);
+});
+
+test('inherited names are plain words, not index or option lookups', () => {
+    const { index, search } = setup();
+    addQuotation(index, 'quotation_C', 'Gamma', [{ description: 'constructor toString valueOf', model_part_number: '__proto__' }]);
+    search.sync();
+
+    assert.equal(search.search('constructor')[0].base_filename, 'quotation_C');
+    assert.equal(search.search('tostring')[0].items[0].description, 'constructor toString valueOf');
+    assert.throws(() => search.search('gun', { field: 'constructor' }), /field must be one of/);
+    assert.throws(() => search.search(' -- '), /at least one letter or digit/);
+});
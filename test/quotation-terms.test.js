@@ -0,0 +1,70 @@
+// =============================================
+// 🧪 QUOTATION TERMS - VALIDITY, PAYMENT AND DELIVERY
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuotationTerms } = require('../utils/quotation-terms');
+
+const setup = () => {
+    const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'quotation-terms-')), 'quotation-terms.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        defaults: { validity_days: 30, payment_terms: '100% within 30 days', incoterms: 'DAP', warranty: '12 months' },
+        customer_terms: { 'Acme Ltd': { validity_days: 15, incoterms: 'EXW' } },
+        incoterms: ['EXW', 'DAP', 'FOB']
+    }));
+    return new QuotationTerms(configPath);
+};
+
+test('each field comes from the quotation, then the customer, then the defaults', () => {
+    const terms = setup().resolveTerms({
+        customer_info: { company_name: 'ACME LTD' },
+        terms: { payment_terms: '50% advance', incoterms: 'fob', warranty: '' }
+    }, '2026-01-20');
+
+    assert.deepEqual(terms, {
+        issue_date: '2026-01-20',
+        valid_until: '2026-02-04',
+        validity_days: 15,
+        payment_terms: '50% advance',
+        incoterms: 'FOB',
+        delivery_location: null,
+        warranty: '12 months',
+        sources: {
+            validity_days: 'customer',
+            payment_terms: 'quotation',
+            incoterms: 'quotation',
+            delivery_location: null,
+            warranty: 'default',
+            valid_until: 'customer'
+        }
+    });
+});
+
+test('the expiry date is counted from the issue date unless given', () => {
+    const terms = setup();
+    assert.equal(terms.resolveTerms({ issue_date: '2026-12-15' }, '2026-01-01').valid_until, '2027-01-14');
+    assert.equal(terms.resolveTerms({}, new Date(2026, 1, 20)).valid_until, '2026-03-22');
+
+    const explicit = terms.resolveTerms({ terms: { valid_until: '2026-03-31', validity_days: 7 } }, '2026-03-01');
+    assert.deepEqual([explicit.valid_until, explicit.validity_days, explicit.sources.valid_until], ['2026-03-31', 30, 'quotation']);
+});
+
+test('defaults are validated and stored per customer or globally', () => {
+    const terms = setup();
+    terms.setDefaultTerms({ validity_days: '45', incoterms: 'dap', unknown: 'dropped' }, 'beta co');
+    assert.deepEqual(terms.getCustomerTerms('Beta Co'), { validity_days: 45, incoterms: 'DAP' });
+    terms.setDefaultTerms(null, 'Acme Ltd');
+    assert.equal(terms.getCustomerTerms('acme ltd'), null);
+
+    terms.setDefaultTerms({ delivery_location: 'Hai Phong port' });
+    assert.deepEqual(terms.loadConfig().defaults.delivery_location, 'Hai Phong port');
+    assert.equal(terms.loadConfig().defaults.validity_days, 30);
+
+    assert.throws(() => terms.setDefaultTerms({ validity_days: 1.5 }), /positive whole number of days/);
+    assert.throws(() => terms.setDefaultTerms({ incoterms: 'CIF' }), /"CIF" is not supported. Available: EXW, DAP, FOB/);
+    assert.throws(() => terms.validateTerms({ valid_until: 'soon' }), /not a valid date/);
+    assert.throws(() => terms.setDefaultTerms(null), /Terms are required/);
+});
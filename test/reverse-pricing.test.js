@@ -0,0 +1,47 @@
+// =============================================
+// 🧪 REVERSE PRICING - SOLVE RATES FROM TARGET PRICES
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QuotationPriceCalculations } = require('../utils/quotation_price_calculations');
+
+const calculator = new QuotationPriceCalculations();
+
+const quotation = () => ({
+    quotation_items: [
+        { item_no: '1', company_requirement: { description: 'Motor', qty: 1 }, bidder_proposal: { unit_price: 1000000 } }
+    ]
+});
+
+// An explicit zero shipping cost must survive the final re-pricing
+const variables = { shipping_cost: 0, tax_rate: 1, exchange_rate: 1, profit_rate: 1.2 };
+
+test('an item target is reached with the variables the solver used', () => {
+    const result = calculator.calculateReversePricing(quotation(), variables, { item_targets: { 1: 1500000 } });
+
+    assert.equal(result.calculation_success, true);
+    const [item] = result.reverse_pricing.items;
+    assert.equal(item.solved_value, 1.5);
+    assert.equal(item.achieved_sales_unit_price, 1500000);
+    assert.equal(item.within_rounding, true);
+    assert.equal(result.processed_items[0].shipping_cost_applied, 0);
+    assert.deepEqual(result.reverse_pricing.warnings, []);
+});
+
+test('target_total is reached within rounding', () => {
+    const result = calculator.calculateReversePricing(quotation(), variables, { target_total: 2400000 });
+
+    assert.equal(result.calculation_success, true);
+    assert.equal(result.reverse_pricing.shared_value, 2.4);
+    assert.equal(result.reverse_pricing.achieved_total, 2400000);
+    assert.equal(result.reverse_pricing.total_within_rounding, true);
+});
+
+test('a target off the rounding grid lands on the nearest rounded price', () => {
+    const result = calculator.calculateReversePricing(quotation(), variables, { item_targets: { 1: 1234567 } });
+    const [item] = result.reverse_pricing.items;
+
+    assert.equal(item.achieved_sales_unit_price, 1235000);
+    assert.equal(item.within_rounding, true);
+    assert.ok(Math.abs(item.difference) <= calculator.getRoundingUnit(result.calculation_metadata.rounding, 'unit_price'));
+});
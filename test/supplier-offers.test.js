@@ -0,0 +1,60 @@
+// =============================================
+// 🧪 SUPPLIER OFFERS - COMPARE AND QUOTE THE CHOSEN OFFER
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QuotationPriceCalculations } = require('../utils/quotation_price_calculations');
+
+const calculator = new QuotationPriceCalculations();
+
+// A VND item with a VND and a USD candidate (USD→VND 24,000 in config/exchange-rates.json)
+const quotation = (selectedOfferId) => ({
+    quotation_date: '2025-06-01',
+    quotation_items: [{
+        item_no: '1',
+        currency_code: 'VND',
+        selected_offer_id: selectedOfferId,
+        company_requirement: { description: 'Pump', qty: 1 },
+        supplier_offers: [
+            { offer_id: 'local', supplier: 'Local Co', unit_price: 600000, currency_code: 'VND' },
+            { offer_id: 'import', supplier: 'Import Inc', unit_price: 26, currency_code: 'USD' }
+        ]
+    }]
+});
+
+// exchange_rate 1 is the caller's rate for the VND item; shipping is a VND amount
+const variables = { 1: { shipping_cost: 24000, tax_rate: 1, exchange_rate: 1, profit_rate: 1 } };
+
+test('each offer is compared at the price it is quoted at once chosen', () => {
+    ['local', 'import'].forEach(selected => {
+        const result = calculator.calculateQuotationPricing(quotation(selected), variables);
+        assert.equal(result.calculation_success, true);
+
+        const comparison = result.offer_comparison[0];
+        const offers = Object.fromEntries(comparison.offers.map(offer => [offer.offer_id, offer]));
+        assert.deepEqual([offers.local.exchange_rate_applied, offers.local.shipping_cost_applied, offers.local.ext_price], [1, 24000, 624000]);
+        assert.deepEqual([offers.import.exchange_rate_applied, offers.import.shipping_cost_applied, offers.import.ext_price], [24000, 1, 648000]);
+        assert.equal(comparison.lowest_offer_id, 'local');
+
+        const quoted = result.processed_items[0];
+        assert.equal(quoted.selected_offer_id, selected);
+        assert.equal(quoted.ext_price, offers[selected].ext_price);
+        assert.equal(quoted.exchange_rate_applied, offers[selected].exchange_rate_applied);
+    });
+});
+
+test('the comparison endpoint matches the quotation for the chosen offer', () => {
+    const comparison = calculator.compareQuotationSupplierOffers(quotation('import'), variables);
+    const quoted = calculator.calculateQuotationPricing(quotation('import'), variables).processed_items[0];
+
+    assert.deepEqual(comparison.items[0].offers.map(offer => offer.ext_price), [624000, 648000]);
+    assert.equal(comparison.items[0].offers.find(offer => offer.selected).ext_price, quoted.ext_price);
+});
+
+test('an item with several offers and no choice is compared but not priced', () => {
+    const result = calculator.calculateQuotationPricing(quotation(undefined), variables);
+
+    assert.equal(result.offer_comparison[0].offers.length, 2);
+    assert.equal(result.processed_items.length, 0);
+    assert.match(result.errors[0].error, /choose one of its 2 supplier offers/);
+});
@@ -0,0 +1,102 @@
+// =============================================
+// 🧪 SUPPLIER PRICE LISTS - IMPORTED COSTS FOR UNPRICED ITEMS
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { SupplierPriceLists } = require('../utils/supplier-price-lists');
+const { QuotationPriceCalculations } = require('../utils/quotation_price_calculations');
+
+const createStore = () => new SupplierPriceLists(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'supplier-price-lists-')), 'supplier-price-lists.json'));
+
+const csv = [
+    'Part No;Maker;Description;Price',
+    'BP-5011-C01;DeVilbiss;"Spray gun; gravity";"1,250,000"',
+    'HEM-10HP;Hyosung;Motor;0',
+    '',
+    'GC-1;;Gun cleaner;90000'
+].join('\n');
+
+test('CSV imports map column aliases and skip bad lines with their row numbers', async () => {
+    const store = createStore();
+    const result = await store.importPriceList(csv, { supplier: 'Spray Co', currency: 'vnd', valid_from: '2026-01-01', filename: 'spray.csv' });
+
+    assert.deepEqual([result.imported, result.skipped, result.errors], [2, 1, [{ row: 3, error: 'Invalid unit price: 0' }]]);
+    assert.deepEqual([result.list.name, result.list.currency, result.list.format, result.list.line_count], ['Spray Co 2026-01-01', 'VND', 'csv', 2]);
+    const [gun] = store.getPriceList(result.list.id).lines;
+    assert.deepEqual(gun, { line: 2, model_part_number: 'BP-5011-C01', maker_origin: 'DeVilbiss', description: 'Spray gun; gravity', uom: '', unit_price: 1250000, currency: 'VND' });
+
+    await assert.rejects(store.importPriceList('part,price\nX,abc', { supplier: 'Spray Co', currency: 'VND' }), /No valid price lines found \(first error, row 2: Invalid unit price: abc\)/);
+    await assert.rejects(store.importPriceList(csv, { supplier: 'Spray Co', currency: 'VND', valid_from: '2026-02-01', valid_until: '2026-01-01' }), /valid_until \(2026-01-01\) is before valid_from/);
+    await assert.rejects(store.importPriceList(csv, { supplier: ' ', currency: 'VND' }), /supplier is required/);
+    await assert.rejects(store.importPriceList(csv, { supplier: 'Spray Co', currency: 'dong' }), /3-letter currency code/);
+});
+
+test('XLSX imports read the first sheet and line currencies override the list', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Prices');
+    sheet.addRow(['Model', 'Brand', 'Unit Price', 'Currency']);
+    sheet.addRow(['BP-5011-C01', 'DeVilbiss', 52, 'usd']);
+    sheet.addRow(['GC-1', 'Graco', { formula: '2*2', result: 4 }, '']);
+    const store = createStore();
+
+    const result = await store.importPriceList(await workbook.xlsx.writeBuffer(), { supplier: 'Import Inc', currency: 'EUR', valid_from: '2026-01-01', filename: 'prices.xlsx' });
+    assert.equal(result.list.format, 'xlsx');
+    assert.deepEqual(store.getPriceList(result.list.id).lines.map(line => [line.line, line.unit_price, line.currency]), [[2, 52, 'USD'], [3, 4, 'EUR']]);
+});
+
+test('inherited and prototype names are not price columns', async () => {
+    const store = createStore();
+    const lines = JSON.parse('[{ "part": "A-1", "__proto__": { "price": 5 } }, { "part": "A-2", "constructor": 7, "cost": 8 }]');
+    const result = await store.importPriceList(lines, { supplier: 'Spray Co', currency: 'VND' });
+    assert.deepEqual(result.errors, [{ row: 1, error: 'Invalid unit price: (empty)' }]);
+    assert.equal(store.findPrice({ model_part_number: 'a1' }), null);
+    assert.equal(store.findPrice({ model_part_number: 'a 2' }).unit_price, 8);
+});
+
+test('lookups use the lists valid on the date, newest valid_from first, and match part and maker', async () => {
+    const store = createStore();
+    await store.importPriceList([{ part: 'BP-5011-C01', maker: 'DeVilbiss', price: 100 }], { supplier: 'Spray Co', currency: 'VND', name: 'Old', valid_from: '2026-01-01' });
+    await store.importPriceList([{ part: 'BP-5011-C01', maker: 'DeVilbiss', price: 120 }], { supplier: 'Spray Co', currency: 'VND', name: 'Spring', valid_from: '2026-03-01', valid_until: '2026-05-31' });
+
+    const requirement = { model_part_number: 'bp 5011 c01', maker_origin: 'DEVILBISS' };
+    assert.equal(store.findPrice(requirement, '2026-02-15').list_name, 'Old');
+    const spring = store.findPrice(requirement, '2026-04-01');
+    assert.deepEqual([spring.unit_price, spring.list_name, spring.line, spring.valid_until, spring.lookup_date], [120, 'Spring', 1, '2026-05-31', '2026-04-01']);
+    assert.equal(store.findPrice(requirement, '2026-06-01').list_name, 'Old');
+    assert.equal(store.findPrice(requirement, '2025-12-31'), null);
+    assert.equal(store.findPrice({ model_part_number: 'BP5011C01', maker_origin: 'Graco' }, '2026-04-01'), null);
+    assert.equal(store.findPrice({ model_part_number: 'BP5011C01' }, '2026-04-01').unit_price, 120);
+
+    const lists = store.listPriceLists({ supplier: 'spray' });
+    assert.deepEqual(lists.map(list => [list.name, list.line_count, list.lines]).sort(), [['Old', 1, undefined], ['Spring', 1, undefined]]);
+    assert.equal(store.removePriceList(spring.list_id).name, 'Spring');
+    assert.throws(() => store.removePriceList(spring.list_id), /Price list not found/);
+    assert.equal(store.findPrice(requirement, '2026-04-01').list_name, 'Old');
+});
+
+test('unpriced items take their list cost and record where it came from', async () => {
+    const calculator = new QuotationPriceCalculations();
+    calculator.supplierPriceLists = createStore();
+    await calculator.supplierPriceLists.importPriceList(csv, { supplier: 'Spray Co', currency: 'VND', valid_from: '2026-01-01' });
+
+    const quotation = {
+        quotation_date: '2026-02-01',
+        quotation_items: [
+            { item_no: '1', company_requirement: { description: 'Spray gun', model_part_number: 'BP5011C01', maker_origin: 'DeVilbiss', qty: 2 }, bidder_proposal: { unit_price: '' } },
+            { item_no: '2', company_requirement: { description: 'Gun cleaner', model_part_number: 'GC-1', qty: 1 }, bidder_proposal: { unit_price: 80000 } }
+        ]
+    };
+    const result = calculator.calculateQuotationPricing(quotation, { shipping_cost: 0, tax_rate: 1, exchange_rate: 1, profit_rate: 1.2 });
+
+    assert.equal(result.calculation_success, true);
+    const [gun, cleaner] = result.processed_items;
+    assert.equal(gun.sales_unit_price, 1500000);
+    assert.deepEqual([gun.price_source.type, gun.price_source.supplier, gun.price_source.line, gun.price_source.lookup_date], ['supplier_price_list', 'Spray Co', 2, '2026-02-01']);
+    // A bidder price is kept even when a list has the part
+    assert.deepEqual([cleaner.sales_unit_price, cleaner.price_source], [96000, null]);
+    assert.equal(quotation.quotation_items[0].bidder_proposal.price_source, undefined);
+});
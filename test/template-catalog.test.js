@@ -0,0 +1,71 @@
+// =============================================
+// 🧪 TEMPLATE CATALOG - DOCUMENT TEMPLATE SELECTION
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateCatalog } = require('../utils/template-catalog');
+
+// Built-in templates plus two uploads of "export.html", the second one newer
+const setup = () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'template-catalog-'));
+    const templateDir = path.join(root, 'template');
+    fs.mkdirSync(path.join(templateDir, 'custom_templates'), { recursive: true });
+    fs.writeFileSync(path.join(templateDir, 'default-template.html'), '<html>default</html>');
+    fs.writeFileSync(path.join(templateDir, 'tender.html'), '<html>tender</html>');
+    fs.writeFileSync(path.join(templateDir, 'notes.txt'), 'not a template');
+    fs.writeFileSync(path.join(templateDir, 'custom_templates', '1754995314051_export.html'), '<html>export v1</html>');
+    fs.writeFileSync(path.join(templateDir, 'custom_templates', '1754995399999_export.html'), '<html>export v2</html>');
+    const older = new Date('2025-01-01T00:00:00Z');
+    fs.utimesSync(path.join(templateDir, 'custom_templates', '1754995314051_export.html'), older, older);
+
+    const configPath = path.join(root, 'document-templates.json');
+    fs.writeFileSync(configPath, JSON.stringify({ default_template: 'default-template.html', customer_templates: { 'Acme Ltd': 'tender.html' } }));
+    return new TemplateCatalog(templateDir, configPath);
+};
+
+test('templates are listed uploads first and found by file or display name', () => {
+    const catalog = setup();
+
+    assert.deepEqual(catalog.listTemplates().map(template => [template.name, template.display_name, template.source]), [
+        ['1754995399999_export.html', 'export.html', 'custom'],
+        ['1754995314051_export.html', 'export.html', 'custom'],
+        ['default-template.html', 'default-template.html', 'builtin'],
+        ['tender.html', 'tender.html', 'builtin']
+    ]);
+    assert.equal(catalog.readTemplate('EXPORT'), '<html>export v2</html>');
+    assert.equal(catalog.readTemplate('1754995314051_export.html'), '<html>export v1</html>');
+    assert.equal(catalog.findTemplate('../template/tender.html').name, 'tender.html');
+    assert.equal(catalog.findTemplate('notes.txt'), null);
+    assert.throws(() => catalog.readTemplate('domestic'), /Template "domestic" not found/);
+});
+
+test('the quotation template beats the customer default, which beats the global default', () => {
+    const catalog = setup();
+    const acme = { customer_info: { company_name: '  ACME LTD ' } };
+
+    assert.deepEqual(['name', 'selected_by'].map(key => catalog.resolveTemplate({ ...acme, template: 'export' })[key]), ['1754995399999_export.html', 'quotation']);
+    assert.deepEqual(['name', 'selected_by'].map(key => catalog.resolveTemplate(acme)[key]), ['tender.html', 'customer']);
+    assert.deepEqual(['name', 'selected_by'].map(key => catalog.resolveTemplate({ customer_info: { company_name: 'Beta' } })[key]), ['default-template.html', 'default']);
+    assert.throws(() => catalog.resolveTemplate({ template: 'missing' }), /Template "missing" not found/);
+
+    // A customer default that no longer exists falls back instead of failing generation
+    fs.unlinkSync(path.join(catalog.templateDir, 'tender.html'));
+    assert.equal(catalog.resolveTemplate(acme).selected_by, 'default');
+});
+
+test('defaults are saved per customer and globally', () => {
+    const catalog = setup();
+
+    catalog.setDefaultTemplate('export', 'acme ltd');
+    assert.deepEqual(catalog.loadConfig().customer_templates, { 'acme ltd': '1754995399999_export.html' });
+    catalog.setDefaultTemplate(null, 'Acme Ltd');
+    assert.deepEqual(catalog.loadConfig().customer_templates, {});
+
+    catalog.setDefaultTemplate('tender.html');
+    assert.equal(catalog.loadConfig().default_template, 'tender.html');
+    assert.throws(() => catalog.setDefaultTemplate('missing.html', 'Acme Ltd'), /Template "missing.html" not found/);
+    assert.throws(() => catalog.setDefaultTemplate(null), /A template name is required/);
+});
@@ -0,0 +1,63 @@
+// =============================================
+// 🧪 TEMPLATE ENGINE - QUOTATION DOCUMENT TEMPLATES
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TemplateEngine } = require('../utils/template-engine');
+
+const engine = new TemplateEngine();
+
+test('placeholders escape HTML unless rendered raw', () => {
+    const context = { customer: { name: '<b>Acme & Co</b>' } };
+    assert.equal(engine.render('{{customer.name}}', context), '&lt;b&gt;Acme &amp; Co&lt;/b&gt;');
+    assert.equal(engine.render('{{{customer.name}}}', context), '<b>Acme & Co</b>');
+    assert.equal(engine.render('{{customer.name | raw}}', context), '<b>Acme & Co</b>');
+    assert.equal(engine.render('[{{missing.name}}]', context), '[]');
+});
+
+test('loops, conditionals and scopes', () => {
+    const context = {
+        currency: 'VND',
+        items: [{ name: 'Motor', qty: 2 }, { name: 'Pump', qty: 0 }],
+        empty: []
+    };
+    const template = '{{#each items}}{{@number}}.{{name}}{{#if qty}} x{{qty}} {{../currency}}{{else}} (none){{/if}}{{#unless @last}}; {{/unless}}{{/each}}';
+    assert.equal(engine.render(template, context), '1.Motor x2 VND; 2.Pump (none)');
+    assert.equal(engine.render('{{#each empty}}x{{else}}no items{{/each}}', context), 'no items');
+    assert.equal(engine.render('{{#with items.0}}{{name}} in {{currency}}{{/with}}', context), 'Motor in VND');
+    assert.equal(engine.render('{{#if items | length | gt:1}}many{{/if}}{{! ignored }}', context), 'many');
+});
+
+test('filters chain with arguments', () => {
+    assert.equal(engine.render('{{name | default:"N/A" | upper}}', {}), 'N/A');
+    assert.equal(engine.render('{{total | number:2,"en-US"}}', { total: 1234.5 }), '1,234.50');
+    assert.equal(engine.render('{{text | truncate:4}}', { text: 'Quotation' }), 'Quot…');
+    assert.equal(engine.render('{{tags | join:" / "}}', { tags: ['a', 'b'] }), 'a / b');
+
+    const custom = new TemplateEngine({ filters: { shout: (value) => `${value}!` } });
+    custom.registerFilter('twice', (value) => `${value}${value}`);
+    assert.equal(custom.render('{{word | shout | twice}}', { word: 'hi' }), 'hi!hi!');
+    assert.throws(() => custom.registerFilter('bad', 'not a function'), /must be a function/);
+});
+
+test('partials render with their own context and stop runaway recursion', () => {
+    const local = new TemplateEngine();
+    local.registerPartial('item_row', '<li>{{name}}</li>');
+    local.registerPartial('loop', '{{> loop}}');
+    assert.equal(local.render('<ul>{{#each items}}{{> item_row this}}{{/each}}</ul>', { items: [{ name: 'Motor' }] }), '<ul><li>Motor</li></ul>');
+    assert.throws(() => local.render('{{> loop}}', {}), /partials nested more than 10 levels/);
+    assert.throws(() => local.render('{{> footer}}', {}), /partial "footer" not found/);
+});
+
+test('inherited names never resolve as data, partials or filters', () => {
+    assert.equal(engine.render('[{{constructor}}][{{toString}}][{{items.constructor}}][{{@__proto__}}]', { items: [] }), '[][][][]');
+    assert.throws(() => engine.render('{{> toString}}', {}), /partial "toString" not found/);
+    assert.throws(() => engine.render('{{> constructor}}', {}), /partial "constructor" not found/);
+    assert.throws(() => engine.render('{{name | constructor}}', { name: 'x' }), /unknown filter "constructor"/);
+    assert.throws(() => engine.render('{{name | hasOwnProperty}}', { name: 'x' }), /unknown filter "hasOwnProperty"/);
+});
+
+test('syntax errors report the line', () => {
+    assert.throws(() => engine.render('line 1\n{{#each items}}\nno close', {}), /line 2/);
+    assert.throws(() => engine.render('{{#if a}}{{/each}}', {}), /Template error/);
+});
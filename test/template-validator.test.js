@@ -0,0 +1,67 @@
+// =============================================
+// 🧪 TEMPLATE VALIDATOR - UPLOADED TEMPLATE CHECKS
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TemplateEngine } = require('../utils/template-engine');
+const { TemplateValidator } = require('../utils/template-validator');
+const { QuotationGenerationAPI } = require('../api/quotation-generation');
+
+const engine = new TemplateEngine();
+engine.registerPartial('footer', '<footer>{{company}}</footer>');
+const validator = new TemplateValidator(engine);
+
+const context = { rfq_reference: 'RFQ-1', customer: { name: 'Acme' }, items: [{ name: 'Motor' }], grand_total: 100 };
+const requiredPlaceholders = [
+    { label: 'item rows', any_of: ['items'] },
+    { label: 'RFQ reference', any_of: ['rfq_reference'] }
+];
+const codes = (result) => result.errors.map(issue => issue.code);
+
+test('a well-formed template that uses the required placeholders is valid', () => {
+    const result = validator.validate('<html><body><h1>{{rfq_reference}}</h1><ul>{{#each items}}<li>{{name}}<br></li>{{/each}}</ul></body></html>', { context, requiredPlaceholders });
+    assert.equal(result.valid, true, JSON.stringify(result.errors));
+    assert.deepEqual(result.placeholders.used.sort(), ['items', 'rfq_reference']);
+    assert.deepEqual(result.warnings, []);
+});
+
+test('unknown names, filters and partials are reported with their lines', () => {
+    const result = validator.validate('<body>\n{{rfq_reference}} {{#each items}}{{colour}}{{/each}}\n{{grand_total | money}}\n{{> header}}\n{{> footer}}</body>', { context, requiredPlaceholders });
+    assert.deepEqual(codes(result), ['unknown_placeholder', 'unknown_placeholder', 'unknown_filter', 'missing_partial']);
+    assert.deepEqual(result.errors.map(issue => issue.line), [2, 1, 3, 4]);
+    assert.equal(result.errors[1].partial, 'footer');
+    assert.match(result.errors[1].message, /\{\{company\}\} in partial "footer"/);
+
+    const missing = validator.validate('<body>{{grand_total}}</body>', { context, requiredPlaceholders });
+    assert.deepEqual(missing.errors.map(issue => issue.message), ['Missing item rows: use {{items}}', 'Missing RFQ reference: use {{rfq_reference}}']);
+});
+
+test('inherited names are unknown placeholders, filters and partials', () => {
+    const result = validator.validate('<body>{{rfq_reference}}{{items}}{{constructor}}{{grand_total | constructor}}{{> toString}}</body>', { context, requiredPlaceholders });
+    assert.deepEqual(codes(result), ['unknown_placeholder', 'unknown_filter', 'missing_partial']);
+    assert.deepEqual(result.placeholders.unknown, ['constructor']);
+
+    const report = engine.analyze('{{#if flag}}{{customer.name}}{{else}}{{missing}}{{/if}}{{x | hasOwnProperty}}{{> valueOf}}', { flag: false, customer: { name: 'Acme' }, x: 1 });
+    assert.deepEqual(report.references.sort(), ['customer', 'flag', 'x']);
+    assert.deepEqual(report.unknown_placeholders.map(entry => entry.name), ['missing']);
+    assert.deepEqual(report.unknown_filters.map(entry => entry.name), ['hasOwnProperty']);
+    assert.deepEqual(report.missing_partials.map(entry => entry.name), ['valueOf']);
+});
+
+test('syntax and HTML structure errors are reported', () => {
+    assert.deepEqual(codes(validator.validate('', { context })), ['empty_template']);
+
+    const syntax = validator.validate('<body>\n{{#each items}}</body>', { context });
+    assert.equal(syntax.errors[0].code, 'syntax_error');
+
+    const html = validator.validate('<body>\n<div><span></div>\n</p>\n<table</body>', { context });
+    assert.deepEqual(codes(html), ['html_unterminated_tag', 'html_unclosed_tag', 'html_unexpected_closing_tag']);
+    assert.deepEqual(validator.validate('<p>{{rfq_reference}}</p>', { context }).warnings.map(issue => issue.code), ['html_missing_body']);
+});
+
+test('the bundled default template validates against the sample quotation', () => {
+    const api = new QuotationGenerationAPI();
+    const result = api.validateStoredTemplate('default-template.html');
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.valid, true);
+});
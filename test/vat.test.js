@@ -0,0 +1,55 @@
+// =============================================
+// 🧪 VAT - PER-ITEM CATEGORIES AND TAX SUMMARY
+// =============================================
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QuotationPriceCalculations } = require('../utils/quotation_price_calculations');
+
+const calculator = new QuotationPriceCalculations();
+const variables = { shipping_cost: 0, tax_rate: 1, exchange_rate: 1, profit_rate: 1 };
+
+const quotation = (items, extra = {}) => ({
+    ...extra,
+    quotation_items: items.map(([unitPrice, qty, vatCategory], position) => ({
+        item_no: String(position + 1),
+        company_requirement: { description: `Item ${position + 1}`, qty },
+        bidder_proposal: { unit_price: unitPrice },
+        ...(vatCategory === undefined ? {} : { vat_category: vatCategory })
+    }))
+});
+
+test('VAT is computed per rate group on top of the pre-tax subtotal', () => {
+    const result = calculator.calculateQuotationPricing(quotation([
+        [550000, 2],
+        [1000000, 2, 'vat_8'],
+        [250000, 2, 'exempt'],
+        [333000, 1, '8%']
+    ]), variables);
+    const summary = result.pricing_summary;
+
+    assert.deepEqual(result.processed_items.map(item => [item.vat_category, item.vat_rate]), [['vat_10', 10], ['vat_8', 8], ['exempt', 0], ['vat_8', 8]]);
+    assert.deepEqual(summary.tax_summary.map(group => [group.category, group.taxable_amount, group.vat_amount, group.items]), [
+        ['vat_10', 1100000, 110000, ['1']],
+        ['vat_8', 2333000, 186640, ['2', '4']],
+        ['exempt', 500000, 0, ['3']]
+    ]);
+    assert.equal(summary.subtotal_before_tax, 3933000);
+    assert.equal(summary.vat_amount, 296640);
+    assert.equal(summary.grand_total, 4229640);
+    assert.equal(summary.tax_summary[2].label, 'Not subject to VAT');
+});
+
+test('a quotation-wide category applies to items without their own', () => {
+    const result = calculator.calculateQuotationPricing(quotation([[100000, 1], [100000, 1, 'vat_10']], { vat_category: 5 }), variables);
+    assert.deepEqual(result.processed_items.map(item => item.vat_category), ['vat_5', 'vat_10']);
+    assert.equal(result.pricing_summary.vat_amount, 15000);
+});
+
+test('unknown categories and rates are item errors', () => {
+    const result = calculator.calculateQuotationPricing(quotation([[100000, 1, 'vat_7'], [100000, 1, 12]]), variables);
+    assert.deepEqual(result.errors.map(error => error.error), [
+        'Unknown VAT category "vat_7" for item 1. Use one of: vat_10, vat_8, vat_5, vat_0, exempt',
+        'Unknown VAT category "12" for item 2. Use one of: vat_10, vat_8, vat_5, vat_0, exempt'
+    ]);
+    assert.throws(() => calculator.resolveVatCategory({ item_no: '1', vat_category: 'constructor' }, {}), /Unknown VAT category "constructor"/);
+});
@@ -0,0 +1,211 @@
+// =============================================
+// 🔤 AMOUNT IN WORDS - VIETNAMESE AND ENGLISH
+// =============================================
+const { FixedDecimal } = require('./fixed-decimal');
+
+/**
+ * AMOUNT IN WORDS
+ * Purpose: Spell out quotation totals ("Bằng chữ: ...") for formal documents
+ * - VND is written in Vietnamese ("Sáu mươi tám triệu ... đồng")
+ * - USD, EUR and other currencies are written in English ("... US dollars and fifteen cents")
+ * - Amounts are split on their decimal text, so cents never suffer float drift
+ */
+class AmountInWords {
+    constructor() {
+        this.vietnameseDigits = ['không', 'một', 'hai', 'ba', 'bốn', 'năm', 'sáu', 'bảy', 'tám', 'chín'];
+        this.vietnameseScales = ['', 'nghìn', 'triệu'];
+
+        this.englishOnes = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+            'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+        this.englishTens = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+        this.englishScales = ['', 'thousand', 'million', 'billion', 'trillion', 'quadrillion'];
+
+        // Currency names used in English: [major singular, major plural, minor singular, minor plural]
+        this.englishCurrencyNames = {
+            USD: ['US dollar', 'US dollars', 'cent', 'cents'],
+            EUR: ['euro', 'euros', 'cent', 'cents'],
+            JPY: ['Japanese yen', 'Japanese yen', 'sen', 'sen'],
+            VND: ['Vietnamese dong', 'Vietnamese dong', 'xu', 'xu']
+        };
+    }
+
+    // =========================================================================
+    // 🎯 PUBLIC API
+    // =========================================================================
+
+    /**
+     * Spell out a money amount
+     * @param {number|string} amount - Amount (negative amounts are prefixed with "minus"/"âm")
+     * @param {string} currency - Currency code
+     * @param {Object} options - { language: 'vi'|'en' (VND -> vi, others -> en when omitted), precision: decimal places }
+     * @returns {string} Amount in words, first letter capitalized
+     */
+    format(amount, currency = 'VND', options = {}) {
+        const code = String(currency || 'VND').toUpperCase();
+        const language = options.language || (code === 'VND' ? 'vi' : 'en');
+        const precision = Number.isInteger(options.precision) ? options.precision : (code === 'VND' || code === 'JPY' ? 0 : 2);
+
+        const value = FixedDecimal.from(amount || 0);
+        const [integerText, fractionText = ''] = value.abs().toFixed(precision).split('.');
+        const minorUnits = fractionText ? parseInt(fractionText, 10) : 0;
+
+        const words = language === 'vi'
+            ? this.formatVietnamese(integerText, minorUnits, code)
+            : this.formatEnglish(integerText, minorUnits, code);
+        const signed = value.isNegative() && (integerText !== '0' || minorUnits > 0)
+            ? `${language === 'vi' ? 'âm' : 'minus'} ${words}`
+            : words;
+
+        return signed.charAt(0).toUpperCase() + signed.slice(1);
+    }
+
+    // =========================================================================
+    // 🇻🇳 VIETNAMESE
+    // =========================================================================
+
+    /**
+     * Vietnamese reading of an amount, e.g. "sáu mươi tám triệu không trăm lẻ năm nghìn đồng"
+     */
+    formatVietnamese(integerText, minorUnits, currency) {
+        const unit = currency === 'VND' ? 'đồng' : currency;
+        let words = `${this.integerToVietnamese(integerText)} ${unit}`;
+        if (minorUnits > 0) {
+            words += ` ${this.integerToVietnamese(String(minorUnits))} xu`;
+        }
+        return words;
+    }
+
+    /**
+     * Read a non-negative integer (given as digits) in Vietnamese
+     * Groups of three digits: đơn vị, nghìn, triệu, tỷ, nghìn tỷ, ...
+     */
+    integerToVietnamese(integerText) {
+        const groups = this.splitGroups(integerText);
+        if (groups.every(group => group === 0)) {
+            return this.vietnameseDigits[0];
+        }
+
+        const highest = groups.length - 1;
+        const parts = [];
+        for (let index = highest; index >= 0; index--) {
+            const group = groups[index];
+            if (group === 0) continue;
+
+            const scale = [this.vietnameseScales[index % 3], ...Array(Math.floor(index / 3)).fill('tỷ')]
+                .filter(Boolean)
+                .join(' ');
+            parts.push([this.groupToVietnamese(group, index !== highest), scale].filter(Boolean).join(' '));
+        }
+        return parts.join(' ');
+    }
+
+    /**
+     * Read a 1-999 group; inner groups keep "không trăm" and "lẻ" (e.g. 1.005 = một nghìn không trăm lẻ năm)
+     */
+    groupToVietnamese(group, isInner) {
+        const hundreds = Math.floor(group / 100);
+        const tens = Math.floor((group % 100) / 10);
+        const units = group % 10;
+        const words = [];
+
+        if (hundreds > 0 || isInner) {
+            words.push(`${this.vietnameseDigits[hundreds]} trăm`);
+        }
+
+        if (tens === 0) {
+            if (units > 0 && words.length > 0) {
+                words.push('lẻ');
+            }
+        } else if (tens === 1) {
+            words.push('mười');
+        } else {
+            words.push(`${this.vietnameseDigits[tens]} mươi`);
+        }
+
+        if (units > 0) {
+            if (units === 1 && tens >= 2) {
+                words.push('mốt');
+            } else if (units === 5 && tens >= 1) {
+                words.push('lăm');
+            } else {
+                words.push(this.vietnameseDigits[units]);
+            }
+        }
+        return words.join(' ');
+    }
+
+    // =========================================================================
+    // 🇬🇧 ENGLISH
+    // =========================================================================
+
+    /**
+     * English reading of an amount, e.g. "one thousand two hundred US dollars and five cents"
+     */
+    formatEnglish(integerText, minorUnits, currency) {
+        const [singular, plural, minorSingular, minorPlural] = this.englishCurrencyNames[currency] || [currency, currency, 'cent', 'cents'];
+        const majorWords = this.integerToEnglish(integerText);
+        let words = `${majorWords} ${integerText === '1' ? singular : plural}`;
+        if (minorUnits > 0) {
+            words += ` and ${this.integerToEnglish(String(minorUnits))} ${minorUnits === 1 ? minorSingular : minorPlural}`;
+        }
+        return words;
+    }
+
+    /**
+     * Read a non-negative integer (given as digits) in English (US style, no "and")
+     */
+    integerToEnglish(integerText) {
+        const groups = this.splitGroups(integerText);
+        if (groups.every(group => group === 0)) {
+            return this.englishOnes[0];
+        }
+        if (groups.length > this.englishScales.length) {
+            throw new Error(`Amount ${integerText} is too large to write in words`);
+        }
+
+        const parts = [];
+        for (let index = groups.length - 1; index >= 0; index--) {
+            if (groups[index] === 0) continue;
+            parts.push([this.groupToEnglish(groups[index]), this.englishScales[index]].filter(Boolean).join(' '));
+        }
+        return parts.join(' ');
+    }
+
+    /**
+     * Read a 1-999 group, e.g. 342 = "three hundred forty-two"
+     */
+    groupToEnglish(group) {
+        const hundreds = Math.floor(group / 100);
+        const rest = group % 100;
+        const words = [];
+
+        if (hundreds > 0) {
+            words.push(`${this.englishOnes[hundreds]} hundred`);
+        }
+        if (rest > 0 && rest < 20) {
+            words.push(this.englishOnes[rest]);
+        } else if (rest >= 20) {
+            const units = rest % 10;
+            words.push(units > 0 ? `${this.englishTens[Math.floor(rest / 10)]}-${this.englishOnes[units]}` : this.englishTens[Math.floor(rest / 10)]);
+        }
+        return words.join(' ');
+    }
+
+    // =========================================================================
+    // 🛠️ HELPERS
+    // =========================================================================
+
+    /**
+     * Split integer digits into 3-digit groups, lowest group first ("1234567" -> [567, 234, 1])
+     */
+    splitGroups(integerText) {
+        const digits = String(integerText).replace(/^0+(?=\d)/, '');
+        const groups = [];
+        for (let end = digits.length; end > 0; end -= 3) {
+            groups.push(parseInt(digits.slice(Math.max(0, end - 3), end), 10));
+        }
+        return groups;
+    }
+}
+
+module.exports = { AmountInWords };
@@ -0,0 +1,373 @@
+// =============================================
+// 👥 CUSTOMER DIRECTORY - REUSABLE CUSTOMER PROFILES
+// =============================================
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * CUSTOMER DIRECTORY
+ * Purpose: One record per customer instead of a free-text customer_info on every payload
+ * - Records live in config/customers.json under stable IDs (cus_...), so renaming a customer keeps its history
+ * - Incoming customer_info is matched by customer_id, then company name or alias, then contact email
+ * - Company names are compared without case, accents, punctuation or extra spaces
+ *   ("Industrial Motors Inc." and "industrial motors inc" are the same customer)
+ * - Holds the customer's contacts, addresses and defaults (currency, pricing variables, document template)
+ * - Generating a quotation for an unknown company adds it here (source: 'quotation')
+ * Customer shape:
+ *   { id, company_name, aliases: [names], contacts: [{ name, email, phone, role }] (first = primary),
+ *     addresses: [{ label, address }] (first = default), default_currency, default_pricing_variables,
+ *     default_template, notes, source: 'manual'|'quotation', created_at, updated_at }
+ */
+class CustomerDirectory {
+    constructor(storePath = null) {
+        this.storePath = storePath || path.join(__dirname, '..', 'config', 'customers.json');
+        this.pricingVariableNames = ['shipping_cost', 'tax_rate', 'exchange_rate', 'profit_rate', 'discount_rate'];
+        this.editableFields = ['company_name', 'aliases', 'contacts', 'addresses', 'default_currency',
+            'default_pricing_variables', 'default_template', 'notes'];
+    }
+
+    // =========================================================================
+    // 📁 STORE FILE ACCESS
+    // =========================================================================
+
+    /**
+     * Load the directory from disk
+     * @returns {Object} { customers: { id: customer } }
+     */
+    loadStore() {
+        try {
+            if (fs.existsSync(this.storePath)) {
+                const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+                return { ...store, customers: store.customers || {} };
+            }
+        } catch (error) {
+            console.error('❌ Error reading customer directory:', error);
+        }
+        return { customers: {} };
+    }
+
+    /**
+     * Persist the directory (temp file + rename so readers never see a partial file)
+     * @param {Object} store - Directory
+     */
+    saveStore(store) {
+        const tempPath = `${this.storePath}.tmp`;
+        fs.writeFileSync(tempPath, `${JSON.stringify(store, null, 2)}\n`, 'utf8');
+        fs.renameSync(tempPath, this.storePath);
+    }
+
+    // =========================================================================
+    // 📋 CRUD
+    // =========================================================================
+
+    /**
+     * List customers, optionally filtered by name, alias or contact
+     * @param {Object} filters - { search }
+     * @returns {Array} Customers sorted by company name
+     */
+    list(filters = {}) {
+        const wanted = this.normalizeName(filters.search);
+        return Object.values(this.loadStore().customers)
+            .filter(customer => !wanted || [customer.company_name, ...customer.aliases,
+                ...customer.contacts.flatMap(contact => [contact.name, contact.email])]
+                .some(value => this.normalizeName(value).includes(wanted)))
+            .sort((a, b) => a.company_name.localeCompare(b.company_name));
+    }
+
+    /**
+     * Get one customer
+     * @param {string} id - Customer ID
+     * @returns {Object|null} Customer
+     */
+    get(id) {
+        return this.getRecord(this.loadStore(), id);
+    }
+
+    /**
+     * Add a customer
+     * @param {Object} data - Customer fields (company_name required)
+     * @param {string} source - 'manual' (directory API) or 'quotation' (created while generating)
+     * @returns {Object} Stored customer
+     */
+    create(data, source = 'manual') {
+        const store = this.loadStore();
+        const customer = this.sanitize(data);
+        if (!customer.company_name) {
+            throw new Error('company_name is required');
+        }
+        this.assertUniqueNames(store, customer);
+
+        const now = new Date().toISOString();
+        const stored = {
+            id: this.generateId(store),
+            ...customer,
+            source,
+            created_at: now,
+            updated_at: now
+        };
+        store.customers[stored.id] = stored;
+        this.saveStore(store);
+        console.log(`👥 Customer added: ${stored.company_name} (${stored.id})`);
+        return stored;
+    }
+
+    /**
+     * Change a customer; only the fields given are replaced
+     * @param {string} id - Customer ID
+     * @param {Object} changes - Customer fields
+     * @returns {Object} Updated customer
+     */
+    update(id, changes) {
+        const store = this.loadStore();
+        const existing = this.getRecord(store, id);
+        if (!existing) {
+            throw new Error(`Customer not found: ${id}`);
+        }
+
+        const given = this.editableFields.filter(field => changes && changes[field] !== undefined);
+        const sanitized = this.sanitize({ ...existing, ...changes });
+        const updated = { ...existing };
+        given.forEach(field => {
+            updated[field] = sanitized[field];
+        });
+        if (!updated.company_name) {
+            throw new Error('company_name cannot be empty');
+        }
+        this.assertUniqueNames(store, updated, id);
+
+        updated.updated_at = new Date().toISOString();
+        store.customers[id] = updated;
+        this.saveStore(store);
+        console.log(`👥 Customer updated: ${updated.company_name} (${id}): ${given.join(', ') || 'no changes'}`);
+        return updated;
+    }
+
+    /**
+     * Remove a customer (quotations keep their customer_info)
+     * @param {string} id - Customer ID
+     * @returns {Object} Removed customer
+     */
+    remove(id) {
+        const store = this.loadStore();
+        const existing = this.getRecord(store, id);
+        if (!existing) {
+            throw new Error(`Customer not found: ${id}`);
+        }
+        delete store.customers[id];
+        this.saveStore(store);
+        console.log(`👥 Customer removed: ${existing.company_name} (${id})`);
+        return existing;
+    }
+
+    // =========================================================================
+    // 🔗 MATCHING AND LINKING
+    // =========================================================================
+
+    /**
+     * Find the customer an incoming customer_info belongs to
+     * @param {Object} customerInfo - { customer_id, company_name, email, ... }
+     * @returns {Object|null} { customer, matched_by: 'id'|'name'|'alias'|'email' }
+     */
+    match(customerInfo) {
+        if (!customerInfo) {
+            return null;
+        }
+        const customers = Object.values(this.loadStore().customers);
+
+        if (customerInfo.customer_id) {
+            const customer = customers.find(candidate => candidate.id === customerInfo.customer_id);
+            if (!customer) {
+                throw new Error(`Customer not found: ${customerInfo.customer_id}`);
+            }
+            return { customer, matched_by: 'id' };
+        }
+
+        const name = this.normalizeName(customerInfo.company_name);
+        if (name) {
+            const byName = customers.find(candidate => this.normalizeName(candidate.company_name) === name);
+            if (byName) {
+                return { customer: byName, matched_by: 'name' };
+            }
+            const byAlias = customers.find(candidate => candidate.aliases.some(alias => this.normalizeName(alias) === name));
+            if (byAlias) {
+                return { customer: byAlias, matched_by: 'alias' };
+            }
+        }
+
+        const email = typeof customerInfo.email === 'string' ? customerInfo.email.trim().toLowerCase() : '';
+        if (email) {
+            const byEmail = customers.find(candidate => candidate.contacts.some(contact => contact.email === email));
+            if (byEmail) {
+                return { customer: byEmail, matched_by: 'email' };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Match customer_info to a customer, optionally adding a new customer when none matches
+     * @param {Object} customerInfo - Incoming customer_info
+     * @param {Object} options - { create: add a customer from customer_info when unmatched }
+     * @returns {Object|null} { customer, matched_by, created }
+     */
+    link(customerInfo, options = {}) {
+        const match = this.match(customerInfo);
+        if (match) {
+            return { ...match, created: false };
+        }
+        if (!options.create || !customerInfo?.company_name?.trim()) {
+            return null;
+        }
+
+        const contact = customerInfo.contact_person || customerInfo.email || customerInfo.phone
+            ? [{ name: customerInfo.contact_person, email: customerInfo.email, phone: customerInfo.phone }]
+            : [];
+        const customer = this.create({
+            company_name: customerInfo.company_name,
+            contacts: contact,
+            addresses: customerInfo.address ? [{ label: 'Main', address: customerInfo.address }] : []
+        }, 'quotation');
+        return { customer, matched_by: null, created: true };
+    }
+
+    /**
+     * customer_info for a quotation: what the payload sent, completed from the customer record
+     * The company name always becomes the record's name so every quotation of a customer files under one name
+     * @param {Object} customer - Customer
+     * @param {Object} customerInfo - Incoming customer_info
+     * @returns {Object} customer_info with customer_id
+     */
+    applyToCustomerInfo(customer, customerInfo = {}) {
+        const primary = customer.contacts[0] || {};
+        const filled = (value, fallback) => (value !== undefined && value !== null && value !== '' ? value : fallback);
+        return {
+            ...customerInfo,
+            customer_id: customer.id,
+            company_name: customer.company_name,
+            contact_person: filled(customerInfo.contact_person, primary.name || ''),
+            email: filled(customerInfo.email, primary.email || ''),
+            phone: filled(customerInfo.phone, primary.phone || ''),
+            address: filled(customerInfo.address, customer.addresses[0]?.address || '')
+        };
+    }
+
+    // =========================================================================
+    // 🛠️ HELPERS
+    // =========================================================================
+
+    /**
+     * Clean and check customer fields
+     * @throws {Error} When a field has an invalid value
+     */
+    sanitize(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Customer data must be an object');
+        }
+        const text = (value) => (typeof value === 'string' ? value.trim() : '');
+        const list = (value, name) => {
+            if (value === undefined || value === null) {
+                return [];
+            }
+            if (!Array.isArray(value)) {
+                throw new Error(`${name} must be an array`);
+            }
+            return value;
+        };
+
+        const contacts = list(data.contacts, 'contacts').map((contact, index) => {
+            const email = text(contact?.email).toLowerCase();
+            if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                throw new Error(`contacts[${index}].email is not a valid email address (got ${contact.email})`);
+            }
+            return { name: text(contact?.name), email, phone: text(contact?.phone), role: text(contact?.role) };
+        }).filter(contact => contact.name || contact.email || contact.phone);
+
+        const addresses = list(data.addresses, 'addresses').map((address, index) => {
+            const entry = typeof address === 'string' ? { address } : address;
+            if (!text(entry?.address)) {
+                throw new Error(`addresses[${index}].address is required`);
+            }
+            return { label: text(entry.label), address: text(entry.address) };
+        });
+
+        const currency = text(data.default_currency).toUpperCase();
+        if (currency && !/^[A-Z]{3}$/.test(currency)) {
+            throw new Error(`default_currency must be a 3-letter currency code (got ${data.default_currency})`);
+        }
+
+        let pricingVariables = null;
+        if (data.default_pricing_variables) {
+            if (typeof data.default_pricing_variables !== 'object' || Array.isArray(data.default_pricing_variables)) {
+                throw new Error('default_pricing_variables must be an object');
+            }
+            pricingVariables = {};
+            Object.entries(data.default_pricing_variables).forEach(([name, value]) => {
+                if (!this.pricingVariableNames.includes(name)) {
+                    throw new Error(`default_pricing_variables.${name} is not a pricing variable. Use: ${this.pricingVariableNames.join(', ')}`);
+                }
+                if (value === '' || value === null || !Number.isFinite(Number(value))) {
+                    throw new Error(`default_pricing_variables.${name} must be a number (got ${value})`);
+                }
+                pricingVariables[name] = Number(value);
+            });
+        }
+
+        const companyName = text(data.company_name);
+        return {
+            company_name: companyName,
+            aliases: [...new Set(list(data.aliases, 'aliases').map(text).filter(alias => alias && alias !== companyName))],
+            contacts,
+            addresses,
+            default_currency: currency || null,
+            default_pricing_variables: pricingVariables && Object.keys(pricingVariables).length > 0 ? pricingVariables : null,
+            default_template: text(data.default_template) || null,
+            notes: text(data.notes)
+        };
+    }
+
+    /**
+     * Two customers must never share a name or alias, otherwise matching would be ambiguous
+     */
+    assertUniqueNames(store, customer, ownId = null) {
+        const names = [customer.company_name, ...customer.aliases].map(name => this.normalizeName(name));
+        const clash = Object.values(store.customers).find(other => other.id !== ownId &&
+            [other.company_name, ...other.aliases].some(name => names.includes(this.normalizeName(name))));
+        if (clash) {
+            throw new Error(`Customer "${clash.company_name}" (${clash.id}) already uses this name or alias`);
+        }
+    }
+
+    /**
+     * Stored customer by ID (own keys only, so inherited names such as "constructor" are never customers)
+     */
+    getRecord(store, id) {
+        return Object.prototype.hasOwnProperty.call(store.customers, id) ? store.customers[id] : null;
+    }
+
+    generateId(store) {
+        let id;
+        do {
+            id = `cus_${crypto.randomBytes(5).toString('hex')}`;
+        } while (this.getRecord(store, id));
+        return id;
+    }
+
+    /**
+     * Compare form of a company name: no case, accents, punctuation or repeated spaces
+     */
+    normalizeName(name) {
+        if (typeof name !== 'string') {
+            return '';
+        }
+        return name
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[đĐ]/g, 'd')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+}
+
+module.exports = { CustomerDirectory };
@@ -0,0 +1,428 @@
+// =============================================
+// 📄 DOCUMENT GENERATOR - PDF / EXCEL EXPORT
+// =============================================
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { FormulaEngine } = require('./formula-engine');
+
+/**
+ * DOCUMENT GENERATOR
+ * Purpose: Convert populated quotation HTML into downloadable documents
+ * - Renders HTML to paginated A4 PDF through one shared headless Chrome (puppeteer),
+ *   with page scripts and network requests disabled
+ * - Builds XLSX workbooks whose cells recompute the pricing formula live
+ *   (step columns are translated from the same formula definition the calculator ran)
+ * - Keeps output next to the HTML/_data.json files in assets/generated
+ */
+class DocumentGenerator {
+    constructor(options = {}) {
+        this.pdfOptions = {
+            format: 'A4',
+            printBackground: true,
+            margin: { top: '15mm', right: '10mm', bottom: '18mm', left: '10mm' },
+            ...options.pdf
+        };
+        this.launchTimeout = options.launchTimeout || 30000;
+        this.noSandbox = options.noSandbox === true;
+        this.browser = null;
+        this.browserLaunch = null;
+        this.formulaEngine = new FormulaEngine();
+    }
+
+    // =========================================================================
+    // 📕 PDF GENERATION
+    // =========================================================================
+
+    /**
+     * Render populated quotation HTML into a paginated PDF file
+     * The page runs with JavaScript disabled and every network request blocked:
+     * quotation HTML carries user-entered text, and logo/signature are embedded as data URLs
+     * @param {string} htmlContent - Fully populated quotation HTML
+     * @param {string} outputPath - Absolute path of the PDF to write
+     * @returns {Object} PDF file info { path, size, pages }
+     */
+    async generatePdf(htmlContent, outputPath) {
+        const outputDir = path.dirname(outputPath);
+        if (!fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        console.log(`📕 Rendering PDF: ${path.basename(outputPath)}`);
+
+        const browser = await this.getBrowser();
+        const page = await browser.newPage();
+
+        try {
+            await page.setJavaScriptEnabled(false);
+            await page.setRequestInterception(true);
+            page.on('request', request => {
+                const url = request.url();
+                if (url.startsWith('data:') || url === 'about:blank') {
+                    request.continue();
+                } else {
+                    request.abort();
+                }
+            });
+            await page.emulateMediaType('print');
+            await page.setContent(htmlContent, { waitUntil: 'load' });
+
+            const pdfBuffer = await page.pdf({
+                ...this.pdfOptions,
+                displayHeaderFooter: true,
+                headerTemplate: '<div></div>',
+                footerTemplate: `
+                    <div style="width: 100%; font-size: 8px; color: #666; text-align: center;">
+                        <span class="pageNumber"></span> / <span class="totalPages"></span>
+                    </div>`
+            });
+
+            fs.writeFileSync(outputPath, pdfBuffer);
+
+            const pages = (pdfBuffer.toString('latin1').match(/\/Type\s*\/Page[^s]/g) || []).length;
+            console.log(`✅ PDF generated: ${path.basename(outputPath)} (${pages} page(s), ${pdfBuffer.length} bytes)`);
+
+            return {
+                path: outputPath,
+                size: pdfBuffer.length,
+                pages: pages
+            };
+        } finally {
+            await page.close();
+        }
+    }
+
+    /**
+     * Shared headless Chrome instance, launched on first use and relaunched if it goes away
+     * Concurrent callers wait for the same launch
+     * @returns {Object} puppeteer Browser
+     */
+    async getBrowser() {
+        if (this.browser?.connected) {
+            return this.browser;
+        }
+        if (!this.browserLaunch) {
+            this.browserLaunch = this.launchBrowser()
+                .then(browser => {
+                    this.browser = browser;
+                    browser.on('disconnected', () => {
+                        if (this.browser === browser) {
+                            this.browser = null;
+                        }
+                    });
+                    return browser;
+                })
+                .finally(() => {
+                    this.browserLaunch = null;
+                });
+        }
+        return this.browserLaunch;
+    }
+
+    /**
+     * Launch headless Chrome
+     * The Chrome sandbox stays on unless options.noSandbox is set (e.g. containers running as root)
+     * @returns {Object} puppeteer Browser
+     */
+    async launchBrowser() {
+        // Loaded lazily so the server still starts when Chrome is not installed
+        const puppeteer = require('puppeteer');
+        const args = ['--disable-dev-shm-usage'];
+        if (this.noSandbox) {
+            args.push('--no-sandbox', '--disable-setuid-sandbox');
+        }
+        return puppeteer.launch({ headless: true, timeout: this.launchTimeout, args });
+    }
+
+    /**
+     * Close the shared browser (server shutdown)
+     */
+    async close() {
+        const browser = this.browser;
+        this.browser = null;
+        if (browser) {
+            await browser.close();
+        }
+    }
+
+    // =========================================================================
+    // 📗 EXCEL GENERATION
+    // =========================================================================
+
+    /**
+     * Build an XLSX workbook from calculated pricing with live cell formulas
+     * Each item row reproduces QuotationPriceCalculations.calculateItemPricing:
+     *   one column per formula step (calculation_metadata.formula_definition),
+     *   quoted unit price = round(sales_unit_price), ext = round(quoted unit price × qty),
+     *   subtotal = round(SUM(ext of standard items)), each with the mode in calculation_metadata.rounding;
+     *   VAT rows = round(SUMIFS(ext, vat category, standard items) × rate) per rate group, then the grand total;
+     *   optional and alternative items get their own subtotal rows below the grand total
+     * @param {Object} quotationData - Quotation data (RFQ, customer, items)
+     * @param {Object} calculatedPricing - Result of calculateQuotationPricing
+     * @param {string} outputPath - Absolute path of the XLSX to write
+     * @param {Object} calculationRules - System calculation rules (currency fallback)
+     * @returns {Object} Excel file info { path, rows }
+     */
+    async generateExcel(quotationData, calculatedPricing, outputPath, calculationRules = {}) {
+        const processedItems = calculatedPricing?.processed_items || [];
+        if (processedItems.length === 0) {
+            throw new Error('No calculated items available for Excel export');
+        }
+
+        const formulaDefinition = calculatedPricing.calculation_metadata?.formula_definition;
+        if (!formulaDefinition?.steps?.length) {
+            throw new Error('Calculated pricing has no formula definition for Excel export');
+        }
+
+        const currency = calculatedPricing.pricing_summary?.currency || calculationRules.currency || 'VND';
+        const rounding = calculatedPricing.calculation_metadata?.rounding || {
+            precision: 0,
+            modes: { unit_price: 'half_up', ext_price: 'half_up', subtotal: 'half_up', vat: 'half_up' }
+        };
+        const customerInfo = quotationData?.customer_info || {};
+
+        const workbook = new ExcelJS.Workbook();
+        workbook.creator = 'QuoteFlow AI';
+        workbook.created = new Date();
+        // Ask Excel/LibreOffice to recompute every formula when the file is opened
+        workbook.calcProperties.fullCalcOnLoad = true;
+
+        const sheet = workbook.addWorksheet('Quotation', {
+            views: [{ state: 'frozen', ySplit: 8 }]
+        });
+
+        // Header block with the rounding parameters referenced by the formulas
+        sheet.getCell('A1').value = 'QUOTATION';
+        sheet.getCell('A1').font = { bold: true, size: 14 };
+        sheet.getCell('A2').value = 'RFQ Reference';
+        sheet.getCell('B2').value = quotationData?.rfq_reference || 'N/A';
+        sheet.getCell('A3').value = 'Customer';
+        sheet.getCell('B3').value = customerInfo.company_name || 'N/A';
+        sheet.getCell('A4').value = 'Currency';
+        sheet.getCell('B4').value = currency;
+        sheet.getCell('A5').value = 'Decimal places';
+        sheet.getCell('B5').value = rounding.precision;
+        sheet.getCell('A6').value = 'Rounding';
+        sheet.getCell('B6').value = Object.entries(rounding.modes).map(([step, mode]) => `${step}: ${mode}`).join(', ') +
+            (rounding.increment ? ` (to ${rounding.increment}, min ${rounding.minimum_price || 0}: ${rounding.increment_steps.join(', ')})` : '');
+        sheet.getCell('D2').value = 'Pricing formula';
+        sheet.getCell('E2').value = calculatedPricing.calculation_metadata?.formula_name || calculatedPricing.calculation_metadata?.formula_id || 'standard';
+        ['A2', 'A3', 'A4', 'A5', 'A6', 'D2'].forEach(ref => { sheet.getCell(ref).font = { bold: true }; });
+
+        const PRECISION = '$B$5';
+        const roundToPrecision = (expression, mode) => {
+            switch (mode) {
+                case 'ceil_1000':
+                    return `CEILING(${expression},1000)`;
+                case 'half_even':
+                    // Excel has no banker's rounding: an exact half rounds toward the even digit
+                    // (compared with a tolerance, since x*10^p is rarely an exact binary half)
+                    return `IF(ABS(MOD(ABS(${expression})*10^${PRECISION},2)-0.5)<1E-9,ROUNDDOWN(${expression},${PRECISION}),ROUND(${expression},${PRECISION}))`;
+                default:
+                    return `ROUND(${expression},${PRECISION})`;
+            }
+        };
+        // Increment steps (e.g. VND to the nearest 1,000): round the number of increments, then apply minimum_price
+        const roundMoneyFormula = (expression, step) => {
+            const mode = rounding.modes[step];
+            if (!(rounding.increment_steps || []).includes(step)) {
+                return roundToPrecision(expression, mode);
+            }
+            let formula = rounding.increment && mode !== 'ceil_1000'
+                ? (mode === 'half_even'
+                    ? `(IF(ABS(MOD(ABS(${expression})/${rounding.increment},2)-0.5)<1E-9,ROUNDDOWN(${expression}/${rounding.increment},0),ROUND(${expression}/${rounding.increment},0))*${rounding.increment})`
+                    : `(ROUND(${expression}/${rounding.increment},0)*${rounding.increment})`)
+                : roundToPrecision(expression, mode);
+            if (rounding.minimum_price) {
+                formula = `IF(${expression}>0,MAX(${formula},${rounding.minimum_price}),${formula})`;
+            }
+            return formula;
+        };
+
+        // Input columns hold values; step columns hold formulas over inputs and earlier steps
+        const extraVariables = Object.keys(formulaDefinition.variables || {});
+        const stepKey = (name) => `step_${name}`;
+        const columns = [
+            { header: 'Item No.', key: 'item_no', width: 9 },
+            { header: 'Description', key: 'description', width: 40 },
+            { header: 'Model/Part No.', key: 'model_part_number', width: 18 },
+            { header: 'Maker', key: 'maker_origin', width: 16 },
+            { header: 'UOM', key: 'uom', width: 7 },
+            { header: 'Qty', key: 'quantity', width: 8 },
+            { header: 'Unit Price', key: 'unit_price', width: 14 },
+            { header: 'Shipping Cost', key: 'shipping_cost', width: 14 },
+            { header: 'Tax Rate', key: 'tax_rate', width: 10 },
+            { header: 'Exchange Rate', key: 'exchange_rate', width: 12 },
+            { header: 'Profit Rate', key: 'profit_rate', width: 11 },
+            { header: 'Discount Rate', key: 'discount_rate', width: 12 },
+            ...extraVariables.map(name => ({ header: name, key: name, width: 13 })),
+            ...formulaDefinition.steps.map(step => ({ header: step.label || step.name, key: stepKey(step.name), width: 16 })),
+            { header: 'Quoted Unit Price', key: 'quoted_unit_price', width: 16 },
+            { header: 'Ext Price', key: 'ext_price', width: 16 },
+            { header: 'VAT Category', key: 'vat_category', width: 13 },
+            { header: 'Item Role', key: 'item_role', width: 12 },
+            { header: 'Alternative Of', key: 'alternative_of', width: 13 },
+            { header: 'Potential Profit', key: 'potential_profit', width: 16 }
+        ];
+        const headerRowNumber = 8;
+        // Keys only (no header) so the header block above stays untouched
+        sheet.columns = columns.map(column => ({ key: column.key, width: column.width }));
+        const columnLetter = {};
+        columns.forEach((column, index) => {
+            columnLetter[column.key] = sheet.getColumn(index + 1).letter;
+        });
+
+        const headerRow = sheet.getRow(headerRowNumber);
+        headerRow.values = columns.map(column => column.header);
+        headerRow.font = { bold: true };
+        headerRow.eachCell(cell => {
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF0F0F0' } };
+            cell.border = { bottom: { style: 'thin' } };
+        });
+
+        const quotationItems = quotationData?.quotation_items || [];
+        const firstItemRow = headerRowNumber + 1;
+        const stepNames = new Set(formulaDefinition.steps.map(step => step.name));
+
+        processedItems.forEach((calculatedItem, index) => {
+            const rowNumber = firstItemRow + index;
+            const sourceItem = quotationItems.find(item => String(item.item_no) === String(calculatedItem.item_no)) || {};
+            const ref = (key) => `${columnLetter[key]}${rowNumber}`;
+            const resolveVariable = (name) => {
+                if (stepNames.has(name)) return ref(stepKey(name));
+                return columnLetter[name] ? ref(name) : null;
+            };
+
+            const values = {
+                item_no: calculatedItem.item_no,
+                description: calculatedItem.description,
+                model_part_number: sourceItem.company_requirement?.model_part_number || '',
+                maker_origin: sourceItem.company_requirement?.maker_origin || '',
+                uom: calculatedItem.unit_of_measure,
+                quantity: calculatedItem.quantity,
+                unit_price: calculatedItem.original_unit_price,
+                shipping_cost: calculatedItem.shipping_cost_applied,
+                tax_rate: calculatedItem.tax_rate_applied,
+                exchange_rate: calculatedItem.exchange_rate_applied,
+                profit_rate: calculatedItem.profit_rate_applied,
+                discount_rate: calculatedItem.discount_rate_applied,
+                quoted_unit_price: {
+                    formula: roundMoneyFormula(ref(stepKey('sales_unit_price')), 'unit_price'),
+                    result: calculatedItem.sales_unit_price
+                },
+                ext_price: {
+                    formula: roundMoneyFormula(`(${ref('quoted_unit_price')}*${ref('quantity')})`, 'ext_price'),
+                    result: calculatedItem.ext_price
+                },
+                vat_category: calculatedItem.vat_category || '',
+                item_role: calculatedItem.item_role || 'standard',
+                alternative_of: calculatedItem.alternative_of || '',
+                potential_profit: {
+                    formula: `(ROUND(${ref(stepKey('profit_unit_price'))},${PRECISION})-ROUND(${ref(stepKey('actual_unit_price'))},${PRECISION}))*${ref('quantity')}`,
+                    result: calculatedItem.potential_profit
+                }
+            };
+            extraVariables.forEach(name => {
+                values[name] = calculatedItem.formula_variables_applied?.[name] ?? formulaDefinition.variables[name];
+            });
+            formulaDefinition.steps.forEach(step => {
+                const traced = (calculatedItem.calculation_trace || []).find(entry => entry.name === step.name);
+                values[stepKey(step.name)] = {
+                    formula: this.formulaEngine.toExcel(step.expression, resolveVariable),
+                    result: traced ? traced.value : undefined
+                };
+            });
+
+            sheet.getRow(rowNumber).values = values;
+        });
+
+        // Only standard items count in the totals; optional and alternative items are summed apart
+        const lastItemRow = firstItemRow + processedItems.length - 1;
+        const columnRange = (key) => `${columnLetter[key]}${firstItemRow}:${columnLetter[key]}${lastItemRow}`;
+        const extRange = columnRange('ext_price');
+        const roleRange = columnRange('item_role');
+        const standardItems = processedItems.filter(item => (item.item_role || 'standard') === 'standard');
+        const totalRow = sheet.getRow(lastItemRow + 2);
+        totalRow.getCell(columnLetter.quoted_unit_price).value = 'Subtotal';
+        totalRow.getCell(columnLetter.ext_price).value = {
+            formula: roundMoneyFormula(`SUMIF(${roleRange},"standard",${extRange})`, 'subtotal'),
+            result: calculatedPricing.pricing_summary?.subtotal
+        };
+        totalRow.getCell(columnLetter.potential_profit).value = {
+            formula: `SUMIF(${roleRange},"standard",${columnRange('potential_profit')})`,
+            result: standardItems.reduce((sum, item) => sum + (item.potential_profit || 0), 0)
+        };
+        totalRow.font = { bold: true };
+
+        // VAT per rate group, then the grand total
+        const subtotalRef = `${columnLetter.ext_price}${totalRow.number}`;
+        const vatCategoryRange = columnRange('vat_category');
+        const taxSummary = calculatedPricing.pricing_summary?.tax_summary || [];
+        taxSummary.forEach((group, index) => {
+            const vatRow = sheet.getRow(totalRow.number + 1 + index);
+            vatRow.getCell(columnLetter.quoted_unit_price).value = group.label;
+            vatRow.getCell(columnLetter.ext_price).value = {
+                formula: roundMoneyFormula(`(SUMIFS(${extRange},${vatCategoryRange},"${group.category}",${roleRange},"standard")*${group.rate}/100)`, 'vat'),
+                result: group.vat_amount
+            };
+            vatRow.getCell(columnLetter.vat_category).value = group.category;
+        });
+        let lastTotalRow = totalRow.number;
+        if (taxSummary.length > 0) {
+            const firstVatRow = totalRow.number + 1;
+            const lastVatRow = totalRow.number + taxSummary.length;
+            const grandTotalRow = sheet.getRow(lastVatRow + 1);
+            grandTotalRow.getCell(columnLetter.quoted_unit_price).value = 'Grand Total';
+            grandTotalRow.getCell(columnLetter.ext_price).value = {
+                formula: `${subtotalRef}+SUM(${columnLetter.ext_price}${firstVatRow}:${columnLetter.ext_price}${lastVatRow})`,
+                result: calculatedPricing.pricing_summary?.grand_total
+            };
+            grandTotalRow.font = { bold: true };
+            lastTotalRow = grandTotalRow.number;
+        }
+
+        // Optional and alternative subtotals (not part of the grand total)
+        [['optional', 'Optional Items Subtotal'], ['alternative', 'Alternatives Subtotal']]
+            .filter(([role]) => processedItems.some(item => item.item_role === role))
+            .forEach(([role, label], index) => {
+                const roleRow = sheet.getRow(lastTotalRow + 2 + index);
+                roleRow.getCell(columnLetter.quoted_unit_price).value = label;
+                roleRow.getCell(columnLetter.ext_price).value = {
+                    formula: roundMoneyFormula(`SUMIF(${roleRange},"${role}",${extRange})`, 'subtotal'),
+                    result: calculatedPricing.pricing_summary?.[`${role}_subtotal`]
+                };
+                roleRow.getCell(columnLetter.item_role).value = role;
+                roleRow.font = { italic: true };
+            });
+
+        // Number formats: money columns with the currency's decimals, rates with 4 decimals
+        const moneyFormat = rounding.precision > 0 ? `#,##0.${'0'.repeat(rounding.precision)}` : '#,##0';
+        ['quoted_unit_price', 'ext_price', 'potential_profit'].forEach(key => {
+            sheet.getColumn(columnLetter[key]).numFmt = moneyFormat;
+        });
+        // Inputs and exact step values may carry more decimals than the currency
+        ['unit_price', 'shipping_cost', ...formulaDefinition.steps.map(step => stepKey(step.name))].forEach(key => {
+            sheet.getColumn(columnLetter[key]).numFmt = '#,##0.####';
+        });
+        ['tax_rate', 'exchange_rate', 'profit_rate'].forEach(key => {
+            sheet.getColumn(columnLetter[key]).numFmt = '0.0000';
+        });
+        sheet.getColumn(columnLetter.discount_rate).numFmt = '0.00%';
+        sheet.getCell('B5').numFmt = '0';
+
+        const outputDir = path.dirname(outputPath);
+        if (!fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+        await workbook.xlsx.writeFile(outputPath);
+
+        console.log(`✅ Excel generated: ${path.basename(outputPath)} (${processedItems.length} item rows)`);
+
+        return {
+            path: outputPath,
+            rows: processedItems.length
+        };
+    }
+}
+
+module.exports = { DocumentGenerator };
@@ -0,0 +1,175 @@
+// =============================================
+// 🌐 DOCUMENT LOCALE - QUOTATION LANGUAGES
+// =============================================
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * DOCUMENT LOCALE
+ * Purpose: Print the same quotation for local and foreign parties
+ * - Languages live in config/document-locales.json (labels, Intl locale, date format, VAT category names)
+ * - quotation_data.locale picks the language (labels, dates, numbers, amount in words),
+ *   quotation_data.secondary_locale adds a second one next to every label (dual-language layout)
+ * - Without a locale, default_locale applies (vi: vi-VN numbers and dates, Vietnamese amount in words)
+ * - Locale codes are matched on their language part ("vi-VN" -> "vi")
+ * Resolved locale shape:
+ *   { code, name, intl_locale, date_format, labels, vat_categories, secondary: resolved locale | null }
+ */
+class DocumentLocale {
+    constructor(configPath = null) {
+        this.configPath = configPath || path.join(__dirname, '..', 'config', 'document-locales.json');
+        // Documents without a locale keep the vi-VN formatting they always had
+        this.defaultLocale = 'vi';
+        // Labels missing from a language fall back to this one
+        this.fallbackLocale = 'en';
+    }
+
+    // =========================================================================
+    // 📁 CONFIG FILE ACCESS
+    // =========================================================================
+
+    /**
+     * Load languages from disk
+     * @returns {Object} { default_locale, locales: { code: { name, intl_locale, date_format, labels, vat_categories } } }
+     */
+    loadConfig() {
+        try {
+            const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+            return {
+                ...config,
+                default_locale: config.default_locale || this.defaultLocale,
+                locales: config.locales || {}
+            };
+        } catch (error) {
+            console.error('❌ Error reading document locale config:', error);
+            return { default_locale: this.defaultLocale, locales: {} };
+        }
+    }
+
+    // =========================================================================
+    // 🎯 LOCALE SELECTION
+    // =========================================================================
+
+    /**
+     * Languages a document can be printed in
+     * @returns {Object} { default_locale, locales: [{ code, name }] }
+     */
+    listLocales() {
+        const config = this.loadConfig();
+        return {
+            default_locale: config.default_locale,
+            locales: Object.entries(config.locales).map(([code, locale]) => ({ code, name: locale.name || code }))
+        };
+    }
+
+    /**
+     * Normalize a locale code to a configured language ("vi-VN" -> "vi")
+     * @param {string} code - Locale code
+     * @param {Object} config - Loaded config (read from disk when omitted)
+     * @returns {string|null} Configured code, or null when the language is not configured
+     */
+    normalizeCode(code, config = null) {
+        if (!code || typeof code !== 'string') {
+            return null;
+        }
+        const language = code.trim().toLowerCase().split(/[-_]/)[0];
+        return Object.prototype.hasOwnProperty.call((config || this.loadConfig()).locales, language) ? language : null;
+    }
+
+    /**
+     * Language(s) of a quotation document
+     * @param {Object} quotationData - Quotation data (locale, secondary_locale)
+     * @returns {Object} Resolved locale (see class comment)
+     */
+    resolve(quotationData) {
+        const config = this.loadConfig();
+        const code = this.requireCode(quotationData?.locale, config) || this.normalizeCode(config.default_locale, config);
+        if (!code) {
+            throw new Error(`Default document locale "${config.default_locale}" is not configured`);
+        }
+        const secondaryCode = this.requireCode(quotationData?.secondary_locale, config);
+
+        const primary = this.buildLocale(code, config);
+        primary.secondary = secondaryCode && secondaryCode !== code ? this.buildLocale(secondaryCode, config) : null;
+        return primary;
+    }
+
+    /**
+     * Throw for a requested locale that is not configured
+     * @param {string} code - Requested locale code (empty = not requested)
+     * @param {Object} config - Loaded config (read from disk when omitted)
+     * @returns {string|null} Configured code
+     */
+    requireCode(code, config = null) {
+        if (!code) {
+            return null;
+        }
+        const loaded = config || this.loadConfig();
+        const normalized = this.normalizeCode(code, loaded);
+        if (!normalized) {
+            throw new Error(`Document locale "${code}" is not supported. Available: ${Object.keys(loaded.locales).join(', ')}`);
+        }
+        return normalized;
+    }
+
+    // =========================================================================
+    // 🔤 FORMATTING
+    // =========================================================================
+
+    /**
+     * Date in the locale's format (e.g. 19/10/2026 for vi, Oct 19, 2026 for en)
+     * @param {Date|string} value - Date (YYYY-MM-DD strings are read as local dates)
+     * @param {Object} locale - Resolved locale
+     * @returns {string} Formatted date
+     */
+    formatDate(value, locale) {
+        const date = value instanceof Date ? value
+            : new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+        return new Intl.DateTimeFormat(locale.intl_locale, locale.date_format).format(date);
+    }
+
+    /**
+     * Date and time in the locale's format
+     * @param {Date|string} value - Date
+     * @param {Object} locale - Resolved locale
+     * @returns {string} Formatted date and time
+     */
+    formatDateTime(value, locale) {
+        const date = value instanceof Date ? value : new Date(value);
+        return new Intl.DateTimeFormat(locale.intl_locale, {
+            ...locale.date_format,
+            hour: '2-digit',
+            minute: '2-digit'
+        }).format(date);
+    }
+
+    /**
+     * Localized name of a VAT rate group, falling back to the label in config/vat-rates.json
+     * @param {Object} group - pricing_summary.tax_summary entry
+     * @param {Object} locale - Resolved locale
+     * @returns {string} Label
+     */
+    vatLabel(group, locale) {
+        return locale.vat_categories?.[group.category] || group.label;
+    }
+
+    // =========================================================================
+    // 🛠️ HELPERS
+    // =========================================================================
+
+    buildLocale(code, config) {
+        const locale = config.locales[code];
+        const fallback = config.locales[this.fallbackLocale] || {};
+        return {
+            code,
+            name: locale.name || code,
+            intl_locale: locale.intl_locale || code,
+            date_format: locale.date_format || { day: '2-digit', month: '2-digit', year: 'numeric' },
+            // Labels missing from a language fall back to English
+            labels: { ...fallback.labels, ...locale.labels },
+            vat_categories: locale.vat_categories || {}
+        };
+    }
+}
+
+module.exports = { DocumentLocale };
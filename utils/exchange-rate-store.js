@@ -0,0 +1,316 @@
+// =============================================
+// 💱 EXCHANGE RATE STORE - DATED RATE HISTORY
+// =============================================
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * EXCHANGE RATE STORE
+ * Purpose: Own config/exchange-rates.json, the rate table pricing defaults come from
+ * - Rates are imported from CSV or JSON with an effective date per row
+ * - The rate for a pair on a date is the newest entry effective on or before that date
+ * - Missing pairs fall back to the inverse of the opposite pair
+ * Entry shape:
+ *   { from, to, rate, effective_date: 'YYYY-MM-DD', source, imported_at }
+ */
+class ExchangeRateStore {
+    constructor(storePath = null) {
+        this.storePath = storePath || path.join(__dirname, '..', 'config', 'exchange-rates.json');
+
+        // Accepted column names per field (CSV headers and JSON keys)
+        this.fieldAliases = {
+            from: ['from', 'from_currency', 'base', 'base_currency'],
+            to: ['to', 'to_currency', 'quote', 'quote_currency'],
+            rate: ['rate', 'exchange_rate'],
+            effective_date: ['effective_date', 'date', 'effective_from', 'valid_from'],
+            source: ['source']
+        };
+    }
+
+    // =========================================================================
+    // 📁 STORE FILE ACCESS
+    // =========================================================================
+
+    /**
+     * Load the rate table from disk
+     * @returns {Object} { rates: [...] }
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.storePath)) {
+                const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+                return { ...data, rates: Array.isArray(data.rates) ? data.rates : [] };
+            }
+        } catch (error) {
+            console.error('❌ Error reading exchange rates:', error);
+        }
+        return { rates: [] };
+    }
+
+    /**
+     * Persist the rate table (temp file + rename so readers never see a partial file)
+     * @param {Object} data - { rates: [...] }
+     */
+    save(data) {
+        const tempPath = `${this.storePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.storePath);
+    }
+
+    // =========================================================================
+    // 🔍 RATE LOOKUP
+    // =========================================================================
+
+    /**
+     * Rate for a currency pair on a date
+     * @param {string} from - Source currency (e.g. USD)
+     * @param {string} to - Target currency (e.g. VND)
+     * @param {string|Date} date - Lookup date (today when omitted)
+     * @returns {Object|null} { from, to, rate, effective_date, source, lookup_date, method } or null when unknown
+     */
+    getRate(from, to, date = null) {
+        const fromCode = this.normalizeCurrency(from);
+        const toCode = this.normalizeCurrency(to);
+        const lookupDate = this.normalizeDate(date || new Date());
+        if (!fromCode || !toCode) {
+            throw new Error('Both currencies are required');
+        }
+        if (!lookupDate) {
+            throw new Error(`Invalid date: ${date}`);
+        }
+
+        if (fromCode === toCode) {
+            return { from: fromCode, to: toCode, rate: 1, effective_date: null, source: 'identity', lookup_date: lookupDate, method: 'identity' };
+        }
+
+        const rates = this.load().rates;
+        const direct = this.findEffective(rates, fromCode, toCode, lookupDate);
+        if (direct) {
+            return { ...this.describe(direct), lookup_date: lookupDate, method: 'direct' };
+        }
+
+        const inverse = this.findEffective(rates, toCode, fromCode, lookupDate);
+        if (inverse) {
+            return {
+                ...this.describe(inverse),
+                from: fromCode,
+                to: toCode,
+                rate: 1 / inverse.rate,
+                lookup_date: lookupDate,
+                method: 'inverse'
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Newest entry of a pair that is effective on the given date
+     */
+    findEffective(rates, from, to, date) {
+        return rates
+            .filter(entry => entry.from === from && entry.to === to && entry.effective_date <= date)
+            .sort((a, b) => b.effective_date.localeCompare(a.effective_date))[0] || null;
+    }
+
+    /**
+     * Rate history, newest first
+     * @param {Object} filters - { from, to } (optional)
+     * @returns {Array} Rate entries
+     */
+    listRates(filters = {}) {
+        const fromCode = this.normalizeCurrency(filters.from);
+        const toCode = this.normalizeCurrency(filters.to);
+        return this.load().rates
+            .filter(entry => (!fromCode || entry.from === fromCode) && (!toCode || entry.to === toCode))
+            .sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to) || b.effective_date.localeCompare(a.effective_date))
+            .map(entry => this.describe(entry));
+    }
+
+    /**
+     * Public shape of a stored entry
+     */
+    describe(entry) {
+        return {
+            from: entry.from,
+            to: entry.to,
+            rate: entry.rate,
+            effective_date: entry.effective_date,
+            source: entry.source || null
+        };
+    }
+
+    // =========================================================================
+    // 📥 IMPORT
+    // =========================================================================
+
+    /**
+     * Import rates from CSV or JSON; a row for an existing pair + effective date replaces it
+     * @param {string|Object|Array} content - CSV text, JSON text, or parsed JSON ({ rates: [...] } or [...])
+     * @param {Object} options - { format: 'csv'|'json' (detected when omitted), source }
+     * @returns {Object} { imported, updated, skipped, errors: [{ row, error }] }
+     */
+    importRates(content, options = {}) {
+        const format = options.format || this.detectFormat(content);
+        const rows = format === 'csv' ? this.parseCsv(String(content)) : this.parseJson(content);
+
+        const data = this.load();
+        const summary = { format: format, imported: 0, updated: 0, skipped: 0, errors: [] };
+        const importedAt = new Date().toISOString();
+
+        rows.forEach((row, index) => {
+            try {
+                const entry = this.normalizeRow(row);
+                entry.source = entry.source || options.source || `${format}_import`;
+                entry.imported_at = importedAt;
+
+                const existingIndex = data.rates.findIndex(rate =>
+                    rate.from === entry.from && rate.to === entry.to && rate.effective_date === entry.effective_date);
+                if (existingIndex >= 0) {
+                    data.rates[existingIndex] = entry;
+                    summary.updated++;
+                } else {
+                    data.rates.push(entry);
+                    summary.imported++;
+                }
+            } catch (error) {
+                summary.skipped++;
+                // CSV rows are numbered like a spreadsheet (header = row 1)
+                summary.errors.push({ row: format === 'csv' ? index + 2 : index + 1, error: error.message });
+            }
+        });
+
+        if (summary.imported > 0 || summary.updated > 0) {
+            this.save(data);
+        }
+        console.log(`💱 Exchange rates imported (${format}): ${summary.imported} new, ${summary.updated} updated, ${summary.skipped} skipped`);
+        return summary;
+    }
+
+    /**
+     * Guess the import format from the content
+     */
+    detectFormat(content) {
+        if (typeof content !== 'string') {
+            return 'json';
+        }
+        const trimmed = content.trim();
+        return trimmed.startsWith('{') || trimmed.startsWith('[') ? 'json' : 'csv';
+    }
+
+    /**
+     * Parse JSON import content into raw rows
+     */
+    parseJson(content) {
+        const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+        const rows = Array.isArray(parsed) ? parsed : parsed?.rates;
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON import must be an array of rates or { "rates": [...] }');
+        }
+        return rows;
+    }
+
+    /**
+     * Parse CSV import content (header row required, quoted fields supported)
+     */
+    parseCsv(content) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) {
+            throw new Error('CSV import needs a header row and at least one rate');
+        }
+
+        const splitLine = (line) => {
+            const cells = [];
+            let current = '';
+            let quoted = false;
+            for (let i = 0; i < line.length; i++) {
+                const char = line[i];
+                if (char === '"' && quoted && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = !quoted;
+                } else if ((char === ',' || char === ';') && !quoted) {
+                    cells.push(current.trim());
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            cells.push(current.trim());
+            return cells;
+        };
+
+        const header = splitLine(lines[0]).map(name => name.toLowerCase());
+        return lines.slice(1).map(line => {
+            const cells = splitLine(line);
+            const row = {};
+            header.forEach((name, index) => { row[name] = cells[index]; });
+            return row;
+        });
+    }
+
+    /**
+     * Validate one imported row and map its column aliases
+     * @param {Object} row - Raw row
+     * @returns {Object} Stored entry
+     */
+    normalizeRow(row) {
+        const pick = (field) => {
+            const key = this.fieldAliases[field].find(alias => row[alias] !== undefined && row[alias] !== '');
+            return key ? row[key] : undefined;
+        };
+
+        const from = this.normalizeCurrency(pick('from'));
+        const to = this.normalizeCurrency(pick('to'));
+        const rate = parseFloat(String(pick('rate') ?? '').replace(/,/g, ''));
+        const effectiveDate = this.normalizeDate(pick('effective_date'));
+
+        if (!from || !to) {
+            throw new Error('from and to currencies are required');
+        }
+        if (from === to) {
+            throw new Error(`${from} to ${from} needs no rate`);
+        }
+        if (!isFinite(rate) || rate <= 0) {
+            throw new Error(`Invalid rate: ${pick('rate')}`);
+        }
+        if (!effectiveDate) {
+            throw new Error(`Invalid effective date: ${pick('effective_date')}`);
+        }
+
+        return { from, to, rate, effective_date: effectiveDate, source: pick('source') || null };
+    }
+
+    // =========================================================================
+    // 🛠️ NORMALIZATION
+    // =========================================================================
+
+    /**
+     * Uppercase 3-letter currency code, or null
+     */
+    normalizeCurrency(code) {
+        const normalized = String(code || '').trim().toUpperCase();
+        return /^[A-Z]{3}$/.test(normalized) ? normalized : null;
+    }
+
+    /**
+     * Date as YYYY-MM-DD, or null when it cannot be parsed
+     */
+    normalizeDate(value) {
+        if (!value) return null;
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+        }
+        const text = String(value).trim();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+            // Round-trip check rejects dates like 2025-02-30 that Date() would roll over
+            const parsed = new Date(`${text}T00:00:00Z`);
+            return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === text ? text : null;
+        }
+        const parsed = new Date(text);
+        return isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+    }
+}
+
+module.exports = { ExchangeRateStore };
@@ -0,0 +1,289 @@
+// =============================================
+// 🔢 FIXED DECIMAL - EXACT MONEY ARITHMETIC
+// =============================================
+
+/**
+ * FIXED DECIMAL
+ * Purpose: Exact decimal arithmetic for pricing (no binary float drift)
+ * - Immutable value stored as a BigInt scaled by 10^18
+ * - add / sub / mul are exact; div keeps 18 decimal places (half-even on the last digit)
+ * - Numbers are converted through their shortest decimal text, so 1.1 stays 1.1
+ * - round(places, mode) and roundToIncrement(step, mode) support half_up, half_even, ceil, floor
+ */
+class FixedDecimal {
+    /**
+     * @param {bigint} scaled - Value × 10^18 (use FixedDecimal.from() to build values)
+     */
+    constructor(scaled) {
+        this.scaled = scaled;
+    }
+
+    static get SCALE() {
+        return 18;
+    }
+
+    static get FACTOR() {
+        return 10n ** 18n;
+    }
+
+    // =========================================================================
+    // 🏗️ CONSTRUCTION
+    // =========================================================================
+
+    /**
+     * Build a FixedDecimal from a number, numeric string or FixedDecimal
+     * @param {number|string|FixedDecimal} value - Value to convert
+     * @returns {FixedDecimal} Decimal value
+     */
+    static from(value) {
+        if (value instanceof FixedDecimal) {
+            return value;
+        }
+        if (typeof value === 'bigint') {
+            return new FixedDecimal(value * FixedDecimal.FACTOR);
+        }
+        if (typeof value === 'number' && !isFinite(value)) {
+            throw new Error(`Cannot convert ${value} to a decimal`);
+        }
+
+        const text = String(value).trim();
+        const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(text);
+        if (!match || (match[2] === '' && (match[3] || '') === '')) {
+            throw new Error(`Invalid decimal value: ${value}`);
+        }
+
+        const [, sign, integerPart, fractionPart = '', exponentPart = '0'] = match;
+        let digits = `${integerPart}${fractionPart}`.replace(/^0+(?=\d)/, '') || '0';
+        // Position of the decimal point after applying the exponent, counted from the right
+        let fractionDigits = fractionPart.length - parseInt(exponentPart, 10);
+
+        if (fractionDigits < 0) {
+            digits += '0'.repeat(-fractionDigits);
+            fractionDigits = 0;
+        }
+
+        let scaled;
+        if (fractionDigits <= FixedDecimal.SCALE) {
+            scaled = BigInt(digits) * 10n ** BigInt(FixedDecimal.SCALE - fractionDigits);
+        } else {
+            // More than 18 decimals: round the excess away
+            scaled = FixedDecimal.divideRounded(BigInt(digits), 10n ** BigInt(fractionDigits - FixedDecimal.SCALE), 'half_even');
+        }
+
+        return new FixedDecimal(sign === '-' ? -scaled : scaled);
+    }
+
+    static zero() {
+        return new FixedDecimal(0n);
+    }
+
+    static one() {
+        return new FixedDecimal(FixedDecimal.FACTOR);
+    }
+
+    // =========================================================================
+    // ➕ ARITHMETIC
+    // =========================================================================
+
+    add(other) {
+        return new FixedDecimal(this.scaled + FixedDecimal.from(other).scaled);
+    }
+
+    sub(other) {
+        return new FixedDecimal(this.scaled - FixedDecimal.from(other).scaled);
+    }
+
+    mul(other) {
+        return new FixedDecimal(FixedDecimal.divideRounded(this.scaled * FixedDecimal.from(other).scaled, FixedDecimal.FACTOR, 'half_even'));
+    }
+
+    div(other) {
+        const divisor = FixedDecimal.from(other).scaled;
+        if (divisor === 0n) {
+            throw new Error('Division by zero');
+        }
+        return new FixedDecimal(FixedDecimal.divideRounded(this.scaled * FixedDecimal.FACTOR, divisor, 'half_even'));
+    }
+
+    /**
+     * Raise to a power; integer exponents are exact, others fall back to floating point
+     * @param {number|FixedDecimal} exponent - Exponent
+     * @returns {FixedDecimal} Result
+     */
+    pow(exponent) {
+        const power = FixedDecimal.from(exponent);
+        if (!power.isInteger()) {
+            return FixedDecimal.from(Math.pow(this.toNumber(), power.toNumber()));
+        }
+
+        let remaining = power.abs().scaled / FixedDecimal.FACTOR;
+        let base = this;
+        let result = FixedDecimal.one();
+        while (remaining > 0n) {
+            if (remaining & 1n) {
+                result = result.mul(base);
+            }
+            base = base.mul(base);
+            remaining >>= 1n;
+        }
+        return power.isNegative() ? FixedDecimal.one().div(result) : result;
+    }
+
+    neg() {
+        return new FixedDecimal(-this.scaled);
+    }
+
+    abs() {
+        return this.scaled < 0n ? this.neg() : this;
+    }
+
+    // =========================================================================
+    // ⚖️ COMPARISON
+    // =========================================================================
+
+    cmp(other) {
+        const otherScaled = FixedDecimal.from(other).scaled;
+        return this.scaled === otherScaled ? 0 : (this.scaled < otherScaled ? -1 : 1);
+    }
+
+    eq(other) { return this.cmp(other) === 0; }
+    lt(other) { return this.cmp(other) < 0; }
+    lte(other) { return this.cmp(other) <= 0; }
+    gt(other) { return this.cmp(other) > 0; }
+    gte(other) { return this.cmp(other) >= 0; }
+
+    isZero() {
+        return this.scaled === 0n;
+    }
+
+    isNegative() {
+        return this.scaled < 0n;
+    }
+
+    isInteger() {
+        return this.scaled % FixedDecimal.FACTOR === 0n;
+    }
+
+    static min(...values) {
+        return values.map(value => FixedDecimal.from(value)).reduce((a, b) => (b.lt(a) ? b : a));
+    }
+
+    static max(...values) {
+        return values.map(value => FixedDecimal.from(value)).reduce((a, b) => (b.gt(a) ? b : a));
+    }
+
+    // =========================================================================
+    // 🎯 ROUNDING
+    // =========================================================================
+
+    /**
+     * Round to a number of decimal places
+     * @param {number} places - Decimal places to keep (may be negative: -3 rounds to thousands)
+     * @param {string} mode - half_up | half_even | ceil | floor
+     * @returns {FixedDecimal} Rounded value
+     */
+    round(places = 0, mode = 'half_up') {
+        const dropped = FixedDecimal.SCALE - places;
+        if (dropped <= 0) {
+            return this;
+        }
+        const unit = 10n ** BigInt(dropped);
+        return new FixedDecimal(FixedDecimal.divideRounded(this.scaled, unit, mode) * unit);
+    }
+
+    /**
+     * Round to a multiple of an increment (e.g. 1000 for whole thousands, 0.05 for nickels)
+     * @param {number|string|FixedDecimal} increment - Positive step size
+     * @param {string} mode - half_up | half_even | ceil | floor
+     * @returns {FixedDecimal} Rounded value
+     */
+    roundToIncrement(increment, mode = 'half_up') {
+        const step = FixedDecimal.from(increment).scaled;
+        if (step <= 0n) {
+            throw new Error(`Rounding increment must be positive, got ${increment}`);
+        }
+        return new FixedDecimal(FixedDecimal.divideRounded(this.scaled, step, mode) * step);
+    }
+
+    /**
+     * Integer division with an explicit rounding mode for the remainder
+     * @param {bigint} numerator - Dividend
+     * @param {bigint} denominator - Divisor (non-zero)
+     * @param {string} mode - half_up | half_even | ceil | floor
+     * @returns {bigint} Rounded quotient
+     */
+    static divideRounded(numerator, denominator, mode) {
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+        let quotient = numerator / denominator;  // truncates toward zero
+        const remainder = numerator % denominator;
+        if (remainder === 0n) {
+            return quotient;
+        }
+
+        const negative = numerator < 0n;
+        const twiceRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+        const awayFromZero = negative ? -1n : 1n;
+
+        switch (mode) {
+            case 'ceil':
+                return negative ? quotient : quotient + 1n;
+            case 'floor':
+                return negative ? quotient - 1n : quotient;
+            case 'half_even':
+                if (twiceRemainder > denominator || (twiceRemainder === denominator && quotient % 2n !== 0n)) {
+                    quotient += awayFromZero;
+                }
+                return quotient;
+            case 'half_up':
+                if (twiceRemainder >= denominator) {
+                    quotient += awayFromZero;
+                }
+                return quotient;
+            default:
+                throw new Error(`Unknown rounding mode: ${mode}`);
+        }
+    }
+
+    // =========================================================================
+    // 📤 OUTPUT
+    // =========================================================================
+
+    /**
+     * Plain decimal text without trailing zeros, e.g. "24035.5"
+     */
+    toString() {
+        const negative = this.scaled < 0n;
+        const digits = (negative ? -this.scaled : this.scaled).toString().padStart(FixedDecimal.SCALE + 1, '0');
+        const integerPart = digits.slice(0, -FixedDecimal.SCALE);
+        const fractionPart = digits.slice(-FixedDecimal.SCALE).replace(/0+$/, '');
+        return `${negative ? '-' : ''}${integerPart}${fractionPart ? `.${fractionPart}` : ''}`;
+    }
+
+    /**
+     * Decimal text with exactly `places` decimals (value is rounded half-up first)
+     */
+    toFixed(places = 0) {
+        const text = this.round(places, 'half_up').toString();
+        if (places <= 0) {
+            return text;
+        }
+        const [integerPart, fractionPart = ''] = text.split('.');
+        return `${integerPart}.${fractionPart.padEnd(places, '0')}`;
+    }
+
+    /**
+     * Nearest JavaScript number (for JSON output and display)
+     */
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    toJSON() {
+        return this.toNumber();
+    }
+}
+
+module.exports = { FixedDecimal };
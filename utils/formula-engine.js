@@ -0,0 +1,474 @@
+// =============================================
+// 🧩 FORMULA ENGINE - SANDBOXED PRICING EXPRESSIONS
+// =============================================
+const { FixedDecimal } = require('./fixed-decimal');
+
+/**
+ * FORMULA ENGINE
+ * Purpose: Parse and evaluate user-defined pricing expressions without eval()
+ * - Grammar: numbers, named variables, + - * / ^, comparisons, parentheses
+ * - Whitelisted functions only: min, max, round, ceil, floor, abs, if
+ * - Expressions are parsed once into an AST and cached
+ * - The same AST can be translated into an Excel cell formula
+ * - evaluateDecimal() runs the AST with exact FixedDecimal arithmetic (used for money)
+ */
+class FormulaEngine {
+    constructor() {
+        this.maxExpressionLength = 500;
+
+        // name -> { minArgs, maxArgs, evaluate, decimal, excel }
+        this.functions = {
+            min: {
+                minArgs: 1,
+                maxArgs: Infinity,
+                evaluate: (...args) => Math.min(...args),
+                decimal: (...args) => FixedDecimal.min(...args),
+                excel: (args) => `MIN(${args.join(',')})`
+            },
+            max: {
+                minArgs: 1,
+                maxArgs: Infinity,
+                evaluate: (...args) => Math.max(...args),
+                decimal: (...args) => FixedDecimal.max(...args),
+                excel: (args) => `MAX(${args.join(',')})`
+            },
+            round: {
+                minArgs: 1,
+                maxArgs: 2,
+                evaluate: (value, digits = 0) => {
+                    const factor = Math.pow(10, digits);
+                    return Math.round(value * factor) / factor;
+                },
+                // Excel ROUND rounds halves away from zero
+                decimal: (value, digits = FixedDecimal.zero()) => value.round(Math.trunc(digits.toNumber()), 'half_up'),
+                excel: (args) => `ROUND(${args[0]},${args[1] ?? 0})`
+            },
+            ceil: {
+                minArgs: 1,
+                maxArgs: 1,
+                evaluate: (value) => Math.ceil(value),
+                decimal: (value) => value.round(0, 'ceil'),
+                excel: (args) => `-INT(-(${args[0]}))`
+            },
+            floor: {
+                minArgs: 1,
+                maxArgs: 1,
+                evaluate: (value) => Math.floor(value),
+                decimal: (value) => value.round(0, 'floor'),
+                excel: (args) => `INT(${args[0]})`
+            },
+            abs: { minArgs: 1, maxArgs: 1, evaluate: (value) => Math.abs(value), decimal: (value) => value.abs(), excel: (args) => `ABS(${args[0]})` },
+            if: { minArgs: 3, maxArgs: 3, lazy: true, excel: (args) => `IF(${args[0]},${args[1]},${args[2]})` }
+        };
+
+        this.cache = new Map();
+    }
+
+    // =========================================================================
+    // 🔤 TOKENIZER
+    // =========================================================================
+
+    /**
+     * Split an expression into tokens
+     * @param {string} expression - Formula expression
+     * @returns {Array} Tokens { type: number|identifier|operator|paren|comma, value }
+     */
+    tokenize(expression) {
+        if (typeof expression !== 'string' || expression.trim() === '') {
+            throw new Error('Formula expression must be a non-empty string');
+        }
+        if (expression.length > this.maxExpressionLength) {
+            throw new Error(`Formula expression exceeds ${this.maxExpressionLength} characters`);
+        }
+
+        const tokens = [];
+        let position = 0;
+
+        while (position < expression.length) {
+            const char = expression[position];
+
+            if (/\s/.test(char)) {
+                position++;
+                continue;
+            }
+
+            const numberMatch = /^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/.exec(expression.slice(position));
+            if (numberMatch) {
+                tokens.push({ type: 'number', value: parseFloat(numberMatch[0]) });
+                position += numberMatch[0].length;
+                continue;
+            }
+
+            const identifierMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(expression.slice(position));
+            if (identifierMatch) {
+                tokens.push({ type: 'identifier', value: identifierMatch[0] });
+                position += identifierMatch[0].length;
+                continue;
+            }
+
+            const twoChars = expression.substr(position, 2);
+            if (['<=', '>=', '==', '!='].includes(twoChars)) {
+                tokens.push({ type: 'operator', value: twoChars });
+                position += 2;
+                continue;
+            }
+
+            if ('+-*/^<>'.includes(char)) {
+                tokens.push({ type: 'operator', value: char });
+            } else if (char === '×') {
+                tokens.push({ type: 'operator', value: '*' });
+            } else if (char === '÷') {
+                tokens.push({ type: 'operator', value: '/' });
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: 'paren', value: char });
+            } else if (char === ',') {
+                tokens.push({ type: 'comma', value: char });
+            } else {
+                throw new Error(`Unexpected character "${char}" at position ${position}`);
+            }
+            position++;
+        }
+
+        return tokens;
+    }
+
+    // =========================================================================
+    // 🌳 PARSER (recursive descent)
+    // =========================================================================
+
+    /**
+     * Parse an expression into an AST (cached per expression string)
+     * @param {string} expression - Formula expression
+     * @returns {Object} AST root node
+     */
+    parse(expression) {
+        if (this.cache.has(expression)) {
+            return this.cache.get(expression);
+        }
+
+        const tokens = this.tokenize(expression);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const expect = (type, value) => {
+            const token = next();
+            if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+                throw new Error(`Expected "${value || type}" in formula: ${expression}`);
+            }
+            return token;
+        };
+        const isOperator = (...values) => peek()?.type === 'operator' && values.includes(peek().value);
+
+        // comparison := additive (( < | <= | > | >= | == | != ) additive)?
+        const parseComparison = () => {
+            let node = parseAdditive();
+            if (isOperator('<', '<=', '>', '>=', '==', '!=')) {
+                const operator = next().value;
+                node = { type: 'binary', operator, left: node, right: parseAdditive() };
+            }
+            return node;
+        };
+
+        // additive := multiplicative (( + | - ) multiplicative)*
+        const parseAdditive = () => {
+            let node = parseMultiplicative();
+            while (isOperator('+', '-')) {
+                const operator = next().value;
+                node = { type: 'binary', operator, left: node, right: parseMultiplicative() };
+            }
+            return node;
+        };
+
+        // multiplicative := unary (( * | / ) unary)*
+        const parseMultiplicative = () => {
+            let node = parseUnary();
+            while (isOperator('*', '/')) {
+                const operator = next().value;
+                node = { type: 'binary', operator, left: node, right: parseUnary() };
+            }
+            return node;
+        };
+
+        // unary := ( - | + ) unary | power
+        const parseUnary = () => {
+            if (isOperator('-', '+')) {
+                const operator = next().value;
+                return { type: 'unary', operator, argument: parseUnary() };
+            }
+            return parsePower();
+        };
+
+        // power := primary ( ^ unary )?
+        const parsePower = () => {
+            const base = parsePrimary();
+            if (isOperator('^')) {
+                next();
+                return { type: 'binary', operator: '^', left: base, right: parseUnary() };
+            }
+            return base;
+        };
+
+        // primary := number | identifier | identifier ( args ) | ( comparison )
+        const parsePrimary = () => {
+            const token = next();
+            if (!token) {
+                throw new Error(`Unexpected end of formula: ${expression}`);
+            }
+
+            if (token.type === 'number') {
+                return { type: 'number', value: token.value };
+            }
+
+            if (token.type === 'identifier') {
+                if (peek()?.type === 'paren' && peek().value === '(') {
+                    next();
+                    const name = token.value.toLowerCase();
+                    // Own keys only: inherited names such as constructor or toString are not functions
+                    const definition = Object.prototype.hasOwnProperty.call(this.functions, name) ? this.functions[name] : null;
+                    if (!definition) {
+                        throw new Error(`Unknown function "${token.value}" in formula: ${expression}`);
+                    }
+                    const args = [];
+                    if (!(peek()?.type === 'paren' && peek().value === ')')) {
+                        args.push(parseComparison());
+                        while (peek()?.type === 'comma') {
+                            next();
+                            args.push(parseComparison());
+                        }
+                    }
+                    expect('paren', ')');
+                    if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+                        throw new Error(`Function ${name}() called with ${args.length} argument(s) in formula: ${expression}`);
+                    }
+                    return { type: 'call', name, args };
+                }
+                return { type: 'identifier', name: token.value };
+            }
+
+            if (token.type === 'paren' && token.value === '(') {
+                const node = parseComparison();
+                expect('paren', ')');
+                return node;
+            }
+
+            throw new Error(`Unexpected "${token.value}" in formula: ${expression}`);
+        };
+
+        const ast = parseComparison();
+        if (index < tokens.length) {
+            throw new Error(`Unexpected "${tokens[index].value}" in formula: ${expression}`);
+        }
+
+        this.cache.set(expression, ast);
+        return ast;
+    }
+
+    /**
+     * Collect the variable names an expression reads
+     * @param {string} expression - Formula expression
+     * @returns {Array} Unique variable names
+     */
+    getVariables(expression) {
+        const names = new Set();
+        const visit = (node) => {
+            switch (node.type) {
+                case 'identifier': names.add(node.name); break;
+                case 'unary': visit(node.argument); break;
+                case 'binary': visit(node.left); visit(node.right); break;
+                case 'call': node.args.forEach(visit); break;
+            }
+        };
+        visit(this.parse(expression));
+        return [...names];
+    }
+
+    // =========================================================================
+    // 🧮 EVALUATION
+    // =========================================================================
+
+    /**
+     * Evaluate an expression against named numeric variables
+     * @param {string} expression - Formula expression
+     * @param {Object} scope - Variable name -> number
+     * @returns {number} Result
+     */
+    evaluate(expression, scope = {}) {
+        const result = this.evaluateNode(this.parse(expression), scope);
+        if (!isFinite(result)) {
+            throw new Error(`Formula produced a non-finite result: ${expression}`);
+        }
+        return result;
+    }
+
+    /**
+     * Evaluate a single AST node
+     */
+    evaluateNode(node, scope) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+
+            case 'identifier': {
+                if (!Object.prototype.hasOwnProperty.call(scope, node.name)) {
+                    throw new Error(`Unknown variable "${node.name}"`);
+                }
+                const value = Number(scope[node.name]);
+                if (!isFinite(value)) {
+                    throw new Error(`Variable "${node.name}" is not a valid number`);
+                }
+                return value;
+            }
+
+            case 'unary': {
+                const value = this.evaluateNode(node.argument, scope);
+                return node.operator === '-' ? -value : value;
+            }
+
+            case 'binary': {
+                const left = this.evaluateNode(node.left, scope);
+                const right = this.evaluateNode(node.right, scope);
+                switch (node.operator) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/':
+                        if (right === 0) {
+                            throw new Error('Division by zero in formula');
+                        }
+                        return left / right;
+                    case '^': return Math.pow(left, right);
+                    case '<': return left < right ? 1 : 0;
+                    case '<=': return left <= right ? 1 : 0;
+                    case '>': return left > right ? 1 : 0;
+                    case '>=': return left >= right ? 1 : 0;
+                    case '==': return left === right ? 1 : 0;
+                    case '!=': return left !== right ? 1 : 0;
+                }
+                throw new Error(`Unsupported operator "${node.operator}"`);
+            }
+
+            case 'call': {
+                const definition = this.functions[node.name];
+                if (definition.lazy) {
+                    // if(condition, then, else) only evaluates the branch it takes
+                    const condition = this.evaluateNode(node.args[0], scope);
+                    return this.evaluateNode(condition !== 0 ? node.args[1] : node.args[2], scope);
+                }
+                return definition.evaluate(...node.args.map(arg => this.evaluateNode(arg, scope)));
+            }
+        }
+        throw new Error(`Unsupported formula node "${node.type}"`);
+    }
+
+    /**
+     * Evaluate an expression with exact decimal arithmetic
+     * @param {string} expression - Formula expression
+     * @param {Object} scope - Variable name -> number (or FixedDecimal)
+     * @returns {FixedDecimal} Result
+     */
+    evaluateDecimal(expression, scope = {}) {
+        return this.evaluateDecimalNode(this.parse(expression), scope);
+    }
+
+    /**
+     * Evaluate a single AST node with FixedDecimal values (mirrors evaluateNode)
+     */
+    evaluateDecimalNode(node, scope) {
+        switch (node.type) {
+            case 'number':
+                return FixedDecimal.from(node.value);
+
+            case 'identifier': {
+                if (!Object.prototype.hasOwnProperty.call(scope, node.name)) {
+                    throw new Error(`Unknown variable "${node.name}"`);
+                }
+                const raw = scope[node.name];
+                if (raw instanceof FixedDecimal) {
+                    return raw;
+                }
+                const value = Number(raw);
+                if (!isFinite(value)) {
+                    throw new Error(`Variable "${node.name}" is not a valid number`);
+                }
+                return FixedDecimal.from(value);
+            }
+
+            case 'unary': {
+                const value = this.evaluateDecimalNode(node.argument, scope);
+                return node.operator === '-' ? value.neg() : value;
+            }
+
+            case 'binary': {
+                const left = this.evaluateDecimalNode(node.left, scope);
+                const right = this.evaluateDecimalNode(node.right, scope);
+                switch (node.operator) {
+                    case '+': return left.add(right);
+                    case '-': return left.sub(right);
+                    case '*': return left.mul(right);
+                    case '/':
+                        if (right.isZero()) {
+                            throw new Error('Division by zero in formula');
+                        }
+                        return left.div(right);
+                    case '^': return left.pow(right);
+                    case '<': return left.lt(right) ? FixedDecimal.one() : FixedDecimal.zero();
+                    case '<=': return left.lte(right) ? FixedDecimal.one() : FixedDecimal.zero();
+                    case '>': return left.gt(right) ? FixedDecimal.one() : FixedDecimal.zero();
+                    case '>=': return left.gte(right) ? FixedDecimal.one() : FixedDecimal.zero();
+                    case '==': return left.eq(right) ? FixedDecimal.one() : FixedDecimal.zero();
+                    case '!=': return left.eq(right) ? FixedDecimal.zero() : FixedDecimal.one();
+                }
+                throw new Error(`Unsupported operator "${node.operator}"`);
+            }
+
+            case 'call': {
+                const definition = this.functions[node.name];
+                if (definition.lazy) {
+                    const condition = this.evaluateDecimalNode(node.args[0], scope);
+                    return this.evaluateDecimalNode(condition.isZero() ? node.args[2] : node.args[1], scope);
+                }
+                return definition.decimal(...node.args.map(arg => this.evaluateDecimalNode(arg, scope)));
+            }
+        }
+        throw new Error(`Unsupported formula node "${node.type}"`);
+    }
+
+    // =========================================================================
+    // 📗 EXCEL TRANSLATION
+    // =========================================================================
+
+    /**
+     * Translate an expression into an Excel formula
+     * @param {string} expression - Formula expression
+     * @param {Function} resolveVariable - name -> cell reference (e.g. "H9")
+     * @returns {string} Excel formula without the leading "="
+     */
+    toExcel(expression, resolveVariable) {
+        const translate = (node) => {
+            switch (node.type) {
+                case 'number':
+                    return String(node.value);
+                case 'identifier': {
+                    const reference = resolveVariable(node.name);
+                    if (!reference) {
+                        throw new Error(`No cell available for variable "${node.name}"`);
+                    }
+                    return reference;
+                }
+                case 'unary':
+                    return node.operator === '-' ? `-(${translate(node.argument)})` : translate(node.argument);
+                case 'binary': {
+                    const operator = { '==': '=', '!=': '<>' }[node.operator] || node.operator;
+                    return `(${translate(node.left)}${operator}${translate(node.right)})`;
+                }
+                case 'call':
+                    return this.functions[node.name].excel(node.args.map(translate));
+            }
+            throw new Error(`Unsupported formula node "${node.type}"`);
+        };
+        return translate(this.parse(expression));
+    }
+}
+
+module.exports = { FormulaEngine };
@@ -0,0 +1,316 @@
+// =============================================
+// 📦 PRODUCT CATALOG - LAST-QUOTED PRICES
+// =============================================
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * PRODUCT CATALOG
+ * Purpose: Remember every part we quoted so the next quotation can start from what we charged last time
+ * - Filled from the generated _data.json snapshots: one quote per item per generated revision
+ * - A product is identified by its part number and maker, compared without case, spaces or punctuation
+ *   ("BP-5011-C01" from "DeVilbiss" = "bp5011c01" from "DEVILBISS"); items without a part number use the description
+ * - Persisted in assets/generated/product-catalog.json; record() adds a revision when it is written,
+ *   sync() catches up on snapshots generated before the catalog existed
+ * - Quotes stay in the catalog when their quotation is deleted (they are price history)
+ * Product shape:
+ *   { key, model_part_number, maker_origin, description, uom, first_quoted_at, last_quoted_at, quote_count,
+ *     quotes: [quote] (newest first) }
+ * Quote shape:
+ *   { base_filename, revision, data_filename, item_no, rfq_reference, customer_name, customer_id, quoted_at, saved_at,
+ *     qty, uom, supplier_cost, supplier_currency, sales_unit_price, ext_price, currency, pricing_variables }
+ */
+class ProductCatalog {
+    /**
+     * @param {string} generatedDir - Directory holding the _data.json snapshots
+     * @param {QuotationIndex} quotationIndex - Index that owns quotations-index.json
+     */
+    constructor(generatedDir, quotationIndex) {
+        this.generatedDir = generatedDir;
+        this.catalogPath = path.join(generatedDir, 'product-catalog.json');
+        this.quotationIndex = quotationIndex;
+        this.pricingVariableNames = ['shipping_cost', 'tax_rate', 'exchange_rate', 'profit_rate', 'discount_rate'];
+    }
+
+    // =========================================================================
+    // 📁 CATALOG FILE ACCESS
+    // =========================================================================
+
+    /**
+     * Load the catalog from disk
+     * @returns {Object} { version, products: { key: product }, sources: { dataFilename: mtime } }
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.catalogPath)) {
+                const catalog = JSON.parse(fs.readFileSync(this.catalogPath, 'utf8'));
+                return { version: 1, products: {}, sources: {}, ...catalog };
+            }
+        } catch (error) {
+            console.error('❌ Error reading product catalog (it will be rebuilt):', error.message);
+        }
+        return { version: 1, products: {}, sources: {} };
+    }
+
+    /**
+     * Persist the catalog (temp file + rename so readers never see a partial file)
+     * @param {Object} catalog - Product catalog
+     */
+    save(catalog) {
+        if (!fs.existsSync(this.generatedDir)) {
+            fs.mkdirSync(this.generatedDir, { recursive: true });
+        }
+        const tempPath = `${this.catalogPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ ...catalog, updated_at: new Date().toISOString() }), 'utf8');
+        fs.renameSync(tempPath, this.catalogPath);
+    }
+
+    // =========================================================================
+    // 🗂️ RECORDING
+    // =========================================================================
+
+    /**
+     * Add (or replace) the quotes of one generated revision
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @param {string} dataFilename - _data.json snapshot filename in the generated directory
+     * @param {Object} catalog - Loaded catalog (saved to disk when omitted)
+     * @returns {number|null} Number of items recorded, or null when the snapshot cannot be read
+     */
+    record(baseFilename, dataFilename, catalog = null) {
+        const target = catalog || this.load();
+        const dataPath = path.join(this.generatedDir, dataFilename);
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+        } catch (error) {
+            console.error(`❌ Cannot add ${dataFilename} to the product catalog:`, error.message);
+            return null;
+        }
+
+        const quotes = this.buildQuotes(baseFilename, dataFilename, this.resolveRevision(baseFilename, dataFilename, snapshot), snapshot);
+        quotes.forEach(({ product, quote }) => {
+            const existing = target.products[product.key];
+            const kept = (existing?.quotes || []).filter(other =>
+                !(other.base_filename === quote.base_filename && other.revision === quote.revision && other.item_no === quote.item_no));
+            const allQuotes = [...kept, quote].sort((a, b) => this.compareQuotes(b, a));
+            target.products[product.key] = {
+                ...product,
+                // The newest quote names the product (descriptions get corrected over time)
+                ...this.pickProductFields(allQuotes[0] === quote ? product : existing),
+                first_quoted_at: allQuotes[allQuotes.length - 1].quoted_at,
+                last_quoted_at: allQuotes[0].quoted_at,
+                quote_count: allQuotes.length,
+                quotes: allQuotes
+            };
+        });
+        target.sources[dataFilename] = fs.statSync(dataPath).mtimeMs;
+
+        if (!catalog) {
+            this.save(target);
+            console.log(`📦 Product catalog: ${quotes.length} item(s) from ${dataFilename}`);
+        }
+        return quotes.length;
+    }
+
+    /**
+     * Record every revision snapshot not yet in the catalog (or changed since it was recorded)
+     * @returns {Object} { recorded }
+     */
+    sync() {
+        const catalog = this.load();
+        let recorded = 0;
+
+        Object.entries(this.quotationIndex.load()).forEach(([baseFilename, entry]) => {
+            this.getDataFilenames(baseFilename, entry).forEach(dataFilename => {
+                const mtime = fs.statSync(path.join(this.generatedDir, dataFilename)).mtimeMs;
+                if (catalog.sources[dataFilename] !== mtime && this.record(baseFilename, dataFilename, catalog) !== null) {
+                    recorded++;
+                }
+            });
+        });
+
+        if (recorded > 0 || !fs.existsSync(this.catalogPath)) {
+            this.save(catalog);
+            console.log(`📦 Product catalog synced: ${recorded} snapshot(s) recorded`);
+        }
+        return { recorded };
+    }
+
+    // =========================================================================
+    // 🔎 LOOKUP
+    // =========================================================================
+
+    /**
+     * Products in the catalog, most recently quoted first
+     * @param {Object} options - { search: part of a part number, maker or description, limit }
+     * @returns {Array} Products without their quote history (last_quote instead)
+     */
+    list(options = {}) {
+        const search = this.compact(options.search);
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 500);
+        return Object.values(this.load().products)
+            .filter(product => !search || [product.model_part_number, product.maker_origin, product.description]
+                .some(value => this.compact(value).includes(search)))
+            .sort((a, b) => this.compareQuotes(b.quotes[0], a.quotes[0]))
+            .slice(0, limit)
+            .map(({ quotes, ...product }) => ({ ...product, last_quote: quotes[0] || null }));
+    }
+
+    /**
+     * One product with its full quote history
+     * @param {string} key - Product key
+     * @returns {Object|null} Product
+     */
+    get(key) {
+        const products = this.load().products;
+        return Object.prototype.hasOwnProperty.call(products, key) ? products[key] : null;
+    }
+
+    /**
+     * Last quote of each item, for showing "last quoted at X to Y on Z" while pricing
+     * @param {Array} items - Quotation items ({ company_requirement: { model_part_number, maker_origin, description } }
+     *                        or the same fields at the top level)
+     * @param {Object} options - { exclude_base_filename: ignore quotes from this quotation (the one being priced) }
+     * @returns {Array} [{ item_no, key, last_quote, quote_count }] in item order (last_quote null when never quoted)
+     */
+    lookup(items, options = {}) {
+        const products = this.load().products;
+        return items.map((item, index) => {
+            const key = this.productKey(item.company_requirement || item);
+            const quotes = (key && products[key]?.quotes || [])
+                .filter(quote => quote.base_filename !== options.exclude_base_filename);
+            return {
+                item_no: String(item.item_no || index + 1),
+                key,
+                last_quote: quotes[0] || null,
+                quote_count: quotes.length
+            };
+        });
+    }
+
+    // =========================================================================
+    // 🛠️ HELPERS
+    // =========================================================================
+
+    buildQuotes(baseFilename, dataFilename, revision, snapshot) {
+        const quotationData = snapshot.quotation_data || {};
+        const pricing = snapshot.calculated_pricing || {};
+        const savedVariables = snapshot.pricing_variables || {};
+        const toNumber = (...values) => {
+            const number = values.map(value => (typeof value === 'number' ? value : parseFloat(value))).find(Number.isFinite);
+            return number ?? null;
+        };
+        const savedAt = snapshot.saved_at || new Date().toISOString();
+
+        return (quotationData.quotation_items || []).map((item, index) => {
+            const requirement = item.company_requirement || {};
+            const key = this.productKey(requirement);
+            if (!key) {
+                return null;
+            }
+            const itemNo = String(item.item_no || index + 1);
+            const calculated = (pricing.processed_items || []).find(calc => String(calc.item_no) === itemNo) || item.calculated_results || {};
+            const itemVariables = savedVariables.per_item?.[itemNo] || savedVariables.global_fallback || {};
+            const pricingVariables = {};
+            this.pricingVariableNames.forEach(name => {
+                pricingVariables[name] = toNumber(calculated[`${name}_applied`] ?? itemVariables[name]);
+            });
+
+            const product = {
+                key,
+                model_part_number: requirement.model_part_number || '',
+                maker_origin: requirement.maker_origin || '',
+                description: requirement.description || item.bidder_proposal?.description || '',
+                uom: requirement.uom || ''
+            };
+            const quote = {
+                base_filename: baseFilename,
+                revision,
+                data_filename: dataFilename,
+                item_no: itemNo,
+                rfq_reference: quotationData.rfq_reference || null,
+                customer_name: quotationData.customer_info?.company_name || null,
+                customer_id: quotationData.customer_info?.customer_id || null,
+                quoted_at: snapshot.terms?.issue_date || savedAt.slice(0, 10),
+                saved_at: savedAt,
+                qty: toNumber(requirement.qty),
+                uom: requirement.uom || '',
+                // The offer as received (display prices are blanked or overwritten once priced)
+                supplier_cost: toNumber(item.bidder_proposal?.original_unit_price, item.bidder_proposal?.original_unit_price_vnd,
+                    item.bidder_proposal?.unit_price, item.bidder_proposal?.unit_price_vnd, calculated.price_source?.unit_price),
+                supplier_currency: item.currency_code || item.bidder_proposal?.currency_code || calculated.price_source?.currency || null,
+                // Unpriced quotations print the supplier offer as the sales price
+                sales_unit_price: toNumber(calculated.sales_unit_price, item.bidder_proposal?.unit_price_vnd, item.bidder_proposal?.unit_price),
+                ext_price: toNumber(calculated.ext_price, item.bidder_proposal?.ext_price_vnd),
+                currency: calculated.currency || pricing.pricing_summary?.currency || quotationData.target_currency || null,
+                pricing_variables: pricingVariables
+            };
+            return { product, quote };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Revision a snapshot belongs to; the data file of a quotation from before revisions existed is Rev.0
+     */
+    resolveRevision(baseFilename, dataFilename, snapshot) {
+        if (snapshot.revision !== undefined && snapshot.revision !== null) {
+            return snapshot.revision;
+        }
+        const entry = this.quotationIndex.getEntry(baseFilename);
+        const revision = (entry?.revisions || []).find(rev => rev.data_filename === dataFilename);
+        return revision ? revision.revision : 0;
+    }
+
+    pickProductFields(product) {
+        const { model_part_number, maker_origin, description, uom } = product || {};
+        return { model_part_number, maker_origin, description, uom };
+    }
+
+    /**
+     * Every _data.json snapshot of a quotation: the per-revision snapshots, else the latest-only file
+     */
+    getDataFilenames(baseFilename, entry) {
+        const exists = (filename) => filename && fs.existsSync(path.join(this.generatedDir, filename));
+        const snapshots = [...new Set((entry.revisions || []).map(rev => rev.data_filename).filter(exists))];
+        if (snapshots.length > 0) {
+            return snapshots;
+        }
+        return exists(`${baseFilename}_data.json`) ? [`${baseFilename}_data.json`] : [];
+    }
+
+    /**
+     * Catalog key of an item: part number + maker, else the description
+     * @param {Object} requirement - { model_part_number, maker_origin, description }
+     * @returns {string|null} Key
+     */
+    productKey(requirement) {
+        const partNumber = this.compact(requirement?.model_part_number);
+        if (partNumber) {
+            return `${partNumber}|${this.compact(requirement.maker_origin)}`;
+        }
+        const description = this.compact(requirement?.description);
+        return description ? `desc:${description}` : null;
+    }
+
+    /**
+     * Lower-case, accent-free letters and digits only ("BP-5011 C01" -> "bp5011c01")
+     */
+    compact(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        return String(value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[đĐ]/g, 'd')
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, '');
+    }
+
+    compareQuotes(a, b) {
+        return (a?.quoted_at || '').localeCompare(b?.quoted_at || '') || (a?.saved_at || '').localeCompare(b?.saved_at || '');
+    }
+}
+
+module.exports = { ProductCatalog };
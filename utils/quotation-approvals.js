@@ -0,0 +1,187 @@
+// =============================================
+// 🛡️ QUOTATION APPROVALS - MARGIN FLOOR SIGN-OFF
+// =============================================
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * QUOTATION APPROVALS
+ * Purpose: Own quotation-approvals.json in assets/generated
+ * - One entry per base filename (RFQ + customer)
+ * - Created as "pending" when a quotation breaks a margin floor
+ * - A manager approves or rejects it; approval is bound to a pricing fingerprint,
+ *   so changing quantities or prices afterwards needs a new approval
+ * Entry shape:
+ *   { base_filename, rfq_reference, customer_name, status, pricing_fingerprint, violations,
+ *     session_id, requested_at, decided_at, decided_by, note, history: [...] }
+ */
+class QuotationApprovals {
+    constructor(generatedDir) {
+        this.generatedDir = generatedDir;
+        this.approvalsPath = path.join(generatedDir, 'quotation-approvals.json');
+        this.statuses = ['pending', 'approved', 'rejected'];
+    }
+
+    // =========================================================================
+    // 📁 APPROVALS FILE ACCESS
+    // =========================================================================
+
+    /**
+     * Load all approval entries from disk
+     * @returns {Object} Entries keyed by base filename
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.approvalsPath)) {
+                return JSON.parse(fs.readFileSync(this.approvalsPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ Error reading quotation approvals:', error);
+        }
+        return {};
+    }
+
+    /**
+     * Persist all entries (temp file + rename, like the quotations index)
+     * @param {Object} approvals - Entries keyed by base filename
+     */
+    save(approvals) {
+        if (!fs.existsSync(this.generatedDir)) {
+            fs.mkdirSync(this.generatedDir, { recursive: true });
+        }
+        const tempPath = `${this.approvalsPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(approvals, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.approvalsPath);
+    }
+
+    /**
+     * Get the approval entry of a quotation
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @returns {Object|null} Approval entry
+     */
+    get(baseFilename) {
+        return this.load()[baseFilename] || null;
+    }
+
+    /**
+     * List approval entries, newest request first
+     * @param {string|null} status - Optional status filter
+     * @returns {Array} Approval entries
+     */
+    list(status = null) {
+        return Object.values(this.load())
+            .filter(entry => !status || entry.status === status)
+            .sort((a, b) => String(b.requested_at).localeCompare(String(a.requested_at)));
+    }
+
+    // =========================================================================
+    // 🔏 FINGERPRINT
+    // =========================================================================
+
+    /**
+     * Hash the quoted quantities and prices so an approval only covers the numbers that were reviewed
+     * @param {Object} calculatedPricing - calculateQuotationPricing() result
+     * @returns {string} Fingerprint
+     */
+    fingerprintPricing(calculatedPricing) {
+        const items = (calculatedPricing?.processed_items || [])
+            .map(item => [String(item.item_no), item.quantity, item.sales_unit_price, item.actual_unit_price])
+            .sort((a, b) => a[0].localeCompare(b[0]));
+        const payload = JSON.stringify({
+            currency: calculatedPricing?.pricing_summary?.currency || null,
+            items: items
+        });
+        return crypto.createHash('sha1').update(payload).digest('hex');
+    }
+
+    // =========================================================================
+    // ✅ APPROVAL WORKFLOW
+    // =========================================================================
+
+    /**
+     * Check whether the given pricing has been approved
+     * @param {string} baseFilename - Base filename
+     * @param {string} fingerprint - Pricing fingerprint
+     * @returns {boolean} True when approved for exactly this pricing
+     */
+    isApproved(baseFilename, fingerprint) {
+        const entry = this.get(baseFilename);
+        return !!entry && entry.status === 'approved' && entry.pricing_fingerprint === fingerprint;
+    }
+
+    /**
+     * Open (or refresh) a pending approval request
+     * An existing pending or rejected request for the same pricing is kept as is
+     * @param {string} baseFilename - Base filename
+     * @param {Object} request - { pricing_fingerprint, violations, rfq_reference, customer_name, session_id }
+     * @returns {Object} Approval entry
+     */
+    request(baseFilename, request) {
+        const approvals = this.load();
+        const existing = approvals[baseFilename];
+
+        if (existing && existing.pricing_fingerprint === request.pricing_fingerprint && existing.status !== 'approved') {
+            // Same numbers: keep the decision (or the open request), only track the latest session
+            existing.session_id = request.session_id || existing.session_id;
+            this.save(approvals);
+            return existing;
+        }
+
+        const now = new Date().toISOString();
+        const entry = {
+            base_filename: baseFilename,
+            rfq_reference: request.rfq_reference || null,
+            customer_name: request.customer_name || null,
+            status: 'pending',
+            pricing_fingerprint: request.pricing_fingerprint,
+            violations: request.violations || [],
+            session_id: request.session_id || null,
+            requested_at: now,
+            decided_at: null,
+            decided_by: null,
+            note: null,
+            history: [
+                ...(existing?.history || []),
+                { status: 'pending', at: now, by: null, note: null }
+            ]
+        };
+
+        approvals[baseFilename] = entry;
+        this.save(approvals);
+        console.log(`🛡️ Approval requested for ${baseFilename} (${entry.violations.length} margin violation(s))`);
+        return entry;
+    }
+
+    /**
+     * Record a manager decision on a pending request
+     * @param {string} baseFilename - Base filename
+     * @param {Object} decision - { approved: boolean, approved_by (non-empty name), note }
+     * @returns {Object} Updated approval entry
+     */
+    decide(baseFilename, decision) {
+        const approvals = this.load();
+        const entry = approvals[baseFilename];
+        if (!entry) {
+            throw new Error(`No approval request found for ${baseFilename}`);
+        }
+        const approvedBy = typeof decision.approved_by === 'string' ? decision.approved_by.trim() : '';
+        if (!approvedBy) {
+            throw new Error('approved_by is required');
+        }
+
+        const now = new Date().toISOString();
+        entry.status = decision.approved ? 'approved' : 'rejected';
+        entry.decided_at = now;
+        entry.decided_by = approvedBy;
+        entry.note = decision.note || null;
+        entry.history = [...(entry.history || []), { status: entry.status, at: now, by: entry.decided_by, note: entry.note }];
+
+        approvals[baseFilename] = entry;
+        this.save(approvals);
+        console.log(`🛡️ Quotation ${baseFilename} ${entry.status} by ${entry.decided_by}`);
+        return entry;
+    }
+}
+
+module.exports = { QuotationApprovals };
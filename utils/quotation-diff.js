@@ -0,0 +1,192 @@
+// =============================================
+// 🔀 QUOTATION DIFF - COMPARE TWO REVISIONS
+// =============================================
+
+/**
+ * QUOTATION DIFF
+ * Purpose: Compare two saved _data.json snapshots of the same quotation
+ * - Items added / removed (matched by item_no)
+ * - Quantity edits and per-item pricing variable changes
+ * - Movement of sales_unit_price, ext_price and the subtotal
+ */
+class QuotationDiff {
+    constructor() {
+        // Per-item fields compared between revisions: report key -> processed_items field
+        this.variableFields = {
+            shipping_cost: 'shipping_cost_applied',
+            tax_rate: 'tax_rate_applied',
+            exchange_rate: 'exchange_rate_applied',
+            profit_rate: 'profit_rate_applied',
+            discount_rate: 'discount_rate_applied'
+        };
+        this.priceFields = ['sales_unit_price', 'ext_price'];
+    }
+
+    /**
+     * Diff two quotation data snapshots
+     * @param {Object} fromSnapshot - Older _data.json content
+     * @param {Object} toSnapshot - Newer _data.json content
+     * @returns {Object} Change report
+     */
+    diffSnapshots(fromSnapshot, toSnapshot) {
+        if (!fromSnapshot || !toSnapshot) {
+            throw new Error('Both snapshots are required to build a diff');
+        }
+
+        const fromItems = this.indexItems(fromSnapshot);
+        const toItems = this.indexItems(toSnapshot);
+
+        const report = {
+            from: this.describeSnapshot(fromSnapshot),
+            to: this.describeSnapshot(toSnapshot),
+            items_added: [],
+            items_removed: [],
+            items_changed: [],
+            items_unchanged: []
+        };
+
+        toItems.forEach((toItem, itemNo) => {
+            if (!fromItems.has(itemNo)) {
+                report.items_added.push(toItem);
+            }
+        });
+
+        fromItems.forEach((fromItem, itemNo) => {
+            const toItem = toItems.get(itemNo);
+            if (!toItem) {
+                report.items_removed.push(fromItem);
+                return;
+            }
+
+            const changes = this.compareItems(fromItem, toItem);
+            if (Object.keys(changes).length > 0) {
+                report.items_changed.push({
+                    item_no: itemNo,
+                    description: toItem.description,
+                    changes: changes
+                });
+            } else {
+                report.items_unchanged.push(itemNo);
+            }
+        });
+
+        const fromSubtotal = fromSnapshot.calculated_pricing?.pricing_summary?.subtotal ?? null;
+        const toSubtotal = toSnapshot.calculated_pricing?.pricing_summary?.subtotal ?? null;
+
+        report.summary = {
+            items_added: report.items_added.length,
+            items_removed: report.items_removed.length,
+            items_changed: report.items_changed.length,
+            items_unchanged: report.items_unchanged.length,
+            subtotal: this.compareValues(fromSubtotal, toSubtotal) || {
+                from: fromSubtotal,
+                to: toSubtotal,
+                delta: 0,
+                delta_percent: 0
+            },
+            currency: toSnapshot.calculated_pricing?.pricing_summary?.currency ||
+                      fromSnapshot.calculated_pricing?.pricing_summary?.currency || 'VND',
+            has_changes: report.items_added.length > 0 || report.items_removed.length > 0 ||
+                         report.items_changed.length > 0 || fromSubtotal !== toSubtotal
+        };
+
+        return report;
+    }
+
+    /**
+     * Flatten a snapshot's items into comparable records keyed by item_no
+     * @param {Object} snapshot - _data.json content
+     * @returns {Map} item_no -> flattened item
+     */
+    indexItems(snapshot) {
+        const items = new Map();
+        const processedItems = snapshot.calculated_pricing?.processed_items || [];
+
+        (snapshot.quotation_data?.quotation_items || []).forEach((item, index) => {
+            const itemNo = String(item.item_no || index + 1);
+            const calculated = processedItems.find(calc => String(calc.item_no) === itemNo) || {};
+
+            const record = {
+                item_no: itemNo,
+                description: item.company_requirement?.description || calculated.description || '',
+                model_part_number: item.company_requirement?.model_part_number || '',
+                qty: this.toNumber(item.company_requirement?.qty ?? calculated.quantity)
+            };
+            Object.entries(this.variableFields).forEach(([key, field]) => {
+                record[key] = this.toNumber(calculated[field]);
+            });
+            this.priceFields.forEach(field => {
+                record[field] = this.toNumber(calculated[field] ?? item.calculated_results?.[field]);
+            });
+
+            items.set(itemNo, record);
+        });
+
+        return items;
+    }
+
+    /**
+     * Compare the tracked fields of two versions of the same item
+     * @param {Object} fromItem - Older item record
+     * @param {Object} toItem - Newer item record
+     * @returns {Object} Changed fields -> { from, to, delta, delta_percent }
+     */
+    compareItems(fromItem, toItem) {
+        const changes = {};
+        ['qty', ...Object.keys(this.variableFields), ...this.priceFields].forEach(field => {
+            const change = this.compareValues(fromItem[field], toItem[field]);
+            if (change) {
+                changes[field] = change;
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Compare two numeric values
+     * @returns {Object|null} Change record, or null when equal
+     */
+    compareValues(fromValue, toValue) {
+        if (fromValue === toValue) {
+            return null;
+        }
+        if (typeof fromValue === 'number' && typeof toValue === 'number' && Math.abs(fromValue - toValue) < 1e-9) {
+            return null;
+        }
+
+        // Trim float noise such as 1.4 - 1.25 = 0.1499999999999999
+        const delta = (typeof fromValue === 'number' && typeof toValue === 'number') ?
+            Math.round((toValue - fromValue) * 1e10) / 1e10 : null;
+        return {
+            from: fromValue,
+            to: toValue,
+            delta: delta,
+            delta_percent: (delta !== null && fromValue !== 0) ? Math.round((delta / fromValue) * 10000) / 100 : null
+        };
+    }
+
+    /**
+     * Describe which snapshot a side of the diff refers to
+     */
+    describeSnapshot(snapshot) {
+        return {
+            revision: snapshot.revision ?? null,
+            label: snapshot.revision_label || null,
+            saved_at: snapshot.saved_at || null,
+            has_pricing: !!snapshot.calculated_pricing
+        };
+    }
+
+    /**
+     * Parse numbers stored as strings, keep null for missing values
+     */
+    toNumber(value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+        return isFinite(parsed) ? parsed : null;
+    }
+}
+
+module.exports = { QuotationDiff };
@@ -0,0 +1,359 @@
+// =============================================
+// 📋 QUOTATION INDEX - REVISION TRACKING
+// =============================================
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * QUOTATION INDEX
+ * Purpose: Own quotations-index.json in assets/generated
+ * - One entry per base filename (RFQ + customer)
+ * - Every generation is kept as a numbered revision (Rev.0, Rev.1, ...)
+ * - Tracks which revision was actually sent to the customer
+ * - Keeps a summary of the newest revision (issue date, currency, totals, makers) for listing without opening files
+ * Entry shape (top-level fields always mirror the newest revision):
+ *   { filename, pdf_filename, excel_filename, base_filename, rfq_reference, customer_name, template, valid_until,
+ *     issue_date, currency, subtotal, grand_total, item_count, makers,
+ *     generated_at, last_updated, current_revision, sent_revision, revisions: [...],
+ *     status, status_changed_at, status_history: [...] }  (status fields are written by QuotationLifecycle)
+ */
+class QuotationIndex {
+    constructor(generatedDir) {
+        this.generatedDir = generatedDir;
+        this.indexPath = path.join(generatedDir, 'quotations-index.json');
+    }
+
+    // =========================================================================
+    // 📁 INDEX FILE ACCESS
+    // =========================================================================
+
+    /**
+     * Load the full index from disk
+     * @returns {Object} Index keyed by base filename
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.indexPath)) {
+                return JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ Error reading quotations index:', error);
+        }
+        return {};
+    }
+
+    /**
+     * Persist the index (written to a temp file first so readers never see a partial file)
+     * @param {Object} index - Index keyed by base filename
+     */
+    save(index) {
+        if (!fs.existsSync(this.generatedDir)) {
+            fs.mkdirSync(this.generatedDir, { recursive: true });
+        }
+        const tempPath = `${this.indexPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(index, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.indexPath);
+    }
+
+    /**
+     * Get a single index entry
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @returns {Object|null} Index entry
+     */
+    getEntry(baseFilename) {
+        return this.load()[baseFilename] || null;
+    }
+
+    // =========================================================================
+    // 🔢 REVISIONS
+    // =========================================================================
+
+    /**
+     * Build the data snapshot filename for a revision
+     * @param {string} baseFilename - Base filename
+     * @param {number} revision - Revision number
+     * @returns {string} Snapshot filename
+     */
+    getSnapshotFilename(baseFilename, revision) {
+        return `${baseFilename}_rev${revision}_data.json`;
+    }
+
+    /**
+     * Number the next revision for a base filename
+     * Entries written before revisions existed are migrated to Rev.0 first
+     * @param {string} baseFilename - Base filename
+     * @returns {number} Next revision number
+     */
+    getNextRevisionNumber(baseFilename) {
+        const entry = this.migrateLegacyEntry(baseFilename);
+        if (!entry || !entry.revisions || entry.revisions.length === 0) {
+            return 0;
+        }
+        return Math.max(...entry.revisions.map(rev => rev.revision)) + 1;
+    }
+
+    /**
+     * Convert a pre-revision index entry into Rev.0, preserving its data file as a snapshot
+     * @param {string} baseFilename - Base filename
+     * @returns {Object|null} Migrated entry
+     */
+    migrateLegacyEntry(baseFilename) {
+        const index = this.load();
+        const entry = index[baseFilename];
+        if (!entry || Array.isArray(entry.revisions)) {
+            return entry || null;
+        }
+
+        const revisions = [];
+        const legacyDataPath = path.join(this.generatedDir, `${baseFilename}_data.json`);
+        if (entry.filename && fs.existsSync(path.join(this.generatedDir, entry.filename))) {
+            let snapshotFilename = null;
+            if (fs.existsSync(legacyDataPath)) {
+                snapshotFilename = this.getSnapshotFilename(baseFilename, 0);
+                fs.copyFileSync(legacyDataPath, path.join(this.generatedDir, snapshotFilename));
+            }
+            revisions.push({
+                revision: 0,
+                label: 'Rev.0',
+                filename: entry.filename,
+                pdf_filename: entry.pdf_filename || null,
+                excel_filename: entry.excel_filename || null,
+                data_filename: snapshotFilename,
+                action: 'legacy',
+                generated_at: entry.last_updated || entry.generated_at,
+                sent: false
+            });
+            console.log(`📋 Migrated legacy quotation ${baseFilename} to Rev.0`);
+        }
+
+        entry.revisions = revisions;
+        entry.current_revision = revisions.length > 0 ? 0 : null;
+        entry.sent_revision = entry.sent_revision ?? null;
+        index[baseFilename] = entry;
+        this.save(index);
+        return entry;
+    }
+
+    /**
+     * Record a newly generated revision and point the entry at it
+     * @param {string} baseFilename - Base filename
+     * @param {Object} revisionInfo - { revision, filename, pdf_filename, excel_filename, data_filename, action, template,
+     *                                 issue_date, valid_until, summary (see buildSummary) }
+     * @param {Object} quotationData - Quotation data for metadata
+     * @returns {Object} Stored revision record
+     */
+    recordRevision(baseFilename, revisionInfo, quotationData) {
+        this.migrateLegacyEntry(baseFilename);
+        const index = this.load();
+        const now = new Date().toISOString();
+        const existing = index[baseFilename] || {};
+
+        const revisionRecord = {
+            revision: revisionInfo.revision,
+            label: `Rev.${revisionInfo.revision}`,
+            filename: revisionInfo.filename,
+            pdf_filename: revisionInfo.pdf_filename || null,
+            excel_filename: revisionInfo.excel_filename || null,
+            data_filename: revisionInfo.data_filename || null,
+            template: revisionInfo.template || null,
+            issue_date: revisionInfo.issue_date || null,
+            valid_until: revisionInfo.valid_until || null,
+            currency: revisionInfo.summary?.currency || null,
+            grand_total: revisionInfo.summary?.grand_total ?? null,
+            action: revisionInfo.action || 'generate',
+            generated_at: now,
+            sent: false
+        };
+
+        const revisions = (existing.revisions || []).filter(rev => rev.revision !== revisionRecord.revision);
+        revisions.push(revisionRecord);
+        revisions.sort((a, b) => a.revision - b.revision);
+
+        index[baseFilename] = {
+            ...existing,
+            filename: revisionRecord.filename,
+            pdf_filename: revisionRecord.pdf_filename,
+            excel_filename: revisionRecord.excel_filename,
+            base_filename: baseFilename,
+            rfq_reference: quotationData?.rfq_reference || 'unknown_rfq',
+            customer_name: quotationData?.customer_info?.company_name || 'unknown_customer',
+            template: revisionRecord.template,
+            valid_until: revisionRecord.valid_until,
+            ...this.emptySummary(),
+            ...revisionInfo.summary,
+            issue_date: revisionRecord.issue_date || revisionInfo.summary?.issue_date || null,
+            generated_at: existing.generated_at || now,
+            last_updated: now,
+            current_revision: revisionRecord.revision,
+            sent_revision: existing.sent_revision ?? null,
+            revisions: revisions
+        };
+
+        this.save(index);
+        return revisionRecord;
+    }
+
+    /**
+     * Create an entry for a quotation that has no document yet (e.g. generation waiting for a margin approval)
+     * @param {string} baseFilename - Base filename
+     * @param {Object} quotationData - Quotation data for metadata
+     * @param {Object} summary - Listing summary (see buildSummary)
+     * @returns {Object} Existing or new entry
+     */
+    ensureEntry(baseFilename, quotationData, summary = {}) {
+        const index = this.load();
+        if (!index[baseFilename]) {
+            const now = new Date().toISOString();
+            index[baseFilename] = {
+                filename: null,
+                base_filename: baseFilename,
+                rfq_reference: quotationData?.rfq_reference || 'unknown_rfq',
+                customer_name: quotationData?.customer_info?.company_name || 'unknown_customer',
+                ...this.emptySummary(),
+                ...summary,
+                generated_at: now,
+                last_updated: now,
+                current_revision: null,
+                sent_revision: null,
+                revisions: []
+            };
+            this.save(index);
+        }
+        return index[baseFilename];
+    }
+
+    /**
+     * List all revisions of a quotation
+     * @param {string} baseFilename - Base filename
+     * @returns {Array|null} Revision records, or null when the quotation is unknown
+     */
+    listRevisions(baseFilename) {
+        const entry = this.migrateLegacyEntry(baseFilename);
+        return entry ? entry.revisions : null;
+    }
+
+    /**
+     * Get a single revision record
+     * @param {string} baseFilename - Base filename
+     * @param {number} revision - Revision number
+     * @returns {Object|null} Revision record
+     */
+    getRevision(baseFilename, revision) {
+        const revisions = this.listRevisions(baseFilename) || [];
+        return revisions.find(rev => rev.revision === Number(revision)) || null;
+    }
+
+    /**
+     * Find the revision a generated HTML document belongs to
+     * @param {string} filename - HTML filename in the generated directory
+     * @returns {Object|null} { base_filename, entry, revision } or null when no revision owns the file
+     */
+    findRevisionByFilename(filename) {
+        const index = this.load();
+        const baseFilename = Object.keys(index).find(key => index[key].filename === filename ||
+            (index[key].revisions || []).some(rev => rev.filename === filename));
+        if (!baseFilename) {
+            return null;
+        }
+        const revision = (this.listRevisions(baseFilename) || []).find(rev => rev.filename === filename);
+        return revision ? { base_filename: baseFilename, entry: this.getEntry(baseFilename), revision } : null;
+    }
+
+    /**
+     * Mark a revision as sent to the customer; sent_revision points at the latest one sent
+     * @param {string} baseFilename - Base filename
+     * @param {number} revision - Revision number
+     * @param {Object} details - { sent_by, note }
+     * @returns {Object} Updated revision record
+     */
+    markRevisionSent(baseFilename, revision, details = {}) {
+        this.migrateLegacyEntry(baseFilename);
+        const index = this.load();
+        const entry = index[baseFilename];
+        if (!entry) {
+            throw new Error(`Quotation not found: ${baseFilename}`);
+        }
+
+        const target = (entry.revisions || []).find(rev => rev.revision === Number(revision));
+        if (!target) {
+            throw new Error(`Revision ${revision} not found for ${baseFilename}`);
+        }
+
+        target.sent = true;
+        target.sent_at = new Date().toISOString();
+        target.sent_by = details.sent_by || null;
+        target.sent_note = details.note || null;
+        entry.sent_revision = target.revision;
+        entry.last_updated = target.sent_at;
+
+        this.save(index);
+        return target;
+    }
+
+    // =========================================================================
+    // 📊 LISTING SUMMARY
+    // =========================================================================
+
+    /**
+     * Summary of a quotation kept on its index entry for listing and filtering
+     * @param {Object} quotationData - Quotation data (items, target currency)
+     * @param {Object} calculatedPricing - Calculated pricing (pricing_summary)
+     * @param {string|null} issueDate - YYYY-MM-DD issue date
+     * @returns {Object} { issue_date, currency, subtotal, grand_total, item_count, makers }
+     */
+    buildSummary(quotationData, calculatedPricing, issueDate = null) {
+        const pricingSummary = calculatedPricing?.pricing_summary || {};
+        const items = quotationData?.quotation_items || [];
+        const subtotal = pricingSummary.subtotal ?? null;
+        return {
+            issue_date: issueDate,
+            currency: pricingSummary.currency || quotationData?.target_currency || null,
+            subtotal,
+            // Quotations priced before VAT support only have a subtotal
+            grand_total: pricingSummary.grand_total ?? subtotal,
+            item_count: items.length,
+            makers: [...new Set(items.map(item => item.company_requirement?.maker_origin?.trim()).filter(Boolean))]
+        };
+    }
+
+    /**
+     * Fill in the listing summary of entries written before summaries existed, from their data snapshots
+     * @returns {number} Number of entries updated
+     */
+    backfillSummaries() {
+        const index = this.load();
+        const missing = Object.keys(index).filter(baseFilename => index[baseFilename].grand_total === undefined);
+        if (missing.length === 0) {
+            return 0;
+        }
+
+        missing.forEach(baseFilename => {
+            const entry = index[baseFilename];
+            const current = (entry.revisions || []).find(rev => rev.revision === entry.current_revision);
+            const candidates = [current?.data_filename, `${baseFilename}_data.json`].filter(Boolean);
+            const dataPath = candidates.map(filename => path.join(this.generatedDir, filename)).find(fs.existsSync);
+
+            let summary = this.emptySummary();
+            if (dataPath) {
+                try {
+                    const snapshot = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+                    summary = this.buildSummary(snapshot.quotation_data, snapshot.calculated_pricing,
+                        current?.issue_date || snapshot.terms?.issue_date || null);
+                } catch (error) {
+                    console.error(`❌ Error reading data snapshot for ${baseFilename}:`, error.message);
+                }
+            }
+            index[baseFilename] = { ...entry, ...summary };
+        });
+
+        this.save(index);
+        console.log(`📋 Indexed listing summaries for ${missing.length} quotation(s)`);
+        return missing.length;
+    }
+
+    emptySummary() {
+        return { issue_date: null, currency: null, subtotal: null, grand_total: null, item_count: null, makers: [] };
+    }
+}
+
+module.exports = { QuotationIndex };
@@ -0,0 +1,248 @@
+// =============================================
+// 🚦 QUOTATION LIFECYCLE - STATUS TRACKING
+// =============================================
+
+/**
+ * QUOTATION LIFECYCLE
+ * Purpose: Track where each quotation stands: draft → pending_approval → sent → accepted / rejected / expired
+ * - Status lives on the quotations-index.json entry (see QuotationIndex), with a dated history of every change
+ * - System events: a new revision makes the quotation a draft again, a margin approval request makes it
+ *   pending_approval until the manager decides, a sent quotation past its valid_until date expires
+ * - System events follow the transition table too: an accepted quotation is final and is never regenerated
+ * - Users move quotations to sent, accepted, rejected or expired through transition()
+ * - Entries written before statuses existed read as "sent" when a revision was sent, otherwise "draft"
+ * History entry shape:
+ *   { status, from, at, by, note, revision, automatic }
+ */
+class QuotationLifecycle {
+    /**
+     * @param {QuotationIndex} quotationIndex - Index that owns quotations-index.json
+     */
+    constructor(quotationIndex) {
+        this.index = quotationIndex;
+        this.statuses = ['draft', 'pending_approval', 'sent', 'accepted', 'rejected', 'expired'];
+        // Statuses a user may move a quotation to (draft and pending_approval follow revisions and approvals)
+        this.manualStatuses = ['sent', 'accepted', 'rejected', 'expired'];
+        this.transitions = {
+            draft: ['pending_approval', 'sent'],
+            pending_approval: ['draft'],
+            sent: ['sent', 'accepted', 'rejected', 'expired', 'draft'],
+            expired: ['draft'],
+            rejected: ['draft'],
+            accepted: []
+        };
+    }
+
+    // =========================================================================
+    // 🔎 STATUS LOOKUP
+    // =========================================================================
+
+    /**
+     * Current status of an index entry
+     * @param {Object} entry - quotations-index.json entry
+     * @returns {string} Status
+     */
+    getStatus(entry) {
+        if (entry?.status) {
+            return entry.status;
+        }
+        return entry?.sent_revision !== null && entry?.sent_revision !== undefined ? 'sent' : 'draft';
+    }
+
+    /**
+     * Statuses a user can move a quotation to from its current status
+     * @param {string} status - Current status
+     * @returns {Array} Statuses
+     */
+    getAllowedTransitions(status) {
+        return (this.transitions[status] || []).filter(next => this.manualStatuses.includes(next) && next !== status);
+    }
+
+    /**
+     * Status, history and allowed transitions of a quotation
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @returns {Object|null} { base_filename, status, status_changed_at, valid_until, sent_revision, allowed_transitions, status_history }
+     */
+    describe(baseFilename) {
+        const entry = this.index.getEntry(baseFilename);
+        if (!entry) {
+            return null;
+        }
+        const status = this.getStatus(entry);
+        return {
+            base_filename: baseFilename,
+            status,
+            status_changed_at: entry.status_changed_at || null,
+            valid_until: this.getValidUntil(entry),
+            sent_revision: entry.sent_revision ?? null,
+            allowed_transitions: this.getAllowedTransitions(status),
+            status_history: entry.status_history || []
+        };
+    }
+
+    // =========================================================================
+    // 🔄 TRANSITIONS
+    // =========================================================================
+
+    /**
+     * Throw unless a quotation may move to a status
+     * @param {string} baseFilename - Base filename
+     * @param {string} status - Target status
+     * @param {boolean} manual - true when a user asked for it (draft and pending_approval are system-only)
+     */
+    assertTransition(baseFilename, status, manual = true) {
+        if (!this.statuses.includes(status)) {
+            throw new Error(`status must be one of: ${this.statuses.join(', ')}`);
+        }
+        if (manual && !this.manualStatuses.includes(status)) {
+            throw new Error(`Status "${status}" is set automatically and cannot be requested`);
+        }
+        const entry = this.index.getEntry(baseFilename);
+        if (!entry) {
+            throw new Error(`Quotation not found: ${baseFilename}`);
+        }
+        const current = this.getStatus(entry);
+        if (!this.transitions[current]?.includes(status)) {
+            throw new Error(`Cannot move quotation from ${current} to ${status}`);
+        }
+    }
+
+    /**
+     * Move a quotation to a status after checking the transition table
+     * @param {string} baseFilename - Base filename
+     * @param {string} status - Target status
+     * @param {Object} details - { by, note, revision }
+     * @returns {Object} describe() of the quotation
+     */
+    transition(baseFilename, status, details = {}) {
+        this.assertTransition(baseFilename, status, false);
+        return this.setStatus(baseFilename, status, details);
+    }
+
+    /**
+     * Throw unless a new revision may be generated for a quotation
+     * A revision makes the quotation a draft again, so the transition table decides: an accepted
+     * quotation is closed and needs a new quotation (new RFQ reference) instead of a revision
+     * @param {string} baseFilename - Base filename
+     */
+    assertCanRegenerate(baseFilename) {
+        const entry = this.index.getEntry(baseFilename);
+        if (!entry) {
+            return;
+        }
+        const current = this.getStatus(entry);
+        if (current !== 'draft' && !this.transitions[current]?.includes('draft')) {
+            throw new Error(`Quotation ${baseFilename} is ${current} and cannot be regenerated; start a new quotation instead`);
+        }
+    }
+
+    /**
+     * A new revision was generated: the quotation is a draft again until it is sent
+     * @param {string} baseFilename - Base filename
+     * @param {number} revision - Revision number
+     * @returns {Object} describe() of the quotation
+     */
+    recordRevisionGenerated(baseFilename, revision) {
+        this.assertCanRegenerate(baseFilename);
+        return this.setStatus(baseFilename, 'draft', { revision, note: `Rev.${revision} generated`, automatic: true });
+    }
+
+    /**
+     * Document generation is waiting for a margin approval
+     * Quotations generated for the first time get an index entry without revisions
+     * @param {string} baseFilename - Base filename
+     * @param {Object} quotationData - Quotation data (RFQ and customer for a new entry)
+     * @param {Object} summary - Listing summary for a new entry (see QuotationIndex.buildSummary)
+     * @returns {Object} describe() of the quotation
+     */
+    recordApprovalRequested(baseFilename, quotationData, summary = {}) {
+        this.index.ensureEntry(baseFilename, quotationData, summary);
+        return this.setStatus(baseFilename, 'pending_approval', { note: 'Margin approval requested', automatic: true });
+    }
+
+    /**
+     * A manager decided on the margin approval: the quotation is a draft again either way
+     * @param {string} baseFilename - Base filename
+     * @param {Object} approval - QuotationApprovals entry
+     * @returns {Object|null} describe() of the quotation, or null when it is not waiting for approval
+     */
+    recordApprovalDecided(baseFilename, approval) {
+        const entry = this.index.getEntry(baseFilename);
+        if (!entry || this.getStatus(entry) !== 'pending_approval') {
+            return null;
+        }
+        return this.setStatus(baseFilename, 'draft', {
+            by: approval.decided_by,
+            note: `Margin approval ${approval.status}${approval.note ? `: ${approval.note}` : ''}`
+        });
+    }
+
+    /**
+     * Expire sent quotations whose validity date has passed
+     * @param {Date} now - Current time
+     * @returns {Array} describe() of every quotation that expired
+     */
+    expireOverdue(now = new Date()) {
+        const pad = (number) => String(number).padStart(2, '0');
+        const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+        const overdue = Object.entries(this.index.load())
+            .map(([baseFilename, entry]) => ({ baseFilename, entry, validUntil: this.getValidUntil(entry) }))
+            .filter(({ entry, validUntil }) => this.getStatus(entry) === 'sent' && validUntil && validUntil < today);
+
+        return overdue.map(({ baseFilename, entry, validUntil }) => {
+            console.log(`⌛ Quotation ${baseFilename} expired (valid until ${validUntil})`);
+            return this.setStatus(baseFilename, 'expired', {
+                note: `Validity ended on ${validUntil}`,
+                revision: entry.sent_revision,
+                automatic: true
+            });
+        });
+    }
+
+    /**
+     * Expiry date of the offer the customer holds: the sent revision's, else the entry's latest
+     * @param {Object} entry - quotations-index.json entry
+     * @returns {string|null} YYYY-MM-DD
+     */
+    getValidUntil(entry) {
+        const sentRevision = (entry.revisions || []).find(rev => rev.revision === entry.sent_revision);
+        return sentRevision?.valid_until || entry.valid_until || null;
+    }
+
+    // =========================================================================
+    // 🛠️ HELPERS
+    // =========================================================================
+
+    /**
+     * Write a status to the index entry; history only grows when the status actually changes
+     */
+    setStatus(baseFilename, status, details = {}) {
+        const index = this.index.load();
+        const entry = index[baseFilename];
+        if (!entry) {
+            throw new Error(`Quotation not found: ${baseFilename}`);
+        }
+
+        const current = this.getStatus(entry);
+        if (current !== status || !entry.status) {
+            const now = new Date().toISOString();
+            const from = entry.status ? current : null;
+            entry.status = status;
+            entry.status_changed_at = now;
+            entry.status_history = [...(entry.status_history || []), {
+                status,
+                from,
+                at: now,
+                by: details.by || null,
+                note: details.note || null,
+                revision: details.revision ?? entry.current_revision ?? null,
+                automatic: !!details.automatic
+            }];
+            this.index.save(index);
+            console.log(`🚦 ${baseFilename}: ${from || '(untracked)'} → ${status}`);
+        }
+        return this.describe(baseFilename);
+    }
+}
+
+module.exports = { QuotationLifecycle };
@@ -0,0 +1,271 @@
+// =============================================
+// 🔎 QUOTATION LISTING - FILTER, SORT AND PAGINATE
+// =============================================
+
+/**
+ * QUOTATION LISTING
+ * Purpose: Answer "all quotations for customer X last month over 100M VND" from quotations-index.json
+ * - Filters: search, customer, rfq, base_filename, status, maker, date range (issue date), total range, currency
+ * - Sorting on one field with the base filename as tie-breaker, so pages never overlap or skip entries
+ * - Cursor pagination: the cursor encodes the sort key of the last entry returned (stays valid while
+ *   new quotations are written)
+ * - Totals are in each quotation's own currency; combine total_min / total_max with currency to compare like with like
+ * Listed quotation shape:
+ *   { base_filename, rfq_reference, customer_name, filename, status, status_changed_at, issue_date, valid_until,
+ *     currency, subtotal, grand_total, item_count, makers, template, current_revision, sent_revision,
+ *     revision_count, generated_at, last_updated }
+ */
+class QuotationListing {
+    /**
+     * @param {QuotationIndex} quotationIndex - Index that owns quotations-index.json
+     * @param {QuotationLifecycle} quotationLifecycle - Status lookup (entries from before statuses existed)
+     */
+    constructor(quotationIndex, quotationLifecycle) {
+        this.index = quotationIndex;
+        this.lifecycle = quotationLifecycle;
+        this.sortFields = ['last_updated', 'issue_date', 'valid_until', 'grand_total', 'customer_name', 'rfq_reference', 'status'];
+        this.defaultLimit = 20;
+        this.maxLimit = 100;
+    }
+
+    // =========================================================================
+    // 🎯 PUBLIC API
+    // =========================================================================
+
+    /**
+     * One page of quotations matching a query
+     * @param {Object} query - { search, customer, rfq, base_filename, status (comma-separated), maker, date_from, date_to,
+     *                          total_min, total_max, currency, sort, order, limit, cursor }
+     * @returns {Object} { quotations, count, total, next_cursor, sort, order, limit }
+     */
+    list(query = {}) {
+        const options = this.parseQuery(query);
+        const matches = Object.entries(this.index.load())
+            .map(([baseFilename, entry]) => this.toListItem(baseFilename, entry))
+            .filter(item => this.matches(item, options))
+            .sort((a, b) => this.compare(a, b, options));
+
+        let start = 0;
+        if (options.cursor) {
+            start = matches.findIndex(item => this.compare(item, options.cursor, options) > 0);
+            if (start === -1) {
+                start = matches.length;
+            }
+        }
+
+        const page = matches.slice(start, start + options.limit);
+        const hasMore = start + options.limit < matches.length;
+        return {
+            quotations: page,
+            count: page.length,
+            total: matches.length,
+            next_cursor: hasMore ? this.encodeCursor(page[page.length - 1], options) : null,
+            sort: options.sort,
+            order: options.order,
+            limit: options.limit
+        };
+    }
+
+    // =========================================================================
+    // 🧮 QUERY PARSING
+    // =========================================================================
+
+    /**
+     * Validate and normalize query parameters
+     * @param {Object} query - Raw query (strings from the URL)
+     * @returns {Object} Parsed options
+     */
+    parseQuery(query) {
+        const text = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim().toLowerCase() : null);
+        const list = (value) => (Array.isArray(value) ? value.join(',') : value || '')
+            .split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+
+        const sort = query.sort || 'last_updated';
+        if (!this.sortFields.includes(sort)) {
+            throw new Error(`sort must be one of: ${this.sortFields.join(', ')}`);
+        }
+        const order = (query.order || 'desc').toLowerCase();
+        if (!['asc', 'desc'].includes(order)) {
+            throw new Error('order must be asc or desc');
+        }
+
+        const statuses = list(query.status);
+        const unknownStatus = statuses.find(status => !this.lifecycle.statuses.includes(status));
+        if (unknownStatus) {
+            throw new Error(`status must be one of: ${this.lifecycle.statuses.join(', ')} (got ${unknownStatus})`);
+        }
+
+        const options = {
+            search: text(query.search),
+            customer: text(query.customer),
+            rfq: text(query.rfq),
+            base_filename: query.base_filename || null,
+            statuses,
+            maker: text(query.maker),
+            currency: query.currency ? String(query.currency).trim().toUpperCase() : null,
+            date_from: this.parseDate(query.date_from, 'date_from'),
+            date_to: this.parseDate(query.date_to, 'date_to'),
+            total_min: this.parseNumber(query.total_min, 'total_min'),
+            total_max: this.parseNumber(query.total_max, 'total_max'),
+            sort,
+            order,
+            limit: this.parseLimit(query.limit)
+        };
+        options.cursor = query.cursor ? this.decodeCursor(query.cursor, options) : null;
+        return options;
+    }
+
+    parseDate(value, name) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+            throw new Error(`${name} must be a date in YYYY-MM-DD format (got ${value})`);
+        }
+        return value;
+    }
+
+    parseNumber(value, name) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+            throw new Error(`${name} must be a number (got ${value})`);
+        }
+        return number;
+    }
+
+    parseLimit(value) {
+        if (value === undefined || value === null || value === '') {
+            return this.defaultLimit;
+        }
+        const limit = Number(value);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error(`limit must be a positive whole number (got ${value})`);
+        }
+        return Math.min(limit, this.maxLimit);
+    }
+
+    // =========================================================================
+    // 🔍 FILTERING AND SORTING
+    // =========================================================================
+
+    /**
+     * Flatten an index entry into a listed quotation
+     */
+    toListItem(baseFilename, entry) {
+        return {
+            base_filename: baseFilename,
+            rfq_reference: entry.rfq_reference || null,
+            customer_name: entry.customer_name || null,
+            filename: entry.filename || null,
+            status: this.lifecycle.getStatus(entry),
+            status_changed_at: entry.status_changed_at || null,
+            // Entries without an issue date fall back to the day they were generated
+            issue_date: entry.issue_date || (entry.generated_at ? entry.generated_at.slice(0, 10) : null),
+            valid_until: entry.valid_until || null,
+            currency: entry.currency || null,
+            subtotal: entry.subtotal ?? null,
+            grand_total: entry.grand_total ?? null,
+            item_count: entry.item_count ?? null,
+            makers: entry.makers || [],
+            template: entry.template || null,
+            current_revision: entry.current_revision ?? null,
+            sent_revision: entry.sent_revision ?? null,
+            revision_count: (entry.revisions || []).length,
+            generated_at: entry.generated_at || null,
+            last_updated: entry.last_updated || entry.generated_at || null
+        };
+    }
+
+    matches(item, options) {
+        const contains = (value, wanted) => (value || '').toLowerCase().includes(wanted);
+
+        if (options.search && ![item.rfq_reference, item.customer_name, item.base_filename].some(value => contains(value, options.search))) {
+            return false;
+        }
+        if (options.customer && !contains(item.customer_name, options.customer)) {
+            return false;
+        }
+        if (options.rfq && !contains(item.rfq_reference, options.rfq)) {
+            return false;
+        }
+        if (options.base_filename && item.base_filename !== options.base_filename) {
+            return false;
+        }
+        if (options.statuses.length > 0 && !options.statuses.includes(item.status)) {
+            return false;
+        }
+        if (options.maker && !item.makers.some(maker => contains(maker, options.maker))) {
+            return false;
+        }
+        if (options.currency && item.currency !== options.currency) {
+            return false;
+        }
+        if ((options.date_from || options.date_to) && !item.issue_date) {
+            return false;
+        }
+        if ((options.date_from && item.issue_date < options.date_from) || (options.date_to && item.issue_date > options.date_to)) {
+            return false;
+        }
+        if ((options.total_min !== null || options.total_max !== null) && item.grand_total === null) {
+            return false;
+        }
+        if ((options.total_min !== null && item.grand_total < options.total_min) ||
+            (options.total_max !== null && item.grand_total > options.total_max)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Order two listed quotations (or a quotation and a cursor); empty values always sort last
+     */
+    compare(a, b, options) {
+        const valueA = a[options.sort] ?? null;
+        const valueB = b[options.sort] ?? null;
+        if (valueA !== valueB) {
+            if (valueA === null) {
+                return 1;
+            }
+            if (valueB === null) {
+                return -1;
+            }
+            const difference = typeof valueA === 'number' && typeof valueB === 'number'
+                ? valueA - valueB
+                : String(valueA).localeCompare(String(valueB));
+            if (difference !== 0) {
+                return options.order === 'asc' ? difference : -difference;
+            }
+        }
+        return a.base_filename.localeCompare(b.base_filename);
+    }
+
+    // =========================================================================
+    // 📑 CURSORS
+    // =========================================================================
+
+    encodeCursor(item, options) {
+        const payload = { sort: options.sort, order: options.order, value: item[options.sort] ?? null, base_filename: item.base_filename };
+        return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+    }
+
+    decodeCursor(cursor, options) {
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('cursor is not valid');
+        }
+        if (!payload || typeof payload.base_filename !== 'string') {
+            throw new Error('cursor is not valid');
+        }
+        if (payload.sort !== options.sort || payload.order !== options.order) {
+            throw new Error('cursor belongs to a different sort order - start again without a cursor');
+        }
+        return { [options.sort]: payload.value, base_filename: payload.base_filename };
+    }
+}
+
+module.exports = { QuotationListing };
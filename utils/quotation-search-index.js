@@ -0,0 +1,348 @@
+// =============================================
+// 🔍 QUOTATION SEARCH INDEX - FULL-TEXT ITEM SEARCH
+// =============================================
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * QUOTATION SEARCH INDEX
+ * Purpose: Answer "which quotations included part number BP5011C01" or "every DeVILBISS item we quoted"
+ * - Indexes the items of each quotation's newest _data.json: description, model_part_number, maker_origin, specifications
+ * - Persisted in assets/generated/search-index.json as an inverted index (token -> item postings)
+ * - Kept in step with quotations-index.json: new revisions are indexed when written, sync() catches up on the rest
+ * - Matching is case- and accent-insensitive; every query word must prefix-match a word of the same item
+ *   ("hem-10hp" finds "HEM-10HP-3P-IE3", "bp5011" finds "BP-5011-C01")
+ * Document shape:
+ *   { base_filename, revision, data_filename, source_mtime, rfq_reference, customer_name, currency, indexed_at,
+ *     items: [{ item_no, description, model_part_number, maker_origin, specifications, uom, qty, unit_price, ext_price }] }
+ */
+class QuotationSearchIndex {
+    /**
+     * @param {string} generatedDir - Directory holding the _data.json snapshots
+     * @param {QuotationIndex} quotationIndex - Index that owns quotations-index.json
+     */
+    constructor(generatedDir, quotationIndex) {
+        this.generatedDir = generatedDir;
+        this.indexPath = path.join(generatedDir, 'search-index.json');
+        this.quotationIndex = quotationIndex;
+        // Indexed fields and how much a match in each counts towards relevance
+        this.fieldWeights = {
+            model_part_number: 5,
+            maker_origin: 3,
+            description: 2,
+            specifications: 1
+        };
+    }
+
+    // =========================================================================
+    // 📁 INDEX FILE ACCESS
+    // =========================================================================
+
+    /**
+     * Load the search index from disk
+     * @returns {Object} { version, documents: { baseFilename: document }, terms: { token: [[baseFilename, itemIndex, field]] } }
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.indexPath)) {
+                const index = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+                return { version: 1, documents: {}, terms: {}, ...index };
+            }
+        } catch (error) {
+            console.error('❌ Error reading search index (it will be rebuilt):', error.message);
+        }
+        return { version: 1, documents: {}, terms: {} };
+    }
+
+    /**
+     * Persist the search index (temp file + rename so readers never see a partial file)
+     * @param {Object} index - Search index
+     */
+    save(index) {
+        if (!fs.existsSync(this.generatedDir)) {
+            fs.mkdirSync(this.generatedDir, { recursive: true });
+        }
+        const tempPath = `${this.indexPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ ...index, updated_at: new Date().toISOString() }), 'utf8');
+        fs.renameSync(tempPath, this.indexPath);
+    }
+
+    // =========================================================================
+    // 🗂️ INDEXING
+    // =========================================================================
+
+    /**
+     * Index (or re-index) the items of one quotation snapshot
+     * @param {string} baseFilename - Base filename (RFQ + customer)
+     * @param {string} dataFilename - _data.json snapshot filename in the generated directory
+     * @param {Object} index - Loaded search index (saved to disk when omitted)
+     * @returns {Object|null} Indexed document, or null when the snapshot cannot be read
+     */
+    indexQuotation(baseFilename, dataFilename, index = null) {
+        const target = index || this.load();
+        const dataPath = path.join(this.generatedDir, dataFilename);
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+        } catch (error) {
+            console.error(`❌ Cannot index ${dataFilename}:`, error.message);
+            return null;
+        }
+
+        this.removeFromIndex(baseFilename, target);
+        const document = this.buildDocument(baseFilename, dataFilename, snapshot, fs.statSync(dataPath).mtimeMs);
+        target.documents[baseFilename] = document;
+
+        document.items.forEach((item, itemIndex) => {
+            Object.keys(this.fieldWeights).forEach(field => {
+                this.tokenizeField(item[field], field).forEach(token => {
+                    // Words like "constructor" are tokens too, never Object.prototype members
+                    if (!Object.prototype.hasOwnProperty.call(target.terms, token)) {
+                        target.terms[token] = [];
+                    }
+                    target.terms[token].push([baseFilename, itemIndex, field]);
+                });
+            });
+        });
+
+        if (!index) {
+            this.save(target);
+        }
+        return document;
+    }
+
+    /**
+     * Bring the index in line with quotations-index.json: index new or changed snapshots, drop removed quotations
+     * @returns {Object} { indexed, removed }
+     */
+    sync() {
+        const index = this.load();
+        const quotations = this.quotationIndex.load();
+        let indexed = 0;
+        let removed = 0;
+
+        Object.entries(quotations).forEach(([baseFilename, entry]) => {
+            const dataFilename = this.getDataFilename(baseFilename, entry);
+            const document = index.documents[baseFilename];
+            if (!dataFilename) {
+                if (document) {
+                    this.removeFromIndex(baseFilename, index);
+                    removed++;
+                }
+                return;
+            }
+            const mtime = fs.statSync(path.join(this.generatedDir, dataFilename)).mtimeMs;
+            if (!document || document.data_filename !== dataFilename || document.source_mtime !== mtime) {
+                if (this.indexQuotation(baseFilename, dataFilename, index)) {
+                    indexed++;
+                }
+            }
+        });
+
+        Object.keys(index.documents).filter(baseFilename => !quotations[baseFilename]).forEach(baseFilename => {
+            this.removeFromIndex(baseFilename, index);
+            removed++;
+        });
+
+        if (indexed > 0 || removed > 0 || !fs.existsSync(this.indexPath)) {
+            this.save(index);
+            console.log(`🔍 Search index synced: ${indexed} indexed, ${removed} removed`);
+        }
+        return { indexed, removed };
+    }
+
+    // =========================================================================
+    // 🔎 SEARCH
+    // =========================================================================
+
+    /**
+     * Find quotation items matching a text query
+     * @param {string} query - Words to find (part numbers, makers, description words)
+     * @param {Object} options - { field: restrict matching to one indexed field }
+     * @returns {Array} [{ base_filename, rfq_reference, customer_name, currency, revision, score,
+     *                     items: [{ ...item, matched_fields, score }] }] best match first
+     */
+    search(query, options = {}) {
+        const words = this.tokenize(query);
+        if (words.length === 0) {
+            throw new Error('q must contain at least one letter or digit');
+        }
+        if (options.field && !Object.prototype.hasOwnProperty.call(this.fieldWeights, options.field)) {
+            throw new Error(`field must be one of: ${Object.keys(this.fieldWeights).join(', ')}`);
+        }
+
+        const index = this.load();
+        const tokens = Object.keys(index.terms);
+        // "BP-5011" also has to find "BP5011C01", so the joined form is tried as a second alternative
+        const alternatives = words.length > 1 ? [words, [words.join('')]] : [words];
+
+        const hits = new Map();
+        alternatives.forEach(alternative => {
+            const matchesPerWord = alternative.map(word => this.collectPostings(index, tokens, word, options.field));
+            matchesPerWord[0].forEach((firstMatch, key) => {
+                if (!matchesPerWord.every(matches => matches.has(key))) {
+                    return;
+                }
+                const fields = new Set();
+                const score = matchesPerWord.reduce((total, matches) => {
+                    const match = matches.get(key);
+                    match.fields.forEach(field => fields.add(field));
+                    return total + match.score;
+                }, 0);
+                const existing = hits.get(key);
+                if (!existing || existing.score < score) {
+                    hits.set(key, { score, fields: [...fields] });
+                }
+            });
+        });
+
+        const byQuotation = new Map();
+        hits.forEach((hit, key) => {
+            const [baseFilename, itemIndex] = JSON.parse(key);
+            const document = index.documents[baseFilename];
+            if (!document) {
+                return;
+            }
+            if (!byQuotation.has(baseFilename)) {
+                byQuotation.set(baseFilename, {
+                    base_filename: baseFilename,
+                    rfq_reference: document.rfq_reference,
+                    customer_name: document.customer_name,
+                    currency: document.currency,
+                    revision: document.revision,
+                    score: 0,
+                    items: []
+                });
+            }
+            const result = byQuotation.get(baseFilename);
+            result.items.push({ ...document.items[itemIndex], matched_fields: hit.fields, score: hit.score });
+            result.score = Math.max(result.score, hit.score);
+        });
+
+        return [...byQuotation.values()]
+            .map(result => ({ ...result, items: result.items.sort((a, b) => b.score - a.score) }))
+            .sort((a, b) => b.score - a.score || a.base_filename.localeCompare(b.base_filename));
+    }
+
+    // =========================================================================
+    // 🛠️ HELPERS
+    // =========================================================================
+
+    /**
+     * Postings of every index token starting with a query word, keyed by item
+     * @returns {Map} JSON [baseFilename, itemIndex] -> { score, fields }
+     */
+    collectPostings(index, tokens, word, onlyField = null) {
+        const matches = new Map();
+        tokens.filter(token => token.startsWith(word)).forEach(token => {
+            // Whole-word matches rank above prefix matches
+            const bonus = token === word ? 1 : 0;
+            index.terms[token].forEach(([baseFilename, itemIndex, field]) => {
+                if (onlyField && field !== onlyField) {
+                    return;
+                }
+                const key = JSON.stringify([baseFilename, itemIndex]);
+                const match = matches.get(key) || { score: 0, fields: new Set() };
+                match.score = Math.max(match.score, this.fieldWeights[field] + bonus);
+                match.fields.add(field);
+                matches.set(key, match);
+            });
+        });
+        return matches;
+    }
+
+    buildDocument(baseFilename, dataFilename, snapshot, mtime) {
+        const quotationData = snapshot.quotation_data || {};
+        const pricing = snapshot.calculated_pricing || {};
+        const toNumber = (value) => (typeof value === 'number' ? value : parseFloat(value) || 0);
+
+        const items = (quotationData.quotation_items || []).map((item, index) => {
+            const itemNo = String(item.item_no || index + 1);
+            const requirement = item.company_requirement || {};
+            const calculated = (pricing.processed_items || []).find(calc => String(calc.item_no) === itemNo) || item.calculated_results;
+            const qty = toNumber(requirement.qty);
+            // Quoted (sales) price when priced, otherwise the supplier offer
+            const unitPrice = toNumber(calculated?.sales_unit_price || calculated?.profit_unit_price ||
+                item.bidder_proposal?.unit_price_vnd || item.bidder_proposal?.original_unit_price);
+            const extPrice = toNumber(calculated?.ext_price || item.bidder_proposal?.ext_price_vnd) || unitPrice * qty;
+            return {
+                item_no: itemNo,
+                description: requirement.description || item.bidder_proposal?.description || '',
+                model_part_number: requirement.model_part_number || '',
+                maker_origin: requirement.maker_origin || '',
+                specifications: requirement.specifications || '',
+                uom: requirement.uom || '',
+                qty,
+                unit_price: unitPrice || null,
+                ext_price: extPrice || null
+            };
+        });
+
+        return {
+            base_filename: baseFilename,
+            revision: snapshot.revision ?? null,
+            data_filename: dataFilename,
+            source_mtime: mtime,
+            rfq_reference: quotationData.rfq_reference || null,
+            customer_name: quotationData.customer_info?.company_name || null,
+            currency: pricing.pricing_summary?.currency || quotationData.target_currency || null,
+            indexed_at: new Date().toISOString(),
+            items
+        };
+    }
+
+    removeFromIndex(baseFilename, index) {
+        if (!index.documents[baseFilename]) {
+            return;
+        }
+        delete index.documents[baseFilename];
+        Object.keys(index.terms).forEach(token => {
+            const postings = index.terms[token].filter(([posting]) => posting !== baseFilename);
+            if (postings.length > 0) {
+                index.terms[token] = postings;
+            } else {
+                delete index.terms[token];
+            }
+        });
+    }
+
+    /**
+     * Snapshot holding a quotation's newest items (revision snapshot, or the pre-revision _data.json)
+     */
+    getDataFilename(baseFilename, entry) {
+        const current = (entry.revisions || []).find(rev => rev.revision === entry.current_revision);
+        return [current?.data_filename, `${baseFilename}_data.json`]
+            .find(filename => filename && fs.existsSync(path.join(this.generatedDir, filename))) || null;
+    }
+
+    /**
+     * Lower-case, accent-free words of a text ("Động cơ HEM-10HP" -> ["dong", "co", "hem", "10hp"])
+     */
+    tokenize(text) {
+        if (text === undefined || text === null) {
+            return [];
+        }
+        const words = String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[đĐ]/g, 'd')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+        return [...new Set(words)];
+    }
+
+    /**
+     * Words of a field; part numbers are also indexed without separators ("BP-5011-C01" -> "bp5011c01")
+     */
+    tokenizeField(value, field) {
+        const words = this.tokenize(value);
+        if (field === 'model_part_number' && words.length > 1) {
+            words.push(words.join(''));
+        }
+        return [...new Set(words)];
+    }
+}
+
+module.exports = { QuotationSearchIndex };
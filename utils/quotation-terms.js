@@ -0,0 +1,223 @@
+// =============================================
+// 📜 QUOTATION TERMS - VALIDITY, PAYMENT AND DELIVERY
+// =============================================
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * QUOTATION TERMS
+ * Purpose: Structured commercial terms for every quotation instead of hard-coded text
+ * - Fields: validity_days, payment_terms, incoterms, delivery_location, warranty
+ * - Defaults and per-customer defaults live in config/quotation-terms.json
+ * - Priority per field: quotation_data.terms > customer default > global default
+ * - valid_until = issue date + validity_days (or quotation_data.terms.valid_until when given)
+ * - incoterms must be one of the accepted Incoterms 2020 codes listed in the config
+ * Resolved terms shape:
+ *   { issue_date, valid_until, validity_days, payment_terms, incoterms, delivery_location, warranty,
+ *     sources: { field: 'quotation'|'customer'|'default' } }
+ */
+class QuotationTerms {
+    constructor(configPath = null) {
+        this.configPath = configPath || path.join(__dirname, '..', 'config', 'quotation-terms.json');
+        this.fields = ['validity_days', 'payment_terms', 'incoterms', 'delivery_location', 'warranty'];
+    }
+
+    // =========================================================================
+    // 📁 CONFIG FILE ACCESS
+    // =========================================================================
+
+    /**
+     * Load term defaults from disk
+     * @returns {Object} { defaults, customer_terms: { customerName: terms }, incoterms: [codes] }
+     */
+    loadConfig() {
+        try {
+            if (fs.existsSync(this.configPath)) {
+                const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+                return {
+                    ...config,
+                    defaults: config.defaults || {},
+                    customer_terms: config.customer_terms || {},
+                    incoterms: config.incoterms || []
+                };
+            }
+        } catch (error) {
+            console.error('❌ Error reading quotation terms config:', error);
+        }
+        return { defaults: {}, customer_terms: {}, incoterms: [] };
+    }
+
+    /**
+     * Persist term defaults (temp file + rename so readers never see a partial file)
+     * @param {Object} config - Term defaults
+     */
+    saveConfig(config) {
+        const tempPath = `${this.configPath}.tmp`;
+        fs.writeFileSync(tempPath, `${JSON.stringify(config, null, 2)}\n`, 'utf8');
+        fs.renameSync(tempPath, this.configPath);
+    }
+
+    // =========================================================================
+    // 🎯 TERMS RESOLUTION
+    // =========================================================================
+
+    /**
+     * Terms of a quotation issued on a given date
+     * @param {Object} quotationData - Quotation data (terms, customer_info, issue_date)
+     * @param {Date|string} issueDate - Issue date (quotation_data.issue_date wins when set)
+     * @returns {Object} Resolved terms (see class comment)
+     */
+    resolveTerms(quotationData, issueDate = new Date()) {
+        const config = this.loadConfig();
+        const layers = [
+            ['quotation', quotationData?.terms || {}],
+            ['customer', this.getCustomerTerms(quotationData?.customer_info?.company_name, config) || {}],
+            ['default', config.defaults]
+        ];
+
+        const terms = {};
+        const sources = {};
+        this.fields.forEach(field => {
+            const layer = layers.find(([, values]) => values[field] !== undefined && values[field] !== null && values[field] !== '');
+            terms[field] = layer ? layer[1][field] : null;
+            sources[field] = layer ? layer[0] : null;
+        });
+        Object.assign(terms, this.pickFields(terms));
+
+        const issued = this.toDateString(quotationData?.issue_date || issueDate);
+        const explicitValidUntil = quotationData?.terms?.valid_until;
+        if (explicitValidUntil) {
+            // An explicit expiry date decides the validity period
+            const validUntil = this.toDateString(explicitValidUntil);
+            terms.validity_days = this.daysBetween(issued, validUntil);
+            sources.validity_days = 'quotation';
+            return { issue_date: issued, valid_until: validUntil, ...terms, sources: { ...sources, valid_until: 'quotation' } };
+        }
+        return {
+            issue_date: issued,
+            valid_until: terms.validity_days ? this.addDays(issued, terms.validity_days) : null,
+            ...terms,
+            sources: { ...sources, valid_until: sources.validity_days }
+        };
+    }
+
+    /**
+     * Customer default terms, matched case-insensitively
+     * @param {string} customerName - Customer company name
+     * @param {Object} config - Loaded config (read from disk when omitted)
+     * @returns {Object|null} Terms
+     */
+    getCustomerTerms(customerName, config = null) {
+        const wanted = this.normalizeCustomerName(customerName);
+        if (!wanted) {
+            return null;
+        }
+        const match = Object.entries((config || this.loadConfig()).customer_terms)
+            .find(([name]) => this.normalizeCustomerName(name) === wanted);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Set the global default terms, or one customer's defaults
+     * @param {Object|null} terms - Terms to store (null clears a customer's defaults)
+     * @param {string|null} customerName - Customer company name (omit for the global defaults)
+     * @returns {Object} Updated config
+     */
+    setDefaultTerms(terms, customerName = null) {
+        const config = this.loadConfig();
+        if (terms) {
+            this.validateTerms(terms, config);
+        }
+        const picked = terms ? this.pickFields(terms) : null;
+
+        if (customerName) {
+            const wanted = this.normalizeCustomerName(customerName);
+            const existingKey = Object.keys(config.customer_terms)
+                .find(name => this.normalizeCustomerName(name) === wanted);
+            delete config.customer_terms[existingKey];
+            if (picked && Object.keys(picked).length > 0) {
+                config.customer_terms[customerName.trim()] = picked;
+            }
+        } else {
+            if (!picked) {
+                throw new Error('Terms are required for the global defaults');
+            }
+            config.defaults = { ...config.defaults, ...picked };
+        }
+
+        this.saveConfig(config);
+        console.log(`📜 Default terms ${customerName ? `for ${customerName}` : '(global)'}: ${picked ? Object.keys(picked).join(', ') : 'cleared'}`);
+        return config;
+    }
+
+    // =========================================================================
+    // ✅ VALIDATION
+    // =========================================================================
+
+    /**
+     * Check terms given on a quotation or as defaults
+     * @param {Object} terms - Terms
+     * @param {Object} config - Loaded config (read from disk when omitted)
+     * @throws {Error} When a field has an invalid value
+     */
+    validateTerms(terms, config = null) {
+        if (typeof terms !== 'object' || Array.isArray(terms)) {
+            throw new Error('terms must be an object');
+        }
+        if (terms.validity_days !== undefined && terms.validity_days !== null
+            && !(Number.isInteger(Number(terms.validity_days)) && Number(terms.validity_days) > 0)) {
+            throw new Error(`terms.validity_days must be a positive whole number of days (got ${terms.validity_days})`);
+        }
+        if (terms.valid_until && isNaN(new Date(terms.valid_until).getTime())) {
+            throw new Error(`terms.valid_until is not a valid date (got ${terms.valid_until})`);
+        }
+        const incoterms = (config || this.loadConfig()).incoterms;
+        if (terms.incoterms && incoterms.length > 0 && !incoterms.includes(String(terms.incoterms).toUpperCase())) {
+            throw new Error(`terms.incoterms "${terms.incoterms}" is not supported. Available: ${incoterms.join(', ')}`);
+        }
+    }
+
+    // =========================================================================
+    // 🛠️ HELPERS
+    // =========================================================================
+
+    pickFields(terms) {
+        const picked = {};
+        this.fields.forEach(field => {
+            if (terms[field] !== undefined && terms[field] !== null && terms[field] !== '') {
+                picked[field] = field === 'validity_days' ? Number(terms[field])
+                    : field === 'incoterms' ? String(terms[field]).toUpperCase()
+                    : terms[field];
+            }
+        });
+        return picked;
+    }
+
+    /**
+     * YYYY-MM-DD of a date in server local time (dates given as YYYY-MM-DD are kept as-is)
+     */
+    toDateString(value) {
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return value;
+        }
+        const date = value instanceof Date ? value : new Date(value);
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    addDays(dateString, days) {
+        const date = new Date(`${dateString}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + Number(days));
+        return date.toISOString().slice(0, 10);
+    }
+
+    daysBetween(fromDate, toDate) {
+        return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000);
+    }
+
+    normalizeCustomerName(name) {
+        return typeof name === 'string' ? name.trim().toLowerCase() : '';
+    }
+}
+
+module.exports = { QuotationTerms };
@@ -1,15 +1,30 @@
 const fs = require('fs');
 const path = require('path');
+const { FormulaEngine } = require('./formula-engine');
+const { ExchangeRateStore } = require('./exchange-rate-store');
+const { SupplierPriceLists } = require('./supplier-price-lists');
+const { SupplierOffers } = require('./supplier-offers');
+const { FixedDecimal } = require('./fixed-decimal');
 
 /**
  * QUOTATION PRICE CALCULATIONS UTILITY
  * Purpose: Pure calculation engine for quotation pricing
  * Integration: Called by quotation-generation/update functions
- * New Formula: 
+ * Formula: step chain from config/pricing-formulas.json, picked per quotation or per customer
+ * Standard formula:
  *   actual_unit_price = (((unit_price + shipping_cost) × tax_rate) × exchange_rate)
  *   profit_unit_price = actual_unit_price × profit_rate
  *   sales_unit_price = profit_unit_price − (profit_unit_price × discount_rate)
  * Output: sales_unit_price becomes official unit_price, ext_price = sales_unit_price * qty
+ * Arithmetic: exact decimals (FixedDecimal); rounding only at the unit_price, ext_price,
+ *   subtotal and vat steps, with the precision and modes of config/currency-rounding.json
+ *   (VND prices keep rounding to the nearest 1,000 from calculation_rules unless configured)
+ * VAT: each item has a category from config/vat-rates.json; pricing_summary adds the VAT of
+ *   each rate group and the grand total (tax_rate remains the import cost multiplier)
+ * Supplier offers: items with several candidate offers are priced once per offer (offer_comparison);
+ *   only the chosen offer is priced into the quotation
+ * Item roles: optional items and alternatives (alternative_of) are priced like any other line but
+ *   kept out of subtotal, VAT and grand total; pricing_summary reports their own subtotals
  */
 class QuotationPriceCalculations {
     constructor() {
@@ -18,6 +33,28 @@ class QuotationPriceCalculations {
         this.pricingDefaults = this.config?.pricing_defaults?.variables || {};
         this.calculationRules = this.config?.pricing_defaults?.calculation_rules || {};
         this.businessRules = this.config?.business_rules || {};
+
+        // User-defined pricing formulas (sandboxed expressions)
+        this.formulaEngine = new FormulaEngine();
+        this.pricingFormulas = this.loadPricingFormulas();
+
+        // Minimum margin floors (global, per maker, per customer)
+        this.marginPolicy = this.loadMarginPolicy();
+
+        // Dated exchange-rate table: default exchange_rate when the UI leaves it empty
+        this.exchangeRates = new ExchangeRateStore();
+
+        // Imported supplier price lists: cost of items that arrive without a bidder price
+        this.supplierPriceLists = new SupplierPriceLists();
+
+        // Candidate supplier offers per item (the chosen one is quoted)
+        this.supplierOffers = new SupplierOffers(this.calculationRules.currency || 'VND');
+
+        // Per-currency precision and rounding modes for the money steps
+        this.currencyRounding = this.loadCurrencyRounding();
+
+        // VAT categories (output tax on the quotation; tax_rate stays the import multiplier)
+        this.vatRates = this.loadVatRates();
         
         console.log('🧮 QuotationPriceCalculations initialized with system defaults');
     }
@@ -73,6 +110,194 @@ class QuotationPriceCalculations {
         };
     }
 
+    /**
+     * Load pricing formulas from config/pricing-formulas.json
+     * Formulas that fail validation are skipped so one bad entry cannot break pricing
+     */
+    loadPricingFormulas() {
+        let config;
+        try {
+            const configPath = path.join(__dirname, '../config/pricing-formulas.json');
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            } else {
+                console.warn('⚠️ pricing-formulas.json not found, using standard formula only');
+                config = this.getFallbackPricingFormulas();
+            }
+        } catch (error) {
+            console.error('❌ Error loading pricing formulas:', error);
+            config = this.getFallbackPricingFormulas();
+        }
+
+        const formulas = {};
+        Object.entries(config.formulas || {}).forEach(([formulaId, definition]) => {
+            try {
+                this.validatePricingFormula(formulaId, definition, config.base_variables);
+                formulas[formulaId] = { id: formulaId, ...definition, variables: definition.variables || {} };
+            } catch (error) {
+                console.error(`❌ Pricing formula "${formulaId}" ignored: ${error.message}`);
+            }
+        });
+
+        if (Object.keys(formulas).length === 0) {
+            const fallback = this.getFallbackPricingFormulas();
+            formulas.standard = { id: 'standard', ...fallback.formulas.standard };
+        }
+
+        const defaultFormula = formulas[config.default_formula] ? config.default_formula : Object.keys(formulas)[0];
+        console.log(`🧩 Loaded ${Object.keys(formulas).length} pricing formula(s), default: ${defaultFormula}`);
+
+        return {
+            default_formula: defaultFormula,
+            base_variables: config.base_variables || this.getFallbackPricingFormulas().base_variables,
+            formulas: formulas,
+            customer_formulas: config.customer_formulas || {}
+        };
+    }
+
+    /**
+     * Fallback formula set: the original hard-coded pricing chain
+     */
+    getFallbackPricingFormulas() {
+        return {
+            default_formula: 'standard',
+            base_variables: ['unit_price', 'quantity', 'shipping_cost', 'tax_rate', 'exchange_rate', 'profit_rate', 'discount_rate'],
+            formulas: {
+                standard: {
+                    name: 'Standard import pricing',
+                    variables: {},
+                    steps: [
+                        { name: 'with_shipping', label: 'Unit price + shipping', expression: 'unit_price + shipping_cost' },
+                        { name: 'with_tax', label: 'Import tax applied', expression: 'with_shipping * tax_rate' },
+                        { name: 'actual_unit_price', label: 'Actual unit price', expression: 'with_tax * exchange_rate' },
+                        { name: 'profit_unit_price', label: 'Profit unit price', expression: 'actual_unit_price * profit_rate' },
+                        { name: 'discount_amount', label: 'Discount amount', expression: 'profit_unit_price * discount_rate' },
+                        { name: 'sales_unit_price', label: 'Sales unit price', expression: 'profit_unit_price - discount_amount' }
+                    ]
+                }
+            },
+            customer_formulas: {}
+        };
+    }
+
+    /**
+     * Load margin floors from config/margin-policy.json
+     * - Margins are gross margins: (sales_unit_price - actual_unit_price) / sales_unit_price, in percent
+     * - global_min_margin_percent applies to every item; maker_min_margin_percent and
+     *   customer_min_margin_percent override it per maker_origin / customer company_name
+     * - require_approval holds back documents for items below cost or below their floor
+     */
+    loadMarginPolicy() {
+        try {
+            const configPath = path.join(__dirname, '../config/margin-policy.json');
+            if (fs.existsSync(configPath)) {
+                return { ...this.getFallbackMarginPolicy(), ...JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+            }
+            console.warn('⚠️ margin-policy.json not found, only below-cost prices will be flagged');
+        } catch (error) {
+            console.error('❌ Error loading margin policy:', error);
+        }
+        return this.getFallbackMarginPolicy();
+    }
+
+    /**
+     * Fallback margin policy: no floor, but selling below cost still needs approval
+     */
+    getFallbackMarginPolicy() {
+        return {
+            enabled: true,
+            require_approval: true,
+            global_min_margin_percent: 0,
+            maker_min_margin_percent: {},
+            customer_min_margin_percent: {}
+        };
+    }
+
+    /**
+     * Load per-currency precision and rounding modes from config/currency-rounding.json
+     * Rounding steps (default_modes and per-currency modes are keyed by these):
+     * - unit_price: sales_unit_price once the pricing formula has run (formula steps themselves are exact)
+     * - ext_price: rounded unit price x quantity
+     * - subtotal: sum of the rounded line totals
+     * - vat: VAT of each rate group (taxable amount x rate)
+     * Currency settings (currencies.<code>):
+     * - precision: decimal places (ISO 4217 minor unit when omitted)
+     * - increment: unit_price, ext_price and subtotal round to a multiple of this; the system currency
+     *   defaults to calculation_rules.round_to_nearest (1 turns it off)
+     * - minimum_price: lower bound for positive amounts at those steps; the system currency defaults to
+     *   calculation_rules.minimum_price
+     * - modes: rounding mode per step (see getRoundingModes)
+     */
+    loadCurrencyRounding() {
+        try {
+            const configPath = path.join(__dirname, '../config/currency-rounding.json');
+            if (fs.existsSync(configPath)) {
+                const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+                const fallback = this.getFallbackCurrencyRounding();
+                return {
+                    ...fallback,
+                    ...config,
+                    default_modes: { ...fallback.default_modes, ...(config.default_modes || {}) },
+                    currencies: config.currencies || {}
+                };
+            }
+            console.warn('⚠️ currency-rounding.json not found, rounding half-up at each currency\'s standard precision');
+        } catch (error) {
+            console.error('❌ Error loading currency rounding:', error);
+        }
+        return this.getFallbackCurrencyRounding();
+    }
+
+    /**
+     * Fallback rounding: half-up everywhere, precision from Intl
+     */
+    getFallbackCurrencyRounding() {
+        return {
+            default_modes: {
+                unit_price: 'half_up',
+                ext_price: 'half_up',
+                subtotal: 'half_up',
+                vat: 'half_up'
+            },
+            currencies: {}
+        };
+    }
+
+    /**
+     * Load VAT categories from config/vat-rates.json
+     */
+    loadVatRates() {
+        try {
+            const configPath = path.join(__dirname, '../config/vat-rates.json');
+            if (fs.existsSync(configPath)) {
+                const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+                if (config.categories && config.categories[config.default_category]) {
+                    return config;
+                }
+                console.warn('⚠️ vat-rates.json has no valid default_category, using fallback VAT rates');
+            } else {
+                console.warn('⚠️ vat-rates.json not found, using fallback VAT rates');
+            }
+        } catch (error) {
+            console.error('❌ Error loading VAT rates:', error);
+        }
+        return this.getFallbackVatRates();
+    }
+
+    /**
+     * Fallback VAT categories: Vietnamese standard rates
+     */
+    getFallbackVatRates() {
+        return {
+            default_category: 'vat_10',
+            categories: {
+                vat_10: { rate: 10, label: 'VAT 10%' },
+                vat_8: { rate: 8, label: 'VAT 8%' },
+                exempt: { rate: 0, label: 'Not subject to VAT', exempt: true }
+            }
+        };
+    }
+
     // =========================================================================
     // 🎯 DEFAULT VALUES MANAGEMENT
     // =========================================================================
@@ -114,6 +339,176 @@ class QuotationPriceCalculations {
         };
     }
 
+    // =========================================================================
+    // 🧩 PRICING FORMULAS
+    // =========================================================================
+
+    /**
+     * Check that a formula definition only references known names and produces the required prices
+     * @param {string} formulaId - Formula identifier
+     * @param {Object} definition - { name, variables, steps: [{ name, label, expression }] }
+     * @param {Array} baseVariables - Variables every item provides (unit_price, quantity, ...)
+     */
+    validatePricingFormula(formulaId, definition, baseVariables = null) {
+        if (!definition || !Array.isArray(definition.steps) || definition.steps.length === 0) {
+            throw new Error(`Formula ${formulaId} must define at least one step`);
+        }
+
+        const known = new Set(baseVariables || this.getFallbackPricingFormulas().base_variables);
+        Object.keys(definition.variables || {}).forEach(name => known.add(name));
+
+        definition.steps.forEach((step, index) => {
+            if (!step.name || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(step.name)) {
+                throw new Error(`Step ${index + 1} needs a valid name`);
+            }
+            if (known.has(step.name)) {
+                throw new Error(`Step "${step.name}" redefines an existing variable`);
+            }
+            this.formulaEngine.getVariables(step.expression).forEach(name => {
+                if (!known.has(name)) {
+                    throw new Error(`Step "${step.name}" uses unknown variable "${name}"`);
+                }
+            });
+            known.add(step.name);
+        });
+
+        ['actual_unit_price', 'profit_unit_price', 'sales_unit_price'].forEach(required => {
+            if (!definition.steps.some(step => step.name === required)) {
+                throw new Error(`Formula must compute ${required}`);
+            }
+        });
+    }
+
+    /**
+     * Get a pricing formula by id
+     * @param {string} formulaId - Formula identifier (default formula when omitted)
+     * @returns {Object} Formula definition with id
+     */
+    getPricingFormula(formulaId = null) {
+        const id = formulaId || this.pricingFormulas.default_formula;
+        const formula = this.pricingFormulas.formulas[id];
+        if (!formula) {
+            throw new Error(`Unknown pricing formula: ${id}`);
+        }
+        return formula;
+    }
+
+    /**
+     * Pick the formula for a quotation
+     * Priority: quotation_data.pricing_formula > customer mapping > default formula
+     * @param {Object} quotationData - Quotation data
+     * @returns {Object} { formula, source }
+     */
+    resolvePricingFormula(quotationData) {
+        if (quotationData?.pricing_formula) {
+            return { formula: this.getPricingFormula(quotationData.pricing_formula), source: 'quotation' };
+        }
+
+        const customerName = this.normalizeCustomerName(quotationData?.customer_info?.company_name);
+        if (customerName) {
+            const match = Object.entries(this.pricingFormulas.customer_formulas)
+                .find(([name]) => this.normalizeCustomerName(name) === customerName);
+            if (match) {
+                return { formula: this.getPricingFormula(match[1]), source: 'customer' };
+            }
+        }
+
+        return { formula: this.getPricingFormula(), source: 'default' };
+    }
+
+    /**
+     * Normalize a company name for formula mapping lookups
+     */
+    normalizeCustomerName(name) {
+        return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Run every step of a formula against one item's variables
+     * @param {Object} formula - Formula definition
+     * @param {Object} scope - Base variables plus formula-specific variables
+     * Steps run with exact decimal arithmetic and are not rounded
+     * @returns {Object} { values: step name -> FixedDecimal, trace: [{ step, name, label, expression, value }] }
+     */
+    evaluatePricingFormula(formula, scope) {
+        const values = { ...scope };
+        const trace = formula.steps.map((step, index) => {
+            let value;
+            try {
+                value = this.formulaEngine.evaluateDecimal(step.expression, values);
+            } catch (error) {
+                throw new Error(`Formula ${formula.id} step "${step.name}" failed: ${error.message}`);
+            }
+            values[step.name] = value;
+            return {
+                step: index + 1,
+                name: step.name,
+                label: step.label || step.name,
+                expression: step.expression,
+                value: value.toNumber()
+            };
+        });
+        return { values, trace };
+    }
+
+    /**
+     * Build the variable scope one item's formula runs against
+     * Formula-specific variables (duty_rate, handling_fee, ...) fall back to the formula defaults
+     * @param {Object} formula - Formula definition
+     * @param {number} unitPrice - Supplier unit price
+     * @param {number} quantity - Quoted quantity
+     * @param {Object} formulaVariables - Item variables (shipping_cost, tax_rate, ...)
+     * @returns {Object} { scope, extraVariables }
+     */
+    buildFormulaScope(formula, unitPrice, quantity, formulaVariables) {
+        const extraVariables = {};
+        Object.entries(formula.variables || {}).forEach(([name, defaultValue]) => {
+            const provided = this.parseNumericValue(formulaVariables[name]);
+            extraVariables[name] = provided !== null ? provided : defaultValue;
+        });
+
+        return {
+            scope: {
+                ...extraVariables,
+                unit_price: unitPrice,
+                quantity: quantity,
+                shipping_cost: formulaVariables.shipping_cost,
+                tax_rate: formulaVariables.tax_rate,
+                exchange_rate: formulaVariables.exchange_rate,
+                profit_rate: formulaVariables.profit_rate,
+                discount_rate: formulaVariables.discount_rate || 0
+            },
+            extraVariables
+        };
+    }
+
+    /**
+     * Human-readable text of the steps that ran
+     * @param {Object} formula - Formula definition
+     * @returns {string} e.g. "with_shipping = unit_price + shipping_cost; ..."
+     */
+    describePricingFormula(formula) {
+        return formula.steps.map(step => `${step.name} = ${step.expression}`).join('; ');
+    }
+
+    /**
+     * List available formulas (for the UI picker)
+     */
+    listPricingFormulas() {
+        return {
+            default_formula: this.pricingFormulas.default_formula,
+            customer_formulas: this.pricingFormulas.customer_formulas,
+            formulas: Object.values(this.pricingFormulas.formulas).map(formula => ({
+                id: formula.id,
+                name: formula.name || formula.id,
+                description: formula.description || '',
+                variables: formula.variables,
+                formula_text: this.describePricingFormula(formula),
+                steps: formula.steps
+            }))
+        };
+    }
+
     // =========================================================================
     // 🧮 CORE PRICING CALCULATION FUNCTIONS
     // =========================================================================
@@ -122,14 +517,24 @@ class QuotationPriceCalculations {
      * Calculate prices for complete quotation with per-item variables
      * @param {Object} quotationData - Quotation items from Make.com automation
      * @param {Object} uiVariables - Per-item pricing variables from formula-input.js UI panel
+     * @param {Object} options - { resolvedVariables: { item_no: variables } } complete variable sets used
+     *   as given, without defaults (reverse pricing re-prices with exactly the values it solved with)
      * @returns {Object} Complete pricing calculation results
      */
-    calculateQuotationPricing(quotationData, uiVariables = {}) {
+    calculateQuotationPricing(quotationData, uiVariables = {}, options = {}) {
         try {
             console.log('🎯 Starting quotation pricing calculation');
             console.log('📊 Input items count:', quotationData?.quotation_items?.length || 0);
             console.log('📊 UI variables received:', Object.keys(uiVariables));
 
+            // Alternatives must name a standard item before any line is priced
+            this.validateItemRoles(quotationData?.quotation_items);
+
+            // Items with candidate offers quote the chosen one; items without a supplier price
+            // take their cost from the imported price lists
+            quotationData = this.applySupplierOffers(quotationData);
+            quotationData = this.applySupplierPriceLists(quotationData);
+
             // Validate input data structure
             this.validateQuotationInput(quotationData);
 
@@ -140,6 +545,16 @@ class QuotationPriceCalculations {
             // Validate pricing variables format
             this.validatePricingVariablesFormat(uiVariables, quotationData);
 
+            // Pick the pricing formula for this quotation (payload > customer > default)
+            const { formula, source: formulaSource } = this.resolvePricingFormula(quotationData);
+            console.log(`🧩 Pricing formula: ${formula.id} (${formulaSource})`);
+
+            // Precision and rounding modes of the quotation currency
+            const rounding = this.resolveRoundingRules(quotationData);
+            let subtotal = FixedDecimal.zero();
+            // Optional and alternative lines are summed apart from the quotation total
+            const roleSubtotals = { optional: FixedDecimal.zero(), alternative: FixedDecimal.zero() };
+
             // Initialize results structure
             const results = {
                 calculation_success: true,
@@ -147,14 +562,27 @@ class QuotationPriceCalculations {
                 processed_items: [],
                 pricing_summary: {
                     subtotal: 0,
-                    currency: this.calculationRules.currency || "VND"
+                    currency: rounding.currency
                 },
                 calculation_metadata: {
-                    formula_used: "sales_unit_price = ((unit_price + shipping_cost) × tax_rate × exchange_rate × profit_rate) - discount",
+                    formula_used: this.describePricingFormula(formula),
+                    formula_id: formula.id,
+                    formula_name: formula.name || formula.id,
+                    formula_source: formulaSource,
+                    formula_definition: {
+                        variables: formula.variables,
+                        steps: formula.steps
+                    },
                     variables_applied: uiVariables,
+                    quotation_currency: this.getQuotationCurrency(quotationData),
+                    exchange_rate_date: this.getExchangeRateDate(quotationData),
+                    exchange_rates: [],
+                    rounding: rounding,
                     timestamp: new Date().toISOString()
                 },
-                errors: []
+                offer_comparison: [],
+                errors: [],
+                warnings: []
             };
 
             // Process each quotation item
@@ -163,10 +591,38 @@ class QuotationPriceCalculations {
                     console.log(`🔄 Processing item ${index + 1}: ${item.item_no || index + 1}`);
                     
                     // Get variables for this specific item
-                    const itemVariables = this.getItemVariables(item, uiVariables, isPerItemVariables);
-                    const itemResult = this.calculateItemPricing(item, itemVariables);
+                    const tableRate = this.lookupItemExchangeRate(item, quotationData);
+                    const variableDefaults = { ...(tableRate ? { exchange_rate: tableRate.rate } : {}), ...this.getTierDefaults(item) };
+                    const resolvedVariables = options.resolvedVariables?.[String(item.item_no || index + 1)];
+                    const itemVariables = resolvedVariables
+                        ? { ...resolvedVariables }
+                        : this.getItemVariables(item, uiVariables, isPerItemVariables, variableDefaults);
+                    
+                    // Several candidate offers: price each of them, then quote the chosen one the same way
+                    let pricingVariables = itemVariables;
+                    if (this.supplierOffers.hasOffers(item)) {
+                        results.offer_comparison.push(this.compareSupplierOffers(item, itemVariables, formula, rounding, quotationData));
+                        this.assertOfferChosen(item);
+                        if (!resolvedVariables) {
+                            pricingVariables = this.getOfferVariables(item, itemVariables, quotationData);
+                        }
+                    }
+                    
+                    const itemResult = this.calculateItemPricing(item, pricingVariables, formula, rounding);
+                    itemResult.exchange_rate_info = this.describeAppliedExchangeRate(item, quotationData, pricingVariables.exchange_rate, tableRate);
+                    const vatCategory = this.resolveVatCategory(item, quotationData);
+                    itemResult.vat_category = vatCategory.id;
+                    itemResult.vat_rate = vatCategory.rate;
+                    const marginWarning = this.checkItemMargin(item, itemResult, quotationData);
+                    if (marginWarning) {
+                        results.warnings.push({ item_index: index, ...marginWarning });
+                    }
                     results.processed_items.push(itemResult);
-                    results.pricing_summary.subtotal += itemResult.ext_price;
+                    if (itemResult.item_role === 'standard') {
+                        subtotal = subtotal.add(itemResult.ext_price);
+                    } else {
+                        roleSubtotals[itemResult.item_role] = roleSubtotals[itemResult.item_role].add(itemResult.ext_price);
+                    }
                     results.total_items++;
 
                     console.log(`✅ Item ${index + 1} processed: profit_unit_price=${itemResult.profit_unit_price}, ext_price=${itemResult.ext_price}`);
@@ -181,16 +637,660 @@ class QuotationPriceCalculations {
                 }
             });
 
-            // Apply final rounding to subtotal
-            results.pricing_summary.subtotal = this.roundPrice(results.pricing_summary.subtotal);
-            results.pricing_summary.formatted_subtotal = this.formatCurrency(results.pricing_summary.subtotal);
-
-            console.log(`✅ Quotation calculation completed: ${results.total_items} items, subtotal: ${results.pricing_summary.subtotal} VND`);
+            // Apply final rounding to subtotal (sum of the already rounded line totals)
+            results.pricing_summary.subtotal = this.roundMoney(subtotal, rounding, 'subtotal').toNumber();
+            results.pricing_summary.formatted_subtotal = this.formatCurrency(results.pricing_summary.subtotal, rounding.currency);
+            Object.entries(roleSubtotals).forEach(([role, amount]) => {
+                results.pricing_summary[`${role}_subtotal`] = this.roundMoney(amount, rounding, 'subtotal').toNumber();
+                results.pricing_summary[`formatted_${role}_subtotal`] = this.formatCurrency(results.pricing_summary[`${role}_subtotal`], rounding.currency);
+            });
+
+            // VAT per rate group on top of the pre-tax subtotal (standard items only)
+            const standardItems = results.processed_items.filter(item => item.item_role === 'standard');
+            const taxSummary = this.calculateTaxSummary(standardItems, rounding, results.pricing_summary.subtotal);
+            results.pricing_summary.subtotal_before_tax = results.pricing_summary.subtotal;
+            results.pricing_summary.tax_summary = taxSummary.tax_summary;
+            results.pricing_summary.vat_amount = taxSummary.vat_amount;
+            results.pricing_summary.grand_total = taxSummary.grand_total;
+            results.pricing_summary.formatted_vat_amount = this.formatCurrency(taxSummary.vat_amount, rounding.currency);
+            results.pricing_summary.formatted_grand_total = this.formatCurrency(taxSummary.grand_total, rounding.currency);
+
+            // Exchange rates used, so the pricing can be reproduced from _data.json later
+            results.calculation_metadata.exchange_rates = this.summarizeExchangeRates(results.processed_items);
+
+            // Margin guardrails: violations hold document generation until a manager approves
+            results.margin_check = {
+                policy_enabled: !!this.marginPolicy.enabled,
+                violations: results.warnings.length,
+                requires_approval: !!this.marginPolicy.require_approval && results.warnings.length > 0
+            };
+            if (results.warnings.length > 0) {
+                console.warn(`🛡️ ${results.warnings.length} margin violation(s): ${results.warnings.map(warning => warning.message).join('; ')}`);
+            }
+
+            console.log(`✅ Quotation calculation completed: ${results.total_items} items, subtotal: ${results.pricing_summary.subtotal} ${rounding.currency}`);
+
+            return results;
+
+        } catch (error) {
+            console.error('❌ Quotation calculation failed:', error);
+            return {
+                calculation_success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Calculate pricing for individual quotation item
+     * Runs the steps of the selected pricing formula; the standard formula is:
+     *   actual_unit_price = (((unit_price + shipping_cost) × tax_rate) × exchange_rate)
+     *   profit_unit_price = actual_unit_price × profit_rate
+     *   sales_unit_price = profit_unit_price − (profit_unit_price × discount_rate)
+     * Rounding happens only at the defined money steps:
+     *   unit_price = round(sales_unit_price), ext_price = round(unit_price × qty)
+     * @param {Object} item - Single quotation item from input data
+     * @param {Object} formulaVariables - Calculation variables (shipping_cost, tax_rate, etc.)
+     * @param {Object} formula - Pricing formula definition (default formula when omitted)
+     * @param {Object} rounding - resolveRoundingRules() result (system currency when omitted)
+     * @returns {Object} Item pricing results
+     */
+    calculateItemPricing(item, formulaVariables, formula = null, rounding = null) {
+        const pricingFormula = formula || this.getPricingFormula();
+        const roundingRules = rounding || this.resolveRoundingRules({});
+        const precision = roundingRules.precision;
+
+        // Extract qty, then the supplier unit price for that qty (price break tier when the item has one)
+        const quantity = this.extractQuantity(item);
+        const { unitPrice, priceBreak } = this.resolveItemUnitPrice(item, quantity);
+
+        console.log(`📊 Item calculation input: unit_price=${unitPrice}, qty=${quantity}`);
+        console.log(`📊 Formula variables: shipping_cost=${formulaVariables.shipping_cost}, tax_rate=${formulaVariables.tax_rate}, exchange_rate=${formulaVariables.exchange_rate}, profit_rate=${formulaVariables.profit_rate}`);
+
+        // CRITICAL: Validate price data to prevent calculation base contamination
+        this.validatePriceData(item, unitPrice);
+
+        // Validate extracted values
+        if (unitPrice <= 0) {
+            throw new Error(`Invalid unit price: ${unitPrice}. Must be greater than 0.`);
+        }
+        if (quantity <= 0) {
+            throw new Error(`Invalid quantity: ${quantity}. Must be greater than 0.`);
+        }
+
+        // Customer price per quantity tier (empty for single-price items)
+        const priceTiers = this.buildPriceTierTable(item, formulaVariables, pricingFormula, roundingRules, quantity);
+
+        // Apply the pricing formula step by step for transparency
+        const { scope, extraVariables } = this.buildFormulaScope(pricingFormula, unitPrice, quantity, formulaVariables);
+        const { values, trace } = this.evaluatePricingFormula(pricingFormula, scope);
+
+        // Exact step values; only prices shown to the customer are rounded with the configured modes
+        const actualUnitPrice = values.actual_unit_price.round(precision, 'half_up');     // display only
+        const profitUnitPrice = values.profit_unit_price.round(precision, 'half_up');     // display only
+        const discountAmount = (values.discount_amount || FixedDecimal.zero()).round(precision, 'half_up');
+        const salesUnitPrice = this.roundMoney(values.sales_unit_price, roundingRules, 'unit_price');
+
+        // Extended price from the rounded unit price, so unit × qty always matches the line total
+        const extPrice = this.roundMoney(salesUnitPrice.mul(quantity), roundingRules, 'ext_price');
+
+        console.log(`🧮 Calculation steps (${pricingFormula.id}): ${trace.map(step => `${step.name}=${step.value}`).join(' → ')}`);
+        console.log(`🧮 Final result: sales_unit_price=${salesUnitPrice}, ext_price=${extPrice} (${roundingRules.currency})`);
+
+        // Calculate potential profit for this item (per unit and total)
+        const potentialProfitPerUnit = profitUnitPrice.sub(actualUnitPrice);
+        const totalPotentialProfit = potentialProfitPerUnit.mul(quantity);
+
+        // Calculation breakdown: one entry per formula step, price outputs rounded like the results
+        const roundedSteps = ['actual_unit_price', 'profit_unit_price', 'discount_amount', 'sales_unit_price'];
+        const calculationSteps = {};
+        trace.forEach(step => {
+            calculationSteps[`step_${step.step}_${step.name}`] = roundedSteps.includes(step.name)
+                ? values[step.name].round(precision, 'half_up').toNumber()
+                : step.value;
+        });
+
+        return {
+            item_no: item.item_no || "N/A",
+            description: item.company_requirement?.description || item.bidder_proposal?.description || "No description",
+            original_unit_price: unitPrice,
+            quantity: quantity,
+            unit_of_measure: item.company_requirement?.uom || "EA",
+            
+            // Main calculation results (sales_unit_price becomes the official unit_price)
+            actual_unit_price: actualUnitPrice.toNumber(),
+            profit_unit_price: profitUnitPrice.toNumber(),
+            sales_unit_price: salesUnitPrice.toNumber(),
+            ext_price: extPrice.toNumber(),
+            potential_profit: totalPotentialProfit.toNumber(),
+            
+            // Additional pricing details
+            shipping_cost_applied: formulaVariables.shipping_cost,
+            tax_rate_applied: formulaVariables.tax_rate,
+            exchange_rate_applied: formulaVariables.exchange_rate,
+            profit_rate_applied: formulaVariables.profit_rate,
+            discount_rate_applied: formulaVariables.discount_rate || 0,
+            discount_amount: discountAmount.toNumber(),
+            formula_id: pricingFormula.id,
+            formula_variables_applied: extraVariables,
+
+            // Volume pricing: supplier price break used for this qty and the customer price per tier
+            price_break_applied: priceBreak,
+            price_tiers: priceTiers,
+
+            // Where the supplier price came from (null = the bidder price in the payload)
+            price_source: item.bidder_proposal?.price_source || null,
+            selected_offer_id: item.bidder_proposal?.offer_id || null,
+            supplier: item.bidder_proposal?.supplier || null,
+
+            // Optional and alternative lines stay out of the quotation total
+            item_role: this.getItemRole(item),
+            alternative_of: this.getAlternativeOf(item),
+            
+            // Calculation breakdown for transparency
+            calculation_steps: calculationSteps,
+            calculation_trace: trace,
+            
+            // Metadata
+            currency: roundingRules.currency,
+            calculation_timestamp: new Date().toISOString()
+        };
+    }
+
+    // =========================================================================
+    // 💱 EXCHANGE RATES
+    // =========================================================================
+
+    /**
+     * Currency the quotation is priced in (exchange rates convert into it)
+     * @param {Object} quotationData - Quotation data
+     * @returns {string} Currency code
+     */
+    getQuotationCurrency(quotationData) {
+        return String(quotationData?.target_currency || this.calculationRules.currency || 'VND').toUpperCase();
+    }
+
+    /**
+     * Date the exchange rates are looked up for
+     * Priority: quotation_data.exchange_rate_date > quotation_data.quotation_date > today
+     * @param {Object} quotationData - Quotation data
+     * @returns {string} YYYY-MM-DD
+     */
+    getExchangeRateDate(quotationData) {
+        return this.exchangeRates.normalizeDate(quotationData?.exchange_rate_date) ||
+            this.exchangeRates.normalizeDate(quotationData?.quotation_date) ||
+            this.exchangeRates.normalizeDate(new Date());
+    }
+
+    /**
+     * Currency an item's supplier price is given in
+     */
+    getItemCurrency(item) {
+        return String(item.currency_code || item.bidder_proposal?.currency_code || this.calculationRules.currency || 'VND').toUpperCase();
+    }
+
+    /**
+     * Rate-table entry converting an item's currency into the quotation currency
+     * @param {Object} item - Quotation item
+     * @param {Object} quotationData - Quotation data
+     * @returns {Object|null} ExchangeRateStore.getRate() result, null when the pair is unknown
+     */
+    lookupItemExchangeRate(item, quotationData) {
+        try {
+            return this.exchangeRates.getRate(this.getItemCurrency(item), this.getQuotationCurrency(quotationData), this.getExchangeRateDate(quotationData));
+        } catch (error) {
+            console.warn(`⚠️ Exchange rate lookup failed for item ${item.item_no}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Default overrides for getItemVariables() taken from the rate table
+     */
+    getExchangeRateDefaults(item, quotationData) {
+        const tableRate = this.lookupItemExchangeRate(item, quotationData);
+        return tableRate ? { exchange_rate: tableRate.rate } : {};
+    }
+
+    /**
+     * Record which exchange rate an item was priced with and where it came from
+     * @param {Object} item - Quotation item
+     * @param {Object} quotationData - Quotation data
+     * @param {number} appliedRate - exchange_rate used in the calculation
+     * @param {Object|null} tableRate - Rate-table entry for the item's pair
+     * @returns {Object} { from, to, rate, rate_date, effective_date, source, table_rate }
+     */
+    describeAppliedExchangeRate(item, quotationData, appliedRate, tableRate) {
+        const fromTable = !!tableRate && Math.abs(appliedRate - tableRate.rate) < 1e-12;
+        return {
+            from: this.getItemCurrency(item),
+            to: this.getQuotationCurrency(quotationData),
+            rate: appliedRate,
+            rate_date: this.getExchangeRateDate(quotationData),
+            effective_date: fromTable ? tableRate.effective_date : null,
+            source: fromTable ? (tableRate.method === 'identity' ? 'same_currency' : 'rate_table') : 'pricing_variables',
+            table_rate: tableRate ? tableRate.rate : null
+        };
+    }
+
+    /**
+     * Distinct exchange rates used across the processed items
+     * @param {Array} processedItems - Item results with exchange_rate_info
+     * @returns {Array} [{ from, to, rate, rate_date, effective_date, source, items: [item_no] }]
+     */
+    summarizeExchangeRates(processedItems) {
+        const summary = new Map();
+        processedItems.forEach(item => {
+            const info = item.exchange_rate_info;
+            if (!info) return;
+            const key = `${info.from}_${info.to}_${info.rate}_${info.source}`;
+            if (!summary.has(key)) {
+                const { table_rate, ...rate } = info;
+                summary.set(key, { ...rate, items: [] });
+            }
+            summary.get(key).items.push(item.item_no);
+        });
+        return [...summary.values()];
+    }
+
+    // =========================================================================
+    // 🧾 VAT (output tax shown on the quotation)
+    // =========================================================================
+
+    /**
+     * VAT category of an item
+     * Source: item.vat_category > quotation_data.vat_category > default_category
+     * A bare rate (8, "10") selects the taxable category with that rate
+     * @param {Object} item - Quotation item
+     * @param {Object} quotationData - Quotation data
+     * @returns {Object} { id, rate, label, exempt }
+     */
+    resolveVatCategory(item, quotationData) {
+        const categories = this.vatRates.categories || {};
+        const requested = item.vat_category ?? quotationData?.vat_category ?? this.vatRates.default_category;
+        const key = String(requested ?? '').trim().toLowerCase();
+
+        let id = Object.prototype.hasOwnProperty.call(categories, key) ? key : null;
+        if (!id) {
+            const rate = this.parseNumericValue(String(requested ?? '').replace('%', ''));
+            id = rate !== null
+                ? Object.keys(categories).find(categoryId => !categories[categoryId].exempt && categories[categoryId].rate === rate)
+                : null;
+        }
+        if (!id) {
+            throw new Error(`Unknown VAT category "${requested}" for item ${item.item_no}. Use one of: ${Object.keys(categories).join(', ')}`);
+        }
+
+        const category = categories[id];
+        return { id, rate: category.rate, label: category.label || id, exempt: !!category.exempt };
+    }
+
+    /**
+     * VAT per rate group and the totals printed under the item table
+     * VAT is computed on each group's taxable amount (not per line), then rounded with the vat mode
+     * @param {Array} processedItems - Item results carrying vat_category / vat_rate
+     * @param {Object} rounding - resolveRoundingRules() result
+     * @param {FixedDecimal} subtotal - Rounded pre-tax subtotal
+     * @returns {Object} { tax_summary, vat_amount, grand_total }
+     */
+    calculateTaxSummary(processedItems, rounding, subtotal) {
+        const categoryOrder = Object.keys(this.vatRates.categories || {});
+        const groups = new Map();
+
+        processedItems.forEach(item => {
+            if (!groups.has(item.vat_category)) {
+                const category = this.vatRates.categories[item.vat_category];
+                groups.set(item.vat_category, {
+                    category: item.vat_category,
+                    label: category.label || item.vat_category,
+                    rate: category.rate,
+                    exempt: !!category.exempt,
+                    taxable_amount: FixedDecimal.zero(),
+                    items: []
+                });
+            }
+            const group = groups.get(item.vat_category);
+            group.taxable_amount = group.taxable_amount.add(item.ext_price);
+            group.items.push(item.item_no);
+        });
+
+        let vatTotal = FixedDecimal.zero();
+        const taxSummary = [...groups.values()]
+            .sort((a, b) => categoryOrder.indexOf(a.category) - categoryOrder.indexOf(b.category))
+            .map(group => {
+                const vatAmount = this.roundMoney(group.taxable_amount.mul(group.rate).div(100), rounding, 'vat');
+                vatTotal = vatTotal.add(vatAmount);
+                return {
+                    ...group,
+                    taxable_amount: group.taxable_amount.toNumber(),
+                    vat_amount: vatAmount.toNumber()
+                };
+            });
+
+        return {
+            tax_summary: taxSummary,
+            vat_amount: vatTotal.toNumber(),
+            grand_total: FixedDecimal.from(subtotal).add(vatTotal).toNumber()
+        };
+    }
+
+    // =========================================================================
+    // 📶 TIERED PRICING (quantity breaks)
+    // =========================================================================
+
+    /**
+     * Supplier price breaks of an item, lowest quantity first
+     * Read from bidder_proposal.price_breaks (or item.price_breaks): [{ min_qty, unit_price }]
+     * @param {Object} item - Quotation item
+     * @returns {Array} [{ min_qty, unit_price }] (empty when the item has a single price)
+     */
+    getPriceBreaks(item) {
+        const rows = item.bidder_proposal?.price_breaks || item.price_breaks;
+        const precision = this.getCurrencyPrecision(this.getItemCurrency(item));
+        return this.normalizeTierTable(rows, ['unit_price', 'price', 'unit_cost'], `Item ${item.item_no} price_breaks`)
+            .map(tier => ({ min_qty: tier.min_qty, unit_price: FixedDecimal.from(tier.value).round(precision, 'half_up').toNumber() }));
+    }
+
+    /**
+     * Tiered profit rates of an item, lowest quantity first
+     * Read from item.profit_rate_tiers: [{ min_qty, profit_rate }]
+     * @param {Object} item - Quotation item
+     * @returns {Array} [{ min_qty, profit_rate }]
+     */
+    getProfitRateTiers(item) {
+        return this.normalizeTierTable(item.profit_rate_tiers, ['profit_rate', 'rate'], `Item ${item.item_no} profit_rate_tiers`)
+            .map(tier => ({ min_qty: tier.min_qty, profit_rate: tier.value }));
+    }
+
+    /**
+     * Validate a quantity-threshold table and sort it by threshold
+     * @param {Array} rows - Raw rows ({ min_qty|qty|quantity, <value field> })
+     * @param {Array} valueFields - Accepted names of the value column
+     * @param {string} label - Table name for error messages
+     * @returns {Array} [{ min_qty, value }]
+     */
+    normalizeTierTable(rows, valueFields, label) {
+        if (rows === undefined || rows === null || rows === '') {
+            return [];
+        }
+        if (!Array.isArray(rows)) {
+            throw new Error(`${label} must be an array of { min_qty, ${valueFields[0]} }`);
+        }
+
+        const tiers = rows.map((row, index) => {
+            const minQty = this.parseNumericValue(row?.min_qty ?? row?.qty ?? row?.quantity);
+            const valueField = valueFields.find(field => row?.[field] !== undefined && row?.[field] !== '');
+            const value = valueField ? this.parseNumericValue(row[valueField]) : null;
+            if (minQty === null || minQty < 0) {
+                throw new Error(`${label} row ${index + 1}: min_qty must be a number >= 0`);
+            }
+            if (value === null || value <= 0) {
+                throw new Error(`${label} row ${index + 1}: ${valueFields[0]} must be greater than 0`);
+            }
+            return { min_qty: minQty, value: value };
+        }).sort((a, b) => a.min_qty - b.min_qty);
+
+        tiers.forEach((tier, index) => {
+            if (index > 0 && tier.min_qty === tiers[index - 1].min_qty) {
+                throw new Error(`${label}: min_qty ${tier.min_qty} is listed twice`);
+            }
+        });
+        return tiers;
+    }
+
+    /**
+     * Tier that applies to a quantity: the highest threshold not above it
+     * Quantities below the first threshold use the first tier
+     * @param {Array} tiers - Sorted tier table
+     * @param {number} quantity - Quoted quantity
+     * @returns {Object|null} Tier, or null for an empty table
+     */
+    selectTier(tiers, quantity) {
+        if (!tiers.length) return null;
+        return [...tiers].reverse().find(tier => tier.min_qty <= quantity) || tiers[0];
+    }
+
+    /**
+     * Supplier unit price for the quoted quantity (price break when the item has one)
+     * @param {Object} item - Quotation item
+     * @param {number} quantity - Quoted quantity
+     * @returns {Object} { unitPrice, priceBreak }
+     */
+    resolveItemUnitPrice(item, quantity) {
+        const priceBreak = this.selectTier(this.getPriceBreaks(item), quantity);
+        return {
+            unitPrice: priceBreak ? priceBreak.unit_price : this.extractUnitPrice(item),
+            priceBreak: priceBreak
+        };
+    }
+
+    /**
+     * Default overrides for getItemVariables() taken from the item's profit-rate tiers
+     * (an explicit per-item profit_rate from the UI still wins)
+     */
+    getTierDefaults(item) {
+        const profitTier = this.selectTier(this.getProfitRateTiers(item), this.extractQuantity(item));
+        return profitTier ? { profit_rate: profitTier.profit_rate } : {};
+    }
+
+    /**
+     * Customer price for every quantity threshold of the item (printable tier table)
+     * Each row runs the pricing formula with that tier's supplier price and profit rate
+     * @param {Object} item - Quotation item
+     * @param {Object} formulaVariables - Variables the quoted quantity was priced with
+     * @param {Object} formula - Pricing formula definition
+     * @param {Object} rounding - resolveRoundingRules() result
+     * @param {number} quantity - Quoted quantity
+     * @returns {Array} [{ min_qty, max_qty, unit_cost, profit_rate, sales_unit_price, applied }]
+     */
+    buildPriceTierTable(item, formulaVariables, formula, rounding, quantity) {
+        const priceBreaks = this.getPriceBreaks(item);
+        const profitTiers = this.getProfitRateTiers(item);
+        if (priceBreaks.length + profitTiers.length === 0) {
+            return [];
+        }
+
+        // Profit tiers only drive the table when they set the quoted rate (not overridden in the UI)
+        const quotedProfitTier = this.selectTier(profitTiers, quantity);
+        const profitTiersActive = !!quotedProfitTier && Number(formulaVariables.profit_rate) === quotedProfitTier.profit_rate;
+
+        const thresholds = [...new Set([...priceBreaks, ...profitTiers].map(tier => tier.min_qty))].sort((a, b) => a - b);
+        const appliedThreshold = [...thresholds].reverse().find(threshold => threshold <= quantity) ?? thresholds[0];
+
+        return thresholds.map((threshold, index) => {
+            const unitCost = priceBreaks.length ? this.selectTier(priceBreaks, threshold).unit_price : this.extractUnitPrice(item);
+            const profitRate = profitTiersActive ? this.selectTier(profitTiers, threshold).profit_rate : formulaVariables.profit_rate;
+            const { scope } = this.buildFormulaScope(formula, unitCost, Math.max(threshold, 1), { ...formulaVariables, profit_rate: profitRate });
+            const { values } = this.evaluatePricingFormula(formula, scope);
+            const nextThreshold = thresholds[index + 1];
+            return {
+                min_qty: threshold,
+                max_qty: nextThreshold !== undefined ? nextThreshold - 1 : null,
+                unit_cost: unitCost,
+                profit_rate: profitRate,
+                sales_unit_price: this.roundMoney(values.sales_unit_price, rounding, 'unit_price').toNumber(),
+                applied: threshold === appliedThreshold
+            };
+        });
+    }
+
+    // =========================================================================
+    // 🎯 REVERSE PRICING (solve a rate from a target price)
+    // =========================================================================
+
+    /**
+     * Solve profit_rate or discount_rate so quoted prices hit a target, then price the quotation with it
+     * Item targets are solved per item; target_total solves one shared rate for the items without their own target
+     * The report flags achieved prices that miss their target by more than the rounding of the money steps
+     * @param {Object} quotationData - Quotation items from Make.com automation
+     * @param {Object} uiVariables - Per-item or global pricing variables (the other, fixed variables)
+     * @param {Object} reverseOptions - { solve_for: 'profit_rate'|'discount_rate', item_targets: { item_no: target_sales_unit_price }, target_total }
+     * @returns {Object} calculateQuotationPricing result with a reverse_pricing report and the solved pricing_variables
+     */
+    calculateReversePricing(quotationData, uiVariables = {}, reverseOptions = {}) {
+        try {
+            const solveFor = reverseOptions.solve_for || 'profit_rate';
+            const bounds = this.getReverseSolveBounds()[solveFor];
+            if (!bounds) {
+                throw new Error(`solve_for must be one of: ${Object.keys(this.getReverseSolveBounds()).join(', ')}`);
+            }
+
+            const itemTargets = {};
+            Object.entries(reverseOptions.item_targets || {}).forEach(([itemNo, target]) => {
+                const parsed = this.parseNumericValue(target);
+                if (parsed !== null && parsed > 0) {
+                    itemTargets[String(itemNo)] = parsed;
+                }
+            });
+            const targetTotal = this.parseNumericValue(reverseOptions.target_total);
+            if (Object.keys(itemTargets).length === 0 && !(targetTotal > 0)) {
+                throw new Error('Reverse pricing needs item_targets or a positive target_total');
+            }
+
+            console.log(`🎯 Starting reverse pricing: solving ${solveFor} for ${Object.keys(itemTargets).length} item target(s)${targetTotal > 0 ? `, target total ${targetTotal}` : ''}`);
+
+            this.validateItemRoles(quotationData?.quotation_items);
+            quotationData = this.applySupplierOffers(quotationData);
+            quotationData = this.applySupplierPriceLists(quotationData);
+            this.validateQuotationInput(quotationData);
+            quotationData.quotation_items.forEach(item => this.assertOfferChosen(item));
+            this.validatePricingVariablesFormat(uiVariables, quotationData);
+            const isPerItemVariables = this.isPerItemVariablesFormat(uiVariables);
+            const { formula } = this.resolvePricingFormula(quotationData);
+
+            // Fixed inputs for every item; the solved variable is overwritten below
+            const items = quotationData.quotation_items.map((item, index) => {
+                const itemNo = String(item.item_no || index + 1);
+                const variables = this.getItemVariables(item, uiVariables, isPerItemVariables, {
+                    ...this.getExchangeRateDefaults(item, quotationData),
+                    ...this.getTierDefaults(item)
+                });
+                return {
+                    item,
+                    itemNo,
+                    unitPrice: this.resolveItemUnitPrice(item, this.extractQuantity(item)).unitPrice,
+                    quantity: this.extractQuantity(item),
+                    variables: this.supplierOffers.hasOffers(item) ? this.getOfferVariables(item, variables, quotationData) : variables
+                };
+            });
+
+            const report = {
+                solve_for: solveFor,
+                formula_id: formula.id,
+                target_total: targetTotal > 0 ? targetTotal : null,
+                achieved_total: null,
+                items: [],
+                warnings: []
+            };
+
+            // 1) Per-item targets
+            items.filter(entry => itemTargets[entry.itemNo] !== undefined).forEach(entry => {
+                const target = itemTargets[entry.itemNo];
+                const solved = this.solveReverseVariable(
+                    (value) => this.evaluateRawSalesPrice(formula, entry, solveFor, value),
+                    target,
+                    bounds
+                );
+                if (solved === null) {
+                    report.warnings.push(`Item ${entry.itemNo}: target ${target} cannot be reached by changing ${solveFor}`);
+                } else {
+                    entry.variables[solveFor] = solved;
+                    entry.solvedBy = 'item_target';
+                }
+                entry.target = target;
+                entry.solved = solved;
+            });
+
+            // 2) Shared rate for the remaining items so the total hits target_total
+            if (targetTotal > 0) {
+                const freeItems = items.filter(entry => itemTargets[entry.itemNo] === undefined);
+                // Optional and alternative items take the shared rate but do not count toward the total
+                const countsInTotal = (entry) => this.isStandardItem(entry.item);
+                if (!freeItems.some(countsInTotal)) {
+                    report.warnings.push('target_total ignored: every standard item already has its own target price');
+                } else {
+                    const fixedTotal = items
+                        .filter(entry => itemTargets[entry.itemNo] !== undefined && countsInTotal(entry))
+                        .reduce((sum, entry) => sum + this.evaluateRawSalesPrice(formula, entry, solveFor, entry.variables[solveFor]) * entry.quantity, 0);
+                    const solved = this.solveReverseVariable(
+                        (value) => fixedTotal + freeItems.filter(countsInTotal).reduce((sum, entry) => sum + this.evaluateRawSalesPrice(formula, entry, solveFor, value) * entry.quantity, 0),
+                        targetTotal,
+                        bounds
+                    );
+                    if (solved === null) {
+                        report.warnings.push(`target_total ${targetTotal} cannot be reached by changing ${solveFor}`);
+                    } else {
+                        freeItems.forEach(entry => {
+                            entry.variables[solveFor] = solved;
+                            entry.solvedBy = 'target_total';
+                        });
+                    }
+                    report.shared_value = solved;
+                }
+            }
+
+            // 3) Price the quotation normally with the exact variables the solver used
+            //    (the per-item defaults would turn an explicit 0, e.g. shipping_cost, back into the default)
+            const solvedVariables = {};
+            items.forEach(entry => { solvedVariables[entry.itemNo] = entry.variables; });
+            const results = this.calculateQuotationPricing(quotationData, solvedVariables, { resolvedVariables: solvedVariables });
+            if (!results.calculation_success) {
+                return results;
+            }
+
+            // Solved prices must land on their targets up to the rounding of the money steps
+            const rounding = results.calculation_metadata.rounding;
+            const unitTolerance = this.getRoundingUnit(rounding, 'unit_price');
+
+            items.forEach(entry => {
+                const calculated = results.processed_items.find(item => String(item.item_no) === entry.itemNo);
+                if (!calculated) return;
+                const difference = entry.target !== undefined ? calculated.sales_unit_price - entry.target : null;
+                const withinRounding = entry.solved !== undefined && entry.solved !== null
+                    ? Math.abs(difference) <= unitTolerance
+                    : null;
+                if (withinRounding === false) {
+                    report.warnings.push(`Item ${entry.itemNo}: achieved ${calculated.sales_unit_price} misses target ${entry.target} by more than rounding (±${unitTolerance})`);
+                }
+                report.items.push({
+                    item_no: entry.itemNo,
+                    target_sales_unit_price: entry.target ?? null,
+                    solved_by: entry.solvedBy || null,
+                    solved_value: entry.solvedBy ? entry.variables[solveFor] : null,
+                    feasible: entry.target === undefined || entry.solved !== null,
+                    achieved_sales_unit_price: calculated.sales_unit_price,
+                    difference: difference,
+                    within_rounding: withinRounding,
+                    actual_unit_price: calculated.actual_unit_price,
+                    margin_percent: calculated.margin_percent,
+                    below_cost: calculated.sales_unit_price < calculated.actual_unit_price,
+                    margin_violation: calculated.margin_violation
+                });
+            });
+            results.warnings.forEach(warning => report.warnings.push(warning.message));
+            report.achieved_total = results.pricing_summary.subtotal;
+            if (report.target_total !== null && report.shared_value !== undefined && report.shared_value !== null) {
+                // Each counted line may move by one unit step × qty, plus the line and subtotal steps
+                const totalTolerance = items
+                    .filter(entry => this.isStandardItem(entry.item))
+                    .reduce((sum, entry) => sum + unitTolerance * entry.quantity + this.getRoundingUnit(rounding, 'ext_price'), 0) +
+                    this.getRoundingUnit(rounding, 'subtotal');
+                report.total_within_rounding = Math.abs(report.achieved_total - report.target_total) <= totalTolerance;
+                if (!report.total_within_rounding) {
+                    report.warnings.push(`achieved total ${report.achieved_total} misses target_total ${report.target_total} by more than rounding (±${totalTolerance})`);
+                }
+            }
+
+            results.reverse_pricing = report;
+            results.pricing_variables = solvedVariables;
+            results.calculation_metadata.reverse_pricing = true;
 
+            console.log(`✅ Reverse pricing completed: ${report.items.length} items, achieved total ${report.achieved_total}, ${report.warnings.length} warning(s)`);
             return results;
 
         } catch (error) {
-            console.error('❌ Quotation calculation failed:', error);
+            console.error('❌ Reverse pricing failed:', error);
             return {
                 calculation_success: false,
                 error: error.message,
@@ -200,93 +1300,153 @@ class QuotationPriceCalculations {
     }
 
     /**
-     * Calculate pricing for individual quotation item
-     * New Formula:
-     *   actual_unit_price = (((unit_price + shipping_cost) × tax_rate) × exchange_rate)
-     *   profit_unit_price = actual_unit_price × profit_rate
-     *   sales_unit_price = profit_unit_price − (profit_unit_price × discount_rate)
-     * @param {Object} item - Single quotation item from input data
-     * @param {Object} formulaVariables - Calculation variables (shipping_cost, tax_rate, etc.)
-     * @returns {Object} Item pricing results
+     * Search ranges for the variables reverse pricing can solve
      */
-    calculateItemPricing(item, formulaVariables) {
-        // Extract unit_price and qty from quotation item data
-        const unitPrice = this.extractUnitPrice(item);
-        const quantity = this.extractQuantity(item);
+    getReverseSolveBounds() {
+        return {
+            profit_rate: { min: 0, max: 100 },
+            discount_rate: { min: 0, max: 1 }
+        };
+    }
 
-        console.log(`📊 Item calculation input: unit_price=${unitPrice}, qty=${quantity}`);
-        console.log(`📊 Formula variables: shipping_cost=${formulaVariables.shipping_cost}, tax_rate=${formulaVariables.tax_rate}, exchange_rate=${formulaVariables.exchange_rate}, profit_rate=${formulaVariables.profit_rate}`);
+    /**
+     * Unrounded sales_unit_price of one item with the solved variable set to a trial value
+     */
+    evaluateRawSalesPrice(formula, entry, solveFor, value) {
+        const { scope } = this.buildFormulaScope(formula, entry.unitPrice, entry.quantity, { ...entry.variables, [solveFor]: value });
+        return this.evaluatePricingFormula(formula, scope).values.sales_unit_price.toNumber();
+    }
 
-        // CRITICAL: Validate price data to prevent calculation base contamination
-        this.validatePriceData(item, unitPrice);
+    /**
+     * Bisection search: find x in [min, max] with evaluate(x) ≈ target
+     * Works for any formula that is monotonic in the solved variable
+     * @param {Function} evaluate - x -> price
+     * @param {number} target - Target price
+     * @param {Object} bounds - { min, max }
+     * @returns {number|null} Solved value, or null when the target is outside the reachable range
+     */
+    solveReverseVariable(evaluate, target, bounds) {
+        let low = bounds.min;
+        let high = bounds.max;
+        let lowError = evaluate(low) - target;
+        const highError = evaluate(high) - target;
+
+        if (Math.abs(lowError) < 1e-6) return low;
+        if (Math.abs(highError) < 1e-6) return high;
+        if (Math.sign(lowError) === Math.sign(highError)) {
+            return null;
+        }
 
-        // Validate extracted values
-        if (unitPrice <= 0) {
-            throw new Error(`Invalid unit price: ${unitPrice}. Must be greater than 0.`);
+        for (let iteration = 0; iteration < 200; iteration++) {
+            const middle = (low + high) / 2;
+            const middleError = evaluate(middle) - target;
+            if (Math.abs(middleError) < 1e-6 || (high - low) / 2 < 1e-13) {
+                return Math.round(middle * 1e10) / 1e10;
+            }
+            if (Math.sign(middleError) === Math.sign(lowError)) {
+                low = middle;
+                lowError = middleError;
+            } else {
+                high = middle;
+            }
         }
-        if (quantity <= 0) {
-            throw new Error(`Invalid quantity: ${quantity}. Must be greater than 0.`);
+        return Math.round(((low + high) / 2) * 1e10) / 1e10;
+    }
+
+    // =========================================================================
+    // 🛡️ MARGIN GUARDRAILS
+    // =========================================================================
+
+    /**
+     * Gross margin of a quoted price: (sales - actual) / sales
+     * @param {number} salesUnitPrice - Quoted unit price
+     * @param {number} actualUnitPrice - Landed cost per unit
+     * @returns {number|null} Margin in percent (2 decimals), null when there is no sales price
+     */
+    calculateMarginPercent(salesUnitPrice, actualUnitPrice) {
+        if (!(salesUnitPrice > 0)) {
+            return null;
         }
+        return Math.round(((salesUnitPrice - actualUnitPrice) / salesUnitPrice) * 10000) / 100;
+    }
 
-        // Apply the new pricing formula step by step for transparency
-        const step1 = unitPrice + formulaVariables.shipping_cost;                    // unit_price + shipping_cost
-        const step2 = step1 * formulaVariables.tax_rate;                            // * tax_rate  
-        const step3 = step2 * formulaVariables.exchange_rate;                       // * exchange_rate
-        const actualUnitPrice = step3;                                              // actual_unit_price (no rounding yet)
-        
-        const step4 = actualUnitPrice * formulaVariables.profit_rate;               // * profit_rate
-        const profitUnitPrice = step4;                                              // profit_unit_price (no rounding yet)
-        
-        // Apply discount to get final sales unit price
-        const discountAmount = profitUnitPrice * (formulaVariables.discount_rate || 0);
-        const salesUnitPrice = profitUnitPrice - discountAmount;                    // sales_unit_price (final unit price)
-        
-        // Calculate extended price using sales_unit_price, then round final result
-        const extPrice = this.roundPrice(salesUnitPrice) * quantity;
-        const finalExtPrice = this.roundPrice(extPrice);
+    /**
+     * Find the margin floor that applies to an item
+     * Priority: customer floor > maker floor > global floor
+     * @param {Object} item - Quotation item
+     * @param {Object} quotationData - Quotation data (for customer_info)
+     * @returns {Object} { percent, source } - percent is null when no floor is configured
+     */
+    getMarginFloor(item, quotationData) {
+        const policy = this.marginPolicy;
+        const findFloor = (floors, name) => {
+            const normalized = this.normalizeCustomerName(name);
+            if (!normalized) return undefined;
+            const match = Object.entries(floors || {}).find(([key]) => this.normalizeCustomerName(key) === normalized);
+            return match ? Number(match[1]) : undefined;
+        };
+
+        const customerFloor = findFloor(policy.customer_min_margin_percent, quotationData?.customer_info?.company_name);
+        if (isFinite(customerFloor)) {
+            return { percent: customerFloor, source: 'customer' };
+        }
 
-        console.log(`🧮 Calculation steps: ${unitPrice} + ${formulaVariables.shipping_cost} = ${step1} * ${formulaVariables.tax_rate} = ${step2} * ${formulaVariables.exchange_rate} = ${step3} (actual) * ${formulaVariables.profit_rate} = ${step4} (profit) - ${discountAmount} (discount) = ${salesUnitPrice}`);
-        console.log(`🧮 Final result: sales_unit_price=${salesUnitPrice}, ext_price=${finalExtPrice}`);
+        const makerFloor = findFloor(policy.maker_min_margin_percent, item.company_requirement?.maker_origin);
+        if (isFinite(makerFloor)) {
+            return { percent: makerFloor, source: 'maker' };
+        }
 
-        // Calculate potential profit for this item (per unit and total)
-        const potentialProfitPerUnit = Math.round(profitUnitPrice) - Math.round(actualUnitPrice);
-        const totalPotentialProfit = potentialProfitPerUnit * quantity;
+        const globalFloor = Number(policy.global_min_margin_percent);
+        if (policy.global_min_margin_percent !== null && policy.global_min_margin_percent !== undefined && isFinite(globalFloor)) {
+            return { percent: globalFloor, source: 'global' };
+        }
+
+        return { percent: null, source: null };
+    }
+
+    /**
+     * Check a priced item against its margin floor
+     * Adds margin_percent / margin_floor_percent / margin_floor_source / margin_violation to the item result
+     * @param {Object} item - Quotation item
+     * @param {Object} itemResult - calculateItemPricing() output (mutated)
+     * @param {Object} quotationData - Quotation data
+     * @returns {Object|null} Warning entry when the item is below cost or below its floor
+     */
+    checkItemMargin(item, itemResult, quotationData) {
+        const marginPercent = this.calculateMarginPercent(itemResult.sales_unit_price, itemResult.actual_unit_price);
+        const floor = this.getMarginFloor(item, quotationData);
+
+        itemResult.margin_percent = marginPercent;
+        itemResult.margin_floor_percent = floor.percent;
+        itemResult.margin_floor_source = floor.source;
+        itemResult.margin_violation = null;
 
+        if (!this.marginPolicy.enabled || marginPercent === null) {
+            return null;
+        }
+
+        let type = null;
+        let message = null;
+        if (itemResult.sales_unit_price < itemResult.actual_unit_price) {
+            type = 'below_cost';
+            message = `Item ${itemResult.item_no}: sales price ${itemResult.sales_unit_price} is below actual cost ${itemResult.actual_unit_price}`;
+        } else if (floor.percent !== null && marginPercent < floor.percent) {
+            type = 'margin_below_floor';
+            message = `Item ${itemResult.item_no}: margin ${marginPercent}% is below the ${floor.source} floor of ${floor.percent}%`;
+        }
+
+        if (!type) {
+            return null;
+        }
+
+        itemResult.margin_violation = type;
         return {
-            item_no: item.item_no || "N/A",
-            description: item.company_requirement?.description || item.bidder_proposal?.description || "No description",
-            original_unit_price: unitPrice,
-            quantity: quantity,
-            unit_of_measure: item.company_requirement?.uom || "EA",
-            
-            // Main calculation results (sales_unit_price becomes the official unit_price)
-            actual_unit_price: Math.round(actualUnitPrice),
-            profit_unit_price: Math.round(profitUnitPrice),
-            sales_unit_price: Math.round(salesUnitPrice),
-            ext_price: finalExtPrice,
-            potential_profit: totalPotentialProfit,
-            
-            // Additional pricing details
-            shipping_cost_applied: formulaVariables.shipping_cost,
-            tax_rate_applied: formulaVariables.tax_rate,
-            exchange_rate_applied: formulaVariables.exchange_rate,
-            profit_rate_applied: formulaVariables.profit_rate,
-            discount_rate_applied: formulaVariables.discount_rate || 0,
-            discount_amount: Math.round(discountAmount),
-            
-            // Calculation breakdown for transparency
-            calculation_steps: {
-                step_1_with_shipping: step1,
-                step_2_with_tax: step2,
-                step_3_actual_unit_price: Math.round(actualUnitPrice),
-                step_4_profit_unit_price: Math.round(profitUnitPrice),
-                step_5_discount_amount: Math.round(discountAmount),
-                step_6_sales_unit_price: Math.round(salesUnitPrice)
-            },
-            
-            // Metadata
-            currency: this.calculationRules.currency || "VND",
-            calculation_timestamp: new Date().toISOString()
+            item_no: itemResult.item_no,
+            type: type,
+            margin_percent: marginPercent,
+            floor_percent: floor.percent,
+            floor_source: floor.source,
+            message: message
         };
     }
 
@@ -333,11 +1493,218 @@ class QuotationPriceCalculations {
             const extPrice = this.parseNumericValue(item.bidder_proposal.ext_price_vnd);
             const qty = this.parseNumericValue(item.company_requirement.qty);
             if (qty > 0) {
-                unitPrice = extPrice / qty;
+                unitPrice = FixedDecimal.from(extPrice).div(qty).toNumber();
+            }
+        }
+
+        // Keep the supplier price at its own currency's precision (whole VND, USD cents, ...)
+        return FixedDecimal.from(unitPrice || 0).round(this.getCurrencyPrecision(this.getItemCurrency(item)), 'half_up').toNumber();
+    }
+
+    /**
+     * Copy of the quotation in which items without a supplier price carry their price-list cost
+     * The copied item's bidder_proposal.price_source names the list and line; the input is not changed
+     * Lists are looked up on the issue date (quotation_date, else today)
+     * @param {Object} quotationData - Quotation data
+     * @returns {Object} Quotation data (the same object when no item needed a list price)
+     */
+    applySupplierPriceLists(quotationData) {
+        if (!Array.isArray(quotationData?.quotation_items)) {
+            return quotationData;
+        }
+        const lookupDate = this.exchangeRates.normalizeDate(quotationData.issue_date) ||
+            this.exchangeRates.normalizeDate(quotationData.quotation_date) ||
+            this.exchangeRates.normalizeDate(new Date());
+
+        let resolved = 0;
+        const items = quotationData.quotation_items.map(item => {
+            // Items with candidate offers are priced from the chosen offer, never from a list
+            if (!item || this.hasSupplierPrice(item) || this.supplierOffers.hasOffers(item)) {
+                return item;
+            }
+            const price = this.supplierPriceLists.findPrice(item.company_requirement, lookupDate);
+            if (!price) {
+                console.warn(`⚠️ Item ${item.item_no}: no bidder price and no price list line for ${item.company_requirement?.model_part_number || 'an item without part number'}`);
+                return item;
+            }
+            resolved++;
+            console.log(`🏷️ Item ${item.item_no}: cost ${price.unit_price} ${price.currency} from price list "${price.list_name}" line ${price.line}`);
+            return {
+                ...item,
+                currency_code: price.currency,
+                bidder_proposal: {
+                    ...(item.bidder_proposal || {}),
+                    original_unit_price: price.unit_price,
+                    currency_code: price.currency,
+                    price_source: { type: 'supplier_price_list', ...price }
+                }
+            };
+        });
+        return resolved > 0 ? { ...quotationData, quotation_items: items } : quotationData;
+    }
+
+    /**
+     * Whether an item brings its own supplier price (unit price or price breaks)
+     */
+    hasSupplierPrice(item) {
+        if (this.extractUnitPrice(item) > 0) {
+            return true;
+        }
+        try {
+            return this.getPriceBreaks(item).length > 0;
+        } catch (error) {
+            // A broken price-break table is reported by validation, not replaced by a list price
+            return true;
+        }
+    }
+
+    // =========================================================================
+    // 🏭 SUPPLIER OFFERS
+    // =========================================================================
+
+    /**
+     * Copy of the quotation in which items with candidate offers quote their chosen offer
+     * @param {Object} quotationData - Quotation data
+     * @returns {Object} Quotation data (the same object when no item has offers)
+     */
+    applySupplierOffers(quotationData) {
+        if (!Array.isArray(quotationData?.quotation_items) || !quotationData.quotation_items.some(item => this.supplierOffers.hasOffers(item))) {
+            return quotationData;
+        }
+        return {
+            ...quotationData,
+            quotation_items: quotationData.quotation_items.map(item => (item ? this.supplierOffers.applySelectedOffer(item) : item))
+        };
+    }
+
+    /**
+     * Reject an item whose offer has not been chosen yet
+     */
+    assertOfferChosen(item) {
+        if (this.supplierOffers.isPending(item)) {
+            throw new Error(`Item ${item.item_no}: choose one of its ${item.supplier_offers.length} supplier offers (selected_offer_id)`);
+        }
+    }
+
+    /**
+     * Variables for pricing one supplier offer, resolved against the quotation currency
+     * Used alike for a candidate in the comparison and for the chosen offer in the quotation, so both
+     * give the same price: exchange_rate is the rate-table rate from the offer's currency into the
+     * quotation currency (1 when they match) and shipping_cost, a quotation-currency amount, is
+     * converted into the offer's currency
+     * @param {Object} offerItem - Item quoting the offer (SupplierOffers.applyOffer() result)
+     * @param {Object} itemVariables - getItemVariables() result for the item
+     * @param {Object} quotationData - Quotation data (currency and rate date)
+     * @returns {Object} Variables for calculateItemPricing()
+     */
+    getOfferVariables(offerItem, itemVariables, quotationData) {
+        const offerCurrency = this.getItemCurrency(offerItem);
+        const quotationCurrency = this.getQuotationCurrency(quotationData);
+        const variables = { ...itemVariables };
+
+        const tableRate = this.lookupItemExchangeRate(offerItem, quotationData);
+        if (!tableRate) {
+            throw new Error(`No exchange rate from ${offerCurrency} to ${quotationCurrency}`);
+        }
+        variables.exchange_rate = tableRate.rate;
+
+        if (offerCurrency !== quotationCurrency && variables.shipping_cost) {
+            const shippingRate = this.exchangeRates.getRate(quotationCurrency, offerCurrency, this.getExchangeRateDate(quotationData));
+            if (!shippingRate) {
+                throw new Error(`No exchange rate from ${quotationCurrency} to ${offerCurrency} for the shipping cost`);
             }
+            variables.shipping_cost = FixedDecimal.from(variables.shipping_cost).mul(shippingRate.rate)
+                .round(this.getCurrencyPrecision(offerCurrency), 'half_up').toNumber();
         }
+        return variables;
+    }
+
+    /**
+     * Price every candidate offer of an item with the item's variables
+     * Each offer is priced with getOfferVariables(), exactly as it would be quoted once chosen
+     * (an offer without a rate reports an error instead of a price); the lowest offer is the one
+     * with the lowest extended price in the quotation currency
+     * @param {Object} item - Quotation item with supplier_offers
+     * @param {Object} itemVariables - getItemVariables() result for the item
+     * @param {Object} formula - Pricing formula definition
+     * @param {Object} rounding - resolveRoundingRules() result
+     * @param {Object} quotationData - Quotation data (currency and rate date)
+     * @returns {Object} { item_no, selected_offer_id, lowest_offer_id, currency, offers: [{ offer_id, supplier, unit_price,
+     *                    currency_code, delivery_time, origin, maker, exchange_rate_applied, shipping_cost_applied, actual_unit_price,
+     *                    sales_unit_price, ext_price, margin_percent, selected, error }] }
+     */
+    compareSupplierOffers(item, itemVariables, formula, rounding, quotationData) {
+        const selected = this.supplierOffers.getSelectedOffer(item);
+
+        const offers = this.supplierOffers.getOffers(item).map(offer => {
+            const entry = {
+                offer_id: offer.offer_id,
+                supplier: offer.supplier,
+                unit_price: offer.unit_price,
+                currency_code: offer.currency_code,
+                delivery_time: offer.delivery_time,
+                origin: offer.origin,
+                maker: offer.maker,
+                exchange_rate_applied: null,
+                shipping_cost_applied: null,
+                actual_unit_price: null,
+                sales_unit_price: null,
+                ext_price: null,
+                margin_percent: null,
+                selected: !!selected && selected.offer_id === offer.offer_id,
+                error: null
+            };
+            try {
+                const offerItem = this.supplierOffers.applyOffer(item, offer);
+                const offerVariables = this.getOfferVariables(offerItem, itemVariables, quotationData);
+                const result = this.calculateItemPricing(offerItem, offerVariables, formula, rounding);
+                entry.unit_price = result.original_unit_price;
+                entry.exchange_rate_applied = offerVariables.exchange_rate;
+                entry.shipping_cost_applied = offerVariables.shipping_cost;
+                entry.actual_unit_price = result.actual_unit_price;
+                entry.sales_unit_price = result.sales_unit_price;
+                entry.ext_price = result.ext_price;
+                entry.margin_percent = this.calculateMarginPercent(result.sales_unit_price, result.actual_unit_price);
+            } catch (error) {
+                entry.error = error.message;
+            }
+            return entry;
+        });
 
-        return Math.round(unitPrice); // Return as integer
+        const priced = offers.filter(offer => offer.ext_price !== null);
+        const lowest = priced.reduce((best, offer) => (!best || offer.ext_price < best.ext_price ? offer : best), null);
+        return {
+            item_no: item.item_no || null,
+            selected_offer_id: selected ? selected.offer_id : null,
+            lowest_offer_id: lowest ? lowest.offer_id : null,
+            currency: rounding.currency,
+            offers
+        };
+    }
+
+    /**
+     * Side-by-side pricing of the candidate offers of every item that has them (no quotation totals)
+     * @param {Object} quotationData - Quotation data
+     * @param {Object} uiVariables - Per-item or global pricing variables
+     * @returns {Object} { currency, formula_id, items: [compareSupplierOffers() result] }
+     */
+    compareQuotationSupplierOffers(quotationData, uiVariables = {}) {
+        quotationData = this.applySupplierOffers(quotationData);
+        const isPerItemVariables = this.isPerItemVariablesFormat(uiVariables);
+        const { formula } = this.resolvePricingFormula(quotationData);
+        const rounding = this.resolveRoundingRules(quotationData);
+
+        const items = (quotationData?.quotation_items || [])
+            .filter(item => this.supplierOffers.hasOffers(item))
+            .map(item => {
+                const variables = this.getItemVariables(item, uiVariables, isPerItemVariables, {
+                    ...this.getExchangeRateDefaults(item, quotationData),
+                    ...this.getTierDefaults(item)
+                });
+                return this.compareSupplierOffers(item, variables, formula, rounding, quotationData);
+            });
+
+        return { currency: rounding.currency, formula_id: formula.id, items };
     }
 
     /**
@@ -414,6 +1781,92 @@ class QuotationPriceCalculations {
         return null;
     }
 
+    // =========================================================================
+    // 🔀 ITEM ROLES (optional and alternative lines)
+    // =========================================================================
+
+    /**
+     * Roles a quotation item can have
+     *   standard    - part of the offer, counted in subtotal, VAT and grand total
+     *   optional    - offered on request, priced but not counted in the total
+     *   alternative - replaces the item named by alternative_of, priced but not counted in the total
+     */
+    getItemRoles() {
+        return ['standard', 'optional', 'alternative'];
+    }
+
+    /**
+     * Role of an item (alternative_of alone makes it an alternative; no role means standard)
+     * @param {Object} item - Quotation item
+     * @returns {string} One of getItemRoles() (unknown values are returned as given, lower-cased)
+     */
+    getItemRole(item) {
+        const role = String(item?.item_role || '').trim().toLowerCase();
+        if (role) {
+            return role;
+        }
+        return this.getAlternativeOf(item) ? 'alternative' : 'standard';
+    }
+
+    /**
+     * item_no of the item an alternative replaces, or null
+     */
+    getAlternativeOf(item) {
+        const target = item?.alternative_of;
+        return target === undefined || target === null || String(target).trim() === '' ? null : String(target).trim();
+    }
+
+    /**
+     * Whether an item counts in subtotal, VAT and grand total
+     */
+    isStandardItem(item) {
+        return this.getItemRole(item) === 'standard';
+    }
+
+    /**
+     * Check roles across the quotation: known roles only, and every alternative names a standard
+     * item of the same quotation (the line it would replace in the total)
+     * Runs before any pricing so a wrong reference is reported for the item that makes it
+     * @param {Array} items - quotation_items
+     */
+    validateItemRoles(items) {
+        if (!Array.isArray(items)) {
+            return;
+        }
+        const roles = this.getItemRoles();
+        const byNo = new Map(items.map((item, index) => [String(item?.item_no || index + 1), item]));
+        const standardNos = [...byNo.entries()].filter(([, item]) => this.isStandardItem(item)).map(([itemNo]) => itemNo);
+
+        items.forEach((item, index) => {
+            const itemNo = String(item?.item_no || index + 1);
+            const role = this.getItemRole(item);
+            const alternativeOf = this.getAlternativeOf(item);
+
+            if (!roles.includes(role)) {
+                throw new Error(`Item ${itemNo}: unknown item_role "${item.item_role}" (${roles.join(', ')})`);
+            }
+            if (role !== 'alternative') {
+                if (alternativeOf) {
+                    throw new Error(`Item ${itemNo}: alternative_of is only allowed on alternative items (item_role is ${role})`);
+                }
+                return;
+            }
+            if (!alternativeOf) {
+                throw new Error(`Item ${itemNo}: alternative items need alternative_of (the item_no they replace)`);
+            }
+            if (alternativeOf === itemNo) {
+                throw new Error(`Item ${itemNo}: an item cannot be an alternative to itself`);
+            }
+            if (!byNo.has(alternativeOf)) {
+                throw new Error(`Item ${itemNo}: alternative_of "${alternativeOf}" is not an item of this quotation (standard items: ${standardNos.join(', ') || 'none'})`);
+            }
+            const targetRole = this.getItemRole(byNo.get(alternativeOf));
+            if (targetRole !== 'standard') {
+                throw new Error(`Item ${itemNo}: alternative_of "${alternativeOf}" is ${targetRole === 'alternative' ? 'an alternative' : `an ${targetRole} item`}, not a standard item (standard items: ${standardNos.join(', ') || 'none'})`);
+            }
+        });
+    }
+
     // =========================================================================
     // 🔧 VARIABLE MANAGEMENT FUNCTIONS - PER-ITEM SUPPORT
     // =========================================================================
@@ -436,13 +1889,15 @@ class QuotationPriceCalculations {
 
     /**
      * Get variables for a specific item
+     * Profit rate priority: rate entered for the item > the item's profit_rate_tiers > global input > defaults
      * @param {Object} item - Quotation item
      * @param {Object} uiVariables - Variables from UI (per-item or global)
      * @param {boolean} isPerItem - Whether variables are per-item format
+     * @param {Object} defaultOverrides - Item-specific defaults (e.g. exchange_rate from the rate table)
      * @returns {Object} Variables for this item
      */
-    getItemVariables(item, uiVariables, isPerItem) {
-        const defaults = this.getDefaultFormulaVariables();
+    getItemVariables(item, uiVariables, isPerItem, defaultOverrides = {}) {
+        const defaults = { ...this.getDefaultFormulaVariables(), ...defaultOverrides };
         
         if (isPerItem) {
             // Use per-item variables
@@ -460,20 +1915,40 @@ class QuotationPriceCalculations {
                 tax_rate: getValueOrDefault(itemVariables.tax_rate, defaults.tax_rate),
                 exchange_rate: getValueOrDefault(itemVariables.exchange_rate, defaults.exchange_rate),
                 profit_rate: getValueOrDefault(itemVariables.profit_rate, defaults.profit_rate),
-                discount_rate: this.parseNumericValue(itemVariables.discount_rate) ?? 0.0
+                discount_rate: this.parseNumericValue(itemVariables.discount_rate) ?? 0.0,
+                // Formula-specific variables (e.g. duty_rate, handling_fee) pass through as given
+                ...this.extractExtraVariables(itemVariables)
             };
         } else {
-            // Use global variables (legacy support)
-            return this.mergeVariables(uiVariables);
+            // Use global variables (legacy support); a quotation-wide rate never overrides the item's own tiers
+            return { ...this.mergeVariables(uiVariables, defaultOverrides), ...this.getTierDefaults(item) };
         }
     }
 
+    /**
+     * Pick numeric variables outside the standard five from a per-item variable set
+     * @param {Object} itemVariables - Variables for one item
+     * @returns {Object} name -> number
+     */
+    extractExtraVariables(itemVariables) {
+        const standard = ['shipping_cost', 'tax_rate', 'exchange_rate', 'profit_rate', 'discount_rate'];
+        const extras = {};
+        Object.keys(itemVariables).forEach(name => {
+            if (standard.includes(name)) return;
+            const parsed = this.parseNumericValue(itemVariables[name]);
+            if (parsed !== null) {
+                extras[name] = parsed;
+            }
+        });
+        return extras;
+    }
+
     /**
      * Merge UI variables with system defaults (legacy support)
      * Priority: UI input > System defaults
      */
-    mergeVariables(uiVariables) {
-        const defaults = this.getDefaultFormulaVariables();
+    mergeVariables(uiVariables, defaultOverrides = {}) {
+        const defaults = { ...this.getDefaultFormulaVariables(), ...defaultOverrides };
         const merged = { ...defaults, discount_rate: 0.0 }; // Add discount_rate default
 
         // Override defaults with UI input, ensuring numeric types
@@ -632,6 +2107,11 @@ class QuotationPriceCalculations {
             throw new Error(`${itemRef}: Must have either company_requirement or bidder_proposal`);
         }
 
+        // Items still waiting for an offer to be chosen are compared, not priced (reported per item)
+        if (this.supplierOffers.isPending(item)) {
+            return;
+        }
+
         // Check for price information - prioritize unit_price over legacy _vnd fields
         const hasUnitPrice = item.bidder_proposal?.unit_price || 
                             item.bidder_proposal?.unit_price_vnd ||
@@ -639,15 +2119,19 @@ class QuotationPriceCalculations {
                             item.bidder_proposal?.original_unit_price_vnd;
         const hasExtPrice = item.bidder_proposal?.ext_price || item.bidder_proposal?.ext_price_vnd;
         const hasQuantity = item.company_requirement?.qty;
+        const hasPriceBreaks = this.getPriceBreaks(item).length > 0;
 
-        if (!hasUnitPrice && !(hasExtPrice && hasQuantity)) {
-            throw new Error(`${itemRef}: Must have unit_price or both ext_price and qty`);
+        if (!hasUnitPrice && !hasPriceBreaks && !(hasExtPrice && hasQuantity)) {
+            throw new Error(`${itemRef}: Must have unit_price, price_breaks or both ext_price and qty`);
         }
 
+        // Tiered profit rates are validated up front so a bad table fails the whole quotation clearly
+        this.getProfitRateTiers(item);
+
         // Validate against business rules
         const allowZeroPrices = this.businessRules.quotation_validation?.allow_zero_prices;
         if (!allowZeroPrices) {
-            const unitPrice = this.extractUnitPrice(item);
+            const unitPrice = this.resolveItemUnitPrice(item, this.extractQuantity(item)).unitPrice;
             if (unitPrice <= 0) {
                 throw new Error(`${itemRef}: Zero or negative prices not allowed`);
             }
@@ -659,34 +2143,190 @@ class QuotationPriceCalculations {
     // =========================================================================
 
     /**
-     * Round price according to system configuration
+     * Rounding modes a money step can use
+     *   half_up   - nearest at currency precision, halves away from zero
+     *   half_even - nearest at currency precision, halves to the even digit (banker's rounding)
+     *   ceil_1000 - up to the next 1,000 (e.g. VND price lists)
+     */
+    getRoundingModes() {
+        return ['half_up', 'half_even', 'ceil_1000'];
+    }
+
+    /**
+     * Decimal places of a currency (config first, then the ISO 4217 minor unit via Intl)
+     * @param {string} currency - Currency code
+     * @returns {number} Decimal places
+     */
+    getCurrencyPrecision(currency) {
+        const code = String(currency || this.calculationRules.currency || 'VND').toUpperCase();
+        const configured = this.currencyRounding.currencies?.[code]?.precision;
+        if (Number.isInteger(configured) && configured >= 0) {
+            return configured;
+        }
+        try {
+            return new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+        } catch (error) {
+            return 2;
+        }
+    }
+
+    /**
+     * Money steps that round to the currency's increment (VAT stays at plain precision)
+     */
+    getIncrementSteps() {
+        return ['unit_price', 'ext_price', 'subtotal'];
+    }
+
+    /**
+     * Rounding increment and minimum price of a currency
+     * Config first; the system currency falls back to calculation_rules (round_to_nearest, minimum_price),
+     * so VND keeps rounding to the nearest 1,000 with a 1,000 minimum unless configured otherwise
+     * @param {string} currency - Currency code
+     * @returns {Object} { increment: number|null, minimum_price: number }
+     */
+    getCurrencyIncrement(currency) {
+        const code = String(currency || this.calculationRules.currency || 'VND').toUpperCase();
+        const configured = this.currencyRounding.currencies?.[code] || {};
+        const isSystemCurrency = code === String(this.calculationRules.currency || 'VND').toUpperCase();
+        const increment = configured.increment !== undefined
+            ? configured.increment
+            : (isSystemCurrency ? this.calculationRules.round_to_nearest : null);
+        const minimumPrice = configured.minimum_price !== undefined
+            ? configured.minimum_price
+            : (isSystemCurrency ? this.calculationRules.minimum_price : 0);
+
+        return {
+            increment: Number(increment) > 0 && Number(increment) !== 1 ? Number(increment) : null,
+            minimum_price: Number(minimumPrice) > 0 ? Number(minimumPrice) : 0
+        };
+    }
+
+    /**
+     * Precision and per-step rounding modes for a quotation
+     * Modes: payload quotation_data.rounding > currency config > default_modes
+     * @param {Object} quotationData - Quotation data
+     * @returns {Object} { currency, precision, increment, minimum_price, increment_steps, modes: { unit_price, ext_price, subtotal, vat } }
+     */
+    resolveRoundingRules(quotationData) {
+        const currency = this.getQuotationCurrency(quotationData);
+        const modes = {
+            ...this.currencyRounding.default_modes,
+            ...(this.currencyRounding.currencies?.[currency]?.modes || {}),
+            ...(quotationData?.rounding && typeof quotationData.rounding === 'object' ? quotationData.rounding : {})
+        };
+
+        const precision = this.getCurrencyPrecision(currency);
+        Object.entries(modes).forEach(([step, mode]) => {
+            if (!this.getRoundingModes().includes(mode)) {
+                throw new Error(`Invalid rounding mode "${mode}" for ${step}. Use one of: ${this.getRoundingModes().join(', ')}`);
+            }
+            // ceil_1000 rounds up to a thousand currency units, which only suits whole-dong VND prices
+            if (mode === 'ceil_1000' && (currency !== 'VND' || precision > 0)) {
+                throw new Error(`Rounding mode "ceil_1000" for ${step} is only available for VND quotations (currency is ${currency})`);
+            }
+        });
+
+        const { increment, minimum_price } = this.getCurrencyIncrement(currency);
+        return {
+            currency,
+            precision,
+            increment,
+            minimum_price,
+            increment_steps: increment || minimum_price ? this.getIncrementSteps() : [],
+            modes
+        };
+    }
+
+    /**
+     * Round a money amount at one of the defined steps
+     * At the increment steps the amount rounds to the currency increment (e.g. 1,000 VND) and
+     * positive amounts are lifted to minimum_price
+     * @param {FixedDecimal|number} amount - Exact amount
+     * @param {Object} rounding - resolveRoundingRules() result
+     * @param {string} step - unit_price | ext_price | subtotal | vat
+     * @returns {FixedDecimal} Rounded amount
+     */
+    roundMoney(amount, rounding, step) {
+        const value = FixedDecimal.from(amount);
+        const mode = rounding.modes[step] || 'half_up';
+        const incrementStep = (rounding.increment_steps || []).includes(step);
+        let rounded;
+        if (mode === 'ceil_1000') {
+            rounded = value.round(-3, 'ceil');
+        } else if (incrementStep && rounding.increment) {
+            rounded = value.roundToIncrement(rounding.increment, mode);
+        } else {
+            rounded = value.round(rounding.precision, mode);
+        }
+        if (incrementStep && rounding.minimum_price && value.gt(0)) {
+            rounded = FixedDecimal.max(rounded, rounding.minimum_price);
+        }
+        return rounded;
+    }
+
+    /**
+     * Size of one rounding step at a money step (the most a rounded amount can move)
+     * @param {Object} rounding - resolveRoundingRules() result
+     * @param {string} step - unit_price | ext_price | subtotal | vat
+     * @returns {number} Step size, e.g. 1 for VND, 0.01 for USD
+     */
+    getRoundingUnit(rounding, step) {
+        if (rounding.modes[step] === 'ceil_1000') {
+            return 1000;
+        }
+        if (rounding.increment && (rounding.increment_steps || []).includes(step)) {
+            return rounding.increment;
+        }
+        return Math.pow(10, -rounding.precision);
+    }
+
+    /**
+     * Round price according to the currency rounding rules
+     * @param {number} price - Price to round
+     * @param {Object} rounding - resolveRoundingRules() result (system currency when omitted)
+     * @param {string} step - unit_price | ext_price | subtotal
+     * @returns {number} Rounded price
      */
-    roundPrice(price) {
-        const roundTo = this.calculationRules.round_to_nearest || 1000;
-        const rounded = Math.round(price / roundTo) * roundTo;
-        const minimum = this.calculationRules.minimum_price || 0;
-        return Math.max(rounded, minimum);
+    roundPrice(price, rounding = null, step = 'unit_price') {
+        return this.roundMoney(price, rounding || this.resolveRoundingRules({}), step).toNumber();
     }
 
     /**
      * Format currency for display
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code (system currency when omitted)
      */
-    formatCurrency(amount) {
-        const currency = this.calculationRules.currency || "VND";
-        
+    formatCurrency(amount, currency = null) {
+        const code = String(currency || this.calculationRules.currency || "VND").toUpperCase();
+        const precision = this.getCurrencyPrecision(code);
+
         try {
             return new Intl.NumberFormat('vi-VN', {
                 style: 'currency',
-                currency: currency,
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 0
+                currency: code,
+                minimumFractionDigits: precision,
+                maximumFractionDigits: precision
             }).format(amount);
         } catch (error) {
             // Fallback formatting
-            return `${amount.toLocaleString()} ${currency}`;
+            return `${amount.toLocaleString()} ${code}`;
         }
     }
 
+    /**
+     * Format an amount as a plain number with the currency's decimals (document tables)
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code
+     * @param {string} locale - Intl locale for separators (vi-VN: 1.234,5 / en-US: 1,234.5)
+     */
+    formatAmount(amount, currency = null, locale = 'vi-VN') {
+        const precision = this.getCurrencyPrecision(currency);
+        return Number(amount || 0).toLocaleString(locale, {
+            minimumFractionDigits: precision,
+            maximumFractionDigits: precision
+        });
+    }
+
     // =========================================================================
     // 🔄 PUBLIC UTILITY METHODS
     // =========================================================================
@@ -717,7 +2357,10 @@ class QuotationPriceCalculations {
             formula_variables: this.getDefaultFormulaVariables(),
             constraints: this.getVariableConstraints(),
             calculation_rules: this.calculationRules,
-            formula: "(((unit_price + shipping_cost) * tax_rate) * exchange_rate) * profit_rate"
+            currency_rounding: this.currencyRounding,
+            vat_rates: this.vatRates,
+            formula: this.describePricingFormula(this.getPricingFormula()),
+            pricing_formulas: this.listPricingFormulas()
         };
     }
 
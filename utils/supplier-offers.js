@@ -0,0 +1,212 @@
+// =============================================
+// 🏭 SUPPLIER OFFERS - CANDIDATE OFFERS PER ITEM
+// =============================================
+
+/**
+ * SUPPLIER OFFERS
+ * Purpose: Let a quotation item carry several candidate supplier offers and pick the winner per line
+ * - item.supplier_offers lists the candidates; item.selected_offer_id names the chosen one
+ *   (an item with a single offer uses it without a choice)
+ * - The chosen offer becomes the item's bidder_proposal, so pricing and the generated documents
+ *   only ever see that offer; the other candidates stay in the quotation data for comparison
+ * - An item with several offers and no choice is "pending": it is compared but not priced
+ * Offer shape:
+ *   { offer_id, supplier, unit_price, currency_code, delivery_time, origin, maker, description,
+ *     compliance_deviation, notes, price_breaks }
+ */
+class SupplierOffers {
+    /**
+     * @param {string} defaultCurrency - Currency of offers (and items) that name none
+     */
+    constructor(defaultCurrency = 'VND') {
+        this.defaultCurrency = defaultCurrency;
+
+        // Accepted keys per offer field
+        this.fieldAliases = {
+            offer_id: ['offer_id', 'id'],
+            supplier: ['supplier', 'supplier_name', 'vendor'],
+            unit_price: ['unit_price', 'price', 'unit_cost'],
+            currency_code: ['currency_code', 'currency'],
+            delivery_time: ['delivery_time', 'lead_time'],
+            origin: ['origin', 'country_of_origin'],
+            maker: ['maker', 'brand'],
+            description: ['description'],
+            compliance_deviation: ['compliance_deviation'],
+            notes: ['notes']
+        };
+    }
+
+    // =========================================================================
+    // 🎯 PUBLIC API
+    // =========================================================================
+
+    /**
+     * Whether an item carries candidate offers
+     */
+    hasOffers(item) {
+        return Array.isArray(item?.supplier_offers) && item.supplier_offers.length > 0;
+    }
+
+    /**
+     * Validated candidate offers of an item (ids assigned in list order where missing)
+     * @param {Object} item - Quotation item
+     * @returns {Array} Offers in the shape above
+     */
+    getOffers(item) {
+        if (item?.supplier_offers === undefined || item.supplier_offers === null) {
+            return [];
+        }
+        const itemRef = `Item ${item.item_no || '?'}`;
+        if (!Array.isArray(item.supplier_offers)) {
+            throw new Error(`${itemRef}: supplier_offers must be an array`);
+        }
+        const fallbackCurrency = this.normalizeCurrency(item.currency_code || item.bidder_proposal?.currency_code) || this.defaultCurrency;
+        const offers = item.supplier_offers.map((offer, index) => this.normalizeOffer(offer, index, `${itemRef} offer ${index + 1}`, fallbackCurrency));
+
+        const seen = new Set();
+        offers.forEach(offer => {
+            if (seen.has(offer.offer_id)) {
+                throw new Error(`${itemRef}: offer_id "${offer.offer_id}" is used by more than one supplier offer`);
+            }
+            seen.add(offer.offer_id);
+        });
+        return offers;
+    }
+
+    /**
+     * The offer chosen for an item
+     * @param {Object} item - Quotation item
+     * @returns {Object|null} Chosen offer, null when the item has no offers or several and no choice
+     */
+    getSelectedOffer(item) {
+        const offers = this.getOffers(item);
+        if (offers.length === 0) {
+            return null;
+        }
+        const selectedId = item.selected_offer_id;
+        if (selectedId === undefined || selectedId === null || selectedId === '') {
+            return offers.length === 1 ? offers[0] : null;
+        }
+        const offer = offers.find(candidate => candidate.offer_id === String(selectedId));
+        if (!offer) {
+            throw new Error(`Item ${item.item_no || '?'}: selected_offer_id "${selectedId}" is not one of its supplier offers (${offers.map(candidate => candidate.offer_id).join(', ')})`);
+        }
+        return offer;
+    }
+
+    /**
+     * Whether an item still waits for one of its offers to be chosen
+     */
+    isPending(item) {
+        return this.hasOffers(item) && !this.getSelectedOffer(item);
+    }
+
+    /**
+     * Copy of an item that quotes the given offer as its bidder_proposal
+     * Re-applying the offer already quoted keeps the prices merged into bidder_proposal by the last calculation
+     * @param {Object} item - Quotation item
+     * @param {Object} offer - One of getOffers(item)
+     * @returns {Object} Item
+     */
+    applyOffer(item, offer) {
+        const current = item.bidder_proposal?.offer_id === offer.offer_id ? item.bidder_proposal : { unit_price: '' };
+        const proposal = {
+            ...current,
+            offer_id: offer.offer_id,
+            supplier: offer.supplier,
+            description: offer.description || item.company_requirement?.description || '',
+            original_unit_price: offer.unit_price,
+            currency_code: offer.currency_code,
+            delivery_time: offer.delivery_time,
+            origin: offer.origin,
+            maker: offer.maker,
+            compliance_deviation: offer.compliance_deviation,
+            notes: offer.notes
+        };
+        if (offer.price_breaks) {
+            proposal.price_breaks = offer.price_breaks;
+        } else {
+            delete proposal.price_breaks;
+        }
+        return {
+            ...item,
+            selected_offer_id: offer.offer_id,
+            currency_code: offer.currency_code,
+            bidder_proposal: proposal
+        };
+    }
+
+    /**
+     * Item with its offers validated and the chosen one (if any) applied
+     * @param {Object} item - Quotation item
+     * @returns {Object} Item (unchanged when it has no offers)
+     */
+    applySelectedOffer(item) {
+        if (!this.hasOffers(item)) {
+            return item;
+        }
+        const offers = this.getOffers(item);
+        const selected = this.getSelectedOffer(item);
+        const withOffers = { ...item, supplier_offers: offers };
+        return selected ? this.applyOffer(withOffers, selected) : withOffers;
+    }
+
+    // =========================================================================
+    // 🔧 HELPERS
+    // =========================================================================
+
+    /**
+     * Validate one offer and map its key aliases
+     */
+    normalizeOffer(raw, index, offerRef, fallbackCurrency) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error(`${offerRef}: must be an object`);
+        }
+        const pick = (field) => {
+            const key = this.fieldAliases[field].find(alias => raw[alias] !== undefined && raw[alias] !== null && raw[alias] !== '');
+            return key ? raw[key] : undefined;
+        };
+        const text = (field) => (pick(field) !== undefined ? String(pick(field)).trim() : '');
+
+        const priceBreaks = Array.isArray(raw.price_breaks) && raw.price_breaks.length > 0 ? raw.price_breaks : null;
+        const rawPrice = pick('unit_price');
+        let unitPrice = null;
+        if (rawPrice !== undefined) {
+            unitPrice = typeof rawPrice === 'number' ? rawPrice : parseFloat(String(rawPrice).replace(/[\s,]/g, ''));
+            if (!Number.isFinite(unitPrice) || unitPrice <= 0) {
+                throw new Error(`${offerRef}: invalid unit_price ${rawPrice}`);
+            }
+        } else if (!priceBreaks) {
+            throw new Error(`${offerRef}: unit_price or price_breaks is required`);
+        }
+
+        const currencyCode = pick('currency_code') !== undefined ? this.normalizeCurrency(pick('currency_code')) : fallbackCurrency;
+        if (!currencyCode) {
+            throw new Error(`${offerRef}: invalid currency ${pick('currency_code')}`);
+        }
+
+        return {
+            offer_id: text('offer_id') || `offer_${index + 1}`,
+            supplier: text('supplier'),
+            unit_price: unitPrice,
+            currency_code: currencyCode,
+            delivery_time: text('delivery_time'),
+            origin: text('origin'),
+            maker: text('maker'),
+            description: text('description'),
+            compliance_deviation: text('compliance_deviation'),
+            notes: text('notes'),
+            price_breaks: priceBreaks
+        };
+    }
+
+    /**
+     * Uppercase 3-letter currency code, or null
+     */
+    normalizeCurrency(code) {
+        const normalized = String(code || '').trim().toUpperCase();
+        return /^[A-Z]{3}$/.test(normalized) ? normalized : null;
+    }
+}
+
+module.exports = { SupplierOffers };
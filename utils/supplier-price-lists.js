@@ -0,0 +1,463 @@
+// =============================================
+// 🏷️ SUPPLIER PRICE LISTS - IMPORTED COST LOOKUP
+// =============================================
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+
+/**
+ * SUPPLIER PRICE LISTS
+ * Purpose: Supplier costs for items that arrive without a bidder price
+ * - Stored in config/supplier-price-lists.json ({ lists: [...] }); pricing reads the lists valid on the
+ *   quotation's issue date (issue_date or quotation_date, else today)
+ * - Price lists are imported from CSV, XLSX or JSON with a supplier, currency and validity period
+ * - Lines are matched by part number (ignoring case, spaces and punctuation) and, when both sides name one, maker
+ * - The price for an item on a date comes from the lists valid on that date, newest valid_from first
+ *   (a later import wins between lists that start on the same day)
+ * - Every price returned names the list and line it came from
+ * List shape:
+ *   { id, name, supplier, currency, valid_from, valid_until, source_filename, format, imported_at,
+ *     lines: [{ line, model_part_number, maker_origin, description, uom, unit_price, currency }] }
+ */
+class SupplierPriceLists {
+    constructor(storePath = null) {
+        this.storePath = storePath || path.join(__dirname, '..', 'config', 'supplier-price-lists.json');
+
+        // Accepted column names per field (CSV/XLSX headers and JSON keys)
+        this.fieldAliases = {
+            model_part_number: ['model_part_number', 'part_number', 'part_no', 'part', 'model', 'sku', 'item_code', 'code'],
+            maker_origin: ['maker_origin', 'maker', 'brand', 'manufacturer'],
+            description: ['description', 'item_description', 'name'],
+            uom: ['uom', 'unit'],
+            unit_price: ['unit_price', 'price', 'unit_cost', 'cost', 'net_price'],
+            currency: ['currency', 'currency_code']
+        };
+    }
+
+    // =========================================================================
+    // 📁 STORE FILE ACCESS
+    // =========================================================================
+
+    /**
+     * Load the price lists from disk
+     * @returns {Object} { lists: [...] }
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.storePath)) {
+                const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+                return { ...data, lists: Array.isArray(data.lists) ? data.lists : [] };
+            }
+        } catch (error) {
+            console.error('❌ Error reading supplier price lists:', error);
+        }
+        return { lists: [] };
+    }
+
+    /**
+     * Persist the price lists (temp file + rename so readers never see a partial file)
+     * @param {Object} data - { lists: [...] }
+     */
+    save(data) {
+        const tempPath = `${this.storePath}.tmp`;
+        fs.writeFileSync(tempPath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+        fs.renameSync(tempPath, this.storePath);
+    }
+
+    // =========================================================================
+    // 📋 LISTS
+    // =========================================================================
+
+    /**
+     * Imported price lists without their lines, newest import first
+     * @param {Object} filters - { supplier }
+     * @returns {Array} [{ ...list, line_count }]
+     */
+    listPriceLists(filters = {}) {
+        const supplier = String(filters.supplier || '').trim().toLowerCase();
+        return this.load().lists
+            .filter(list => !supplier || list.supplier.toLowerCase().includes(supplier))
+            .sort((a, b) => b.imported_at.localeCompare(a.imported_at))
+            .map(({ lines, ...list }) => ({ ...list, line_count: lines.length }));
+    }
+
+    /**
+     * One price list with its lines
+     * @param {string} id - Price list ID
+     * @returns {Object|null} Price list
+     */
+    getPriceList(id) {
+        return this.load().lists.find(list => list.id === id) || null;
+    }
+
+    /**
+     * Remove a price list
+     * @param {string} id - Price list ID
+     * @returns {Object} Removed list (without lines)
+     */
+    removePriceList(id) {
+        const data = this.load();
+        const index = data.lists.findIndex(list => list.id === id);
+        if (index === -1) {
+            throw new Error(`Price list not found: ${id}`);
+        }
+        const [{ lines, ...removed }] = data.lists.splice(index, 1);
+        this.save(data);
+        console.log(`🏷️ Price list removed: ${removed.name} (${removed.id})`);
+        return { ...removed, line_count: lines.length };
+    }
+
+    // =========================================================================
+    // 📥 IMPORT
+    // =========================================================================
+
+    /**
+     * Import a supplier price list
+     * @param {string|Buffer|Object|Array} content - CSV text, XLSX file contents, JSON text, or parsed JSON ({ lines: [...] } or [...])
+     * @param {Object} options - { supplier, currency, valid_from, valid_until, name, filename, sheet,
+     *                             format: 'csv'|'xlsx'|'json' (detected when omitted) }
+     * @returns {Promise<Object>} { list (without lines), imported, skipped, errors: [{ row, error }] }
+     */
+    async importPriceList(content, options = {}) {
+        const header = this.normalizeListOptions(options);
+        const format = options.format || this.detectFormat(content, options.filename);
+        const rows = format === 'xlsx' ? await this.parseXlsx(content, options.sheet)
+            : format === 'csv' ? this.parseCsv(String(content))
+            : this.parseJson(content);
+
+        const lines = [];
+        const errors = [];
+        rows.forEach(({ row, values }) => {
+            try {
+                lines.push({ line: row, ...this.normalizeLine(values, header.currency) });
+            } catch (error) {
+                errors.push({ row, error: error.message });
+            }
+        });
+        if (lines.length === 0) {
+            throw new Error(`No valid price lines found${errors.length ? ` (first error, row ${errors[0].row}: ${errors[0].error})` : ''}`);
+        }
+
+        const data = this.load();
+        const list = {
+            id: this.generateId(data),
+            ...header,
+            source_filename: options.filename || null,
+            format,
+            imported_at: new Date().toISOString(),
+            lines
+        };
+        data.lists.push(list);
+        this.save(data);
+
+        console.log(`🏷️ Price list imported (${format}): ${list.name}, ${lines.length} line(s), ${errors.length} skipped`);
+        const { lines: storedLines, ...summary } = list;
+        return { list: { ...summary, line_count: storedLines.length }, imported: lines.length, skipped: errors.length, errors };
+    }
+
+    /**
+     * Check the list-level fields of an import
+     * @returns {Object} { name, supplier, currency, valid_from, valid_until }
+     */
+    normalizeListOptions(options) {
+        const supplier = String(options.supplier || '').trim();
+        if (!supplier) {
+            throw new Error('supplier is required');
+        }
+        const currency = this.normalizeCurrency(options.currency);
+        if (!currency) {
+            throw new Error(`currency must be a 3-letter currency code (got ${options.currency})`);
+        }
+        const validFrom = options.valid_from ? this.normalizeDate(options.valid_from) : this.normalizeDate(new Date());
+        if (!validFrom) {
+            throw new Error(`valid_from is not a valid date (got ${options.valid_from})`);
+        }
+        const validUntil = options.valid_until ? this.normalizeDate(options.valid_until) : null;
+        if (options.valid_until && !validUntil) {
+            throw new Error(`valid_until is not a valid date (got ${options.valid_until})`);
+        }
+        if (validUntil && validUntil < validFrom) {
+            throw new Error(`valid_until (${validUntil}) is before valid_from (${validFrom})`);
+        }
+        return {
+            name: String(options.name || '').trim() || `${supplier} ${validFrom}`,
+            supplier,
+            currency,
+            valid_from: validFrom,
+            valid_until: validUntil
+        };
+    }
+
+    /**
+     * Guess the import format from the content (and file name)
+     */
+    detectFormat(content, filename = null) {
+        if (Buffer.isBuffer(content) || /\.xlsx$/i.test(filename || '')) {
+            return 'xlsx';
+        }
+        if (typeof content !== 'string') {
+            return 'json';
+        }
+        const trimmed = content.trim();
+        return trimmed.startsWith('{') || trimmed.startsWith('[') ? 'json' : 'csv';
+    }
+
+    /**
+     * Parse JSON import content into numbered rows
+     */
+    parseJson(content) {
+        const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+        const rows = Array.isArray(parsed) ? parsed : parsed?.lines;
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON import must be an array of price lines or { "lines": [...] }');
+        }
+        return rows.map((values, index) => ({ row: index + 1, values: this.lowerCaseKeys(values) }));
+    }
+
+    /**
+     * Parse CSV import content (header row required, quoted fields supported)
+     * Rows are numbered like a spreadsheet (header = row 1)
+     */
+    parseCsv(content) {
+        const lines = content.split(/\r?\n/);
+        const headerIndex = lines.findIndex(line => line.trim() !== '');
+        if (headerIndex === -1) {
+            throw new Error('CSV import needs a header row and at least one price line');
+        }
+
+        const splitLine = (line) => {
+            const cells = [];
+            let current = '';
+            let quoted = false;
+            for (let i = 0; i < line.length; i++) {
+                const char = line[i];
+                if (char === '"' && quoted && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = !quoted;
+                } else if ((char === ',' || char === ';') && !quoted) {
+                    cells.push(current.trim());
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            cells.push(current.trim());
+            return cells;
+        };
+
+        const header = splitLine(lines[headerIndex]).map(name => this.normalizeHeader(name));
+        return lines.map((line, index) => ({ line, row: index + 1 }))
+            .slice(headerIndex + 1)
+            .filter(({ line }) => line.trim() !== '')
+            .map(({ line, row }) => {
+                const cells = splitLine(line);
+                const values = {};
+                header.forEach((name, index) => { values[name] = cells[index]; });
+                return { row, values };
+            });
+    }
+
+    /**
+     * Parse the first worksheet (or the named one) of an XLSX workbook; the first non-empty row is the header
+     */
+    async parseXlsx(content, sheetName = null) {
+        const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'base64');
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(buffer);
+        } catch (error) {
+            throw new Error(`XLSX file could not be read: ${error.message}`);
+        }
+        const worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+        if (!worksheet) {
+            throw new Error(sheetName ? `Worksheet "${sheetName}" not found` : 'XLSX file has no worksheets');
+        }
+
+        let header = null;
+        const rows = [];
+        worksheet.eachRow((row, rowNumber) => {
+            const cells = [];
+            row.eachCell({ includeEmpty: true }, (cell, column) => {
+                cells[column - 1] = this.cellText(cell.value);
+            });
+            if (!header) {
+                header = cells.map(name => this.normalizeHeader(name || ''));
+                return;
+            }
+            const values = {};
+            header.forEach((name, index) => { values[name] = cells[index]; });
+            rows.push({ row: rowNumber, values });
+        });
+        if (!header) {
+            throw new Error('XLSX import needs a header row and at least one price line');
+        }
+        return rows;
+    }
+
+    /**
+     * Plain value of an ExcelJS cell (formulas give their result, rich text its text)
+     */
+    cellText(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (value instanceof Date) {
+            return value.toISOString().slice(0, 10);
+        }
+        if (typeof value === 'object') {
+            if (value.result !== undefined) {
+                return this.cellText(value.result);
+            }
+            if (Array.isArray(value.richText)) {
+                return value.richText.map(part => part.text).join('');
+            }
+            if (value.text !== undefined) {
+                return this.cellText(value.text);
+            }
+            return '';
+        }
+        return String(value).trim();
+    }
+
+    /**
+     * Validate one imported line and map its column aliases
+     * @param {Object} values - Raw line (lower-case keys)
+     * @param {string} listCurrency - Currency of the list (a line may name its own)
+     * @returns {Object} Stored line (without its row number)
+     */
+    normalizeLine(values, listCurrency) {
+        const pick = (field) => {
+            const key = this.fieldAliases[field].find(alias => Object.prototype.hasOwnProperty.call(values, alias) &&
+                values[alias] !== undefined && values[alias] !== null && values[alias] !== '');
+            return key ? values[key] : undefined;
+        };
+
+        const partNumber = String(pick('model_part_number') ?? '').trim();
+        if (!partNumber) {
+            throw new Error('part number is required');
+        }
+        const rawPrice = pick('unit_price');
+        const unitPrice = typeof rawPrice === 'number' ? rawPrice : parseFloat(String(rawPrice ?? '').replace(/[\s,]/g, ''));
+        if (!Number.isFinite(unitPrice) || unitPrice <= 0) {
+            throw new Error(`Invalid unit price: ${rawPrice ?? '(empty)'}`);
+        }
+        const currency = pick('currency') !== undefined ? this.normalizeCurrency(pick('currency')) : listCurrency;
+        if (!currency) {
+            throw new Error(`Invalid currency: ${pick('currency')}`);
+        }
+
+        return {
+            model_part_number: partNumber,
+            maker_origin: String(pick('maker_origin') ?? '').trim(),
+            description: String(pick('description') ?? '').trim(),
+            uom: String(pick('uom') ?? '').trim(),
+            unit_price: unitPrice,
+            currency
+        };
+    }
+
+    // =========================================================================
+    // 🔍 PRICE LOOKUP
+    // =========================================================================
+
+    /**
+     * Supplier cost of a part on a date
+     * @param {Object} requirement - { model_part_number, maker_origin }
+     * @param {string|Date} date - Lookup date (today when omitted)
+     * @returns {Object|null} { unit_price, currency, list_id, list_name, supplier, line, model_part_number, maker_origin,
+     *                          valid_from, valid_until, lookup_date } or null when no valid list has the part
+     */
+    findPrice(requirement, date = null) {
+        const partNumber = this.compact(requirement?.model_part_number);
+        if (!partNumber) {
+            return null;
+        }
+        const maker = this.compact(requirement.maker_origin);
+        const lookupDate = this.normalizeDate(date || new Date());
+
+        const matches = this.load().lists
+            .filter(list => list.valid_from <= lookupDate && (!list.valid_until || lookupDate <= list.valid_until))
+            .sort((a, b) => b.valid_from.localeCompare(a.valid_from) || b.imported_at.localeCompare(a.imported_at))
+            .flatMap(list => list.lines
+                .filter(line => this.compact(line.model_part_number) === partNumber &&
+                    (!maker || !line.maker_origin || this.compact(line.maker_origin) === maker))
+                .map(line => ({ list, line })));
+        if (matches.length === 0) {
+            return null;
+        }
+
+        const { list, line } = matches[0];
+        return {
+            unit_price: line.unit_price,
+            currency: line.currency || list.currency,
+            list_id: list.id,
+            list_name: list.name,
+            supplier: list.supplier,
+            line: line.line,
+            model_part_number: line.model_part_number,
+            maker_origin: line.maker_origin || null,
+            valid_from: list.valid_from,
+            valid_until: list.valid_until,
+            lookup_date: lookupDate
+        };
+    }
+
+    // =========================================================================
+    // 🛠️ NORMALIZATION
+    // =========================================================================
+
+    normalizeHeader(name) {
+        return String(name).trim().toLowerCase().replace(/[\s\-/.]+/g, '_');
+    }
+
+    lowerCaseKeys(values) {
+        const result = {};
+        Object.entries(values || {}).forEach(([key, value]) => { result[this.normalizeHeader(key)] = value; });
+        return result;
+    }
+
+    /**
+     * Lower-case letters and digits only ("BP-5011 C01" -> "bp5011c01")
+     */
+    compact(value) {
+        return String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    generateId(data) {
+        let id;
+        do {
+            id = `spl_${crypto.randomBytes(5).toString('hex')}`;
+        } while (data.lists.some(list => list.id === id));
+        return id;
+    }
+
+    /**
+     * Uppercase 3-letter currency code, or null
+     */
+    normalizeCurrency(code) {
+        const normalized = String(code || '').trim().toUpperCase();
+        return /^[A-Z]{3}$/.test(normalized) ? normalized : null;
+    }
+
+    /**
+     * Date as YYYY-MM-DD, or null when it cannot be parsed
+     */
+    normalizeDate(value) {
+        if (!value) return null;
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+        }
+        const text = String(value).trim();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+            const parsed = new Date(`${text}T00:00:00Z`);
+            return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === text ? text : null;
+        }
+        const parsed = new Date(text);
+        return isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+    }
+}
+
+module.exports = { SupplierPriceLists };
@@ -0,0 +1,232 @@
+// =============================================
+// 🗂️ TEMPLATE CATALOG - DOCUMENT TEMPLATE SELECTION
+// =============================================
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * TEMPLATE CATALOG
+ * Purpose: Know which quotation templates exist and pick one per quotation
+ * - Built-in templates: *.html in assets/template
+ * - Uploaded templates: *.html in assets/template/custom_templates (stored as <timestamp>_<name>.html)
+ * - Defaults live in config/document-templates.json (global default + one default per customer)
+ * - Priority: quotation_data.template > customer default > global default
+ * Template shape:
+ *   { name, display_name, source: 'builtin'|'custom', size, modified }
+ */
+class TemplateCatalog {
+    constructor(templateDir = null, configPath = null) {
+        this.templateDir = templateDir || path.join(__dirname, '..', 'assets', 'template');
+        this.customTemplateDir = path.join(this.templateDir, 'custom_templates');
+        this.configPath = configPath || path.join(__dirname, '..', 'config', 'document-templates.json');
+        this.builtinDefault = 'default-template.html';
+    }
+
+    // =========================================================================
+    // 📁 CONFIG FILE ACCESS
+    // =========================================================================
+
+    /**
+     * Load template defaults from disk
+     * @returns {Object} { default_template, customer_templates: { customerName: templateName } }
+     */
+    loadConfig() {
+        try {
+            if (fs.existsSync(this.configPath)) {
+                const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+                return {
+                    ...config,
+                    default_template: config.default_template || this.builtinDefault,
+                    customer_templates: config.customer_templates || {}
+                };
+            }
+        } catch (error) {
+            console.error('❌ Error reading document template config:', error);
+        }
+        return { default_template: this.builtinDefault, customer_templates: {} };
+    }
+
+    /**
+     * Persist template defaults (temp file + rename so readers never see a partial file)
+     * @param {Object} config - Template defaults
+     */
+    saveConfig(config) {
+        const tempPath = `${this.configPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(config, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.configPath);
+    }
+
+    // =========================================================================
+    // 📚 TEMPLATE LISTING
+    // =========================================================================
+
+    /**
+     * List every available template, uploaded ones first (newest first)
+     * @returns {Array} Templates
+     */
+    listTemplates() {
+        const readDir = (directory, source) => {
+            if (!fs.existsSync(directory)) {
+                return [];
+            }
+            return fs.readdirSync(directory)
+                .filter(file => file.toLowerCase().endsWith('.html') && fs.statSync(path.join(directory, file)).isFile())
+                .map(file => {
+                    const stats = fs.statSync(path.join(directory, file));
+                    return {
+                        name: file,
+                        display_name: this.getDisplayName(file),
+                        source,
+                        size: stats.size,
+                        modified: stats.mtime.toISOString()
+                    };
+                });
+        };
+
+        const custom = readDir(this.customTemplateDir, 'custom').sort((a, b) => b.modified.localeCompare(a.modified));
+        const builtin = readDir(this.templateDir, 'builtin');
+        return [...custom, ...builtin];
+    }
+
+    /**
+     * Find a template by file name or display name (".html" optional)
+     * Display-name matches prefer the newest upload
+     * @param {string} name - Template name
+     * @returns {Object|null} Template with its file path
+     */
+    findTemplate(name) {
+        if (!name || typeof name !== 'string') {
+            return null;
+        }
+        const wanted = path.basename(name.trim()).toLowerCase();
+        const wantedFile = wanted.endsWith('.html') ? wanted : `${wanted}.html`;
+        const templates = this.listTemplates();
+
+        const match = templates.find(template => template.name.toLowerCase() === wantedFile)
+            || templates.find(template => template.display_name.toLowerCase() === wantedFile);
+        return match ? { ...match, path: this.getTemplatePath(match) } : null;
+    }
+
+    /**
+     * Read a template's HTML
+     * @param {string} name - Template name
+     * @returns {string} Template content
+     */
+    readTemplate(name) {
+        const template = this.findTemplate(name);
+        if (!template) {
+            throw new Error(`Template "${name}" not found`);
+        }
+        return fs.readFileSync(template.path, 'utf8');
+    }
+
+    // =========================================================================
+    // 🎯 TEMPLATE SELECTION
+    // =========================================================================
+
+    /**
+     * Pick the template for a quotation
+     * A template named on the quotation must exist; stale customer/global defaults fall back with a warning
+     * @param {Object} quotationData - Quotation data (template, customer_info)
+     * @param {string|null} customerTemplate - Default template of the customer's directory record (wins over customer_templates)
+     * @returns {Object} { name, display_name, source, path, selected_by: 'quotation'|'customer'|'default' }
+     */
+    resolveTemplate(quotationData, customerTemplate = null) {
+        if (quotationData?.template) {
+            const template = this.findTemplate(quotationData.template);
+            if (!template) {
+                throw new Error(`Template "${quotationData.template}" not found`);
+            }
+            return { ...template, selected_by: 'quotation' };
+        }
+
+        const config = this.loadConfig();
+        const customerDefaults = [customerTemplate, this.getCustomerTemplate(quotationData?.customer_info?.company_name, config)];
+        for (const name of customerDefaults.filter(Boolean)) {
+            const template = this.findTemplate(name);
+            if (template) {
+                return { ...template, selected_by: 'customer' };
+            }
+            console.warn(`⚠️ Customer template "${name}" not found, trying the next default`);
+        }
+
+        const template = this.findTemplate(config.default_template) || this.findTemplate(this.builtinDefault);
+        if (!template) {
+            throw new Error(`Default template "${config.default_template}" not found`);
+        }
+        if (template.name !== config.default_template && template.display_name !== config.default_template) {
+            console.warn(`⚠️ Default template "${config.default_template}" not found, using ${this.builtinDefault}`);
+        }
+        return { ...template, selected_by: 'default' };
+    }
+
+    /**
+     * Customer default template name, matched case-insensitively
+     * @param {string} customerName - Customer company name
+     * @param {Object} config - Loaded config (read from disk when omitted)
+     * @returns {string|null} Template name
+     */
+    getCustomerTemplate(customerName, config = null) {
+        const wanted = this.normalizeCustomerName(customerName);
+        if (!wanted) {
+            return null;
+        }
+        const match = Object.entries((config || this.loadConfig()).customer_templates)
+            .find(([name]) => this.normalizeCustomerName(name) === wanted);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Set the global default template, or one customer's default
+     * @param {string|null} templateName - Template name (null clears a customer default)
+     * @param {string|null} customerName - Customer company name (omit for the global default)
+     * @returns {Object} Updated config
+     */
+    setDefaultTemplate(templateName, customerName = null) {
+        const config = this.loadConfig();
+        const template = templateName ? this.findTemplate(templateName) : null;
+        if (templateName && !template) {
+            throw new Error(`Template "${templateName}" not found`);
+        }
+
+        if (customerName) {
+            const wanted = this.normalizeCustomerName(customerName);
+            const existingKey = Object.keys(config.customer_templates)
+                .find(name => this.normalizeCustomerName(name) === wanted);
+            delete config.customer_templates[existingKey];
+            if (template) {
+                config.customer_templates[customerName.trim()] = template.name;
+            }
+        } else {
+            if (!template) {
+                throw new Error('A template name is required for the global default');
+            }
+            config.default_template = template.name;
+        }
+
+        this.saveConfig(config);
+        console.log(`🗂️ Default template ${customerName ? `for ${customerName}` : '(global)'}: ${template ? template.name : 'cleared'}`);
+        return config;
+    }
+
+    // =========================================================================
+    // 🛠️ HELPERS
+    // =========================================================================
+
+    getTemplatePath(template) {
+        return path.join(template.source === 'custom' ? this.customTemplateDir : this.templateDir, template.name);
+    }
+
+    /**
+     * Uploaded file name without the upload timestamp ("1754995314051_export.html" -> "export.html")
+     */
+    getDisplayName(filename) {
+        return filename.replace(/^\d{10,}_/, '');
+    }
+
+    normalizeCustomerName(name) {
+        return typeof name === 'string' ? name.trim().toLowerCase() : '';
+    }
+}
+
+module.exports = { TemplateCatalog };
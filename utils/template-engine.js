@@ -0,0 +1,654 @@
+// =============================================
+// 🧾 TEMPLATE ENGINE - QUOTATION DOCUMENT TEMPLATES
+// =============================================
+const fs = require('fs');
+const path = require('path');
+
+// Names resolve from own properties only, so {{constructor}} or {{> toString}} never reach Object.prototype
+const hasOwn = (object, key) => object !== null && object !== undefined && Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Marks a value as trusted HTML so the engine outputs it without escaping
+ */
+class SafeString {
+    constructor(html) {
+        this.html = String(html ?? '');
+    }
+
+    toString() {
+        return this.html;
+    }
+}
+
+/**
+ * TEMPLATE ENGINE
+ * Purpose: Render quotation HTML templates (Handlebars-style syntax, no eval())
+ * - {{path}} escapes HTML, {{{path}}} outputs raw HTML; SafeString values are never escaped
+ * - Paths: name, a.b.c, items.0, this, ../name (parent scope), @index, @number, @first, @last, @key
+ * - Filters: {{ grand_total | currency }}, {{ issue_date | date:"en-GB" }}, {{ name | default:"N/A" | upper }}
+ * - Comparison filters (eq, ne, gt, gte, lt, lte, not) make conditions: {{#if items | length | gt:10}}
+ * - Blocks: {{#each list}}...{{else}}...{{/each}}, {{#if x}}...{{else}}...{{/if}}, {{#unless x}}, {{#with obj}}
+ * - Partials: {{> header}} or {{> item_row this}}, loaded from *.html files in partial directories
+ * - Comments: {{! note }}
+ * - Names not found in the current scope are looked up in the enclosing scopes
+ * - analyze() checks a template against a sample context without rendering it
+ */
+class TemplateEngine {
+    constructor(options = {}) {
+        this.maxPartialDepth = 10;
+        this.partials = {};
+        this.cache = new Map();
+        this.maxCacheEntries = 50;
+
+        // name -> (value, args, root) => result
+        this.filters = {
+            upper: (value) => String(value ?? '').toUpperCase(),
+            lower: (value) => String(value ?? '').toLowerCase(),
+            capitalize: (value) => {
+                const text = String(value ?? '');
+                return text.charAt(0).toUpperCase() + text.slice(1);
+            },
+            default: (value, [fallback = '']) => (this.isEmpty(value) ? fallback : value),
+            number: (value, [decimals = 0, locale = 'vi-VN']) => this.formatNumber(value, decimals, locale),
+            percent: (value, [decimals = 0]) => (this.isEmpty(value) ? '' : `${this.formatNumber(value, decimals, 'vi-VN')}%`),
+            date: (value, [locale = 'vi-VN']) => this.formatDate(value, locale),
+            datetime: (value, [locale = 'vi-VN']) => this.formatDate(value, locale, true),
+            truncate: (value, [length = 50]) => {
+                const text = String(value ?? '');
+                return text.length > length ? `${text.slice(0, length)}…` : text;
+            },
+            join: (value, [separator = ', ']) => (Array.isArray(value) ? value.join(separator) : value),
+            length: (value) => (Array.isArray(value) || typeof value === 'string' ? value.length : Object.keys(value || {}).length),
+            json: (value) => JSON.stringify(value ?? null),
+            raw: (value) => new SafeString(value),
+            // Comparisons for {{#if}}: {{#if price_tiers | length | gt:1}}
+            eq: (value, [other]) => value == other,
+            ne: (value, [other]) => value != other,
+            gt: (value, [other]) => Number(value) > Number(other),
+            gte: (value, [other]) => Number(value) >= Number(other),
+            lt: (value, [other]) => Number(value) < Number(other),
+            lte: (value, [other]) => Number(value) <= Number(other),
+            not: (value) => !this.isTruthy(value),
+            ...options.filters
+        };
+    }
+
+    // =========================================================================
+    // 🎯 PUBLIC API
+    // =========================================================================
+
+    /**
+     * Render a template with a data context
+     * @param {string} template - Template source
+     * @param {Object} context - Root data
+     * @returns {string} Rendered output
+     */
+    render(template, context = {}) {
+        const nodes = this.compile(template);
+        return this.renderNodes(nodes, { data: context, parent: null, locals: {} }, context, 0);
+    }
+
+    /**
+     * Add or replace a filter
+     * @param {string} name - Filter name used in templates
+     * @param {Function} fn - (value, args, root) => result
+     */
+    registerFilter(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new Error(`Filter "${name}" must be a function`);
+        }
+        this.filters[name] = fn;
+    }
+
+    /**
+     * Add or replace a partial
+     * @param {string} name - Partial name used as {{> name}}
+     * @param {string} source - Partial template source
+     */
+    registerPartial(name, source) {
+        this.partials[name] = String(source);
+    }
+
+    /**
+     * Register every *.html file of a directory as a partial named after the file
+     * Later directories override partials of the same name from earlier ones
+     * @param {string} directory - Directory to scan (missing directories are ignored)
+     * @returns {Array} Names of the registered partials
+     */
+    loadPartials(directory) {
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+        const names = [];
+        fs.readdirSync(directory)
+            .filter(file => file.endsWith('.html'))
+            .forEach(file => {
+                const name = path.basename(file, '.html');
+                this.registerPartial(name, fs.readFileSync(path.join(directory, file), 'utf8'));
+                names.push(name);
+            });
+        return names;
+    }
+
+    // =========================================================================
+    // 🔤 PARSER
+    // =========================================================================
+
+    /**
+     * Parse a template into a node tree (cached by source)
+     * @param {string} template - Template source
+     * @returns {Array} Nodes { type: text|output|block|partial }
+     */
+    compile(template) {
+        const source = String(template ?? '');
+        if (this.cache.has(source)) {
+            return this.cache.get(source);
+        }
+
+        const root = { children: [] };
+        const stack = [root];
+        const tagPattern = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+        let lastIndex = 0;
+        let match;
+
+        const current = () => {
+            const block = stack[stack.length - 1];
+            return block.inverse || block.children;
+        };
+
+        while ((match = tagPattern.exec(source)) !== null) {
+            if (match.index > lastIndex) {
+                current().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+            }
+            lastIndex = tagPattern.lastIndex;
+            const line = source.slice(0, match.index).split('\n').length;
+
+            if (match[1] !== undefined) {
+                current().push({ type: 'output', expression: this.parseExpression(match[1], line), raw: true, line });
+                continue;
+            }
+
+            const tag = match[2];
+
+            if (tag.startsWith('!')) {
+                continue;
+            }
+            if (tag.startsWith('#')) {
+                const [, name, argument = ''] = /^#(\w+)\s*([\s\S]*)$/.exec(tag) || [];
+                if (!['each', 'if', 'unless', 'with'].includes(name)) {
+                    throw new Error(`Template error (line ${line}): unknown block {{${tag}}}`);
+                }
+                if (!argument.trim()) {
+                    throw new Error(`Template error (line ${line}): {{#${name}}} needs an expression`);
+                }
+                const block = { type: 'block', name, expression: this.parseExpression(argument, line), children: [], inverse: null, line };
+                current().push(block);
+                stack.push(block);
+                continue;
+            }
+            if (tag.startsWith('/')) {
+                const name = tag.slice(1).trim();
+                const block = stack[stack.length - 1];
+                if (stack.length === 1 || block.name !== name) {
+                    throw new Error(`Template error (line ${line}): unexpected {{/${name}}}`);
+                }
+                stack.pop();
+                continue;
+            }
+            if (tag === 'else') {
+                const block = stack[stack.length - 1];
+                if (stack.length === 1 || block.inverse) {
+                    throw new Error(`Template error (line ${line}): unexpected {{else}}`);
+                }
+                block.inverse = [];
+                continue;
+            }
+            if (tag.startsWith('>')) {
+                const [name, ...contextPath] = tag.slice(1).trim().split(/\s+/);
+                current().push({
+                    type: 'partial',
+                    name,
+                    expression: contextPath.length ? this.parseExpression(contextPath.join(' '), line) : null,
+                    line
+                });
+                continue;
+            }
+
+            current().push({ type: 'output', expression: this.parseExpression(tag, line), raw: false, line });
+        }
+
+        if (stack.length > 1) {
+            const block = stack[stack.length - 1];
+            throw new Error(`Template error (line ${block.line}): {{#${block.name}}} is never closed`);
+        }
+        if (lastIndex < source.length) {
+            root.children.push({ type: 'text', value: source.slice(lastIndex) });
+        }
+
+        if (this.cache.size >= this.maxCacheEntries) {
+            this.cache.clear();
+        }
+        this.cache.set(source, root.children);
+        return root.children;
+    }
+
+    /**
+     * Parse "path | filter:arg1,arg2 | filter2" into { value, filters }
+     * @param {string} text - Expression text
+     * @param {number} line - Template line (for error messages)
+     * @returns {Object} Parsed expression
+     */
+    parseExpression(text, line = null) {
+        try {
+            return this.parseFilterChain(text);
+        } catch (error) {
+            throw line ? new Error(error.message.replace('Template error:', `Template error (line ${line}):`)) : error;
+        }
+    }
+
+    parseFilterChain(text) {
+        const [valueText, ...filterTexts] = this.splitOutsideQuotes(text, '|');
+        const filters = filterTexts.map(filterText => {
+            const separator = filterText.indexOf(':');
+            const name = (separator === -1 ? filterText : filterText.slice(0, separator)).trim();
+            const args = separator === -1
+                ? []
+                : this.splitOutsideQuotes(filterText.slice(separator + 1), ',').map(arg => this.parseOperand(arg));
+            if (!name) {
+                throw new Error(`Template error: empty filter in "${text}"`);
+            }
+            return { name, args };
+        });
+        return { value: this.parseOperand(valueText), filters };
+    }
+
+    /**
+     * Parse a literal ("text", 12, true, null) or a path
+     */
+    parseOperand(text) {
+        const operand = text.trim();
+        const quoted = /^"([\s\S]*)"$|^'([\s\S]*)'$/.exec(operand);
+        if (quoted) {
+            return { literal: quoted[1] ?? quoted[2] };
+        }
+        if (/^-?\d+(\.\d+)?$/.test(operand)) {
+            return { literal: Number(operand) };
+        }
+        if (operand === 'true' || operand === 'false') {
+            return { literal: operand === 'true' };
+        }
+        if (operand === 'null') {
+            return { literal: null };
+        }
+        if (!/^(\.\.\/)*(@?[\w-]+|this|\.)(\.[\w-]+)*$/.test(operand)) {
+            throw new Error(`Template error: invalid expression "${operand}"`);
+        }
+        return { path: operand };
+    }
+
+    /**
+     * Split text on a separator that is not inside single or double quotes
+     */
+    splitOutsideQuotes(text, separator) {
+        const parts = [];
+        let quote = null;
+        let part = '';
+        for (const char of text) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === separator) {
+                parts.push(part);
+                part = '';
+                continue;
+            }
+            part += char;
+        }
+        parts.push(part);
+        return parts;
+    }
+
+    // =========================================================================
+    // 🖨️ RENDERER
+    // =========================================================================
+
+    renderNodes(nodes, scope, root, depth) {
+        let output = '';
+        for (const node of nodes) {
+            switch (node.type) {
+                case 'text':
+                    output += node.value;
+                    break;
+                case 'output':
+                    output += this.stringify(this.evaluate(node.expression, scope, root), node.raw);
+                    break;
+                case 'block':
+                    output += this.renderBlock(node, scope, root, depth);
+                    break;
+                case 'partial':
+                    output += this.renderPartial(node, scope, root, depth);
+                    break;
+            }
+        }
+        return output;
+    }
+
+    renderBlock(node, scope, root, depth) {
+        const value = this.evaluate(node.expression, scope, root);
+
+        switch (node.name) {
+            case 'if':
+            case 'unless': {
+                const truthy = this.isTruthy(value);
+                const branch = (node.name === 'if' ? truthy : !truthy) ? node.children : node.inverse;
+                return branch ? this.renderNodes(branch, scope, root, depth) : '';
+            }
+            case 'with':
+                return this.isTruthy(value)
+                    ? this.renderNodes(node.children, { data: value, parent: scope, locals: {} }, root, depth)
+                    : (node.inverse ? this.renderNodes(node.inverse, scope, root, depth) : '');
+            case 'each': {
+                const entries = Array.isArray(value)
+                    ? value.map((entry, index) => [index, entry])
+                    : (value && typeof value === 'object' ? Object.entries(value) : []);
+                if (entries.length === 0) {
+                    return node.inverse ? this.renderNodes(node.inverse, scope, root, depth) : '';
+                }
+                return entries.map(([key, entry], index) => this.renderNodes(node.children, {
+                    data: entry,
+                    parent: scope,
+                    locals: {
+                        index,
+                        number: index + 1,
+                        key,
+                        first: index === 0,
+                        last: index === entries.length - 1
+                    }
+                }, root, depth)).join('');
+            }
+        }
+        return '';
+    }
+
+    renderPartial(node, scope, root, depth) {
+        const source = hasOwn(this.partials, node.name) ? this.partials[node.name] : undefined;
+        if (source === undefined) {
+            throw new Error(`Template error (line ${node.line}): partial "${node.name}" not found`);
+        }
+        if (depth >= this.maxPartialDepth) {
+            throw new Error(`Template error: partials nested more than ${this.maxPartialDepth} levels (recursive {{> ${node.name}}}?)`);
+        }
+        const partialScope = node.expression
+            ? { data: this.evaluate(node.expression, scope, root), parent: scope, locals: {} }
+            : scope;
+        return this.renderNodes(this.compile(source), partialScope, root, depth + 1);
+    }
+
+    /**
+     * Resolve an expression's value and apply its filters
+     */
+    evaluate(expression, scope, root) {
+        let value = 'literal' in expression.value
+            ? expression.value.literal
+            : this.lookup(expression.value.path, scope);
+
+        for (const filter of expression.filters) {
+            const fn = hasOwn(this.filters, filter.name) ? this.filters[filter.name] : null;
+            if (!fn) {
+                throw new Error(`Template error: unknown filter "${filter.name}"`);
+            }
+            const args = filter.args.map(arg => ('literal' in arg ? arg.literal : this.lookup(arg.path, scope)));
+            value = fn(value, args, root);
+        }
+        return value;
+    }
+
+    /**
+     * Resolve a path against the scope chain
+     */
+    lookup(pathText, scope) {
+        let target = scope;
+        let rest = pathText;
+        while (rest.startsWith('../')) {
+            target = target.parent || target;
+            rest = rest.slice(3);
+        }
+
+        if (rest === 'this' || rest === '.') {
+            return target.data;
+        }
+
+        const segments = rest.replace(/^this\./, '').split('.');
+        const [head, ...tail] = segments;
+        let value;
+
+        if (head.startsWith('@')) {
+            const name = head.slice(1);
+            let frame = target;
+            while (frame && !hasOwn(frame.locals, name)) {
+                frame = frame.parent;
+            }
+            value = frame ? frame.locals[name] : undefined;
+        } else if (rest.startsWith('this.')) {
+            value = hasOwn(target.data, head) ? target.data[head] : undefined;
+        } else {
+            let frame = target;
+            while (frame && !(frame.data !== null && typeof frame.data === 'object' && hasOwn(frame.data, head))) {
+                frame = frame.parent;
+            }
+            value = frame ? frame.data[head] : undefined;
+        }
+
+        for (const segment of tail) {
+            if (!hasOwn(value, segment)) {
+                return undefined;
+            }
+            value = value[segment];
+        }
+        return value;
+    }
+
+    // =========================================================================
+    // 🔎 ANALYSIS
+    // =========================================================================
+
+    /**
+     * Statically check a template against the shape of a sample context (nothing is rendered)
+     * Every branch is visited, so names inside untaken {{#if}} blocks are checked too
+     * Syntax errors are thrown exactly as render() would throw them
+     * @param {string} template - Template source
+     * @param {Object} context - Sample root data describing the available names
+     * @returns {Object} { references: root names used, partials, unknown_placeholders: [{ name, line, partial }],
+     *                     unknown_filters: [{ name, line, partial }], missing_partials: [{ name, line, partial }] }
+     */
+    analyze(template, context = {}) {
+        const report = {
+            references: new Set(),
+            partials: new Set(),
+            unknown_placeholders: [],
+            unknown_filters: [],
+            missing_partials: []
+        };
+        this.analyzeNodes(this.compile(template), [{ shape: context, loop: false }], report, null, []);
+
+        const unique = (entries) => entries.filter((entry, index) =>
+            entries.findIndex(other => other.name === entry.name && other.partial === entry.partial) === index);
+        return {
+            references: [...report.references],
+            partials: [...report.partials],
+            unknown_placeholders: unique(report.unknown_placeholders),
+            unknown_filters: unique(report.unknown_filters),
+            missing_partials: unique(report.missing_partials)
+        };
+    }
+
+    analyzeNodes(nodes, frames, report, partial, partialChain) {
+        for (const node of nodes) {
+            if (node.type === 'output') {
+                this.analyzeExpression(node.expression, frames, report, node.line, partial);
+            } else if (node.type === 'block') {
+                const value = this.analyzeExpression(node.expression, frames, report, node.line, partial);
+                let childFrames = frames;
+                if (node.name === 'each') {
+                    const entries = Array.isArray(value) ? value : (value && typeof value === 'object' ? Object.values(value) : []);
+                    childFrames = [...frames, { shape: entries[0], loop: true }];
+                } else if (node.name === 'with') {
+                    childFrames = [...frames, { shape: value, loop: false }];
+                }
+                this.analyzeNodes(node.children, childFrames, report, partial, partialChain);
+                if (node.inverse) {
+                    this.analyzeNodes(node.inverse, frames, report, partial, partialChain);
+                }
+            } else if (node.type === 'partial') {
+                report.partials.add(node.name);
+                const source = hasOwn(this.partials, node.name) ? this.partials[node.name] : undefined;
+                if (source === undefined) {
+                    report.missing_partials.push({ name: node.name, line: node.line, partial });
+                    continue;
+                }
+                if (partialChain.includes(node.name) || partialChain.length >= this.maxPartialDepth) {
+                    continue;
+                }
+                const partialFrames = node.expression
+                    ? [...frames, { shape: this.analyzeExpression(node.expression, frames, report, node.line, partial), loop: false }]
+                    : frames;
+                let partialNodes;
+                try {
+                    partialNodes = this.compile(source);
+                } catch (error) {
+                    throw new Error(`Partial "${node.name}": ${error.message}`);
+                }
+                this.analyzeNodes(partialNodes, partialFrames, report, node.name, [...partialChain, node.name]);
+            }
+        }
+    }
+
+    /**
+     * Check the names and filters of one expression
+     * @returns {*} Sample value of the expression (undefined when the shape is unknown or filters are applied)
+     */
+    analyzeExpression(expression, frames, report, line, partial) {
+        const operands = [expression.value, ...expression.filters.flatMap(filter => filter.args)];
+        const values = operands.map(operand => ('literal' in operand
+            ? operand.literal
+            : this.analyzePath(operand.path, frames, report, line, partial)));
+
+        expression.filters.forEach(filter => {
+            if (!hasOwn(this.filters, filter.name)) {
+                report.unknown_filters.push({ name: filter.name, line, partial });
+            }
+        });
+        return expression.filters.length ? undefined : values[0];
+    }
+
+    /**
+     * Resolve a path against sample frames; names that resolve nowhere are reported
+     * Frames whose sample shape is unknown (empty lists, null values) accept any name
+     */
+    analyzePath(pathText, frames, report, line, partial) {
+        let index = frames.length - 1;
+        let rest = pathText;
+        while (rest.startsWith('../')) {
+            index = Math.max(0, index - 1);
+            rest = rest.slice(3);
+        }
+        if (rest === 'this' || rest === '.') {
+            return frames[index].shape;
+        }
+
+        const [head, ...tail] = rest.replace(/^this\./, '').split('.');
+        if (head.startsWith('@')) {
+            const known = ['index', 'number', 'key', 'first', 'last'].includes(head.slice(1));
+            if (!known || !frames.slice(0, index + 1).some(frame => frame.loop)) {
+                report.unknown_placeholders.push({ name: pathText, line, partial });
+            }
+            return undefined;
+        }
+
+        const lowest = rest.startsWith('this.') ? index : 0;
+        for (let frameIndex = index; frameIndex >= lowest; frameIndex--) {
+            const shape = frames[frameIndex].shape;
+            if (shape === undefined || shape === null || typeof shape !== 'object') {
+                return undefined;
+            }
+            if (hasOwn(shape, head)) {
+                if (frameIndex === 0) {
+                    report.references.add(head);
+                }
+                return tail.reduce((value, segment) => (value && typeof value === 'object' && hasOwn(value, segment) ? value[segment] : undefined), shape[head]);
+            }
+        }
+
+        report.unknown_placeholders.push({ name: pathText, line, partial });
+        return undefined;
+    }
+
+    // =========================================================================
+    // 🛠️ HELPERS
+    // =========================================================================
+
+    stringify(value, raw) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (value instanceof SafeString) {
+            return value.html;
+        }
+        const text = Array.isArray(value) ? value.join(', ') : String(value);
+        return raw ? text : this.escapeHtml(text);
+    }
+
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Handlebars truthiness: empty arrays and empty strings are false, 0 is false
+     */
+    isTruthy(value) {
+        if (Array.isArray(value)) {
+            return value.length > 0;
+        }
+        if (value instanceof SafeString) {
+            return value.html !== '';
+        }
+        return !!value;
+    }
+
+    isEmpty(value) {
+        return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    }
+
+    formatNumber(value, decimals, locale) {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        if (!isFinite(number)) {
+            return '';
+        }
+        return new Intl.NumberFormat(locale, {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        }).format(number);
+    }
+
+    formatDate(value, locale, withTime = false) {
+        if (this.isEmpty(value)) {
+            return '';
+        }
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) {
+            return String(value);
+        }
+        if (locale === 'iso') {
+            return withTime ? date.toISOString() : date.toISOString().slice(0, 10);
+        }
+        return withTime ? date.toLocaleString(locale) : date.toLocaleDateString(locale);
+    }
+}
+
+module.exports = { TemplateEngine, SafeString };
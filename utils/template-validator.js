@@ -0,0 +1,171 @@
+// =============================================
+// ✅ TEMPLATE VALIDATOR - UPLOADED TEMPLATE CHECKS
+// =============================================
+
+/**
+ * TEMPLATE VALIDATOR
+ * Purpose: Catch templates that would produce broken quotations before they are used
+ * - Template syntax (unclosed blocks, bad expressions) via the template engine
+ * - Required placeholders from config/document-templates.json: a template must use
+ *   at least one name of every required_placeholders group (item rows, totals, ...)
+ * - Unknown placeholders, filters and partials, checked against a sample quotation context
+ * - HTML structure: tags that are never closed, closed in the wrong order or not terminated by ">"
+ * Issue shape:
+ *   { code, message, line, partial }
+ */
+class TemplateValidator {
+    /**
+     * @param {TemplateEngine} engine - Engine with the filters and partials templates may use
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.voidElements = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+        // Elements whose end tag HTML allows to be left out
+        this.optionalEndElements = ['html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'option', 'colgroup'];
+    }
+
+    // =========================================================================
+    // 🎯 PUBLIC API
+    // =========================================================================
+
+    /**
+     * Validate a template
+     * @param {string} source - Template HTML
+     * @param {Object} options - { context: sample template context, requiredPlaceholders: [{ label, any_of: [names] }] }
+     * @returns {Object} { valid, errors, warnings, placeholders: { used, unknown }, partials }
+     */
+    validate(source, options = {}) {
+        const errors = [];
+        const warnings = [];
+        const result = { placeholders: { used: [], unknown: [] }, partials: [] };
+
+        if (typeof source !== 'string' || source.trim() === '') {
+            errors.push(this.issue('empty_template', 'Template is empty'));
+            return { valid: false, errors, warnings, ...result };
+        }
+
+        let analysis = null;
+        try {
+            analysis = this.engine.analyze(source, options.context || {});
+        } catch (error) {
+            errors.push(this.issue('syntax_error', error.message, this.extractLine(error.message)));
+        }
+
+        if (analysis) {
+            result.placeholders = {
+                used: analysis.references,
+                unknown: analysis.unknown_placeholders.map(entry => entry.name)
+            };
+            result.partials = analysis.partials;
+
+            (options.requiredPlaceholders || []).forEach(requirement => {
+                if (!requirement.any_of.some(name => analysis.references.includes(name))) {
+                    errors.push(this.issue('missing_placeholder',
+                        `Missing ${requirement.label}: use ${requirement.any_of.map(name => `{{${name}}}`).join(' or ')}`));
+                }
+            });
+            analysis.unknown_placeholders.forEach(entry => {
+                errors.push(this.issue('unknown_placeholder', `Unknown placeholder {{${entry.name}}}${this.where(entry)}`, entry.line, entry.partial));
+            });
+            analysis.unknown_filters.forEach(entry => {
+                errors.push(this.issue('unknown_filter', `Unknown filter "${entry.name}"${this.where(entry)}`, entry.line, entry.partial));
+            });
+            analysis.missing_partials.forEach(entry => {
+                errors.push(this.issue('missing_partial', `Partial "${entry.name}" not found${this.where(entry)}`, entry.line, entry.partial));
+            });
+        }
+
+        const html = this.checkHtml(source);
+        errors.push(...html.errors);
+        warnings.push(...html.warnings);
+
+        return { valid: errors.length === 0, errors, warnings, ...result };
+    }
+
+    // =========================================================================
+    // 🧱 HTML STRUCTURE
+    // =========================================================================
+
+    /**
+     * Check that tags are terminated, closed and nested properly
+     * Template tags are blanked out first (line numbers are kept)
+     * @param {string} source - Template HTML
+     * @returns {Object} { errors, warnings }
+     */
+    checkHtml(source) {
+        const errors = [];
+        const warnings = [];
+        const blank = (text) => text.replace(/[^\n]/g, ' ');
+        const html = source
+            .replace(/\{\{\{[\s\S]*?\}\}\}|\{\{[\s\S]*?\}\}/g, blank)
+            .replace(/<!--[\s\S]*?-->/g, blank)
+            .replace(/(<(script|style)\b[^>]*>)([\s\S]*?)(<\/\2\s*>)/gi, (match, open, name, body, close) => open + blank(body) + close);
+        const lineAt = (index) => html.slice(0, index).split('\n').length;
+
+        if (!/<body\b/i.test(html)) {
+            warnings.push(this.issue('html_missing_body', 'No <body> element - the document relies on browser defaults'));
+        }
+
+        const unterminated = /<\/?[a-zA-Z][^<>]*(?=<|$)/g;
+        let match;
+        while ((match = unterminated.exec(html)) !== null) {
+            errors.push(this.issue('html_unterminated_tag', `Tag "${match[0].trim().slice(0, 30)}" is missing its closing ">"`, lineAt(match.index)));
+        }
+
+        const stack = [];
+        const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)\b[^<>]*?(\/?)>/g;
+        while ((match = tagPattern.exec(html)) !== null) {
+            const [, closing, rawName, selfClosing] = match;
+            const name = rawName.toLowerCase();
+            const line = lineAt(match.index);
+
+            if (!closing) {
+                if (!this.voidElements.includes(name) && !selfClosing) {
+                    stack.push({ name, line });
+                }
+                continue;
+            }
+
+            if (this.voidElements.includes(name)) {
+                continue;
+            }
+            const openIndex = stack.map(entry => entry.name).lastIndexOf(name);
+            if (openIndex === -1) {
+                errors.push(this.issue('html_unexpected_closing_tag', `</${name}> has no matching <${name}>`, line));
+                continue;
+            }
+            // Elements left open inside the one being closed must allow an implied end tag
+            stack.splice(openIndex + 1).forEach(entry => {
+                if (!this.optionalEndElements.includes(entry.name)) {
+                    errors.push(this.issue('html_unclosed_tag', `<${entry.name}> (line ${entry.line}) is not closed before </${name}>`, entry.line));
+                }
+            });
+            stack.pop();
+        }
+
+        stack.filter(entry => !this.optionalEndElements.includes(entry.name)).forEach(entry => {
+            errors.push(this.issue('html_unclosed_tag', `<${entry.name}> is never closed`, entry.line));
+        });
+
+        return { errors, warnings };
+    }
+
+    // =========================================================================
+    // 🛠️ HELPERS
+    // =========================================================================
+
+    issue(code, message, line = null, partial = null) {
+        return { code, message, line, partial };
+    }
+
+    where(entry) {
+        return entry.partial ? ` in partial "${entry.partial}" (line ${entry.line})` : ` (line ${entry.line})`;
+    }
+
+    extractLine(message) {
+        const match = /\(line (\d+)\)/.exec(message);
+        return match ? parseInt(match[1], 10) : null;
+    }
+}
+
+module.exports = { TemplateValidator };